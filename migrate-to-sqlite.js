@@ -0,0 +1,73 @@
+const jsonDriver = require('./server/utils/drivers/json');
+const sqliteDriver = require('./server/utils/drivers/sqlite');
+const { RESOURCES, EVENT_TYPES } = require('./server/utils/drivers/common');
+
+// Overwrite a database that already holds data only when asked to
+const force = process.argv.includes('--force');
+
+// Read every resource from the JSON files, skipping ones that don't exist yet
+async function readJSONResources() {
+  const resources = {};
+
+  for (const resource of RESOURCES) {
+    try {
+      resources[resource] = await jsonDriver.read(resource);
+      console.log(`✓ Read ${resource}.json`);
+    } catch (error) {
+      if (error.code !== 'NOT_FOUND') {
+        throw error;
+      }
+      console.log(`- Skipped ${resource}.json (not found)`);
+    }
+  }
+
+  return resources;
+}
+
+// Read every analytics event from the JSON Lines files in data/events
+async function readJSONEvents() {
+  const events = {};
+
+  for (const type of EVENT_TYPES) {
+    events[type] = [];
+    for await (const event of jsonDriver.readEvents(type)) {
+      events[type].push(event);
+    }
+    console.log(`✓ Read ${events[type].length} ${type} event(s)`);
+  }
+
+  return events;
+}
+
+// Main migration function
+async function migrate() {
+  console.log('=== Migrate JSON data to SQLite ===\n');
+  console.log(`Database: ${sqliteDriver.SQLITE_FILE}\n`);
+
+  try {
+    if (!sqliteDriver.isEmpty() && !force) {
+      throw new Error('The SQLite database already contains data. Re-run with --force to replace it.');
+    }
+
+    const resources = await readJSONResources();
+    const history = await jsonDriver.readHistory();
+    console.log(`✓ Read ${history.length} revision(s) from history.json`);
+
+    const events = await readJSONEvents();
+
+    sqliteDriver.importData({ resources, history, events });
+
+    console.log('\n✓ Migration complete!');
+    console.log('\nNext steps:');
+    console.log('1. Set "storageDriver": "sqlite" in data/config.json (or start the server with STORAGE_DRIVER=sqlite) and restart the server');
+    console.log('2. Keep the JSON files in data/ as a backup until you have checked the site');
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    sqliteDriver.close();
+  }
+}
+
+// Run migration
+migrate();
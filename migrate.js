@@ -0,0 +1,38 @@
+const { runMigrations, getLatestVersion } = require('./server/utils/migrator');
+
+// Report what would change without writing anything
+const dryRun = process.argv.includes('--dry-run');
+
+// Main migration function
+async function migrate() {
+  console.log(`=== Data Schema Migration${dryRun ? ' (dry run)' : ''} ===\n`);
+
+  try {
+    const result = await runMigrations({ dryRun });
+
+    if (result.applied.length === 0) {
+      console.log(`✓ Data is up to date (schema version ${result.fromVersion})`);
+      return;
+    }
+
+    console.log(`Schema version ${result.fromVersion} → ${getLatestVersion()}\n`);
+    result.applied.forEach(migration => {
+      console.log(`${dryRun ? '-' : '✓'} ${migration.version}: ${migration.description}`);
+    });
+
+    console.log(`\n${dryRun ? 'Would change' : 'Changed'}: ${result.changed.length > 0 ? result.changed.join(', ') : 'nothing'}`);
+
+    if (dryRun) {
+      console.log('\nNo changes were written. Run without --dry-run to apply.');
+    } else {
+      console.log(`Backup: ${result.backupPath}`);
+      console.log('\n✓ Migration complete!');
+    }
+  } catch (error) {
+    console.error('\n✗ Migration failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Run migration
+migrate();
@@ -2,6 +2,11 @@
 // Utility Functions
 // ============================================
 
+// Identifies this tab, so it can tell its own changes from others' in the live update stream
+const CLIENT_ID = window.crypto && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
 /**
  * Enhanced fetch with timeout and better error handling
  * @param {string} url - URL to fetch
@@ -16,6 +21,10 @@ async function fetchWithTimeout(url, options = {}, timeout = 10000) {
     try {
         const response = await fetch(url, {
             ...options,
+            headers: {
+                'X-Client-Id': CLIENT_ID,
+                ...options.headers
+            },
             signal: controller.signal
         });
         clearTimeout(timeoutId);
@@ -29,12 +38,226 @@ async function fetchWithTimeout(url, options = {}, timeout = 10000) {
     }
 }
 
+// ============================================
+// Field Validation Errors
+// ============================================
+
+// Form inputs that edit each API field, per form
+const FIELD_INPUTS = {
+    'link-form': {
+        label: 'link-label',
+        url: 'link-url',
+        appUrl: 'link-app-url',
+        slug: 'link-slug',
+        imageUrl: 'link-image',
+        iconId: 'icon-search',
+        iconUrl: 'icon-search',
+        title: 'header-title',
+        text: 'block-text',
+        publishAt: 'link-publish-at',
+        expireAt: 'link-expire-at'
+    },
+    'theme-form': {
+        backgroundColor: 'background-color-text',
+        backgroundImageUrl: 'background-image',
+        textColor: 'text-color-text',
+        buttonColor: 'button-color-text',
+        buttonTextColor: 'button-text-color-text'
+    },
+    'profile-form': {
+        photoUrl: 'profile-photo',
+        bio: 'profile-bio',
+        displayName: 'profile-display-name',
+        pageTitle: 'profile-page-title',
+        description: 'profile-description',
+        shareImageUrl: 'profile-share-image'
+    },
+    'config-form': {
+        nounProjectApiKey: 'noun-project-api-key',
+        nounProjectApiSecret: 'noun-project-api-secret'
+    },
+    'timezone-form': {
+        timezone: 'schedule-timezone'
+    },
+    'short-link-form': {
+        shortLinkFallbackUrl: 'short-link-fallback'
+    }
+};
+
+/**
+ * Remove the error highlight from one input
+ * @param {HTMLElement} input - Form input
+ */
+function clearFieldError(input) {
+    input.classList.remove('input-error');
+
+    const formGroup = input.closest('.form-group');
+    const errorEl = formGroup && formGroup.querySelector(`.field-error[data-for="${input.id}"]`);
+    if (errorEl) {
+        errorEl.remove();
+    }
+}
+
+/**
+ * Remove all error highlights from a form
+ * @param {string} formId - ID of the form
+ */
+function clearFieldErrors(formId) {
+    document.querySelectorAll(`#${formId} .input-error`).forEach(clearFieldError);
+}
+
+/**
+ * Highlight the inputs named in a VALIDATION_ERROR response
+ * @param {string} formId - ID of the form
+ * @param {Array} fields - Field errors from the API ({ field, message })
+ */
+function highlightFieldErrors(formId, fields) {
+    clearFieldErrors(formId);
+
+    if (!Array.isArray(fields)) {
+        return;
+    }
+
+    const inputIds = FIELD_INPUTS[formId] || {};
+
+    fields.forEach(({ field, message }) => {
+        const input = document.getElementById(inputIds[field]);
+
+        // Several fields can map to one input; only the first message is shown
+        if (!input || input.classList.contains('input-error')) {
+            return;
+        }
+
+        input.classList.add('input-error');
+
+        const formGroup = input.closest('.form-group');
+        if (formGroup) {
+            const errorEl = document.createElement('p');
+            errorEl.className = 'field-error';
+            errorEl.dataset.for = input.id;
+            errorEl.textContent = message.charAt(0).toUpperCase() + message.slice(1);
+            formGroup.appendChild(errorEl);
+        }
+    });
+
+    const firstInvalid = document.querySelector(`#${formId} .input-error`);
+    if (firstInvalid) {
+        firstInvalid.focus();
+    }
+}
+
+/**
+ * Clear an input's error highlight as soon as the user edits it
+ * @param {string} formId - ID of the form
+ */
+function initializeFieldErrorClearing(formId) {
+    document.getElementById(formId).addEventListener('input', (event) => {
+        if (event.target.classList.contains('input-error')) {
+            clearFieldError(event.target);
+        }
+    });
+}
+
 // ============================================
 // Link Management Functionality
 // ============================================
 
 let currentEditingLinkId = null;
 
+// Names of the block types, for the form title and buttons
+const BLOCK_TYPE_NAMES = {
+    link: 'Link',
+    header: 'Section Header',
+    text: 'Text',
+    divider: 'Divider'
+};
+
+// Names of the providers embed links can show, by the provider ID the server parsed from the URL
+const EMBED_PROVIDER_NAMES = {
+    youtube: 'YouTube',
+    vimeo: 'Vimeo',
+    spotify: 'Spotify',
+    soundcloud: 'SoundCloud',
+    openstreetmap: 'OpenStreetMap',
+    'google-maps': 'Google Maps'
+};
+
+// Length of the text shown for a text block in lists
+const TEXT_EXCERPT_LENGTH = 40;
+
+/**
+ * Get a short name for a block
+ * Mirrors getBlockLabel() in server/utils/blocks.js
+ * @param {Object} block - Link, header, text or divider
+ * @returns {string} Link label, header title, start of the text, or "Divider"
+ */
+function getBlockLabel(block) {
+    switch (block.type) {
+        case 'header':
+            return block.title;
+        case 'text':
+            return block.text.length > TEXT_EXCERPT_LENGTH ? `${block.text.slice(0, TEXT_EXCERPT_LENGTH)}…` : block.text;
+        case 'divider':
+            return 'Divider';
+        default:
+            return block.label;
+    }
+}
+
+/**
+ * Show the form fields for a block type
+ * @param {string} type - link, header, text or divider
+ */
+function handleBlockTypeChange(type) {
+    document.querySelectorAll('.block-type-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.type === type);
+    });
+    document.getElementById('block-type').value = type;
+
+    document.getElementById('link-fields').style.display = type === 'link' ? 'block' : 'none';
+    document.getElementById('header-fields').style.display = type === 'header' ? 'block' : 'none';
+    document.getElementById('text-fields').style.display = type === 'text' ? 'block' : 'none';
+
+    // Hidden inputs must not be required, or the browser refuses to submit the form
+    document.getElementById('link-label').required = type === 'link';
+    document.getElementById('link-url').required = type === 'link';
+    document.getElementById('header-title').required = type === 'header';
+    document.getElementById('block-text').required = type === 'text';
+
+    updateLinkFormTitle();
+}
+
+/**
+ * Set the form title and submit button for the block type and mode (add or edit)
+ */
+function updateLinkFormTitle() {
+    const name = BLOCK_TYPE_NAMES[document.getElementById('block-type').value];
+    const editing = !!document.getElementById('link-id').value;
+
+    document.getElementById('form-title').textContent = editing ? `Edit ${name}` : `Add New ${name}`;
+    document.getElementById('submit-btn').textContent = editing ? `Update ${name}` : `Add ${name}`;
+}
+
+/**
+ * Read the content fields of the selected block type from the form
+ * @param {string} type - Block type
+ * @returns {Object} Content fields, as the admin API expects them
+ */
+function getBlockFormContent(type) {
+    switch (type) {
+        case 'header':
+            return {
+                title: document.getElementById('header-title').value.trim(),
+                collapsible: document.getElementById('header-collapsible').checked,
+                collapsed: document.getElementById('header-collapsed').checked
+            };
+        case 'text':
+            return { text: document.getElementById('block-text').value.trim() };
+        default:
+            return {};
+    }
+}
+
 /**
  * Validate URL format on client side
  * @param {string} url - URL to validate
@@ -49,6 +272,43 @@ function isValidURL(url) {
     }
 }
 
+// Addresses of uploaded images
+// Mirrors MEDIA_FILE_PATTERN in server/utils/media.js
+const MEDIA_URL_PATTERN = /^\/media\/[0-9a-f]{16}-[1-9]\d{0,4}\.(jpg|png|webp)$/;
+
+/**
+ * Validate an image address on client side
+ * @param {string} url - URL to validate
+ * @returns {boolean} True for http(s) URLs and images from the media library
+ */
+function isValidImageURL(url) {
+    return isValidURL(url) || MEDIA_URL_PATTERN.test(url);
+}
+
+// Apps whose deep links a link may open
+// Mirrors APP_SCHEMES in server/utils/schemes.js
+const APP_SCHEMES = ['spotify', 'whatsapp', 'tg', 'signal', 'fb-messenger', 'instagram', 'twitter', 'youtube', 'discord', 'slack', 'zoomus', 'skype', 'facetime', 'facetime-audio', 'itms-apps', 'market'];
+
+/**
+ * Validate the URL a link opens on client side
+ * Only the scheme is checked here; the server checks the address or number each scheme needs
+ * @param {string} url - URL to validate
+ * @param {Array<string>} extraSchemes - Schemes allowed besides http and https
+ * @returns {boolean} True if the URL parses and its scheme is allowed
+ */
+function isValidLinkURL(url, extraSchemes = ['mailto', 'tel', 'sms', ...APP_SCHEMES]) {
+    try {
+        const scheme = new URL(url).protocol.slice(0, -1);
+        return ['http', 'https', ...extraSchemes].includes(scheme);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Format of a short link slug
+// Mirrors SLUG_PATTERN in server/utils/slugs.js
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9._-]{0,62}[a-z0-9])?$/;
+
 /**
  * Display a message to the user
  * @param {string} elementId - ID of the message element
@@ -93,6 +353,7 @@ async function loadLinks() {
         }
 
         const links = await response.json();
+        resourceETags.links = response.headers.get('ETag');
         displayLinks(links);
     } catch (error) {
         console.error('Error loading links:', error);
@@ -108,6 +369,7 @@ async function loadLinks() {
  */
 function displayLinks(links) {
     const linksListEl = document.getElementById('links-list');
+    displayedLinks = links;
 
     if (links.length === 0) {
         linksListEl.innerHTML = '<p class="no-links">No links yet. Add your first link above!</p>';
@@ -118,27 +380,67 @@ function displayLinks(links) {
     const sortedLinks = [...links].sort((a, b) => a.order - b.order);
 
     linksListEl.innerHTML = sortedLinks.map(link => {
-        const visualType = link.visualType || (link.imageUrl ? 'image' : 'none');
-        let visualInfo = '';
-        
-        if (visualType === 'image' && link.imageUrl) {
-            visualInfo = `<div class="link-image-url">Image: ${escapeHtml(link.imageUrl)}</div>`;
-        } else if (visualType === 'icon' && link.iconUrl) {
-            visualInfo = `<div class="link-image-url">Icon: ${escapeHtml(link.iconUrl)}</div>`;
+        const type = link.type || 'link';
+        let details = '';
+
+        if (type === 'link') {
+            const visualType = link.visualType || (link.imageUrl ? 'image' : 'none');
+            details = `<div class="link-label">${escapeHtml(link.label)}</div><div class="link-url">${escapeHtml(link.url)}</div>`;
+
+            if (link.appUrl) {
+                details += `<div class="link-url">App: ${escapeHtml(link.appUrl)}</div>`;
+            }
+            if (link.slug) {
+                details += `<div class="link-url">Short link: <a href="/s/${encodeURIComponent(link.slug)}" target="_blank" rel="noopener">/s/${escapeHtml(link.slug)}</a></div>`;
+            }
+
+            if (visualType === 'image' && link.imageUrl) {
+                details += `<div class="link-image-url">Image: ${escapeHtml(link.imageUrl)}</div>`;
+            } else if (visualType === 'icon' && link.iconUrl) {
+                details += `<div class="link-image-url">Icon: ${escapeHtml(link.iconUrl)}</div>`;
+            } else if (visualType === 'embed') {
+                details += `<div class="link-image-url">Embed: ${escapeHtml(EMBED_PROVIDER_NAMES[link.embedProvider] || link.embedProvider)}</div>`;
+            }
+        } else if (type === 'header') {
+            const collapsing = link.collapsible ? (link.collapsed ? ' · collapsible, starts collapsed' : ' · collapsible') : '';
+            details = `<div class="block-kind">Section header${collapsing}</div><div class="link-label">${escapeHtml(link.title)}</div>`;
+        } else if (type === 'text') {
+            details = `<div class="block-kind">Text</div><div class="block-text">${escapeHtml(link.text)}</div>`;
+        } else {
+            details = '<div class="block-kind">Divider</div><hr class="block-divider">';
         }
 
+        // Expired links stay listed, so they can be given new dates and reused
+        const scheduleStatus = getScheduleStatus(link);
+        let scheduleBadge = '';
+        if (scheduleStatus === 'scheduled') {
+            scheduleBadge = '<span class="schedule-badge scheduled">Scheduled</span>';
+        } else if (scheduleStatus === 'expired') {
+            scheduleBadge = '<span class="schedule-badge expired">Expired</span>';
+        }
+
+        const scheduleTimes = [
+            link.publishAt ? `Publishes ${formatScheduleTime(link.publishAt)}` : '',
+            link.expireAt ? `Expires ${formatScheduleTime(link.expireAt)}` : ''
+        ].filter(Boolean);
+        const scheduleInfo = scheduleTimes.length > 0
+            ? `<div class="link-schedule">${escapeHtml(scheduleTimes.join(' · '))}</div>`
+            : '';
+
         return `
-        <div class="link-item" data-id="${link.id}" draggable="true">
+        <div class="link-item block-${type}" data-id="${link.id}" draggable="true">
           <div class="drag-handle" title="Drag to reorder">⋮⋮</div>
           <div class="link-info">
-            <div class="link-label">${escapeHtml(link.label)}</div>
-            <div class="link-url">${escapeHtml(link.url)}</div>
-            ${visualInfo}
+            ${details}
+            ${scheduleInfo}
             <div class="link-status ${link.active ? 'active' : 'inactive'}">
               ${link.active ? 'Active' : 'Inactive'}
             </div>
+            ${scheduleBadge}
+            <span class="link-health-badge" hidden></span>
           </div>
           <div class="link-actions">
+            ${type === 'link' ? `<button class="btn btn-small btn-qr" onclick="openLinkQRDialog('${link.id}')">QR</button>` : ''}
             <button class="btn btn-small btn-edit" onclick="editLink('${link.id}')">Edit</button>
             <button class="btn btn-small btn-delete" onclick="deleteLink('${link.id}')">Delete</button>
           </div>
@@ -146,19 +448,22 @@ function displayLinks(links) {
         `;
     }).join('');
 
+    showLinkHealth();
+
     // Initialize drag-and-drop after rendering
     initializeDragAndDrop();
 }
 
 /**
  * Escape HTML to prevent XSS
+ * Quotes are escaped too, since the result is also put in attribute values
  * @param {string} text - Text to escape
  * @returns {string} Escaped text
  */
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 /**
@@ -168,7 +473,7 @@ function escapeHtml(text) {
 function setLinkFormLoading(loading) {
     const submitBtn = document.getElementById('submit-btn');
     const cancelBtn = document.getElementById('cancel-btn');
-    const formInputs = document.querySelectorAll('#link-form input');
+    const formInputs = document.querySelectorAll('#link-form input, #link-form textarea');
     
     if (loading) {
         submitBtn.disabled = true;
@@ -177,7 +482,7 @@ function setLinkFormLoading(loading) {
         formInputs.forEach(input => input.disabled = true);
     } else {
         submitBtn.disabled = false;
-        submitBtn.textContent = document.getElementById('link-id').value ? 'Update Link' : 'Add Link';
+        updateLinkFormTitle();
         cancelBtn.disabled = false;
         formInputs.forEach(input => input.disabled = false);
     }
@@ -190,12 +495,17 @@ async function handleLinkFormSubmit(event) {
     event.preventDefault();
 
     const linkId = document.getElementById('link-id').value;
+    const type = document.getElementById('block-type').value;
     const label = document.getElementById('link-label').value.trim();
     const url = document.getElementById('link-url').value.trim();
+    const appUrl = document.getElementById('link-app-url').value.trim();
+    const slug = document.getElementById('link-slug').value.trim().toLowerCase();
     const visualType = document.getElementById('visual-type').value;
     const imageUrl = document.getElementById('link-image').value.trim();
     const iconId = document.getElementById('selected-icon-id').value.trim();
     const iconUrl = document.getElementById('selected-icon-url').value.trim();
+    const publishAt = document.getElementById('link-publish-at').value;
+    const expireAt = document.getElementById('link-expire-at').value;
 
     console.log('Form submission - Raw values:', {
         visualType,
@@ -208,55 +518,89 @@ async function handleLinkFormSubmit(event) {
         }
     });
 
-    // Client-side URL validation
-    if (!isValidURL(url)) {
-        showMessage('link-form-message', 'Please enter a valid URL starting with http:// or https://', 'error');
-        return;
-    }
-
-    // Validate based on visual type
-    if (visualType === 'image') {
-        if (!imageUrl) {
-            showMessage('link-form-message', 'Please enter an image URL or select a different visual type', 'error');
+    // Only links have a URL and button visual to check
+    if (type === 'link') {
+        // Client-side URL validation
+        if (!isValidLinkURL(url)) {
+            showMessage('link-form-message', 'Please enter a URL starting with http://, https://, mailto:, tel:, sms: or a supported app link', 'error');
             return;
         }
-        if (!isValidURL(imageUrl)) {
-            showMessage('link-form-message', 'Please enter a valid image URL starting with http:// or https://', 'error');
+        if (appUrl && !isValidLinkURL(appUrl, APP_SCHEMES)) {
+            showMessage('link-form-message', `The app URL must be a link to a supported app (${APP_SCHEMES.join(', ')})`, 'error');
             return;
         }
-    } else if (visualType === 'icon') {
-        if (!iconId || !iconUrl) {
-            showMessage('link-form-message', 'Please select an icon or choose a different visual type', 'error');
+        if (appUrl && !isValidURL(url)) {
+            showMessage('link-form-message', 'A link with an app URL needs a web page URL (http:// or https://) to fall back to', 'error');
             return;
         }
-        // Additional validation: verify selectedIcon object matches hidden inputs
-        if (selectedIcon && (selectedIcon.id !== iconId || selectedIcon.url !== iconUrl)) {
-            console.warn('Icon data mismatch detected, using hidden input values');
+        if (slug && !SLUG_PATTERN.test(slug)) {
+            showMessage('link-form-message', 'The short link may only use lowercase letters, digits, dots, hyphens and underscores, and must start and end with a letter or digit', 'error');
+            return;
+        }
+
+        // Validate based on visual type
+        if (visualType === 'image') {
+            if (!imageUrl) {
+                showMessage('link-form-message', 'Please enter an image URL or select a different visual type', 'error');
+                return;
+            }
+            if (!isValidImageURL(imageUrl)) {
+                showMessage('link-form-message', 'Please enter a valid image URL starting with http:// or https://, or pick one from the media library', 'error');
+                return;
+            }
+        } else if (visualType === 'icon') {
+            if (!iconId || !iconUrl) {
+                showMessage('link-form-message', 'Please select an icon or choose a different visual type', 'error');
+                return;
+            }
+            // Additional validation: verify selectedIcon object matches hidden inputs
+            if (selectedIcon && (selectedIcon.id !== iconId || selectedIcon.url !== iconUrl)) {
+                console.warn('Icon data mismatch detected, using hidden input values');
+            }
         }
     }
 
+    const content = type === 'link'
+        ? {
+            label,
+            url,
+            appUrl,
+            slug,
+            visualType,
+            imageUrl: visualType === 'image' ? imageUrl : '',
+            iconId: visualType === 'icon' ? iconId : '',
+            iconUrl: visualType === 'icon' ? iconUrl : ''
+        }
+        : getBlockFormContent(type);
+
+    // The type is only sent when creating; schedule times are entered in the configured timezone and sent as UTC, null clears them
     const linkData = {
-        label,
-        url,
-        visualType,
-        imageUrl: visualType === 'image' ? imageUrl : '',
-        iconId: visualType === 'icon' ? iconId : '',
-        iconUrl: visualType === 'icon' ? iconUrl : ''
+        ...(linkId ? {} : { type }),
+        ...content,
+        publishAt: publishAt ? fromZonedInputValue(publishAt, scheduleTimezone) : null,
+        expireAt: expireAt ? fromZonedInputValue(expireAt, scheduleTimezone) : null
     };
 
+    if (linkData.publishAt && linkData.expireAt && linkData.expireAt <= linkData.publishAt) {
+        showMessage('link-form-message', 'Expire At must be later than Publish At', 'error');
+        return;
+    }
+
     console.log('Submitting link data:', linkData);
 
+    clearFieldErrors('link-form');
     setLinkFormLoading(true);
 
     try {
         let response;
 
         if (linkId) {
-            // Edit existing link
+            // Edit existing link, unless someone else changed it since it was loaded
             response = await fetchWithTimeout(`/api/admin/links/${linkId}`, {
                 method: 'PUT',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...ifMatchHeader('link')
                 },
                 body: JSON.stringify(linkData)
             });
@@ -276,7 +620,12 @@ async function handleLinkFormSubmit(event) {
                 window.location.href = '/login.html';
                 return;
             }
+            if (response.status === 409) {
+                handleEditConflict('link', linkData, await response.json());
+                return;
+            }
             const errorData = await response.json();
+            highlightFieldErrors('link-form', errorData.fields);
             throw new Error(errorData.error || 'Failed to save link');
         }
 
@@ -284,13 +633,14 @@ async function handleLinkFormSubmit(event) {
         console.log('Link saved successfully:', savedLink);
 
         // Show success message
-        showMessage('link-form-message', linkId ? 'Link updated successfully!' : 'Link added successfully!', 'success');
+        showMessage('link-form-message', `${BLOCK_TYPE_NAMES[type]} ${linkId ? 'updated' : 'added'} successfully!`, 'success');
 
         // Reset form
         resetLinkForm();
 
         // Reload links
         await loadLinks();
+        loadHistory();
 
     } catch (error) {
         console.error('Error saving link:', error);
@@ -300,98 +650,119 @@ async function handleLinkFormSubmit(event) {
     }
 }
 
+/**
+ * Fill the link form with a link's values
+ * @param {Object} link - Link object
+ */
+function populateLinkForm(link) {
+    clearLinkPreview();
+
+    // Populate form with link data
+    document.getElementById('link-id').value = link.id;
+    document.getElementById('link-label').value = link.label || '';
+    document.getElementById('link-url').value = link.url || '';
+    document.getElementById('link-app-url').value = link.appUrl || '';
+    document.getElementById('link-slug').value = link.slug || '';
+    document.getElementById('header-title').value = link.title || '';
+    document.getElementById('header-collapsible').checked = !!link.collapsible;
+    document.getElementById('header-collapsed').checked = !!link.collapsed;
+    document.getElementById('block-text').value = link.text || '';
+    handleBlockTypeChange(link.type || 'link');
+    document.getElementById('link-publish-at').value = link.publishAt ? toZonedInputValue(link.publishAt, scheduleTimezone) : '';
+    document.getElementById('link-expire-at').value = link.expireAt ? toZonedInputValue(link.expireAt, scheduleTimezone) : '';
+
+    // Handle visual type
+    const visualType = link.visualType || (link.imageUrl ? 'image' : 'none');
+    
+    // First, restore icon data if it exists (before calling handleVisualTypeChange)
+    if (link.iconId && link.iconUrl) {
+        selectedIcon = {
+            id: link.iconId,
+            url: link.iconUrl,
+            term: link.label
+        };
+        document.getElementById('selected-icon-id').value = link.iconId;
+        document.getElementById('selected-icon-url').value = link.iconUrl;
+        console.log('Restored icon selection:', selectedIcon);
+    }
+
+    // Now handle visual type change
+    handleVisualTypeChange(visualType);
+
+    // Verify icon data persisted after visual type change
+    if (link.iconId && link.iconUrl) {
+        console.log('After handleVisualTypeChange - Hidden inputs:', {
+            iconId: document.getElementById('selected-icon-id').value,
+            iconUrl: document.getElementById('selected-icon-url').value
+        });
+        
+        // Re-set the values if they were cleared
+        if (!document.getElementById('selected-icon-id').value) {
+            console.warn('Icon ID was cleared, restoring...');
+            document.getElementById('selected-icon-id').value = link.iconId;
+        }
+        if (!document.getElementById('selected-icon-url').value) {
+            console.warn('Icon URL was cleared, restoring...');
+            document.getElementById('selected-icon-url').value = link.iconUrl;
+        }
+    }
+
+    if (visualType === 'image') {
+        document.getElementById('link-image').value = link.imageUrl || '';
+    } else if (visualType === 'icon' && link.iconId && link.iconUrl) {
+        // Show preview (data is already set above)
+        const previewContainer = document.getElementById('selected-icon-preview');
+        previewContainer.innerHTML = `
+            <img src="${escapeHtml(link.iconUrl)}" alt="${escapeHtml(link.label)}">
+            <div class="icon-info">
+                <div class="icon-name">Selected: ${escapeHtml(link.label)}</div>
+                <div class="icon-attribution">From The Noun Project</div>
+            </div>
+            <button type="button" onclick="clearIconSelection()">Clear</button>
+        `;
+        previewContainer.classList.add('show');
+    }
+}
+
 /**
  * Edit a link
  * @param {string} linkId - ID of the link to edit
  */
 async function editLink(linkId) {
     try {
-        const response = await fetchWithTimeout('/api/admin/links');
+        const response = await fetchWithTimeout(`/api/admin/links/${encodeURIComponent(linkId)}`);
 
         if (!response.ok) {
             if (response.status === 401) {
                 window.location.href = '/login.html';
                 return;
             }
-            throw new Error('Failed to fetch links');
+            if (response.status === 404) {
+                showMessage('links-message', 'Link not found', 'error');
+                return;
+            }
+            throw new Error('Failed to fetch link');
         }
 
-        const links = await response.json();
-        const link = links.find(l => l.id === linkId);
-
-        if (!link) {
-            showMessage('links-message', 'Link not found', 'error');
-            return;
-        }
+        const link = await response.json();
+        loadedData.link = link;
+        resourceETags.link = response.headers.get('ETag');
 
         console.log('Editing link:', link);
 
-        // Populate form with link data
-        document.getElementById('link-id').value = link.id;
-        document.getElementById('link-label').value = link.label;
-        document.getElementById('link-url').value = link.url;
-
-        // Handle visual type
-        const visualType = link.visualType || (link.imageUrl ? 'image' : 'none');
-        
-        // First, restore icon data if it exists (before calling handleVisualTypeChange)
-        if (link.iconId && link.iconUrl) {
-            selectedIcon = {
-                id: link.iconId,
-                url: link.iconUrl,
-                term: link.label
-            };
-            document.getElementById('selected-icon-id').value = link.iconId;
-            document.getElementById('selected-icon-url').value = link.iconUrl;
-            console.log('Restored icon selection:', selectedIcon);
-        }
-
-        // Now handle visual type change
-        handleVisualTypeChange(visualType);
-
-        // Verify icon data persisted after visual type change
-        if (link.iconId && link.iconUrl) {
-            console.log('After handleVisualTypeChange - Hidden inputs:', {
-                iconId: document.getElementById('selected-icon-id').value,
-                iconUrl: document.getElementById('selected-icon-url').value
-            });
-            
-            // Re-set the values if they were cleared
-            if (!document.getElementById('selected-icon-id').value) {
-                console.warn('Icon ID was cleared, restoring...');
-                document.getElementById('selected-icon-id').value = link.iconId;
-            }
-            if (!document.getElementById('selected-icon-url').value) {
-                console.warn('Icon URL was cleared, restoring...');
-                document.getElementById('selected-icon-url').value = link.iconUrl;
-            }
-        }
-
-        if (visualType === 'image') {
-            document.getElementById('link-image').value = link.imageUrl || '';
-        } else if (visualType === 'icon' && link.iconId && link.iconUrl) {
-            // Show preview (data is already set above)
-            const previewContainer = document.getElementById('selected-icon-preview');
-            previewContainer.innerHTML = `
-                <img src="${escapeHtml(link.iconUrl)}" alt="${escapeHtml(link.label)}">
-                <div class="icon-info">
-                    <div class="icon-name">Selected: ${escapeHtml(link.label)}</div>
-                    <div class="icon-attribution">From The Noun Project</div>
-                </div>
-                <button type="button" onclick="clearIconSelection()">Clear</button>
-            `;
-            previewContainer.classList.add('show');
-        }
+        populateLinkForm(link);
 
-        // Update form UI
-        document.getElementById('form-title').textContent = 'Edit Link';
-        document.getElementById('submit-btn').textContent = 'Update Link';
+        // Update form UI; a block's type can't be changed once saved
+        document.querySelectorAll('.block-type-btn').forEach(btn => {
+            btn.disabled = true;
+        });
         document.getElementById('cancel-btn').style.display = 'inline-block';
 
         // Scroll to form
         document.querySelector('.link-form-container').scrollIntoView({ behavior: 'smooth' });
 
         currentEditingLinkId = linkId;
+        markFormClean('link-form');
 
     } catch (error) {
         console.error('Error loading link for editing:', error);
@@ -426,6 +797,7 @@ async function deleteLink(linkId) {
 
         // Reload links
         await loadLinks();
+        loadHistory();
 
     } catch (error) {
         console.error('Error deleting link:', error);
@@ -439,10 +811,17 @@ async function deleteLink(linkId) {
 function resetLinkForm() {
     document.getElementById('link-form').reset();
     document.getElementById('link-id').value = '';
-    document.getElementById('form-title').textContent = 'Add New Link';
-    document.getElementById('submit-btn').textContent = 'Add Link';
     document.getElementById('cancel-btn').style.display = 'none';
+    document.querySelectorAll('.block-type-btn').forEach(btn => {
+        btn.disabled = false;
+    });
+    handleBlockTypeChange('link');
     currentEditingLinkId = null;
+    loadedData.link = null;
+    resourceETags.link = null;
+    clearFieldErrors('link-form');
+    markFormClean('link-form');
+    clearLinkPreview();
 
     // Clear icon selection completely on reset
     clearIconSelection();
@@ -459,589 +838,2020 @@ function handleCancelEdit() {
 }
 
 // ============================================
-// Icon Selection Functionality
+// Link Previews
 // ============================================
 
-let selectedIcon = null;
-let iconSearchTimeout = null;
-const ICON_SEARCH_DEBOUNCE_MS = 300;
+// Delay after the URL stops changing before its page is previewed
+const LINK_PREVIEW_DEBOUNCE_MS = 600;
+let linkPreviewTimeout = null;
+
+// URL of the preview shown or loading, and the values it offered
+let linkPreviewUrl = null;
+let linkPreviewImage = '';
+let suggestedLabel = '';
 
 /**
- * Handle visual type button clicks
+ * Preview the link URL's page once typing or pasting stops
  */
-function handleVisualTypeChange(type) {
-    // Check if trying to select icon type when API is not configured
-    if (type === 'icon' && !isApiConfigured) {
-        showMessage('link-form-message', 'Icon search is not available. Please configure The Noun Project API in the API Configuration section below.', 'error');
+function handleLinkURLInput() {
+    clearTimeout(linkPreviewTimeout);
+    linkPreviewTimeout = setTimeout(loadLinkPreview, LINK_PREVIEW_DEBOUNCE_MS);
+}
+
+/**
+ * Fetch the preview of the page in the URL field
+ * Fills in an empty label with the page title and offers the page's image for the button.
+ */
+async function loadLinkPreview() {
+    const url = document.getElementById('link-url').value.trim();
+
+    // Only web pages have a preview
+    if (document.getElementById('block-type').value !== 'link' || !isValidURL(url)) {
+        clearLinkPreview();
+        return;
+    }
+    if (url === linkPreviewUrl) {
         return;
     }
 
-    // Update active button
-    document.querySelectorAll('.visual-type-btn').forEach(btn => {
-        btn.classList.remove('active');
-    });
-    document.querySelector(`[data-type="${type}"]`).classList.add('active');
+    linkPreviewUrl = url;
+    showLinkPreviewStatus('Loading preview...');
 
-    // Update hidden input
-    document.getElementById('visual-type').value = type;
+    try {
+        const response = await fetchWithTimeout('/api/admin/unfurl', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url })
+        });
 
-    // Show/hide appropriate input groups
-    const imageUrlGroup = document.getElementById('image-url-group');
-    const iconSearchGroup = document.getElementById('icon-search-group');
+        if (!response.ok) {
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                return;
+            }
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to load the page');
+        }
 
-    if (type === 'image') {
-        imageUrlGroup.style.display = 'block';
-        iconSearchGroup.style.display = 'none';
-        // Don't clear icon selection - preserve it in case user switches back
-    } else if (type === 'icon') {
-        imageUrlGroup.style.display = 'none';
-        iconSearchGroup.style.display = 'block';
-        document.getElementById('link-image').value = '';
-        // Icon selection is preserved if it exists
-    } else {
-        imageUrlGroup.style.display = 'none';
-        iconSearchGroup.style.display = 'none';
-        document.getElementById('link-image').value = '';
-        // Don't clear icon selection - preserve it in case user switches back
+        const preview = await response.json();
+
+        // A newer URL was entered while this one loaded
+        if (linkPreviewUrl === url) {
+            applyLinkPreview(preview);
+        }
+    } catch (error) {
+        if (linkPreviewUrl === url) {
+            showLinkPreviewStatus(`No preview: ${error.message}`);
+        }
     }
 }
 
 /**
- * Clear icon selection
+ * Use a preview in the link form and show it under the URL
+ * @param {Object} preview - { finalUrl, title, description, siteName, imageUrl, faviconUrl } from /api/admin/unfurl
  */
-function clearIconSelection() {
-    selectedIcon = null;
-    document.getElementById('selected-icon-id').value = '';
-    document.getElementById('selected-icon-url').value = '';
-    document.getElementById('selected-icon-preview').classList.remove('show');
-    document.getElementById('icon-search-results').innerHTML = '';
-    document.getElementById('icon-search').value = '';
+function applyLinkPreview(preview) {
+    const labelInput = document.getElementById('link-label');
+    const imageInput = document.getElementById('link-image');
+
+    // Fill in the label unless the admin has typed one
+    if (preview.title && (!labelInput.value.trim() || labelInput.value === suggestedLabel)) {
+        labelInput.value = preview.title;
+        suggestedLabel = preview.title;
+    }
+
+    linkPreviewImage = preview.imageUrl;
+    if (linkPreviewImage && document.getElementById('visual-type').value === 'image' && !imageInput.value.trim()) {
+        imageInput.value = linkPreviewImage;
+    }
+
+    const siteName = preview.siteName || new URL(preview.finalUrl).hostname;
+    const previewEl = document.getElementById('link-preview');
+
+    previewEl.innerHTML = `
+        <img class="link-preview-favicon" src="${escapeHtml(preview.faviconUrl)}" alt="" onerror="this.hidden = true">
+        <div class="link-preview-text">
+            <div class="link-preview-title">${escapeHtml(preview.title || 'Untitled page')}</div>
+            <div class="link-preview-site">${escapeHtml(siteName)}</div>
+            ${preview.description ? `<div class="link-preview-description">${escapeHtml(preview.description)}</div>` : ''}
+        </div>
+        ${linkPreviewImage ? `
+        <div class="link-preview-image">
+            <img src="${escapeHtml(linkPreviewImage)}" alt="" onerror="this.parentElement.hidden = true">
+            <button type="button" class="btn btn-small btn-secondary" onclick="useLinkPreviewImage()">Use as button image</button>
+        </div>` : ''}
+    `;
+    previewEl.hidden = false;
 }
 
 /**
- * Handle icon search input with debouncing
+ * Show a loading or error note in place of the preview
+ * @param {string} message - Note to show
  */
-function handleIconSearchInput() {
-    // Clear existing timeout
-    if (iconSearchTimeout) {
-        clearTimeout(iconSearchTimeout);
-    }
-    
-    const searchInput = document.getElementById('icon-search');
-    const query = searchInput.value.trim();
-    
-    // Clear results if empty
-    if (!query) {
-        const resultsContainer = document.getElementById('icon-search-results');
-        resultsContainer.innerHTML = '';
-        return;
-    }
-    
-    // Only search if at least 1 character
-    if (query.length < 1) {
-        return;
+function showLinkPreviewStatus(message) {
+    const previewEl = document.getElementById('link-preview');
+    previewEl.innerHTML = `<div class="link-preview-status">${escapeHtml(message)}</div>`;
+    previewEl.hidden = false;
+}
+
+/**
+ * Show the link as the previewed page's image
+ */
+function useLinkPreviewImage() {
+    handleVisualTypeChange('image');
+    document.getElementById('link-image').value = linkPreviewImage;
+    markFormDirty('link-form');
+}
+
+/**
+ * Hide the preview and forget what it offered
+ */
+function clearLinkPreview() {
+    clearTimeout(linkPreviewTimeout);
+    linkPreviewUrl = null;
+    linkPreviewImage = '';
+    suggestedLabel = '';
+
+    const previewEl = document.getElementById('link-preview');
+    previewEl.hidden = true;
+    previewEl.innerHTML = '';
+}
+
+// ============================================
+// Link Scheduling
+// ============================================
+
+// Timezone schedule times are entered and shown in; loaded with the configuration
+let scheduleTimezone = 'UTC';
+
+// Links currently shown in the list, re-rendered when the timezone changes
+let displayedLinks = null;
+
+/**
+ * Get the calendar date and clock time of an instant in a timezone
+ * @param {number} time - Milliseconds since the epoch
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { year, month, day, hour, minute, second } as zero-padded strings
+ */
+function getZonedParts(time, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(time));
+
+    return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, part.value]));
+}
+
+/**
+ * Get how far a timezone is ahead of UTC at an instant
+ * @param {number} time - Milliseconds since the epoch
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds
+ */
+function getTimezoneOffset(time, timeZone) {
+    const parts = getZonedParts(time, timeZone);
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallTime - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Convert a stored timestamp into a datetime-local input value in a timezone
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Value such as 2025-06-01T09:00
+ */
+function toZonedInputValue(timestamp, timeZone) {
+    const parts = getZonedParts(Date.parse(timestamp), timeZone);
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * Convert a datetime-local input value in a timezone into a UTC timestamp
+ * @param {string} value - Value such as 2025-06-01T09:00
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} ISO 8601 timestamp in UTC
+ */
+function fromZonedInputValue(value, timeZone) {
+    const [date, clock] = value.split('T');
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = clock.split(':').map(Number);
+    const wallTime = Date.UTC(year, month - 1, day, hour, minute);
+
+    // The offset depends on the instant itself; the second pass corrects for a daylight saving change in between
+    let time = wallTime - getTimezoneOffset(wallTime, timeZone);
+    time = wallTime - getTimezoneOffset(time, timeZone);
+
+    return new Date(time).toISOString();
+}
+
+/**
+ * Format a schedule time for the links list
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @returns {string} Date and time in the schedule timezone
+ */
+function formatScheduleTime(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+        timeZone: scheduleTimezone,
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+}
+
+/**
+ * Work out where a link is in its schedule
+ * @param {Object} link - Link object
+ * @returns {string|null} 'scheduled' before publishAt, 'expired' from expireAt on, otherwise null
+ */
+function getScheduleStatus(link) {
+    const now = Date.now();
+
+    if (link.expireAt && Date.parse(link.expireAt) <= now) {
+        return 'expired';
     }
-    
-    // Set new timeout
-    iconSearchTimeout = setTimeout(() => {
-        searchIcons();
-    }, ICON_SEARCH_DEBOUNCE_MS);
+    if (link.publishAt && Date.parse(link.publishAt) > now) {
+        return 'scheduled';
+    }
+    return null;
 }
 
 /**
- * Search for icons using The Noun Project API
+ * Fill the timezone selector with every timezone the browser knows
+ * @param {string} selected - Timezone to select
  */
-async function searchIcons() {
-    const searchInput = document.getElementById('icon-search');
-    const query = searchInput.value.trim();
+function populateTimezoneOptions(selected) {
+    const select = document.getElementById('schedule-timezone');
+    const timeZones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    const names = [...new Set(['UTC', ...timeZones, selected])];
+
+    select.innerHTML = names
+        .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+        .join('');
+    select.value = selected;
+}
 
-    if (!query) {
+/**
+ * Switch the schedule timezone used by the link form and list
+ * @param {string} timeZone - IANA timezone name
+ */
+function applyScheduleTimezone(timeZone) {
+    const previous = scheduleTimezone;
+    scheduleTimezone = timeZone;
+
+    populateTimezoneOptions(timeZone);
+    document.querySelectorAll('.schedule-timezone-name').forEach(el => {
+        el.textContent = timeZone;
+    });
+
+    if (previous === timeZone) {
         return;
     }
 
-    // Check if API is configured
-    if (!isApiConfigured) {
-        const resultsContainer = document.getElementById('icon-search-results');
-        resultsContainer.innerHTML = '<div class="icon-search-error">The Noun Project API is not configured. Please configure your API credentials in the API Configuration section below to enable icon search.</div>';
-        return;
+    // Show an open link's times in the new timezone, so saving keeps the same instants
+    if (currentEditingLinkId && loadedData.link && !isFormBeingEdited('link-form')) {
+        populateLinkForm(loadedData.link);
+        markFormClean('link-form');
     }
 
-    const resultsContainer = document.getElementById('icon-search-results');
-    resultsContainer.innerHTML = '<div class="icon-search-loading">Searching for icons...</div>';
+    if (displayedLinks && !draggedElement) {
+        displayLinks(displayedLinks);
+    }
+}
+
+/**
+ * Handle timezone form submission
+ */
+async function handleTimezoneFormSubmit(event) {
+    event.preventDefault();
+
+    const timezone = document.getElementById('schedule-timezone').value;
+    const submitBtn = document.querySelector('#timezone-form button[type="submit"]');
+
+    clearFieldErrors('timezone-form');
+    submitBtn.disabled = true;
 
     try {
-        const response = await fetchWithTimeout(`/api/admin/icons/search?query=${encodeURIComponent(query)}`);
+        const response = await fetchWithTimeout('/api/admin/config', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                ...ifMatchHeader('config')
+            },
+            body: JSON.stringify({ timezone })
+        });
 
         if (!response.ok) {
             if (response.status === 401) {
                 window.location.href = '/login.html';
                 return;
             }
+            if (response.status === 409) {
+                // Nothing to merge: reload the current setting and let the user choose again
+                await loadConfig();
+                throw new Error('The configuration was changed by someone else. The current timezone has been reloaded.');
+            }
             const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to search icons');
+            highlightFieldErrors('timezone-form', errorData.fields);
+            throw new Error(errorData.error || 'Failed to update timezone');
         }
 
-        const data = await response.json();
-        displayIconResults(data.icons);
+        const result = await response.json();
+        resourceETags.config = response.headers.get('ETag');
+        applyScheduleTimezone(result.timezone);
 
+        showMessage('timezone-message', `Schedule times are now shown in ${result.timezone}`, 'success');
     } catch (error) {
-        console.error('Error searching icons:', error);
-        resultsContainer.innerHTML = `<div class="icon-search-error">${error.message}</div>`;
+        console.error('Error updating timezone:', error);
+        showMessage('timezone-message', error.message || 'An error occurred. Please try again.', 'error');
+    } finally {
+        submitBtn.disabled = false;
     }
 }
 
+// ============================================
+// QR Codes
+// ============================================
+
+// Endpoint of the QR code shown in the dialog, and the object URL of the current preview
+let qrEndpoint = null;
+let qrObjectURL = null;
+
+// Delay before a changed size is fetched, so typing a number makes one request
+const QR_SIZE_DEBOUNCE_MS = 400;
+let qrSizeTimeout = null;
+
 /**
- * Display icon search results
- * @param {Array} icons - Array of icon objects
+ * Open the QR code dialog for a link
+ * @param {string} linkId - Link ID
  */
-function displayIconResults(icons) {
-    const resultsContainer = document.getElementById('icon-search-results');
+function openLinkQRDialog(linkId) {
+    const link = (displayedLinks || []).find(item => item.id === linkId);
+    const label = link ? link.label : 'Link';
+
+    document.getElementById('qr-dialog-title').textContent = `QR Code: ${label}`;
+    document.getElementById('qr-preview-image').alt = `QR code for ${label}`;
+    document.getElementById('qr-target-group').style.display = 'block';
+    openQRDialog(`/api/admin/links/${encodeURIComponent(linkId)}/qr`);
+}
 
-    if (!icons || icons.length === 0) {
-        resultsContainer.innerHTML = '<div class="icon-search-empty">No icons found. Try a different search term.</div>';
-        return;
-    }
+/**
+ * Open the QR code dialog for the landing page
+ */
+function openPageQRDialog() {
+    document.getElementById('qr-dialog-title').textContent = 'QR Code: Landing Page';
+    document.getElementById('qr-preview-image').alt = 'QR code for the landing page';
+    document.getElementById('qr-target-group').style.display = 'none';
+    openQRDialog('/api/admin/page/qr');
+}
 
-    resultsContainer.innerHTML = icons
-        .filter(icon => {
-            // Filter out icons without preview URLs
-            if (!icon.previewUrl) {
-                console.warn('Skipping icon without preview URL:', icon);
-                return false;
-            }
-            return true;
-        })
-        .map(icon => {
-            // Log icon data for debugging
-            console.log('Rendering icon:', { id: icon.id, term: icon.term, previewUrl: icon.previewUrl });
-            
-            // For data attributes, we need to escape quotes but not convert to HTML entities
-            const safeIconUrl = (icon.previewUrl || '').replace(/"/g, '&quot;');
-            const safeIconTerm = (icon.term || '').replace(/"/g, '&quot;');
-            
-            return `
-                <div class="icon-result-item" data-icon-id="${icon.id}" data-icon-url="${safeIconUrl}" data-icon-term="${safeIconTerm}">
-                    <img src="${escapeHtml(icon.thumbnailUrl || icon.previewUrl)}" alt="${escapeHtml(icon.term)}">
-                    <div class="icon-term">${escapeHtml(icon.term)}</div>
-                </div>
-            `;
-        }).join('');
+/**
+ * Show the QR code dialog and load its preview
+ * @param {string} endpoint - QR code endpoint
+ */
+function openQRDialog(endpoint) {
+    qrEndpoint = endpoint;
+    document.getElementById('qr-message').style.display = 'none';
+    document.getElementById('qr-dialog').showModal();
+    updateQRPreview();
+}
 
-    // Add click handlers to icon items
-    document.querySelectorAll('.icon-result-item').forEach(item => {
-        item.addEventListener('click', () => selectIcon(item));
+/**
+ * Build the query string for the options picked in the dialog
+ * @returns {string} Query string, without the leading ?
+ */
+function getQRQuery() {
+    const params = new URLSearchParams({
+        format: document.getElementById('qr-format').value,
+        size: document.getElementById('qr-size').value,
+        level: document.getElementById('qr-level').value
     });
+
+    if (qrEndpoint.startsWith('/api/admin/links/')) {
+        params.set('target', document.getElementById('qr-target').value);
+    }
+    // Theme colors are the server's default
+    if (document.getElementById('qr-colors').value === 'mono') {
+        params.set('fg', '000000');
+        params.set('bg', 'ffffff');
+    }
+
+    return params.toString();
 }
 
 /**
- * Select an icon from search results
- * @param {HTMLElement} iconElement - The clicked icon element
+ * Fetch the QR code for the current options and show it, ready to download
  */
-function selectIcon(iconElement) {
-    const iconId = iconElement.dataset.iconId;
-    const iconUrl = iconElement.dataset.iconUrl;
-    const iconTerm = iconElement.dataset.iconTerm;
+async function updateQRPreview() {
+    const endpoint = qrEndpoint;
+    const downloadLink = document.getElementById('qr-download');
 
-    console.log('selectIcon called with:', { iconId, iconUrl, iconTerm });
+    try {
+        const response = await fetchWithTimeout(`${endpoint}?${getQRQuery()}`);
 
-    // Validate that we have the required data
-    if (!iconId || !iconUrl) {
-        console.error('Invalid icon data:', { iconId, iconUrl, iconTerm });
-        showMessage('link-form-message', 'Error: Icon data is incomplete. Please try selecting a different icon.', 'error');
-        return;
-    }
+        if (!response.ok) {
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                return;
+            }
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to generate QR code');
+        }
 
-    // Update selected icon
-    selectedIcon = {
-        id: iconId,
-        url: iconUrl,
-        term: iconTerm
-    };
+        const blob = await response.blob();
 
-    // Update hidden inputs
-    document.getElementById('selected-icon-id').value = iconId;
-    document.getElementById('selected-icon-url').value = iconUrl;
+        // The dialog was closed or switched to another link while this one loaded
+        if (endpoint !== qrEndpoint) {
+            return;
+        }
 
-    console.log('Icon selected:', selectedIcon);
-    console.log('Hidden inputs updated:', {
-        iconId: document.getElementById('selected-icon-id').value,
-        iconUrl: document.getElementById('selected-icon-url').value
-    });
+        if (qrObjectURL) {
+            URL.revokeObjectURL(qrObjectURL);
+        }
+        qrObjectURL = URL.createObjectURL(blob);
 
-    // Update visual selection
-    document.querySelectorAll('.icon-result-item').forEach(item => {
-        item.classList.remove('selected');
-    });
-    iconElement.classList.add('selected');
+        const filename = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+        document.getElementById('qr-preview-image').src = qrObjectURL;
+        downloadLink.href = qrObjectURL;
+        downloadLink.download = filename ? filename[1] : 'qr-code';
+        document.getElementById('qr-message').style.display = 'none';
+    } catch (error) {
+        console.error('Error generating QR code:', error);
+        showMessage('qr-message', error.message || 'Failed to generate QR code. Please try again.', 'error');
+    }
+}
 
-    // Show preview
-    const previewContainer = document.getElementById('selected-icon-preview');
-    previewContainer.innerHTML = `
-        <img src="${escapeHtml(iconUrl)}" alt="${escapeHtml(iconTerm)}">
-        <div class="icon-info">
-            <div class="icon-name">Selected: ${escapeHtml(iconTerm)}</div>
-            <div class="icon-attribution">From The Noun Project</div>
-        </div>
-        <button type="button" onclick="clearIconSelection()">Clear</button>
-    `;
-    previewContainer.classList.add('show');
+/**
+ * Close the QR code dialog
+ */
+function closeQRDialog() {
+    document.getElementById('qr-dialog').close();
+}
+
+/**
+ * Forget the dialog's QR code once it is closed, by the Close button or the Escape key
+ */
+function handleQRDialogClose() {
+    qrEndpoint = null;
+    clearTimeout(qrSizeTimeout);
+
+    if (qrObjectURL) {
+        URL.revokeObjectURL(qrObjectURL);
+        qrObjectURL = null;
+    }
+    document.getElementById('qr-preview-image').removeAttribute('src');
+    document.getElementById('qr-download').href = '#';
 }
 
 // ============================================
-// Drag and Drop Functionality
+// Link Health Checks
 // ============================================
 
-let draggedElement = null;
-let draggedOverElement = null;
+// Latest results from /api/admin/links/health
+let linkHealth = { checkedAt: null, running: false, links: {} };
+
+// Badge text for each status a check can find, besides ok
+const HEALTH_STATUS_LABELS = {
+    broken: 'Broken',
+    unreachable: 'Unreachable'
+};
 
 /**
- * Initialize drag-and-drop event listeners for all link items
+ * Fetch the latest link health results and show them
  */
-function initializeDragAndDrop() {
-    const linkItems = document.querySelectorAll('.link-item');
+async function loadLinkHealth() {
+    try {
+        const response = await fetchWithTimeout('/api/admin/links/health');
 
-    linkItems.forEach(item => {
-        // Drag start event
-        item.addEventListener('dragstart', handleDragStart);
+        if (!response.ok) {
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                return;
+            }
+            throw new Error('Failed to fetch link health');
+        }
 
-        // Drag over event
-        item.addEventListener('dragover', handleDragOver);
+        linkHealth = await response.json();
+        showLinkHealth();
+    } catch (error) {
+        console.error('Error loading link health:', error);
+    }
+}
 
-        // Drag enter event
-        item.addEventListener('dragenter', handleDragEnter);
+/**
+ * Get the health result that applies to a link
+ * Results for a URL the link no longer has are ignored until the next check.
+ * @param {Object} link - Link object
+ * @returns {Object|null} Result, or null if the link hasn't been checked at its current URL
+ */
+function getLinkHealthResult(link) {
+    const result = linkHealth.links[link.id];
+    return result && result.url === link.url ? result : null;
+}
 
-        // Drag leave event
-        item.addEventListener('dragleave', handleDragLeave);
+/**
+ * Describe a health result for a badge tooltip
+ * @param {Object} result - Health result
+ * @returns {string} Status code or error, where the redirects ended, and when the link was checked
+ */
+function describeHealthResult(result) {
+    const lines = [result.statusCode ? `HTTP ${result.statusCode}` : result.error];
 
-        // Drop event
-        item.addEventListener('drop', handleDrop);
+    if (result.statusCode && result.error) {
+        lines.push(result.error);
+    }
+    if (result.redirects > 0) {
+        lines.push(`After ${result.redirects} redirect${result.redirects === 1 ? '' : 's'}, at ${result.finalUrl}`);
+    }
+    lines.push(`Checked ${formatScheduleTime(result.checkedAt)}`);
 
-        // Drag end event
-        item.addEventListener('dragend', handleDragEnd);
-    });
+    return lines.join('\n');
 }
 
 /**
- * Handle drag start event
- * @param {DragEvent} e - Drag event
+ * Show the health results on the listed links and in the summary above the list
  */
-function handleDragStart(e) {
-    draggedElement = this;
-    this.classList.add('dragging');
+function showLinkHealth() {
+    let problems = 0;
 
-    // Set drag data
-    e.dataTransfer.effectAllowed = 'move';
-    e.dataTransfer.setData('text/html', this.innerHTML);
-}
+    if (displayedLinks) {
+        displayedLinks.forEach(link => {
+            const badge = document.querySelector(`.link-item[data-id="${link.id}"] .link-health-badge`);
+            const result = getLinkHealthResult(link);
 
-/**
+            if (!badge) {
+                return;
+            }
+            if (!result || !HEALTH_STATUS_LABELS[result.status]) {
+                badge.hidden = true;
+                return;
+            }
+
+            problems += 1;
+            badge.hidden = false;
+            badge.className = `link-health-badge ${result.status}`;
+            badge.textContent = HEALTH_STATUS_LABELS[result.status];
+            badge.title = describeHealthResult(result);
+        });
+    }
+
+    const summaryEl = document.getElementById('link-health-summary');
+    const checkBtn = document.getElementById('link-health-check-btn');
+
+    checkBtn.disabled = linkHealth.running;
+    checkBtn.textContent = linkHealth.running ? 'Checking...' : 'Check links now';
+
+    if (linkHealth.running) {
+        summaryEl.textContent = 'Checking links...';
+    } else if (!linkHealth.checkedAt) {
+        summaryEl.textContent = 'Links have not been checked yet';
+    } else {
+        const found = problems === 0 ? 'all links work' : `${problems} link${problems === 1 ? '' : 's'} need${problems === 1 ? 's' : ''} attention`;
+        summaryEl.textContent = `Last checked ${formatScheduleTime(linkHealth.checkedAt)} · ${found}`;
+    }
+    summaryEl.classList.toggle('has-problems', !linkHealth.running && problems > 0);
+}
+
+/**
+ * Check every link now
+ * The results arrive as a "health" live update when the check finishes.
+ */
+async function handleLinkHealthCheck() {
+    try {
+        const response = await fetchWithTimeout('/api/admin/links/health/check', { method: 'POST' });
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                return;
+            }
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to start the link check');
+        }
+
+        linkHealth.running = true;
+        showLinkHealth();
+    } catch (error) {
+        console.error('Error starting link check:', error);
+        showMessage('links-message', error.message || 'Failed to start the link check', 'error');
+    }
+}
+
+// ============================================
+// Media Library
+// ============================================
+
+// Uploaded images shown in the dialog, and the input a picked image goes into
+let mediaItems = [];
+let mediaTargetInputId = null;
+
+/**
+ * Open the media library to pick an image for an input
+ * @param {string} inputId - ID of the image URL input
+ */
+function openMediaDialog(inputId) {
+    mediaTargetInputId = inputId;
+    document.getElementById('media-message').style.display = 'none';
+    document.getElementById('media-dialog').showModal();
+    loadMedia();
+}
+
+/**
+ * Close the media library without picking an image
+ */
+function closeMediaDialog() {
+    document.getElementById('media-dialog').close();
+}
+
+/**
+ * Fetch and display the uploaded images
+ * @param {string} highlightId - ID of an image to mark as just uploaded
+ */
+async function loadMedia(highlightId = null) {
+    const gridEl = document.getElementById('media-grid');
+
+    try {
+        const response = await fetchWithTimeout('/api/admin/media');
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                return;
+            }
+            throw new Error('Failed to fetch media');
+        }
+
+        mediaItems = await response.json();
+        displayMedia(highlightId);
+    } catch (error) {
+        console.error('Error loading media:', error);
+        gridEl.innerHTML = '<p class="error-state">Failed to load the media library.</p>';
+    }
+}
+
+/**
+ * Format a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in KB or MB
+ */
+function formatFileSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Display the uploaded images in the dialog
+ * @param {string} highlightId - ID of an image to mark as just uploaded
+ */
+function displayMedia(highlightId) {
+    const gridEl = document.getElementById('media-grid');
+    const currentUrl = mediaTargetInputId ? document.getElementById(mediaTargetInputId).value.trim() : '';
+
+    if (mediaItems.length === 0) {
+        gridEl.innerHTML = '<p class="no-links">No images yet. Upload one above.</p>';
+        return;
+    }
+
+    gridEl.innerHTML = mediaItems.map(item => {
+        const classes = ['media-item'];
+        if (item.url === currentUrl) {
+            classes.push('current');
+        }
+        if (item.id === highlightId) {
+            classes.push('uploaded');
+        }
+
+        const usedBy = item.usedBy.length > 0 ? `Used by ${item.usedBy.join(', ')}` : 'Not used';
+
+        return `
+        <div class="${classes.join(' ')}">
+          <img src="${escapeHtml(item.url)}" srcset="${escapeHtml(item.srcset)}" sizes="150px" alt="" loading="lazy">
+          <div class="media-details">${item.width}px wide · ${formatFileSize(item.size)}</div>
+          <div class="media-usage" title="${escapeHtml(usedBy)}">${escapeHtml(usedBy)}</div>
+          <div class="media-actions">
+            <button type="button" class="btn btn-small btn-primary" onclick="selectMedia('${item.id}')">Use</button>
+            <button type="button" class="btn btn-small btn-delete" onclick="deleteMedia('${item.id}')"${item.usedBy.length > 0 ? ' disabled title="Replace it where it is used first"' : ''}>Delete</button>
+          </div>
+        </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Put an image's address in the input the library was opened for
+ * @param {string} mediaId - Media ID
+ */
+function selectMedia(mediaId) {
+    const item = mediaItems.find(media => media.id === mediaId);
+    const input = document.getElementById(mediaTargetInputId);
+
+    if (!item || !input) {
+        return;
+    }
+
+    input.value = item.url;
+    // Let dirty tracking and field error clearing see the change
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    closeMediaDialog();
+}
+
+/**
+ * Upload the chosen image to the library
+ */
+async function handleMediaUpload(event) {
+    event.preventDefault();
+
+    const fileInput = document.getElementById('media-file');
+    const submitBtn = document.querySelector('#media-upload-form button[type="submit"]');
+    const file = fileInput.files[0];
+
+    if (!file) {
+        showMessage('media-message', 'Please choose an image to upload', 'error');
+        return;
+    }
+
+    const body = new FormData();
+    body.append('file', file);
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Uploading...';
+
+    try {
+        const response = await fetchWithTimeout('/api/admin/media', { method: 'POST', body }, 60000);
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                return;
+            }
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to upload image');
+        }
+
+        const media = await response.json();
+        fileInput.value = '';
+        showMessage('media-message', response.status === 201 ? 'Image uploaded. Click Use to pick it.' : 'This image is already in the library.', 'success');
+        await loadMedia(media.id);
+    } catch (error) {
+        console.error('Error uploading image:', error);
+        showMessage('media-message', error.message || 'An error occurred. Please try again.', 'error');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Upload';
+    }
+}
+
+/**
+ * Delete an image from the library
+ * @param {string} mediaId - Media ID
+ */
+async function deleteMedia(mediaId) {
+    if (!confirm('Delete this image? Pages and links elsewhere that point at it will show a broken image.')) {
+        return;
+    }
+
+    try {
+        const response = await fetchWithTimeout(`/api/admin/media/${encodeURIComponent(mediaId)}`, { method: 'DELETE' });
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                return;
+            }
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to delete image');
+        }
+
+        showMessage('media-message', 'Image deleted', 'success');
+        await loadMedia();
+    } catch (error) {
+        console.error('Error deleting image:', error);
+        showMessage('media-message', error.message || 'An error occurred. Please try again.', 'error');
+        loadMedia();
+    }
+}
+
+// ============================================
+// Short Links
+// ============================================
+
+/**
+ * Handle short link fallback form submission
+ */
+async function handleShortLinkFormSubmit(event) {
+    event.preventDefault();
+
+    const shortLinkFallbackUrl = document.getElementById('short-link-fallback').value.trim();
+    const submitBtn = document.querySelector('#short-link-form button[type="submit"]');
+
+    clearFieldErrors('short-link-form');
+
+    if (shortLinkFallbackUrl && !isValidURL(shortLinkFallbackUrl)) {
+        showMessage('short-link-message', 'Please enter a valid URL starting with http:// or https://, or leave it empty for this page', 'error');
+        return;
+    }
+
+    submitBtn.disabled = true;
+
+    try {
+        const response = await fetchWithTimeout('/api/admin/config', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                ...ifMatchHeader('config')
+            },
+            body: JSON.stringify({ shortLinkFallbackUrl })
+        });
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                return;
+            }
+            if (response.status === 409) {
+                // Nothing to merge: reload the current setting and let the user choose again
+                await loadConfig();
+                throw new Error('The configuration was changed by someone else. The current setting has been reloaded.');
+            }
+            const errorData = await response.json();
+            highlightFieldErrors('short-link-form', errorData.fields);
+            throw new Error(errorData.error || 'Failed to update short link fallback');
+        }
+
+        const result = await response.json();
+        resourceETags.config = response.headers.get('ETag');
+        document.getElementById('short-link-fallback').value = result.shortLinkFallbackUrl;
+
+        showMessage('short-link-message', result.shortLinkFallbackUrl
+            ? `Unknown short links now go to ${result.shortLinkFallbackUrl}`
+            : 'Unknown short links now go to this page', 'success');
+    } catch (error) {
+        console.error('Error updating short link fallback:', error);
+        showMessage('short-link-message', error.message || 'An error occurred. Please try again.', 'error');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+// ============================================
+// Icon Selection Functionality
+// ============================================
+
+let selectedIcon = null;
+let iconSearchTimeout = null;
+const ICON_SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Handle visual type button clicks
+ */
+function handleVisualTypeChange(type) {
+    // Check if trying to select icon type when API is not configured
+    if (type === 'icon' && !isApiConfigured) {
+        showMessage('link-form-message', 'Icon search is not available. Please configure The Noun Project API in the API Configuration section below.', 'error');
+        return;
+    }
+
+    // Update active button
+    document.querySelectorAll('.visual-type-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+    document.querySelector(`.visual-type-btn[data-type="${type}"]`).classList.add('active');
+
+    // Update hidden input
+    document.getElementById('visual-type').value = type;
+
+    // Show/hide appropriate input groups
+    const imageUrlGroup = document.getElementById('image-url-group');
+    const iconSearchGroup = document.getElementById('icon-search-group');
+    document.getElementById('embed-group').style.display = type === 'embed' ? 'block' : 'none';
+
+    if (type === 'image') {
+        imageUrlGroup.style.display = 'block';
+        iconSearchGroup.style.display = 'none';
+        // Don't clear icon selection - preserve it in case user switches back
+    } else if (type === 'icon') {
+        imageUrlGroup.style.display = 'none';
+        iconSearchGroup.style.display = 'block';
+        document.getElementById('link-image').value = '';
+        // Icon selection is preserved if it exists
+    } else {
+        imageUrlGroup.style.display = 'none';
+        iconSearchGroup.style.display = 'none';
+        document.getElementById('link-image').value = '';
+        // Don't clear icon selection - preserve it in case user switches back
+    }
+}
+
+/**
+ * Clear icon selection
+ */
+function clearIconSelection() {
+    selectedIcon = null;
+    document.getElementById('selected-icon-id').value = '';
+    document.getElementById('selected-icon-url').value = '';
+    document.getElementById('selected-icon-preview').classList.remove('show');
+    document.getElementById('icon-search-results').innerHTML = '';
+    document.getElementById('icon-search').value = '';
+}
+
+/**
+ * Handle icon search input with debouncing
+ */
+function handleIconSearchInput() {
+    // Clear existing timeout
+    if (iconSearchTimeout) {
+        clearTimeout(iconSearchTimeout);
+    }
+    
+    const searchInput = document.getElementById('icon-search');
+    const query = searchInput.value.trim();
+    
+    // Clear results if empty
+    if (!query) {
+        const resultsContainer = document.getElementById('icon-search-results');
+        resultsContainer.innerHTML = '';
+        return;
+    }
+    
+    // Only search if at least 1 character
+    if (query.length < 1) {
+        return;
+    }
+    
+    // Set new timeout
+    iconSearchTimeout = setTimeout(() => {
+        searchIcons();
+    }, ICON_SEARCH_DEBOUNCE_MS);
+}
+
+/**
+ * Search for icons using The Noun Project API
+ */
+async function searchIcons() {
+    const searchInput = document.getElementById('icon-search');
+    const query = searchInput.value.trim();
+
+    if (!query) {
+        return;
+    }
+
+    // Check if API is configured
+    if (!isApiConfigured) {
+        const resultsContainer = document.getElementById('icon-search-results');
+        resultsContainer.innerHTML = '<div class="icon-search-error">The Noun Project API is not configured. Please configure your API credentials in the API Configuration section below to enable icon search.</div>';
+        return;
+    }
+
+    const resultsContainer = document.getElementById('icon-search-results');
+    resultsContainer.innerHTML = '<div class="icon-search-loading">Searching for icons...</div>';
+
+    try {
+        const response = await fetchWithTimeout(`/api/admin/icons/search?query=${encodeURIComponent(query)}`);
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                return;
+            }
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to search icons');
+        }
+
+        const data = await response.json();
+        displayIconResults(data.icons);
+
+    } catch (error) {
+        console.error('Error searching icons:', error);
+        resultsContainer.innerHTML = `<div class="icon-search-error">${error.message}</div>`;
+    }
+}
+
+/**
+ * Display icon search results
+ * @param {Array} icons - Array of icon objects
+ */
+function displayIconResults(icons) {
+    const resultsContainer = document.getElementById('icon-search-results');
+
+    if (!icons || icons.length === 0) {
+        resultsContainer.innerHTML = '<div class="icon-search-empty">No icons found. Try a different search term.</div>';
+        return;
+    }
+
+    resultsContainer.innerHTML = icons
+        .filter(icon => {
+            // Filter out icons without preview URLs
+            if (!icon.previewUrl) {
+                console.warn('Skipping icon without preview URL:', icon);
+                return false;
+            }
+            return true;
+        })
+        .map(icon => {
+            // Log icon data for debugging
+            console.log('Rendering icon:', { id: icon.id, term: icon.term, previewUrl: icon.previewUrl });
+            
+            // For data attributes, we need to escape quotes but not convert to HTML entities
+            const safeIconUrl = (icon.previewUrl || '').replace(/"/g, '&quot;');
+            const safeIconTerm = (icon.term || '').replace(/"/g, '&quot;');
+            
+            return `
+                <div class="icon-result-item" data-icon-id="${icon.id}" data-icon-url="${safeIconUrl}" data-icon-term="${safeIconTerm}">
+                    <img src="${escapeHtml(icon.thumbnailUrl || icon.previewUrl)}" alt="${escapeHtml(icon.term)}">
+                    <div class="icon-term">${escapeHtml(icon.term)}</div>
+                </div>
+            `;
+        }).join('');
+
+    // Add click handlers to icon items
+    document.querySelectorAll('.icon-result-item').forEach(item => {
+        item.addEventListener('click', () => selectIcon(item));
+    });
+}
+
+/**
+ * Select an icon from search results
+ * @param {HTMLElement} iconElement - The clicked icon element
+ */
+function selectIcon(iconElement) {
+    const iconId = iconElement.dataset.iconId;
+    const iconUrl = iconElement.dataset.iconUrl;
+    const iconTerm = iconElement.dataset.iconTerm;
+
+    console.log('selectIcon called with:', { iconId, iconUrl, iconTerm });
+
+    // Validate that we have the required data
+    if (!iconId || !iconUrl) {
+        console.error('Invalid icon data:', { iconId, iconUrl, iconTerm });
+        showMessage('link-form-message', 'Error: Icon data is incomplete. Please try selecting a different icon.', 'error');
+        return;
+    }
+
+    // Update selected icon
+    selectedIcon = {
+        id: iconId,
+        url: iconUrl,
+        term: iconTerm
+    };
+
+    // Update hidden inputs
+    document.getElementById('selected-icon-id').value = iconId;
+    document.getElementById('selected-icon-url').value = iconUrl;
+
+    console.log('Icon selected:', selectedIcon);
+    console.log('Hidden inputs updated:', {
+        iconId: document.getElementById('selected-icon-id').value,
+        iconUrl: document.getElementById('selected-icon-url').value
+    });
+
+    // Update visual selection
+    document.querySelectorAll('.icon-result-item').forEach(item => {
+        item.classList.remove('selected');
+    });
+    iconElement.classList.add('selected');
+
+    // Show preview
+    const previewContainer = document.getElementById('selected-icon-preview');
+    previewContainer.innerHTML = `
+        <img src="${escapeHtml(iconUrl)}" alt="${escapeHtml(iconTerm)}">
+        <div class="icon-info">
+            <div class="icon-name">Selected: ${escapeHtml(iconTerm)}</div>
+            <div class="icon-attribution">From The Noun Project</div>
+        </div>
+        <button type="button" onclick="clearIconSelection()">Clear</button>
+    `;
+    previewContainer.classList.add('show');
+}
+
+// ============================================
+// Drag and Drop Functionality
+// ============================================
+
+let draggedElement = null;
+let draggedOverElement = null;
+
+/**
+ * Initialize drag-and-drop event listeners for all link items
+ */
+function initializeDragAndDrop() {
+    const linkItems = document.querySelectorAll('.link-item');
+
+    linkItems.forEach(item => {
+        // Drag start event
+        item.addEventListener('dragstart', handleDragStart);
+
+        // Drag over event
+        item.addEventListener('dragover', handleDragOver);
+
+        // Drag enter event
+        item.addEventListener('dragenter', handleDragEnter);
+
+        // Drag leave event
+        item.addEventListener('dragleave', handleDragLeave);
+
+        // Drop event
+        item.addEventListener('drop', handleDrop);
+
+        // Drag end event
+        item.addEventListener('dragend', handleDragEnd);
+    });
+}
+
+/**
+ * Handle drag start event
+ * @param {DragEvent} e - Drag event
+ */
+function handleDragStart(e) {
+    draggedElement = this;
+    this.classList.add('dragging');
+
+    // Set drag data
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/html', this.innerHTML);
+}
+
+/**
  * Handle drag over event
  * @param {DragEvent} e - Drag event
  */
-function handleDragOver(e) {
-    if (e.preventDefault) {
-        e.preventDefault();
+function handleDragOver(e) {
+    if (e.preventDefault) {
+        e.preventDefault();
+    }
+
+    e.dataTransfer.dropEffect = 'move';
+    return false;
+}
+
+/**
+ * Handle drag enter event
+ * @param {DragEvent} e - Drag event
+ */
+function handleDragEnter(e) {
+    if (this !== draggedElement) {
+        this.classList.add('drag-over');
+        draggedOverElement = this;
+    }
+}
+
+/**
+ * Handle drag leave event
+ * @param {DragEvent} e - Drag event
+ */
+function handleDragLeave(e) {
+    this.classList.remove('drag-over');
+}
+
+/**
+ * Handle drop event
+ * @param {DragEvent} e - Drag event
+ */
+function handleDrop(e) {
+    if (e.stopPropagation) {
+        e.stopPropagation();
+    }
+
+    // Don't do anything if dropping on itself
+    if (draggedElement !== this) {
+        // Get the parent container
+        const linksListEl = document.getElementById('links-list');
+        const allItems = Array.from(linksListEl.querySelectorAll('.link-item'));
+
+        // Get indices
+        const draggedIndex = allItems.indexOf(draggedElement);
+        const targetIndex = allItems.indexOf(this);
+
+        // Reorder in DOM
+        if (draggedIndex < targetIndex) {
+            this.parentNode.insertBefore(draggedElement, this.nextSibling);
+        } else {
+            this.parentNode.insertBefore(draggedElement, this);
+        }
+
+        // Send updated order to server
+        saveNewOrder();
+    }
+
+    return false;
+}
+
+/**
+ * Handle drag end event
+ * @param {DragEvent} e - Drag event
+ */
+function handleDragEnd(e) {
+    // Remove all drag-related classes
+    const linkItems = document.querySelectorAll('.link-item');
+    linkItems.forEach(item => {
+        item.classList.remove('dragging');
+        item.classList.remove('drag-over');
+    });
+
+    draggedElement = null;
+    draggedOverElement = null;
+}
+
+/**
+ * Get the link IDs in the order the list currently shows them
+ * @returns {Array<string>} Link IDs
+ */
+function getDisplayedLinkOrder() {
+    const linkItems = document.getElementById('links-list').querySelectorAll('.link-item');
+    return Array.from(linkItems).map(item => item.dataset.id);
+}
+
+/**
+ * Save the new order of links to the server
+ * @param {Array<string>} linkIds - Link IDs in the new order (default: as displayed)
+ */
+async function saveNewOrder(linkIds = getDisplayedLinkOrder()) {
+    try {
+        // Send to server, unless someone else changed the list since it was loaded
+        const response = await fetchWithTimeout('/api/admin/links/reorder', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                ...ifMatchHeader('links')
+            },
+            body: JSON.stringify({ linkIds })
+        });
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                return;
+            }
+            if (response.status === 409) {
+                handleReorderConflict(linkIds, await response.json());
+                return;
+            }
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to reorder links');
+        }
+
+        await response.json();
+        resourceETags.links = response.headers.get('ETag');
+
+        // Show success message
+        showMessage('links-message', 'Links reordered successfully!', 'success');
+        loadHistory();
+
+    } catch (error) {
+        console.error('Error reordering links:', error);
+        showMessage('links-message', error.message || 'An error occurred. Please try again.', 'error');
+
+        // Reload links to restore original order on error
+        await loadLinks();
+    }
+}
+
+// ============================================
+// Theme Customization Functionality
+// ============================================
+
+/**
+ * Validate hex color format
+ * @param {string} color - Color to validate
+ * @returns {boolean} True if valid hex color
+ */
+function isValidHexColor(color) {
+    return /^#[0-9A-Fa-f]{6}$/.test(color);
+}
+
+/**
+ * Sync color picker with text input
+ * @param {string} colorPickerId - ID of color picker input
+ * @param {string} textInputId - ID of text input
+ */
+function syncColorInputs(colorPickerId, textInputId) {
+    const colorPicker = document.getElementById(colorPickerId);
+    const textInput = document.getElementById(textInputId);
+
+    // Update text input when color picker changes
+    colorPicker.addEventListener('input', () => {
+        textInput.value = colorPicker.value;
+    });
+
+    // Update color picker when text input changes (with validation)
+    textInput.addEventListener('input', () => {
+        const value = textInput.value.trim();
+        if (isValidHexColor(value)) {
+            colorPicker.value = value;
+        }
+    });
+
+    // Sync on blur to handle partial input
+    textInput.addEventListener('blur', () => {
+        const value = textInput.value.trim();
+        if (isValidHexColor(value)) {
+            colorPicker.value = value;
+        } else {
+            // Reset to color picker value if invalid
+            textInput.value = colorPicker.value;
+        }
+    });
+}
+
+/**
+ * Load current theme settings from server
+ */
+async function loadTheme() {
+    try {
+        const response = await fetchWithTimeout('/api/admin/theme');
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                return;
+            }
+            throw new Error('Failed to fetch theme settings');
+        }
+
+        const theme = await response.json();
+        loadedData.theme = theme;
+        resourceETags.theme = response.headers.get('ETag');
+        populateThemeForm(theme);
+    } catch (error) {
+        console.error('Error loading theme:', error);
+        showMessage('theme-message', error.message || 'Failed to load theme settings. Please refresh the page.', 'error');
+    }
+}
+
+/**
+ * Populate theme form with current values
+ * @param {Object} theme - Theme settings object
+ */
+function populateThemeForm(theme) {
+    // Background color
+    if (theme.backgroundColor) {
+        document.getElementById('background-color').value = theme.backgroundColor;
+        document.getElementById('background-color-text').value = theme.backgroundColor;
+    }
+
+    // Background image URL
+    document.getElementById('background-image').value = theme.backgroundImageUrl || '';
+
+    // Text color
+    if (theme.textColor) {
+        document.getElementById('text-color').value = theme.textColor;
+        document.getElementById('text-color-text').value = theme.textColor;
+    }
+
+    // Button color
+    if (theme.buttonColor) {
+        document.getElementById('button-color').value = theme.buttonColor;
+        document.getElementById('button-color-text').value = theme.buttonColor;
+    }
+
+    // Button text color
+    if (theme.buttonTextColor) {
+        document.getElementById('button-text-color').value = theme.buttonTextColor;
+        document.getElementById('button-text-color-text').value = theme.buttonTextColor;
+    }
+
+    markFormClean('theme-form');
+}
+
+/**
+ * Set loading state for theme form submit button
+ * @param {boolean} loading - Whether button is in loading state
+ */
+function setThemeFormLoading(loading) {
+    const submitBtn = document.querySelector('#theme-form button[type="submit"]');
+    const formInputs = document.querySelectorAll('#theme-form input');
+    
+    if (loading) {
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Saving...';
+        formInputs.forEach(input => input.disabled = true);
+    } else {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Save Theme';
+        formInputs.forEach(input => input.disabled = false);
+    }
+}
+
+/**
+ * Handle theme form submission
+ */
+async function handleThemeFormSubmit(event) {
+    event.preventDefault();
+
+    // Get form values
+    const backgroundColor = document.getElementById('background-color').value;
+    const backgroundImageUrl = document.getElementById('background-image').value.trim();
+    const textColor = document.getElementById('text-color').value;
+    const buttonColor = document.getElementById('button-color').value;
+    const buttonTextColor = document.getElementById('button-text-color').value;
+
+    // Validate background image URL if provided
+    if (backgroundImageUrl && !isValidImageURL(backgroundImageUrl)) {
+        showMessage('theme-message', 'Please enter a valid background image URL starting with http:// or https://, or pick one from the media library', 'error');
+        return;
+    }
+
+    // Validate hex colors
+    if (!isValidHexColor(backgroundColor)) {
+        showMessage('theme-message', 'Invalid background color format', 'error');
+        return;
+    }
+
+    if (!isValidHexColor(textColor)) {
+        showMessage('theme-message', 'Invalid text color format', 'error');
+        return;
+    }
+
+    if (!isValidHexColor(buttonColor)) {
+        showMessage('theme-message', 'Invalid button color format', 'error');
+        return;
+    }
+
+    if (!isValidHexColor(buttonTextColor)) {
+        showMessage('theme-message', 'Invalid button text color format', 'error');
+        return;
+    }
+
+    // Prepare theme data
+    const themeData = {
+        backgroundColor,
+        backgroundImageUrl,
+        textColor,
+        buttonColor,
+        buttonTextColor
+    };
+
+    clearFieldErrors('theme-form');
+    setThemeFormLoading(true);
+
+    try {
+        const response = await fetchWithTimeout('/api/admin/theme', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                ...ifMatchHeader('theme')
+            },
+            body: JSON.stringify(themeData)
+        });
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                return;
+            }
+            if (response.status === 409) {
+                handleEditConflict('theme', themeData, await response.json());
+                return;
+            }
+            const errorData = await response.json();
+            highlightFieldErrors('theme-form', errorData.fields);
+            throw new Error(errorData.error || 'Failed to update theme');
+        }
+
+        const result = await response.json();
+        loadedData.theme = result.theme;
+        resourceETags.theme = response.headers.get('ETag');
+
+        // Show success message
+        showMessage('theme-message', 'Theme updated successfully!', 'success');
+        markFormClean('theme-form');
+        loadHistory();
+
+    } catch (error) {
+        console.error('Error updating theme:', error);
+        showMessage('theme-message', error.message || 'An error occurred. Please try again.', 'error');
+    } finally {
+        setThemeFormLoading(false);
+    }
+}
+
+// ============================================
+// Profile Management Functionality
+// ============================================
+
+/**
+ * Update character counter for bio field
+ */
+function updateBioCharacterCount() {
+    const bioTextarea = document.getElementById('profile-bio');
+    const charCountEl = document.getElementById('bio-char-count');
+    const counterEl = charCountEl.parentElement;
+    
+    const currentLength = bioTextarea.value.length;
+    charCountEl.textContent = currentLength;
+    
+    // Update styling based on character count
+    counterEl.classList.remove('warning', 'danger');
+    if (currentLength >= 500) {
+        counterEl.classList.add('danger');
+    } else if (currentLength >= 450) {
+        counterEl.classList.add('warning');
+    }
+}
+
+/**
+ * Load current profile data from server
+ */
+async function loadProfile() {
+    try {
+        const response = await fetchWithTimeout('/api/admin/profile');
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                return;
+            }
+            throw new Error('Failed to fetch profile data');
+        }
+
+        const profile = await response.json();
+        loadedData.profile = profile;
+        resourceETags.profile = response.headers.get('ETag');
+        populateProfileForm(profile);
+    } catch (error) {
+        console.error('Error loading profile:', error);
+        showMessage('profile-message', error.message || 'Failed to load profile data. Please refresh the page.', 'error');
+    }
+}
+
+/**
+ * Populate profile form with current values
+ * @param {Object} profile - Profile data object
+ */
+function populateProfileForm(profile) {
+    // Profile photo URL
+    document.getElementById('profile-photo').value = profile.photoUrl || '';
+
+    // Bio
+    document.getElementById('profile-bio').value = profile.bio || '';
+    updateBioCharacterCount();
+
+    // Sharing and search metadata
+    document.getElementById('profile-display-name').value = profile.displayName || '';
+    document.getElementById('profile-page-title').value = profile.pageTitle || '';
+    document.getElementById('profile-description').value = profile.description || '';
+    document.getElementById('profile-share-image').value = profile.shareImageUrl || '';
+
+    markFormClean('profile-form');
+}
+
+/**
+ * Set loading state for profile form submit button
+ * @param {boolean} loading - Whether button is in loading state
+ */
+function setProfileFormLoading(loading) {
+    const submitBtn = document.querySelector('#profile-form button[type="submit"]');
+    const formInputs = document.querySelectorAll('#profile-form input, #profile-form textarea');
+    
+    if (loading) {
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Saving...';
+        formInputs.forEach(input => input.disabled = true);
+    } else {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Save Profile';
+        formInputs.forEach(input => input.disabled = false);
+    }
+}
+
+/**
+ * Handle profile form submission
+ */
+async function handleProfileFormSubmit(event) {
+    event.preventDefault();
+
+    // Get form values
+    const photoUrl = document.getElementById('profile-photo').value.trim();
+    const bio = document.getElementById('profile-bio').value.trim();
+    const displayName = document.getElementById('profile-display-name').value.trim();
+    const pageTitle = document.getElementById('profile-page-title').value.trim();
+    const description = document.getElementById('profile-description').value.trim();
+    const shareImageUrl = document.getElementById('profile-share-image').value.trim();
+
+    // Validate photo URL if provided
+    if (photoUrl && !isValidImageURL(photoUrl)) {
+        showMessage('profile-message', 'Please enter a valid photo URL starting with http:// or https://, or pick one from the media library', 'error');
+        return;
+    }
+
+    // Validate share image URL if provided
+    if (shareImageUrl && !isValidImageURL(shareImageUrl)) {
+        showMessage('profile-message', 'Please enter a valid share image URL starting with http:// or https://, or pick one from the media library', 'error');
+        return;
+    }
+
+    // Validate bio length
+    if (bio.length > 500) {
+        showMessage('profile-message', 'Bio must be 500 characters or less', 'error');
+        return;
+    }
+
+    // Prepare profile data
+    const profileData = {
+        photoUrl,
+        bio,
+        displayName,
+        pageTitle,
+        description,
+        shareImageUrl
+    };
+
+    clearFieldErrors('profile-form');
+    setProfileFormLoading(true);
+
+    try {
+        const response = await fetchWithTimeout('/api/admin/profile', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                ...ifMatchHeader('profile')
+            },
+            body: JSON.stringify(profileData)
+        });
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                return;
+            }
+            if (response.status === 409) {
+                handleEditConflict('profile', profileData, await response.json());
+                return;
+            }
+            const errorData = await response.json();
+            highlightFieldErrors('profile-form', errorData.fields);
+            throw new Error(errorData.error || 'Failed to update profile');
+        }
+
+        const result = await response.json();
+        loadedData.profile = result.profile;
+        resourceETags.profile = response.headers.get('ETag');
+
+        // Show success message
+        showMessage('profile-message', 'Profile updated successfully!', 'success');
+        markFormClean('profile-form');
+        loadHistory();
+
+    } catch (error) {
+        console.error('Error updating profile:', error);
+        showMessage('profile-message', error.message || 'An error occurred. Please try again.', 'error');
+    } finally {
+        setProfileFormLoading(false);
+    }
+}
+
+// ============================================
+// Analytics Functionality
+// ============================================
+
+let analyticsDays = 30;
+
+const DEVICE_LABELS = {
+    desktop: 'Desktop',
+    mobile: 'Mobile',
+    tablet: 'Tablet'
+};
+
+/**
+ * Fetch one analytics summary for the selected period
+ * @param {string} name - Endpoint name (overview, timeseries, links, referrers or devices)
+ * @returns {Promise<Object|null>} Response data, or null if redirecting to login
+ */
+async function fetchAnalytics(name) {
+    const response = await fetchWithTimeout(`/api/admin/analytics/${name}?days=${analyticsDays}`);
+
+    if (!response.ok) {
+        if (response.status === 401) {
+            window.location.href = '/login.html';
+            return null;
+        }
+        throw new Error(`Failed to fetch analytics ${name}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Load all analytics for the selected period
+ */
+async function loadAnalytics() {
+    try {
+        const [overview, timeseries, links, referrers, devices] = await Promise.all(
+            ['overview', 'timeseries', 'links', 'referrers', 'devices'].map(fetchAnalytics)
+        );
+
+        if (!overview) {
+            return;
+        }
+
+        displayAnalyticsOverview(overview);
+        displayAnalyticsChart(timeseries.days);
+        displayAnalyticsLinks(links.links);
+        populateExportLinkOptions(links.links);
+        displayAnalyticsReferrers(referrers.referrers);
+        displayAnalyticsDevices(devices.devices);
+    } catch (error) {
+        console.error('Error loading analytics:', error);
+        showMessage('analytics-message', 'Failed to load analytics', 'error');
     }
+}
 
-    e.dataTransfer.dropEffect = 'move';
-    return false;
+/**
+ * Switch the analytics period and reload
+ * @param {number} days - Period length in days (7, 30 or 90)
+ */
+function selectAnalyticsPeriod(days) {
+    analyticsDays = days;
+
+    document.querySelectorAll('.period-btn').forEach(btn => {
+        btn.classList.toggle('active', Number(btn.dataset.days) === days);
+    });
+
+    loadAnalytics();
 }
 
 /**
- * Handle drag enter event
- * @param {DragEvent} e - Drag event
+ * Format a click-through rate for display
+ * @param {number|null} rate - Clicks per view, or null with no views
+ * @returns {string} Percentage, or a dash
  */
-function handleDragEnter(e) {
-    if (this !== draggedElement) {
-        this.classList.add('drag-over');
-        draggedOverElement = this;
-    }
+function formatRate(rate) {
+    return rate === null ? '–' : `${(rate * 100).toFixed(1)}%`;
 }
 
 /**
- * Handle drag leave event
- * @param {DragEvent} e - Drag event
+ * Display the headline numbers
+ * @param {Object} overview - Overview from the API
  */
-function handleDragLeave(e) {
-    this.classList.remove('drag-over');
+function displayAnalyticsOverview(overview) {
+    document.getElementById('stat-views').textContent = overview.views.toLocaleString();
+    document.getElementById('stat-visitors').textContent = overview.visitors.toLocaleString();
+    document.getElementById('stat-clicks').textContent = overview.clicks.toLocaleString();
+    document.getElementById('stat-ctr').textContent = formatRate(overview.clickThroughRate);
 }
 
 /**
- * Handle drop event
- * @param {DragEvent} e - Drag event
+ * Draw daily views and clicks as a bar chart
+ * @param {Array} days - Daily counts from the API, oldest first
  */
-function handleDrop(e) {
-    if (e.stopPropagation) {
-        e.stopPropagation();
-    }
+function displayAnalyticsChart(days) {
+    const chartEl = document.getElementById('analytics-chart');
+    const width = 600;
+    const height = 160;
+    const max = Math.max(1, ...days.map(day => Math.max(day.views, day.clicks)));
+    const slot = width / days.length;
+    const barWidth = Math.max(1, slot / 2 - 1);
+
+    const bars = days.map((day, index) => {
+        const x = index * slot;
+        const viewsHeight = (day.views / max) * height;
+        const clicksHeight = (day.clicks / max) * height;
+        const title = `${day.date}: ${day.views} views, ${day.clicks} clicks`;
 
-    // Don't do anything if dropping on itself
-    if (draggedElement !== this) {
-        // Get the parent container
-        const linksListEl = document.getElementById('links-list');
-        const allItems = Array.from(linksListEl.querySelectorAll('.link-item'));
+        return `
+          <g>
+            <title>${escapeHtml(title)}</title>
+            <rect class="chart-views" x="${x}" y="${height - viewsHeight}" width="${barWidth}" height="${viewsHeight}"></rect>
+            <rect class="chart-clicks" x="${x + barWidth}" y="${height - clicksHeight}" width="${barWidth}" height="${clicksHeight}"></rect>
+          </g>
+        `;
+    }).join('');
 
-        // Get indices
-        const draggedIndex = allItems.indexOf(draggedElement);
-        const targetIndex = allItems.indexOf(this);
+    chartEl.innerHTML = `
+      <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Daily views and clicks">${bars}</svg>
+      <div class="chart-axis">
+        <span>${escapeHtml(days[0].date)}</span>
+        <span class="chart-legend"><span class="legend-views">Views</span> <span class="legend-clicks">Clicks</span></span>
+        <span>${escapeHtml(days[days.length - 1].date)}</span>
+      </div>
+    `;
+}
 
-        // Reorder in DOM
-        if (draggedIndex < targetIndex) {
-            this.parentNode.insertBefore(draggedElement, this.nextSibling);
-        } else {
-            this.parentNode.insertBefore(draggedElement, this);
-        }
+/**
+ * Render rows as a table, or an empty-state message
+ * @param {string} elementId - ID of the container element
+ * @param {Array<string>} headings - Column headings
+ * @param {Array<Array<string>>} rows - Cell HTML for each row, already escaped
+ */
+function renderAnalyticsTable(elementId, headings, rows) {
+    const container = document.getElementById(elementId);
 
-        // Send updated order to server
-        saveNewOrder();
+    if (rows.length === 0) {
+        container.innerHTML = '<p class="no-links">No data for this period yet.</p>';
+        return;
     }
 
-    return false;
+    container.innerHTML = `
+      <table class="analytics-table">
+        <thead><tr>${headings.map(heading => `<th>${heading}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+      </table>
+    `;
 }
 
 /**
- * Handle drag end event
- * @param {DragEvent} e - Drag event
+ * Display clicks and click-through rate per link
+ * @param {Array} links - Per-link counts from the API
  */
-function handleDragEnd(e) {
-    // Remove all drag-related classes
-    const linkItems = document.querySelectorAll('.link-item');
-    linkItems.forEach(item => {
-        item.classList.remove('dragging');
-        item.classList.remove('drag-over');
-    });
-
-    draggedElement = null;
-    draggedOverElement = null;
+function displayAnalyticsLinks(links) {
+    renderAnalyticsTable('analytics-links', ['Link', 'Clicks', 'CTR'], links.map(link => {
+        let label = link.deleted ? '<em>Deleted link</em>' : escapeHtml(link.label);
+        if (!link.deleted && !link.active) {
+            label += ' <span class="analytics-note">(inactive)</span>';
+        }
+        return [label, link.clicks.toLocaleString(), formatRate(link.clickThroughRate)];
+    }));
 }
 
 /**
- * Save the new order of links to the server
+ * Offer the links from the analytics list in the export link filter, keeping the current choice
+ * @param {Array} links - Per-link counts from the API
  */
-async function saveNewOrder() {
-    try {
-        // Get current order from DOM
-        const linksListEl = document.getElementById('links-list');
-        const linkItems = linksListEl.querySelectorAll('.link-item');
-
-        // Extract link IDs in current order
-        const linkIds = Array.from(linkItems).map(item => item.dataset.id);
-
-        // Send to server
-        const response = await fetchWithTimeout('/api/admin/links/reorder', {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ linkIds })
-        });
-
-        if (!response.ok) {
-            if (response.status === 401) {
-                window.location.href = '/login.html';
-                return;
-            }
-            const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to reorder links');
-        }
+function populateExportLinkOptions(links) {
+    const select = document.getElementById('analytics-export-link');
+    const selected = select.value;
 
-        await response.json();
+    select.innerHTML = '<option value="">All links</option>' + links.map(link => {
+        const label = link.deleted ? 'Deleted link' : link.label;
+        return `<option value="${escapeHtml(link.linkId)}">${escapeHtml(label)}</option>`;
+    }).join('');
 
-        // Show success message
-        showMessage('links-message', 'Links reordered successfully!', 'success');
+    if (links.some(link => link.linkId === selected)) {
+        select.value = selected;
+    }
+}
 
-    } catch (error) {
-        console.error('Error reordering links:', error);
-        showMessage('links-message', error.message || 'An error occurred. Please try again.', 'error');
+/**
+ * Download analytics for the selected period as CSV or JSON
+ */
+function handleAnalyticsExport() {
+    const params = new URLSearchParams({
+        days: analyticsDays,
+        data: document.getElementById('analytics-export-data').value,
+        format: document.getElementById('analytics-export-format').value
+    });
 
-        // Reload links to restore original order on error
-        await loadLinks();
+    const linkId = document.getElementById('analytics-export-link').value;
+    if (linkId) {
+        params.set('linkId', linkId);
     }
-}
 
-// ============================================
-// Theme Customization Functionality
-// ============================================
+    // Let the browser handle the download from the attachment response
+    window.location.href = `/api/admin/analytics/export?${params}`;
+}
 
 /**
- * Validate hex color format
- * @param {string} color - Color to validate
- * @returns {boolean} True if valid hex color
+ * Display the top referring sites
+ * @param {Array} referrers - Referrer counts from the API
  */
-function isValidHexColor(color) {
-    return /^#[0-9A-Fa-f]{6}$/.test(color);
+function displayAnalyticsReferrers(referrers) {
+    renderAnalyticsTable('analytics-referrers', ['Referrer', 'Views', 'Clicks'], referrers.map(row => [
+        row.referrer === '(direct)' ? '<em>Direct</em>' : escapeHtml(row.referrer),
+        row.views.toLocaleString(),
+        row.clicks.toLocaleString()
+    ]));
 }
 
 /**
- * Sync color picker with text input
- * @param {string} colorPickerId - ID of color picker input
- * @param {string} textInputId - ID of text input
+ * Display views and clicks by device class
+ * @param {Array} devices - Device counts from the API
  */
-function syncColorInputs(colorPickerId, textInputId) {
-    const colorPicker = document.getElementById(colorPickerId);
-    const textInput = document.getElementById(textInputId);
+function displayAnalyticsDevices(devices) {
+    renderAnalyticsTable('analytics-devices', ['Device', 'Views', 'Clicks'], devices.map(row => [
+        DEVICE_LABELS[row.device] || escapeHtml(row.device),
+        row.views.toLocaleString(),
+        row.clicks.toLocaleString()
+    ]));
+}
 
-    // Update text input when color picker changes
-    colorPicker.addEventListener('input', () => {
-        textInput.value = colorPicker.value;
-    });
+// ============================================
+// Revision History Functionality
+// ============================================
 
-    // Update color picker when text input changes (with validation)
-    textInput.addEventListener('input', () => {
-        const value = textInput.value.trim();
-        if (isValidHexColor(value)) {
-            colorPicker.value = value;
-        }
-    });
+let historyEntries = [];
 
-    // Sync on blur to handle partial input
-    textInput.addEventListener('blur', () => {
-        const value = textInput.value.trim();
-        if (isValidHexColor(value)) {
-            colorPicker.value = value;
-        } else {
-            // Reset to color picker value if invalid
-            textInput.value = colorPicker.value;
-        }
-    });
-}
+const RESOURCE_LABELS = {
+    links: 'Links',
+    theme: 'Theme',
+    profile: 'Profile'
+};
 
 /**
- * Load current theme settings from server
+ * Load revision history from server
  */
-async function loadTheme() {
+async function loadHistory() {
+    const resource = document.getElementById('history-resource').value;
+    const query = resource ? `?resource=${encodeURIComponent(resource)}` : '';
+
     try {
-        const response = await fetchWithTimeout('/api/admin/theme');
+        const response = await fetchWithTimeout(`/api/admin/history${query}`);
 
         if (!response.ok) {
             if (response.status === 401) {
                 window.location.href = '/login.html';
                 return;
             }
-            throw new Error('Failed to fetch theme settings');
+            throw new Error('Failed to fetch revision history');
         }
 
-        const theme = await response.json();
-        populateThemeForm(theme);
+        historyEntries = await response.json();
+        displayHistory(historyEntries);
     } catch (error) {
-        console.error('Error loading theme:', error);
-        showMessage('theme-message', error.message || 'Failed to load theme settings. Please refresh the page.', 'error');
+        console.error('Error loading history:', error);
+        document.getElementById('history-list').innerHTML = '<p class="error-state">Failed to load revision history.</p>';
     }
 }
 
 /**
- * Populate theme form with current values
- * @param {Object} theme - Theme settings object
+ * Find the revision of the same resource that came right before the given one
+ * @param {Object} revision - Revision entry
+ * @returns {Object|undefined} Previous revision entry
  */
-function populateThemeForm(theme) {
-    // Background color
-    if (theme.backgroundColor) {
-        document.getElementById('background-color').value = theme.backgroundColor;
-        document.getElementById('background-color-text').value = theme.backgroundColor;
-    }
+function findPreviousRevision(revision) {
+    // historyEntries is ordered newest first
+    return historyEntries.find(entry => entry.resource === revision.resource && entry.rev < revision.rev);
+}
 
-    // Background image URL
-    if (theme.backgroundImageUrl) {
-        document.getElementById('background-image').value = theme.backgroundImageUrl;
-    }
+/**
+ * Display revision history list
+ * @param {Array} revisions - Array of revision entries, newest first
+ */
+function displayHistory(revisions) {
+    const historyListEl = document.getElementById('history-list');
+    document.getElementById('history-diff').innerHTML = '';
 
-    // Text color
-    if (theme.textColor) {
-        document.getElementById('text-color').value = theme.textColor;
-        document.getElementById('text-color-text').value = theme.textColor;
+    if (revisions.length === 0) {
+        historyListEl.innerHTML = '<p class="no-links">No revisions yet. Changes you save will appear here.</p>';
+        return;
     }
 
-    // Button color
-    if (theme.buttonColor) {
-        document.getElementById('button-color').value = theme.buttonColor;
-        document.getElementById('button-color-text').value = theme.buttonColor;
-    }
+    historyListEl.innerHTML = revisions.map(revision => {
+        const timestamp = new Date(revision.timestamp).toLocaleString();
+        const author = revision.username ? escapeHtml(revision.username) : 'system';
+        const restoredNote = revision.restoredFrom ? ` · restored from #${revision.restoredFrom}` : '';
+        const canCompare = !!findPreviousRevision(revision);
 
-    // Button text color
-    if (theme.buttonTextColor) {
-        document.getElementById('button-text-color').value = theme.buttonTextColor;
-        document.getElementById('button-text-color-text').value = theme.buttonTextColor;
-    }
+        return `
+        <div class="history-item" data-rev="${revision.rev}">
+          <div class="history-info">
+            <div class="history-title">#${revision.rev} · ${RESOURCE_LABELS[revision.resource] || escapeHtml(revision.resource)}</div>
+            <div class="history-meta">${escapeHtml(timestamp)} by ${author}${restoredNote}</div>
+          </div>
+          <div class="history-actions">
+            ${canCompare ? `<button class="btn btn-small btn-secondary" onclick="showRevisionDiff(${revision.rev})">Changes</button>` : ''}
+            <button class="btn btn-small btn-edit" onclick="restoreRevision(${revision.rev})">Restore</button>
+          </div>
+        </div>
+        `;
+    }).join('');
 }
 
 /**
- * Set loading state for theme form submit button
- * @param {boolean} loading - Whether button is in loading state
+ * Format a value from a revision snapshot for display
+ * @param {any} value - Value to format
+ * @returns {string} Escaped HTML
  */
-function setThemeFormLoading(loading) {
-    const submitBtn = document.querySelector('#theme-form button[type="submit"]');
-    const formInputs = document.querySelectorAll('#theme-form input');
-    
-    if (loading) {
-        submitBtn.disabled = true;
-        submitBtn.textContent = 'Saving...';
-        formInputs.forEach(input => input.disabled = true);
-    } else {
-        submitBtn.disabled = false;
-        submitBtn.textContent = 'Save Theme';
-        formInputs.forEach(input => input.disabled = false);
+function formatDiffValue(value) {
+    if (value === undefined || value === '') {
+        return '<em>empty</em>';
     }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return `<span class="diff-value">${escapeHtml(text)}</span>`;
 }
 
 /**
- * Handle theme form submission
+ * Render field-level changes as list items
+ * @param {Array} changes - Array of { field, before, after }
+ * @param {string} prefix - Optional label shown before each field name
+ * @returns {string} HTML list items
  */
-async function handleThemeFormSubmit(event) {
-    event.preventDefault();
-
-    // Get form values
-    const backgroundColor = document.getElementById('background-color').value;
-    const backgroundImageUrl = document.getElementById('background-image').value.trim();
-    const textColor = document.getElementById('text-color').value;
-    const buttonColor = document.getElementById('button-color').value;
-    const buttonTextColor = document.getElementById('button-text-color').value;
-
-    // Validate background image URL if provided
-    if (backgroundImageUrl && !isValidURL(backgroundImageUrl)) {
-        showMessage('theme-message', 'Please enter a valid background image URL starting with http:// or https://', 'error');
-        return;
-    }
-
-    // Validate hex colors
-    if (!isValidHexColor(backgroundColor)) {
-        showMessage('theme-message', 'Invalid background color format', 'error');
-        return;
-    }
-
-    if (!isValidHexColor(textColor)) {
-        showMessage('theme-message', 'Invalid text color format', 'error');
-        return;
-    }
+function renderFieldChanges(changes, prefix = '') {
+    return changes.map(change => `
+        <li class="diff-changed">${prefix}${escapeHtml(change.field)}: ${formatDiffValue(change.before)} → ${formatDiffValue(change.after)}</li>
+    `).join('');
+}
 
-    if (!isValidHexColor(buttonColor)) {
-        showMessage('theme-message', 'Invalid button color format', 'error');
-        return;
-    }
+/**
+ * Show the changes a revision made compared to the previous revision of the same resource
+ * @param {number} rev - Revision number
+ */
+async function showRevisionDiff(rev) {
+    const revision = historyEntries.find(entry => entry.rev === rev);
+    const previous = revision && findPreviousRevision(revision);
+    const diffEl = document.getElementById('history-diff');
 
-    if (!isValidHexColor(buttonTextColor)) {
-        showMessage('theme-message', 'Invalid button text color format', 'error');
+    if (!previous) {
         return;
     }
 
-    // Prepare theme data
-    const themeData = {
-        backgroundColor,
-        backgroundImageUrl,
-        textColor,
-        buttonColor,
-        buttonTextColor
-    };
-
-    setThemeFormLoading(true);
+    document.querySelectorAll('.history-item').forEach(item => {
+        item.classList.toggle('selected', item.dataset.rev === String(rev));
+    });
 
     try {
-        const response = await fetchWithTimeout('/api/admin/theme', {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(themeData)
-        });
+        const response = await fetchWithTimeout(`/api/admin/history/diff?from=${previous.rev}&to=${rev}`);
 
         if (!response.ok) {
             if (response.status === 401) {
@@ -1049,143 +2859,158 @@ async function handleThemeFormSubmit(event) {
                 return;
             }
             const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to update theme');
+            throw new Error(errorData.error || 'Failed to compare revisions');
         }
 
-        await response.json();
+        const { diff } = await response.json();
+        let items = '';
 
-        // Show success message
-        showMessage('theme-message', 'Theme updated successfully!', 'success');
+        if (revision.resource === 'links') {
+            items += diff.added.map(link => `<li class="diff-added">Added “${escapeHtml(getBlockLabel(link))}”</li>`).join('');
+            items += diff.removed.map(link => `<li class="diff-removed">Removed “${escapeHtml(getBlockLabel(link))}”</li>`).join('');
+            items += diff.changed.map(link => renderFieldChanges(link.changes, `“${escapeHtml(link.label)}” `)).join('');
+        } else {
+            items += renderFieldChanges(diff.changes);
+        }
 
+        diffEl.innerHTML = `
+            <div class="history-diff-panel">
+                <h4>Changes in #${rev} (compared with #${previous.rev})</h4>
+                ${items ? `<ul>${items}</ul>` : '<p class="no-links">No differences.</p>'}
+            </div>
+        `;
     } catch (error) {
-        console.error('Error updating theme:', error);
-        showMessage('theme-message', error.message || 'An error occurred. Please try again.', 'error');
-    } finally {
-        setThemeFormLoading(false);
+        console.error('Error comparing revisions:', error);
+        showMessage('history-message', error.message || 'Failed to compare revisions', 'error');
     }
 }
 
-// ============================================
-// Profile Management Functionality
-// ============================================
-
 /**
- * Update character counter for bio field
+ * Restore a resource to the state saved in a revision
+ * @param {number} rev - Revision number
+ * @param {string} etag - ETag to restore over; defaults to the one the resource was loaded with
  */
-function updateBioCharacterCount() {
-    const bioTextarea = document.getElementById('profile-bio');
-    const charCountEl = document.getElementById('bio-char-count');
-    const counterEl = charCountEl.parentElement;
-    
-    const currentLength = bioTextarea.value.length;
-    charCountEl.textContent = currentLength;
-    
-    // Update styling based on character count
-    counterEl.classList.remove('warning', 'danger');
-    if (currentLength >= 500) {
-        counterEl.classList.add('danger');
-    } else if (currentLength >= 450) {
-        counterEl.classList.add('warning');
+async function restoreRevision(rev, etag = null) {
+    const revision = historyEntries.find(entry => entry.rev === rev);
+    const resourceLabel = revision ? (RESOURCE_LABELS[revision.resource] || revision.resource).toLowerCase() : 'data';
+
+    if (!etag && !confirm(`Restore ${resourceLabel} to revision #${rev}? Your current ${resourceLabel} will be kept in the history.`)) {
+        return;
     }
-}
 
-/**
- * Load current profile data from server
- */
-async function loadProfile() {
     try {
-        const response = await fetchWithTimeout('/api/admin/profile');
+        const response = await fetchWithTimeout(`/api/admin/history/${rev}/restore`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(etag ? { 'If-Match': etag } : ifMatchHeader(revision ? revision.resource : null))
+            }
+        });
 
         if (!response.ok) {
             if (response.status === 401) {
                 window.location.href = '/login.html';
                 return;
             }
-            throw new Error('Failed to fetch profile data');
+            // Someone changed it since it was loaded here; restoring would throw their change away unseen
+            if (response.status === 409) {
+                const conflict = await response.json();
+                if (confirm(`The ${resourceLabel} changed since you loaded it. Restore revision #${rev} over the latest version anyway? It will be kept in the history.`)) {
+                    await restoreRevision(rev, conflict.etag);
+                }
+                return;
+            }
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to restore revision');
         }
 
-        const profile = await response.json();
-        populateProfileForm(profile);
+        const result = await response.json();
+
+        showMessage('history-message', result.message || 'Revision restored successfully!', 'success');
+
+        // Refresh the section that was rolled back
+        if (result.resource === 'links') {
+            await loadLinks();
+        } else if (result.resource === 'theme') {
+            await loadTheme();
+        } else if (result.resource === 'profile') {
+            await loadProfile();
+        }
+
+        await loadHistory();
+
     } catch (error) {
-        console.error('Error loading profile:', error);
-        showMessage('profile-message', error.message || 'Failed to load profile data. Please refresh the page.', 'error');
+        console.error('Error restoring revision:', error);
+        showMessage('history-message', error.message || 'An error occurred. Please try again.', 'error');
     }
 }
 
+// ============================================
+// Export & Import Functionality
+// ============================================
+
 /**
- * Populate profile form with current values
- * @param {Object} profile - Profile data object
+ * Download a site export archive
  */
-function populateProfileForm(profile) {
-    // Profile photo URL
-    if (profile.photoUrl) {
-        document.getElementById('profile-photo').value = profile.photoUrl;
-    }
+function handleExport() {
+    const includeSecrets = document.getElementById('export-include-secrets').checked;
 
-    // Bio
-    if (profile.bio) {
-        document.getElementById('profile-bio').value = profile.bio;
-        updateBioCharacterCount();
+    if (includeSecrets && !confirm('The export will contain your API credentials. Keep the file somewhere safe. Continue?')) {
+        return;
     }
+
+    // Let the browser handle the download from the attachment response
+    window.location.href = `/api/admin/export${includeSecrets ? '?includeSecrets=true' : ''}`;
 }
 
 /**
- * Set loading state for profile form submit button
+ * Set loading state for import form submit button
  * @param {boolean} loading - Whether button is in loading state
  */
-function setProfileFormLoading(loading) {
-    const submitBtn = document.querySelector('#profile-form button[type="submit"]');
-    const formInputs = document.querySelectorAll('#profile-form input, #profile-form textarea');
-    
+function setImportFormLoading(loading) {
+    const submitBtn = document.querySelector('#import-form button[type="submit"]');
+    const formInputs = document.querySelectorAll('#import-form input, #import-form select');
+
     if (loading) {
         submitBtn.disabled = true;
-        submitBtn.textContent = 'Saving...';
+        submitBtn.textContent = 'Importing...';
         formInputs.forEach(input => input.disabled = true);
     } else {
         submitBtn.disabled = false;
-        submitBtn.textContent = 'Save Profile';
+        submitBtn.textContent = 'Import Archive';
         formInputs.forEach(input => input.disabled = false);
     }
 }
 
 /**
- * Handle profile form submission
+ * Handle import form submission
  */
-async function handleProfileFormSubmit(event) {
+async function handleImportFormSubmit(event) {
     event.preventDefault();
 
-    // Get form values
-    const photoUrl = document.getElementById('profile-photo').value.trim();
-    const bio = document.getElementById('profile-bio').value.trim();
+    const file = document.getElementById('import-file').files[0];
+    const mode = document.getElementById('import-mode').value;
 
-    // Validate photo URL if provided
-    if (photoUrl && !isValidURL(photoUrl)) {
-        showMessage('profile-message', 'Please enter a valid photo URL starting with http:// or https://', 'error');
+    if (!file) {
+        showMessage('import-message', 'Please choose an archive file to import', 'error');
         return;
     }
 
-    // Validate bio length
-    if (bio.length > 500) {
-        showMessage('profile-message', 'Bio must be 500 characters or less', 'error');
+    const action = mode === 'merge' ? 'merge this archive into' : 'replace';
+    if (!confirm(`This will ${action} your current links, theme and profile. Continue?`)) {
         return;
     }
 
-    // Prepare profile data
-    const profileData = {
-        photoUrl,
-        bio
-    };
-
-    setProfileFormLoading(true);
+    setImportFormLoading(true);
 
     try {
-        const response = await fetchWithTimeout('/api/admin/profile', {
-            method: 'PUT',
+        const response = await fetchWithTimeout(`/api/admin/import?mode=${encodeURIComponent(mode)}`, {
+            method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/zip'
             },
-            body: JSON.stringify(profileData)
-        });
+            body: file
+        }, 60000);
 
         if (!response.ok) {
             if (response.status === 401) {
@@ -1193,19 +3018,29 @@ async function handleProfileFormSubmit(event) {
                 return;
             }
             const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to update profile');
+            const details = errorData.details && errorData.details.length > 0
+                ? ` (${errorData.details.slice(0, 3).join('; ')})`
+                : '';
+            throw new Error((errorData.error || 'Failed to import archive') + details);
         }
 
-        await response.json();
+        const result = await response.json();
 
-        // Show success message
-        showMessage('profile-message', 'Profile updated successfully!', 'success');
+        showMessage('import-message', `${result.message}: ${result.links} links, ${result.media} media files.`, 'success');
+        document.getElementById('import-form').reset();
+
+        // Reload everything the import may have changed
+        loadConfig();
+        loadProfile();
+        loadLinks();
+        loadTheme();
+        loadHistory();
 
     } catch (error) {
-        console.error('Error updating profile:', error);
-        showMessage('profile-message', error.message || 'An error occurred. Please try again.', 'error');
+        console.error('Error importing archive:', error);
+        showMessage('import-message', error.message || 'An error occurred. Please try again.', 'error');
     } finally {
-        setProfileFormLoading(false);
+        setImportFormLoading(false);
     }
 }
 
@@ -1231,8 +3066,11 @@ async function loadConfig() {
         }
 
         const config = await response.json();
+        resourceETags.config = response.headers.get('ETag');
         isApiConfigured = config.nounProjectConfigured;
         displayConfigStatus(config.nounProjectConfigured);
+        applyScheduleTimezone(config.timezone);
+        document.getElementById('short-link-fallback').value = config.shortLinkFallbackUrl;
     } catch (error) {
         console.error('Error loading config:', error);
         showMessage('config-message', error.message || 'Failed to load configuration. Please refresh the page.', 'error');
@@ -1296,13 +3134,15 @@ async function handleConfigFormSubmit(event) {
         nounProjectApiSecret: apiSecret
     };
 
+    clearFieldErrors('config-form');
     setConfigFormLoading(true);
 
     try {
         const response = await fetchWithTimeout('/api/admin/config', {
             method: 'PUT',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...ifMatchHeader('config')
             },
             body: JSON.stringify(configData)
         });
@@ -1312,11 +3152,17 @@ async function handleConfigFormSubmit(event) {
                 window.location.href = '/login.html';
                 return;
             }
+            if (response.status === 409) {
+                handleEditConflict('config', configData, await response.json());
+                return;
+            }
             const errorData = await response.json();
+            highlightFieldErrors('config-form', errorData.fields);
             throw new Error(errorData.error || 'Failed to update configuration');
         }
 
         const result = await response.json();
+        resourceETags.config = response.headers.get('ETag');
 
         // Update configuration status
         isApiConfigured = result.nounProjectConfigured;
@@ -1328,6 +3174,7 @@ async function handleConfigFormSubmit(event) {
         // Clear the form fields for security
         document.getElementById('noun-project-api-key').value = '';
         document.getElementById('noun-project-api-secret').value = '';
+        markFormClean('config-form');
 
     } catch (error) {
         console.error('Error updating config:', error);
@@ -1337,6 +3184,399 @@ async function handleConfigFormSubmit(event) {
     }
 }
 
+// ============================================
+// Live Updates
+// ============================================
+
+// Forms with edits that have not been saved yet
+const dirtyForms = new Set();
+
+// How each resource in the live update stream is shown: the form editing it and how to reload it
+const LIVE_RESOURCES = {
+    links: {
+        formId: 'link-form',
+        label: 'The links',
+        reload: loadLinks,
+        // Editing a link: reload it from the server; adding one: start over
+        discardEdits: () => currentEditingLinkId ? editLink(currentEditingLinkId) : resetLinkForm()
+    },
+    theme: {
+        formId: 'theme-form',
+        label: 'The theme',
+        reload: loadTheme,
+        discardEdits: loadTheme
+    },
+    profile: {
+        formId: 'profile-form',
+        label: 'The profile',
+        reload: loadProfile,
+        discardEdits: loadProfile
+    },
+    config: {
+        formId: 'config-form',
+        label: 'The API configuration',
+        // Only the status is loaded; credentials are never sent back to the browser
+        reload: loadConfig,
+        discardEdits: () => {
+            document.getElementById('config-form').reset();
+            markFormClean('config-form');
+        }
+    }
+};
+
+/**
+ * Remember that a form has unsaved edits
+ * @param {string} formId - ID of the form
+ */
+function markFormDirty(formId) {
+    dirtyForms.add(formId);
+}
+
+/**
+ * Forget a form's unsaved edits, e.g. after saving or reloading it
+ * @param {string} formId - ID of the form
+ */
+function markFormClean(formId) {
+    dirtyForms.delete(formId);
+    hideEditWarning(formId);
+}
+
+/**
+ * Check whether a form has edits someone else's change could conflict with
+ * A new link never conflicts with other changes, so the link form only counts while a link is open for editing.
+ * @param {string} formId - ID of the form
+ * @returns {boolean} True if the form has unsaved edits
+ */
+function isFormBeingEdited(formId) {
+    if (formId === 'link-form') {
+        return currentEditingLinkId !== null;
+    }
+    return dirtyForms.has(formId);
+}
+
+/**
+ * Warn above a form or list that the data it shows was changed by someone else
+ * Stays until the user picks an option or the form is saved or reloaded.
+ * @param {string} targetId - ID of the form or list
+ * @param {string} message - Warning text
+ * @param {Array} actions - Buttons to offer: { label, handler }; every button closes the warning
+ */
+function showEditWarning(targetId, message, actions) {
+    const target = document.getElementById(targetId);
+    let warningEl = document.getElementById(`${targetId}-warning`);
+
+    if (!warningEl) {
+        warningEl = document.createElement('div');
+        warningEl.id = `${targetId}-warning`;
+        warningEl.className = 'edit-warning';
+        warningEl.setAttribute('role', 'alert');
+        target.parentNode.insertBefore(warningEl, target);
+    }
+
+    warningEl.innerHTML = `
+      <span class="edit-warning-text">${escapeHtml(message)}</span>
+      <span class="edit-warning-actions"></span>
+    `;
+
+    const actionsEl = warningEl.querySelector('.edit-warning-actions');
+    actions.forEach(({ label, handler }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-small btn-secondary';
+        button.textContent = label;
+        button.addEventListener('click', () => {
+            hideEditWarning(targetId);
+            if (handler) {
+                handler();
+            }
+        });
+        actionsEl.appendChild(button);
+    });
+}
+
+/**
+ * Remove a form's or list's concurrent edit warning, if shown
+ * @param {string} targetId - ID of the form or list
+ */
+function hideEditWarning(targetId) {
+    const warningEl = document.getElementById(`${targetId}-warning`);
+    if (warningEl) {
+        warningEl.remove();
+    }
+}
+
+/**
+ * Reload the links list, waiting for a drag in progress to finish first
+ */
+function reloadLinksWhenIdle() {
+    if (draggedElement) {
+        document.addEventListener('dragend', () => loadLinks(), { once: true });
+        return;
+    }
+    loadLinks();
+}
+
+/**
+ * Show a change made in another tab, by another admin, or directly to the data files
+ * @param {Object} change - { resource, username, clientId } from the event stream
+ */
+function handleRemoteChange(change) {
+    const live = LIVE_RESOURCES[change.resource];
+
+    // This tab's own saves are already shown
+    if (!live || change.clientId === CLIENT_ID) {
+        return;
+    }
+
+    const who = change.username || 'someone outside the admin panel';
+
+    // Lists and status are always safe to reload; forms only when they hold no unsaved edits
+    if (change.resource === 'links') {
+        reloadLinksWhenIdle();
+    } else if (change.resource === 'config' || !isFormBeingEdited(live.formId)) {
+        live.reload();
+    }
+
+    if (isFormBeingEdited(live.formId)) {
+        showEditWarning(
+            live.formId,
+            `${live.label} just changed (by ${who}) while you were editing. Saving now may overwrite their change.`,
+            [
+                { label: 'Load latest', handler: live.discardEdits },
+                { label: 'Keep my edits', handler: null }
+            ]
+        );
+    }
+
+    loadHistory();
+}
+
+/**
+ * Reload everything that is not being edited, after missing events while disconnected
+ */
+function refreshAfterReconnect() {
+    reloadLinksWhenIdle();
+    loadLinkHealth();
+    loadConfig();
+    loadHistory();
+
+    if (!isFormBeingEdited('theme-form')) {
+        loadTheme();
+    }
+    if (!isFormBeingEdited('profile-form')) {
+        loadProfile();
+    }
+}
+
+/**
+ * Subscribe to the live update stream
+ * The browser reconnects by itself after network errors; a refused stream means the session has ended.
+ */
+function connectLiveUpdates() {
+    const source = new EventSource('/api/admin/events');
+    let connectedBefore = false;
+
+    source.addEventListener('open', () => {
+        if (connectedBefore) {
+            refreshAfterReconnect();
+        }
+        connectedBefore = true;
+    });
+
+    source.addEventListener('change', (event) => {
+        try {
+            handleRemoteChange(JSON.parse(event.data));
+        } catch (error) {
+            console.error('Error handling live update:', error);
+        }
+    });
+
+    source.addEventListener('health', () => {
+        loadLinkHealth();
+    });
+
+    source.addEventListener('error', () => {
+        if (source.readyState === EventSource.CLOSED) {
+            checkAuthentication();
+        }
+    });
+}
+
+/**
+ * Track unsaved edits in the forms live updates can conflict with
+ */
+function initializeDirtyTracking() {
+    Object.values(LIVE_RESOURCES).forEach(({ formId }) => {
+        const form = document.getElementById(formId);
+        form.addEventListener('input', () => markFormDirty(formId));
+        form.addEventListener('change', () => markFormDirty(formId));
+    });
+}
+
+// ============================================
+// Edit Conflicts
+// ============================================
+
+// ETag of the data each form or list was loaded from, sent back as If-Match so stale saves are refused
+const resourceETags = {
+    links: null,
+    link: null,
+    theme: null,
+    profile: null,
+    config: null
+};
+
+// Data each form was loaded from, used as the common base when merging with someone else's changes
+const loadedData = {
+    link: null,
+    theme: null,
+    profile: null
+};
+
+// Forms that can hit a 409 Conflict, and how to show their data
+const CONFLICT_FORMS = {
+    link: { formId: 'link-form', messageId: 'link-form-message', label: 'link', populate: populateLinkForm },
+    theme: { formId: 'theme-form', messageId: 'theme-message', label: 'theme', populate: populateThemeForm },
+    profile: { formId: 'profile-form', messageId: 'profile-message', label: 'profile', populate: populateProfileForm },
+    // Credentials are never sent to the browser, so they can't be merged
+    config: { formId: 'config-form', messageId: 'config-message', label: 'API configuration', populate: null }
+};
+
+/**
+ * Build the If-Match header for saving a resource
+ * @param {string} kind - Key in resourceETags
+ * @returns {Object} Header object, empty if no ETag is known
+ */
+function ifMatchHeader(kind) {
+    return resourceETags[kind] ? { 'If-Match': resourceETags[kind] } : {};
+}
+
+/**
+ * Compare two field values, treating missing and empty as the same
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} True if equal
+ */
+function sameFieldValue(a, b) {
+    return JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+}
+
+/**
+ * Three-way merge of flat objects: start from theirs and re-apply the fields I changed
+ * @param {Object} base - Data both edits started from
+ * @param {Object} mine - My edited fields
+ * @param {Object} theirs - Current data on the server
+ * @returns {Object} { merged, conflicts: fields both of us changed to different values }
+ */
+function mergeChanges(base, mine, theirs) {
+    const merged = { ...theirs };
+    const conflicts = [];
+
+    Object.keys(mine).forEach(field => {
+        if (sameFieldValue(mine[field], base[field])) {
+            return;
+        }
+        if (!sameFieldValue(theirs[field], base[field]) && !sameFieldValue(theirs[field], mine[field])) {
+            conflicts.push(field);
+        }
+        merged[field] = mine[field];
+    });
+
+    return { merged, conflicts };
+}
+
+/**
+ * Offer a choice after a save was refused because someone else saved first
+ * @param {string} kind - link, theme, profile or config
+ * @param {Object} mine - Data the refused save sent
+ * @param {Object} conflict - 409 response body: { error, etag, current }
+ */
+function handleEditConflict(kind, mine, conflict) {
+    const target = CONFLICT_FORMS[kind];
+    const actions = [];
+
+    if (target.populate) {
+        actions.push({ label: 'Merge', handler: () => mergeIntoForm(kind, mine, conflict) });
+    }
+
+    actions.push({
+        label: 'Overwrite theirs',
+        handler: () => {
+            // Save again against the version we now know about
+            resourceETags[kind] = conflict.etag;
+            document.getElementById(target.formId).requestSubmit();
+        }
+    });
+
+    actions.push({
+        label: 'Discard mine',
+        handler: () => {
+            resourceETags[kind] = conflict.etag;
+            if (target.populate) {
+                loadedData[kind] = conflict.current;
+                target.populate(conflict.current);
+            } else {
+                document.getElementById(target.formId).reset();
+                markFormClean(target.formId);
+                loadConfig();
+            }
+        }
+    });
+
+    showEditWarning(
+        target.formId,
+        `Someone else saved the ${target.label} after you loaded it, so your changes were not saved.`,
+        actions
+    );
+}
+
+/**
+ * Put the merge of my edits and someone else's saved changes into the form, ready to review and save
+ * @param {string} kind - link, theme or profile
+ * @param {Object} mine - Data the refused save sent
+ * @param {Object} conflict - 409 response body: { etag, current }
+ */
+function mergeIntoForm(kind, mine, conflict) {
+    const target = CONFLICT_FORMS[kind];
+    const { merged, conflicts } = mergeChanges(loadedData[kind] || {}, mine, conflict.current);
+
+    target.populate(merged);
+    loadedData[kind] = conflict.current;
+    resourceETags[kind] = conflict.etag;
+    markFormDirty(target.formId);
+
+    const note = conflicts.length > 0
+        ? ` You both changed ${conflicts.join(', ')}; your values were kept.`
+        : '';
+    showMessage(target.messageId, `Their changes were merged into the form. Review and save.${note}`, 'success');
+}
+
+/**
+ * Offer a choice after a reorder was refused because the list changed
+ * @param {Array<string>} linkIds - Order the refused save sent
+ * @param {Object} conflict - 409 response body: { etag, current }
+ */
+function handleReorderConflict(linkIds, conflict) {
+    const currentIds = new Set(conflict.current.map(link => link.id));
+
+    showEditWarning(
+        'links-list',
+        'Someone else changed the links while you were reordering them, so the new order was not saved.',
+        [
+            {
+                label: 'Keep my order',
+                handler: async () => {
+                    // Deleted links are dropped; links added meanwhile go to the end
+                    resourceETags.links = conflict.etag;
+                    await saveNewOrder(linkIds.filter(id => currentIds.has(id)));
+                    loadLinks();
+                }
+            },
+            { label: 'Use theirs', handler: loadLinks }
+        ]
+    );
+}
+
 // ============================================
 // Logout Functionality
 // ============================================
@@ -1427,9 +3667,18 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Load links on page load
     loadLinks();
 
+    // Load link health check results on page load
+    loadLinkHealth();
+
     // Load theme on page load
     loadTheme();
 
+    // Load analytics on page load
+    loadAnalytics();
+
+    // Load revision history on page load
+    loadHistory();
+
     // Set up profile form submission
     const profileForm = document.getElementById('profile-form');
     profileForm.addEventListener('submit', handleProfileFormSubmit);
@@ -1442,10 +3691,27 @@ document.addEventListener('DOMContentLoaded', async () => {
     const linkForm = document.getElementById('link-form');
     linkForm.addEventListener('submit', handleLinkFormSubmit);
 
+    // Preview pasted and typed link URLs
+    document.getElementById('link-url').addEventListener('input', handleLinkURLInput);
+
+    // Clear field error highlights as inputs are edited
+    ['link-form', 'theme-form', 'profile-form', 'config-form'].forEach(initializeFieldErrorClearing);
+
+    // Follow changes made in other tabs and by other admins
+    initializeDirtyTracking();
+    connectLiveUpdates();
+
     // Set up cancel button
     const cancelBtn = document.getElementById('cancel-btn');
     cancelBtn.addEventListener('click', handleCancelEdit);
 
+    // Set up block type selector
+    document.querySelectorAll('.block-type-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            handleBlockTypeChange(btn.dataset.type);
+        });
+    });
+
     // Set up visual type selector
     document.querySelectorAll('.visual-type-btn').forEach(btn => {
         btn.addEventListener('click', () => {
@@ -1473,10 +3739,66 @@ document.addEventListener('DOMContentLoaded', async () => {
     const themeForm = document.getElementById('theme-form');
     themeForm.addEventListener('submit', handleThemeFormSubmit);
 
+    // Set up analytics period buttons
+    document.querySelectorAll('.period-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            selectAnalyticsPeriod(Number(btn.dataset.days));
+        });
+    });
+
+    // Set up analytics export
+    const analyticsExportBtn = document.getElementById('analytics-export-btn');
+    analyticsExportBtn.addEventListener('click', handleAnalyticsExport);
+
+    // Set up revision history filter
+    const historyResourceSelect = document.getElementById('history-resource');
+    historyResourceSelect.addEventListener('change', loadHistory);
+
+    // Set up export and import
+    const exportBtn = document.getElementById('export-btn');
+    exportBtn.addEventListener('click', handleExport);
+
+    const importForm = document.getElementById('import-form');
+    importForm.addEventListener('submit', handleImportFormSubmit);
+
     // Set up config form submission
     const configForm = document.getElementById('config-form');
     configForm.addEventListener('submit', handleConfigFormSubmit);
 
+    // Set up schedule timezone form submission
+    const timezoneForm = document.getElementById('timezone-form');
+    timezoneForm.addEventListener('submit', handleTimezoneFormSubmit);
+
+    // Set up QR code dialog
+    document.getElementById('page-qr-btn').addEventListener('click', openPageQRDialog);
+    document.getElementById('qr-close-btn').addEventListener('click', closeQRDialog);
+    document.getElementById('qr-dialog').addEventListener('close', handleQRDialogClose);
+    document.getElementById('qr-form').addEventListener('submit', event => event.preventDefault());
+    // The size is fetched as it is typed, debounced, rather than when the input loses focus
+    document.getElementById('qr-form').addEventListener('change', event => {
+        if (event.target.id !== 'qr-size') {
+            updateQRPreview();
+        }
+    });
+    document.getElementById('qr-size').addEventListener('input', () => {
+        clearTimeout(qrSizeTimeout);
+        qrSizeTimeout = setTimeout(updateQRPreview, QR_SIZE_DEBOUNCE_MS);
+    });
+
+    // Set up media library
+    document.querySelectorAll('.media-pick-btn').forEach(btn => {
+        btn.addEventListener('click', () => openMediaDialog(btn.dataset.target));
+    });
+    document.getElementById('media-upload-form').addEventListener('submit', handleMediaUpload);
+    document.getElementById('media-close-btn').addEventListener('click', closeMediaDialog);
+
+    // Set up link health check button
+    document.getElementById('link-health-check-btn').addEventListener('click', handleLinkHealthCheck);
+
+    // Set up short link fallback form submission
+    const shortLinkForm = document.getElementById('short-link-form');
+    shortLinkForm.addEventListener('submit', handleShortLinkFormSubmit);
+
     // Set up logout button
     const logoutBtn = document.getElementById('logout-btn');
     logoutBtn.addEventListener('click', handleLogout);
@@ -6,6 +6,14 @@
     const profileContainer = document.getElementById('profile-container');
     const backgroundOverlay = document.querySelector('.background-overlay');
 
+    // How long a link waits for its app to open before showing its web page instead
+    const APP_FALLBACK_DELAY_MS = 1500;
+
+    // Uploaded JPEG and PNG images (see MEDIA_FILE_PATTERN in server/utils/media.js),
+    // and the widths of their WebP copies (mirrors WEBP_WIDTHS there)
+    const MEDIA_URL_PATTERN = /^\/media\/([0-9a-f]{16})-([1-9]\d{0,4})\.(jpg|png)$/;
+    const WEBP_WIDTHS = [320, 640, 1280, 2048];
+
     /**
      * Show loading state
      */
@@ -40,64 +48,30 @@
     }
 
     /**
-     * Fetch and display profile info
+     * Fetch the page model and render theme, profile and links together
+     * One request means the theme and content appear at the same time
      */
-    async function loadProfile() {
+    async function loadPage() {
         try {
-            const response = await fetch('/api/profile');
+            const response = await fetch('/api/page');
 
             if (!response.ok) {
-                throw new Error('Failed to load profile');
+                throw new Error('Failed to load page');
             }
 
-            const profile = await response.json();
-            displayProfile(profile);
-        } catch (error) {
-            console.error('Error loading profile:', error);
-            // Profile is optional, so we don't show an error to the user
-            // Just hide the profile container
-            profileContainer.style.display = 'none';
-        }
-    }
+            const page = await response.json();
 
-    /**
-     * Fetch and display links
-     */
-    async function loadLinks() {
-        try {
-            const response = await fetch('/api/links');
-
-            if (!response.ok) {
-                throw new Error('Failed to load links');
-            }
-
-            const links = await response.json();
-            displayLinks(links);
+            applyTheme(page.theme || {});
+            displayProfile(page.profile || {});
+            displayBlocks(page.blocks || []);
         } catch (error) {
-            console.error('Error loading links:', error);
+            console.error('Error loading page:', error);
+            // Profile is optional, so only the links area shows the error
+            profileContainer.style.display = 'none';
             showError('Unable to load links. Please try again later.');
         }
     }
 
-    /**
-     * Fetch and apply theme settings
-     */
-    async function loadTheme() {
-        try {
-            const response = await fetch('/api/theme');
-
-            if (!response.ok) {
-                throw new Error('Failed to load theme');
-            }
-
-            const theme = await response.json();
-            applyTheme(theme);
-        } catch (error) {
-            console.error('Error loading theme:', error);
-            // Continue with default theme if theme loading fails
-        }
-    }
-
     /**
      * Display profile info on the page
      * @param {Object} profile - Profile object with photoUrl and bio
@@ -117,7 +91,7 @@
         let profileHtml = '';
 
         if (hasPhoto) {
-            profileHtml += `<img src="${escapeHtml(profile.photoUrl)}" alt="Profile photo" class="profile-photo" onerror="this.style.display='none'">`;
+            profileHtml += `<img src="${escapeHtml(profile.photoUrl)}"${mediaAttributes(profile.photoUrl, '120px')} alt="Profile photo" class="profile-photo" onerror="this.style.display='none'">`;
         }
 
         if (hasBio) {
@@ -128,48 +102,279 @@
     }
 
     /**
-     * Display links on the page
-     * @param {Array} links - Array of link objects
+     * Build the OpenStreetMap bounding box for roughly a 600x300 view
+     * @param {number} zoom - Zoom level
+     * @param {number} lat - Latitude of the center
+     * @param {number} lon - Longitude of the center
+     * @returns {string} "minLon,minLat,maxLon,maxLat"
      */
-    function displayLinks(links) {
-        // Filter only active links and sort by order
-        const activeLinks = links
-            .filter(link => link.active)
-            .sort((a, b) => a.order - b.order);
+    function mapBoundingBox(zoom, lat, lon) {
+        const degreesPerPixel = 360 / (256 * 2 ** zoom);
+        const lonDelta = 300 * degreesPerPixel;
+        const latDelta = 150 * degreesPerPixel * Math.cos((lat * Math.PI) / 180);
 
-        if (activeLinks.length === 0) {
-            showEmptyState();
-            return;
+        return [lon - lonDelta, lat - latDelta, lon + lonDelta, lat + latDelta].map(value => value.toFixed(5)).join(',');
+    }
+
+    // Player URL and layout per embed provider; mirrors EMBED_PROVIDERS in server/utils/embeds.js
+    const EMBED_PROVIDERS = {
+        youtube: {
+            name: 'YouTube',
+            source: id => `https://www.youtube-nocookie.com/embed/${encodeURIComponent(id)}?autoplay=1`,
+            kind: () => 'video'
+        },
+        vimeo: {
+            name: 'Vimeo',
+            source: id => `https://player.vimeo.com/video/${encodeURIComponent(id)}?autoplay=1&dnt=1`,
+            kind: () => 'video'
+        },
+        spotify: {
+            name: 'Spotify',
+            source: id => `https://open.spotify.com/embed/${id.split('/').map(encodeURIComponent).join('/')}`,
+            kind: id => (/^(track|episode)\//.test(id) ? 'audio-compact' : 'audio')
+        },
+        soundcloud: {
+            name: 'SoundCloud',
+            source: id => `https://w.soundcloud.com/player/?url=${encodeURIComponent(`https://soundcloud.com/${id}`)}&auto_play=true`,
+            kind: id => (id.includes('/sets/') ? 'audio' : 'audio-compact')
+        },
+        openstreetmap: {
+            name: 'OpenStreetMap',
+            source: id => {
+                const [zoom, lat, lon] = id.split('/').map(Number);
+                return `https://www.openstreetmap.org/export/embed.html?bbox=${mapBoundingBox(zoom, lat, lon)}&layer=mapnik&marker=${lat},${lon}`;
+            },
+            kind: () => 'map'
+        },
+        'google-maps': {
+            name: 'Google Maps',
+            source: id => `https://maps.google.com/maps?q=${encodeURIComponent(id)}&output=embed`,
+            kind: () => 'map'
+        }
+    };
+
+    /**
+     * Describe how to show an embed link
+     * @param {Object} link - Link with embedProvider and embedId
+     * @returns {Object|null} { name, source, kind }, or null if the provider is unknown
+     */
+    function getEmbed(link) {
+        const provider = EMBED_PROVIDERS[link.embedProvider];
+        if (!provider) {
+            return null;
         }
 
-        // Create link elements
-        linksContainer.innerHTML = activeLinks.map(link => {
-            // Determine visual type (default to 'none' if not specified)
-            const visualType = link.visualType || 'none';
-            
-            let visualHtml = '';
-            let visualClass = '';
-
-            // Handle different visual types
-            if (visualType === 'image' && link.imageUrl && link.imageUrl.trim() !== '') {
-                visualHtml = `<img src="${escapeHtml(link.imageUrl)}" alt="" class="link-image" onerror="this.style.display='none'">`;
-                visualClass = ' has-image';
-            } else if (visualType === 'icon' && link.iconUrl && link.iconUrl.trim() !== '') {
-                visualHtml = `<img src="${escapeHtml(link.iconUrl)}" alt="" class="link-icon" onerror="this.style.display='none'">`;
-                visualClass = ' has-icon';
+        return {
+            name: provider.name,
+            source: provider.source(link.embedId),
+            kind: provider.kind(link.embedId)
+        };
+    }
+
+    /**
+     * Get the address a link button points at
+     * Mirrors clickURL() in server/utils/render.js
+     * @param {Object} link - Link object
+     * @returns {string} Click URL
+     */
+    function clickURL(link) {
+        return `/go/${encodeURIComponent(link.id)}`;
+    }
+
+    /**
+     * Build the click-to-load facade for an embed link
+     * @param {Object} link - Link with visualType embed
+     * @param {Object} embed - { name, source, kind } from getEmbed()
+     * @returns {string} Embed HTML
+     */
+    function renderEmbed(link, embed) {
+        return `<div class="link-embed embed-${embed.kind}" data-link-id="${escapeHtml(link.id)}" role="listitem"><a href="${escapeHtml(clickURL(link))}" class="embed-facade" data-embed-src="${escapeHtml(embed.source)}" data-embed-title="${escapeHtml(link.label)}" target="_blank" rel="noopener noreferrer"><span class="embed-play" aria-hidden="true">▶</span><span class="link-label">${escapeHtml(link.label)}</span><span class="embed-notice">Load from ${escapeHtml(embed.name)}</span></a></div>`;
+    }
+
+    /**
+     * Build a srcset of the WebP copies of an uploaded image
+     * Mirrors mediaSrcset() in server/utils/media.js
+     * @param {string} url - Image URL
+     * @returns {string} srcset value, or '' if the URL isn't an uploaded JPEG or PNG
+     */
+    function mediaSrcset(url) {
+        const match = MEDIA_URL_PATTERN.exec(url);
+        if (!match) {
+            return '';
+        }
+
+        const width = Number(match[2]);
+        return [...WEBP_WIDTHS.filter(size => size < width), width]
+            .map(size => `/media/${match[1]}-${size}.webp ${size}w`)
+            .join(', ');
+    }
+
+    /**
+     * Get the full-size WebP copy of an uploaded image
+     * Mirrors mediaWebpURL() in server/utils/media.js
+     * @param {string} url - Image URL
+     * @returns {string} WebP URL, or '' if the URL isn't an uploaded JPEG or PNG
+     */
+    function mediaWebpURL(url) {
+        const match = MEDIA_URL_PATTERN.exec(url);
+        return match ? `/media/${match[1]}-${match[2]}.webp` : '';
+    }
+
+    /**
+     * Build srcset and sizes for an uploaded image
+     * Mirrors mediaAttributes() in server/utils/render.js
+     * @param {string} url - Image URL
+     * @param {string} sizes - Width the image is shown at, as a sizes value
+     * @returns {string} Attributes HTML with a leading space, or '' for images from other sites
+     */
+    function mediaAttributes(url, sizes) {
+        const srcset = mediaSrcset(url);
+        return srcset ? ` srcset="${escapeHtml(srcset)}" sizes="${sizes}"` : '';
+    }
+
+    /**
+     * Build the attributes that decide where a link opens
+     * Mirrors linkTargetAttributes() in server/utils/render.js
+     * @param {Object} link - Link object
+     * @returns {string} Attributes HTML, with a leading space
+     */
+    function linkTargetAttributes(link) {
+        let attributes = /^https?:/i.test(link.url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+
+        if (link.appUrl) {
+            attributes += ` data-app-url="${escapeHtml(link.appUrl)}" data-web-url="${escapeHtml(link.url)}"`;
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Build the HTML for one link button
+     * @param {Object} link - Link object
+     * @returns {string} Link HTML
+     */
+    function renderLink(link) {
+        // Determine visual type (default to 'none' if not specified)
+        const visualType = link.visualType || 'none';
+        const embed = visualType === 'embed' && getEmbed(link);
+
+        if (embed) {
+            return renderEmbed(link, embed);
+        }
+        
+        let visualHtml = '';
+        let visualClass = '';
+
+        // Handle different visual types
+        if (visualType === 'image' && link.imageUrl && link.imageUrl.trim() !== '') {
+            visualHtml = `<img src="${escapeHtml(link.imageUrl)}"${mediaAttributes(link.imageUrl, '40px')} alt="" class="link-image" onerror="this.style.display='none'">`;
+            visualClass = ' has-image';
+        } else if (visualType === 'icon' && link.iconUrl && link.iconUrl.trim() !== '') {
+            visualHtml = `<img src="${escapeHtml(link.iconUrl)}" alt="" class="link-icon" onerror="this.style.display='none'">`;
+            visualClass = ' has-icon';
+        }
+
+        return `
+            <a href="${escapeHtml(clickURL(link))}" 
+               class="link-item${visualClass}" 
+               data-link-id="${escapeHtml(link.id)}"${linkTargetAttributes(link)}
+               role="listitem">
+                ${visualHtml}
+                <span class="link-label">${escapeHtml(link.label)}</span>
+            </a>
+        `;
+    }
+
+    /**
+     * Split blocks into sections, each started by a header
+     * Mirrors groupSections() in server/utils/blocks.js
+     * @param {Array} blocks - Visible blocks, in order
+     * @returns {Array} Sections as { header, blocks }; empty sections are dropped
+     */
+    function groupSections(blocks) {
+        const sections = [{ header: null, blocks: [] }];
+
+        blocks.forEach(block => {
+            if (block.type === 'header') {
+                sections.push({ header: block, blocks: [] });
+            } else {
+                sections[sections.length - 1].blocks.push(block);
+            }
+        });
+
+        return sections.filter(section => section.blocks.length > 0);
+    }
+
+    /**
+     * Build the HTML for the blocks of one section, grouping consecutive links into a list
+     * @param {Array} blocks - Blocks of the section, in order
+     * @returns {string} Blocks HTML
+     */
+    function renderBlocks(blocks) {
+        const html = [];
+        let links = [];
+
+        const flushLinks = () => {
+            if (links.length > 0) {
+                html.push(`<div class="link-list" role="list">${links.map(renderLink).join('')}</div>`);
+                links = [];
+            }
+        };
+
+        blocks.forEach(block => {
+            if (block.type === 'link') {
+                links.push(block);
+                return;
+            }
+
+            flushLinks();
+            if (block.type === 'text') {
+                html.push(`<p class="link-text">${escapeHtml(block.text)}</p>`);
+            } else if (block.type === 'divider') {
+                html.push('<hr class="link-divider">');
             }
+        });
+        flushLinks();
 
-            return `
-                <a href="${escapeHtml(link.url)}" 
-                   class="link-item${visualClass}" 
-                   target="_blank" 
-                   rel="noopener noreferrer"
-                   role="listitem">
-                    ${visualHtml}
-                    <span class="link-label">${escapeHtml(link.label)}</span>
-                </a>
-            `;
-        }).join('');
+        return html.join('');
+    }
+
+    /**
+     * Build the HTML for one section; collapsible headers use <details>
+     * @param {Object} section - { header, blocks }
+     * @returns {string} Section HTML
+     */
+    function renderSection(section) {
+        const content = renderBlocks(section.blocks);
+        const header = section.header;
+
+        if (!header) {
+            return content;
+        }
+
+        const title = escapeHtml(header.title);
+        const id = escapeHtml(header.id);
+
+        if (header.collapsible) {
+            return `<details class="link-section" data-block-id="${id}"${header.collapsed ? '' : ' open'}><summary class="section-header">${title}</summary><div class="section-blocks">${content}</div></details>`;
+        }
+
+        return `<section class="link-section" data-block-id="${id}"><h2 class="section-header">${title}</h2><div class="section-blocks">${content}</div></section>`;
+    }
+
+    /**
+     * Display links, section headers, text and dividers on the page
+     * @param {Array} blocks - Blocks from the page model, in order
+     */
+    function displayBlocks(blocks) {
+        const sections = groupSections(blocks);
+
+        if (sections.length === 0) {
+            showEmptyState();
+            return;
+        }
+
+        linksContainer.innerHTML = sections.map(renderSection).join('');
     }
 
     /**
@@ -185,6 +390,12 @@
         // Apply background image
         if (theme.backgroundImageUrl && theme.backgroundImageUrl.trim() !== '') {
             backgroundOverlay.style.backgroundImage = `url('${theme.backgroundImageUrl}')`;
+
+            // Browsers without image-set() ignore this and keep the plain URL
+            const webp = mediaWebpURL(theme.backgroundImageUrl);
+            if (webp) {
+                backgroundOverlay.style.backgroundImage = `image-set(url('${webp}') type('image/webp'), url('${theme.backgroundImageUrl}'))`;
+            }
         }
 
         // Apply text color
@@ -210,18 +421,174 @@
         }
     }
 
+    /**
+     * Build the /go/ address that counts a click on a link
+     * The page's own referrer goes along, since the click's Referer is only this page
+     * @param {string} linkId - Link ID
+     * @param {Object} params - Extra query parameters
+     * @returns {string} Tracking URL
+     */
+    function trackingURL(linkId, params = {}) {
+        const query = new URLSearchParams(params);
+        query.set('ref', document.referrer);
+        return `/go/${encodeURIComponent(linkId)}?${query}`;
+    }
+
+    /**
+     * Add the page's referrer to link clicks, which already go through the /go/ redirect
+     * The href is only swapped for the tracking URL while the click is handled; links opened
+     * from the context menu are still counted, just without a referrer
+     */
+    function enableClickTracking() {
+        const trackClick = (event) => {
+            const link = event.target.closest('.link-item[data-link-id], .embed-facade');
+
+            // Only primary and middle clicks open the link; enableAppLinks() handles links that open an app
+            if (!link || (event.type === 'auxclick' && event.button !== 1) || opensApp(link, event)) {
+                return;
+            }
+
+            // An embed's ID is on the block around its facade
+            const href = link.getAttribute('href');
+            link.setAttribute('href', trackingURL(link.closest('[data-link-id]').dataset.linkId));
+            setTimeout(() => link.setAttribute('href', href), 0);
+        };
+
+        linksContainer.addEventListener('click', trackClick);
+        linksContainer.addEventListener('auxclick', trackClick);
+    }
+
+    /**
+     * Check whether this device can open apps from deep links
+     * @returns {boolean} True on phones and tablets
+     */
+    function isMobileDevice() {
+        if (navigator.userAgentData) {
+            return navigator.userAgentData.mobile;
+        }
+        // iPadOS reports itself as a Mac, but has a touch screen
+        return /Android|iPhone|iPad|iPod/i.test(navigator.userAgent) ||
+            (/Macintosh/.test(navigator.userAgent) && navigator.maxTouchPoints > 1);
+    }
+
+    /**
+     * Check whether a click on a link should open its app instead of its web page
+     * @param {HTMLElement} link - Link element
+     * @param {Event} event - Click event
+     * @returns {boolean} True for a plain click, on a phone or tablet, on a link with an app URL
+     */
+    function opensApp(link, event) {
+        return Boolean(link.dataset.appUrl) && event.type === 'click' && event.button === 0 &&
+            !event.ctrlKey && !event.metaKey && !event.shiftKey && isMobileDevice();
+    }
+
+    /**
+     * Open a link's app on phones and tablets, falling back to its web page if the app isn't installed
+     * The click is counted once, by /go/ redirecting to the app URL; if the page is still showing
+     * after APP_FALLBACK_DELAY_MS the app didn't open, and the web page is opened directly
+     */
+    function enableAppLinks() {
+        linksContainer.addEventListener('click', (event) => {
+            const link = event.target.closest('.link-item[data-app-url]');
+
+            if (!link || !opensApp(link, event)) {
+                return;
+            }
+
+            event.preventDefault();
+
+            const fallback = setTimeout(() => {
+                window.location.href = link.dataset.webUrl;
+            }, APP_FALLBACK_DELAY_MS);
+
+            // Leaving for the app hides the page; coming back later must not open the web page too
+            const cancelFallback = () => {
+                if (document.hidden) {
+                    clearTimeout(fallback);
+                }
+            };
+            document.addEventListener('visibilitychange', cancelFallback, { once: true });
+            window.addEventListener('pagehide', () => clearTimeout(fallback), { once: true });
+
+            window.location.href = trackingURL(link.dataset.linkId, { to: 'app' });
+        });
+    }
+
+    /**
+     * Replace an embed's facade with the provider's player when the visitor clicks it
+     * Until then nothing is requested from the provider
+     */
+    function enableEmbeds() {
+        linksContainer.addEventListener('click', (event) => {
+            const facade = event.target.closest('.embed-facade');
+
+            // Modified clicks open the original URL in a new tab as usual, through /go/
+            if (!facade || event.ctrlKey || event.metaKey || event.shiftKey) {
+                return;
+            }
+
+            event.preventDefault();
+
+            const iframe = document.createElement('iframe');
+            iframe.src = facade.dataset.embedSrc;
+            iframe.title = facade.dataset.embedTitle;
+            iframe.className = 'embed-frame';
+            iframe.allow = 'autoplay; encrypted-media; fullscreen; picture-in-picture';
+            iframe.allowFullscreen = true;
+            iframe.referrerPolicy = 'strict-origin-when-cross-origin';
+
+            facade.replaceWith(iframe);
+            iframe.focus();
+        });
+    }
+
+    /**
+     * Count this page view with a beacon
+     * Only the referrer is sent; the server identifies visitors by a daily-salted hash, with no cookies
+     */
+    function sendViewBeacon() {
+        const send = () => {
+            const body = new Blob([JSON.stringify({ referrer: document.referrer })], { type: 'application/json' });
+
+            if (navigator.sendBeacon) {
+                navigator.sendBeacon('/api/view', body);
+            } else {
+                fetch('/api/view', { method: 'POST', body, keepalive: true }).catch(() => {});
+            }
+        };
+
+        // A prerendered page only counts once the visitor actually opens it
+        if (document.prerendering) {
+            document.addEventListener('prerenderingchange', send, { once: true });
+        } else {
+            send();
+        }
+    }
+
+    /**
+     * Check whether the server already rendered the page content
+     * @returns {boolean} True if the links (or the empty state) are already in the HTML
+     */
+    function isServerRendered() {
+        return linksContainer.children.length > 0;
+    }
+
     /**
      * Initialize the landing page
      */
     async function init() {
+        enableClickTracking();
+        enableAppLinks();
+        enableEmbeds();
+        sendViewBeacon();
+
+        // The server normally renders the profile, links and theme into the HTML already
+        if (isServerRendered()) {
+            return;
+        }
+
         showLoading();
-        
-        // Load theme, profile, and links in parallel
-        await Promise.all([
-            loadTheme(),
-            loadProfile(),
-            loadLinks()
-        ]);
+        await loadPage();
     }
 
     // Initialize on page load
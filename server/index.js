@@ -1,11 +1,22 @@
 const express = require('express');
 const session = require('express-session');
 const path = require('path');
-const { migrateLinks } = require('./utils/storage');
+const { runMigrations } = require('./utils/migrator');
+const { scheduleAnalyticsMaintenance } = require('./utils/rollups');
+const { scheduleHealthChecks } = require('./utils/health');
+const { MEDIA_DIR } = require('./utils/drivers/common');
+const { isMediaFileName } = require('./utils/media');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For (needed for visitor hashes)
+// TRUST_PROXY is "true", a number of proxy hops, or addresses/subnets as accepted by Express
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware for parsing JSON request bodies
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -22,29 +33,66 @@ app.use(session({
   }
 }));
 
-// Serve static files from public directory
-app.use(express.static(path.join(__dirname, '../public')));
-
 // Import routes
+const landingRoutes = require('./routes/landing');
+const redirectRoutes = require('./routes/redirect');
 const publicRoutes = require('./routes/public');
 const authRoutes = require('./routes/auth');
 const adminRoutes = require('./routes/admin');
+const analyticsRoutes = require('./routes/analytics');
+const eventsRoutes = require('./routes/events');
+
+// Server-rendered landing page, mounted before static files so it takes over from public/index.html
+app.use('/', landingRoutes);
+app.use('/', redirectRoutes);
+
+// Serve static files from public directory
+app.use(express.static(path.join(__dirname, '../public')));
+
+// Uploaded media; file names include a hash of the upload, so a file never changes once written.
+// Only names saveMedia() writes are served, and a sandboxing policy keeps any file that did get into
+// the media directory (by hand or from an archive) from running script on the site's origin.
+app.use('/media', (req, res, next) => {
+  if (!isMediaFileName(req.path.slice(1))) {
+    return res.sendStatus(404);
+  }
+  next();
+}, express.static(MEDIA_DIR, {
+  index: false,
+  immutable: true,
+  maxAge: '1y',
+  setHeaders: res => res.set({
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'; sandbox"
+  })
+}));
 
 // Mount routes
 app.use('/api', publicRoutes);
 app.use('/api', authRoutes);
+app.use('/api/admin/analytics', analyticsRoutes);
+app.use('/api/admin/events', eventsRoutes);
 app.use('/api/admin', adminRoutes);
 
-// Run migrations before starting server
-migrateLinks().then(() => {
+// Run schema migrations before starting server
+// A failed migration leaves the data in an unknown shape, so refuse to start
+runMigrations().then(result => {
+  if (result.applied.length > 0) {
+    console.log(`Data migrated from schema version ${result.fromVersion} to ${result.toVersion} (backup: ${result.backupPath})`);
+  }
+
   // Start server
   app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
   });
+
+  // Keep daily analytics rollups up to date and prune expired events
+  scheduleAnalyticsMaintenance();
+
+  // Check link destinations in the background
+  scheduleHealthChecks();
 }).catch(error => {
-  console.error('Failed to run migrations:', error);
-  // Start server anyway - migration errors shouldn't prevent startup
-  app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-  });
+  console.error('Failed to run migrations:', error.message);
+  console.error('Server not started. Fix the data or restore a backup from data/backups, then try again.');
+  process.exit(1);
 });
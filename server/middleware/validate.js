@@ -0,0 +1,29 @@
+const { validate, describeError, trimStrings } = require('../utils/validation');
+
+/**
+ * Validation middleware for admin API payloads
+ * Trims string fields, then checks the body against a schema from server/schemas.
+ * Invalid requests get a 400 listing every invalid field, e.g.
+ * { error, code: 'VALIDATION_ERROR', fields: [{ field: 'url', message: '...' }] }
+ * @param {string} schemaName - Name of the payload schema
+ * @returns {Function} Express middleware
+ */
+function validateBody(schemaName) {
+  return (req, res, next) => {
+    req.body = trimStrings(req.body || {});
+
+    const fields = validate(schemaName, req.body);
+
+    if (fields.length > 0) {
+      return res.status(400).json({
+        error: describeError(fields[0]),
+        code: 'VALIDATION_ERROR',
+        fields
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { validateBody };
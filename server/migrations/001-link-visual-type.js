@@ -0,0 +1,23 @@
+/**
+ * Migration 1: add the visualType field to links created before visual types existed
+ * Links with an imageUrl become 'image' links, everything else becomes 'none'
+ */
+module.exports = {
+  version: 1,
+  description: 'Add visualType to existing links',
+
+  links(links) {
+    return links.map(link => {
+      // Check if link already has visualType field
+      if (link.visualType) {
+        return link;
+      }
+
+      // Set default visualType based on imageUrl presence
+      return {
+        ...link,
+        visualType: link.imageUrl && link.imageUrl.trim() !== '' ? 'image' : 'none'
+      };
+    });
+  }
+};
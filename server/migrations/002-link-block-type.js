@@ -0,0 +1,12 @@
+/**
+ * Migration 2: add the block type field to entries created before sections, text and dividers existed
+ * Every existing entry is a link
+ */
+module.exports = {
+  version: 2,
+  description: 'Add type to existing links',
+
+  links(links) {
+    return links.map(link => (link.type ? link : { ...link, type: 'link' }));
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Ordered list of schema migrations
+ *
+ * Each migration module exports a unique, increasing `version`, a short
+ * `description`, and an optional transform per resource: `links`, `theme`,
+ * `profile` and `config`. A transform receives the current data for that
+ * resource and returns the migrated data. Transforms must not have side
+ * effects; the runner applies them in memory and only writes once every
+ * pending migration has succeeded.
+ *
+ * To add a migration, create the next numbered file and append it here.
+ */
+module.exports = [
+  require('./001-link-visual-type'),
+  require('./002-link-block-type')
+];
@@ -1,8 +1,23 @@
 const express = require('express');
+const multer = require('multer');
 const OAuth = require('oauth-1.0a');
 const crypto = require('crypto-js');
 const { requireAuth } = require('../middleware/auth');
-const { readLinks, writeLinks, generateUUID, readTheme, writeTheme, readProfile, writeProfile, readConfig, writeConfig } = require('../utils/storage');
+const { validateBody } = require('../middleware/validate');
+const { describeError } = require('../utils/validation');
+const { DEFAULT_TIMEZONE, normalizeTimestamp, validateSchedule } = require('../utils/schedule');
+const { isLink, checkBlockFields } = require('../utils/blocks');
+const { applyEmbed } = require('../utils/embeds');
+const { validateAppLink } = require('../utils/schemes');
+const { validateSlug } = require('../utils/slugs');
+const { parseQROptions, getSiteURL, generateQRCode } = require('../utils/qrcode');
+const { checkAllLinks, isCheckRunning, getHealth } = require('../utils/health');
+const { unfurl } = require('../utils/unfurl');
+const { MAX_UPLOAD_SIZE, isMediaURL, mediaExists, listMedia, saveMedia, deleteMedia, findMediaUsage } = require('../utils/media');
+const { readLinks, updateLinks, generateUUID, readTheme, updateTheme, readProfile, updateProfile, readConfig, updateConfig, readHistory, readRevision, lockResources } = require('../utils/storage');
+const { diffSnapshots } = require('../utils/diff');
+const { createArchive, importArchive, MAX_ARCHIVE_SIZE } = require('../utils/archive');
+const { computeETag, computeLinkETag, ifMatchSatisfied, sendConflict } = require('../utils/etag');
 
 const router = express.Router();
 
@@ -10,35 +25,114 @@ const router = express.Router();
 router.use(requireAuth);
 
 /**
- * Validate URL format
- * @param {string} url - URL to validate
- * @returns {boolean} True if valid URL
+ * Describe who is making a change, for the revision history and live update events
+ * admin.js sends X-Client-Id so each tab can tell its own changes from everyone else's
+ * @param {Object} req - Express request
+ * @returns {Object} { username, clientId }
  */
-function isValidURL(url) {
-  try {
-    const urlObj = new URL(url);
-    return urlObj.protocol === 'http:' || urlObj.protocol === 'https:';
-  } catch (error) {
-    return false;
+function changeMeta(req) {
+  return {
+    username: req.session.username,
+    clientId: req.get('X-Client-Id') || null
+  };
+}
+
+/**
+ * Get the configuration status shown to the admin panel, without the keys themselves
+ * @param {Object} config - Stored config
+ * @returns {Object} { nounProjectConfigured, timezone }
+ */
+function configStatus(config) {
+  return {
+    nounProjectConfigured: !!(config && config.nounProjectApiKey && config.nounProjectApiSecret),
+    timezone: (config && config.timezone) || DEFAULT_TIMEZONE,
+    shortLinkFallbackUrl: (config && config.shortLinkFallbackUrl) || ''
+  };
+}
+
+/**
+ * Set or clear a link's schedule times from a validated payload
+ * @param {Object} link - Link to change in place
+ * @param {Object} times - { publishAt, expireAt }; undefined leaves a time as it is, null clears it
+ */
+function applySchedule(link, times) {
+  ['publishAt', 'expireAt'].forEach(field => {
+    if (times[field] === null) {
+      delete link[field];
+    } else if (times[field] !== undefined) {
+      link[field] = normalizeTimestamp(times[field]);
+    }
+  });
+}
+
+/**
+ * Build the content of a new block from a validated payload
+ * @param {string} type - Block type
+ * @param {Object} body - linkCreate payload
+ * @returns {Object} Content fields for the block type
+ */
+function newBlockContent(type, body) {
+  switch (type) {
+    case 'header':
+      return { title: body.title, collapsible: !!body.collapsible, collapsed: !!body.collapsed };
+    case 'text':
+      return { text: body.text };
+    case 'divider':
+      return {};
+    default: {
+      const visualType = body.visualType || 'none';
+      return {
+        label: body.label,
+        url: body.url,
+        ...(body.appUrl ? { appUrl: body.appUrl } : {}),
+        ...(body.slug ? { slug: body.slug } : {}),
+        visualType,
+        imageUrl: visualType === 'image' ? body.imageUrl : '',
+        iconId: visualType === 'icon' ? body.iconId : '',
+        iconUrl: visualType === 'icon' ? body.iconUrl : ''
+      };
+    }
   }
 }
 
 /**
- * Validate hex color format
- * @param {string} color - Color to validate
- * @returns {boolean} True if valid hex color
+ * Send a 400 for a payload that passed the schema but is still invalid
+ * @param {Object} res - Express response
+ * @param {Object} fieldError - { field, message }
+ */
+function sendValidationError(res, fieldError) {
+  res.status(400).json({
+    error: describeError(fieldError),
+    code: 'VALIDATION_ERROR',
+    fields: [fieldError]
+  });
+}
+
+/**
+ * Find an uploaded image that is no longer in the media library
+ * The schemas check the URL format. This runs inside the update that saves the image, and media deletion
+ * holds those updates back, so an image can't be deleted between the check and the write.
+ * @param {Object} images - Image URLs being saved by field name; undefined and empty values are skipped
+ * @returns {Promise<Object|null>} Field error ({ field, message }), or null if every uploaded image exists
  */
-function isValidHexColor(color) {
-  return /^#[0-9A-Fa-f]{6}$/.test(color);
+async function checkMediaImages(images) {
+  for (const [field, url] of Object.entries(images)) {
+    if (url && isMediaURL(url) && !(await mediaExists(url))) {
+      return { field, message: 'is not in the media library' };
+    }
+  }
+  return null;
 }
 
 /**
  * GET /api/admin/links
  * Fetch all links for editing (including inactive ones)
+ * The ETag covers the whole list; send it back as If-Match when reordering
  */
 router.get('/links', async (req, res) => {
   try {
     const links = await readLinks();
+    res.set('ETag', computeETag(links));
     res.json(links);
   } catch (error) {
     console.error('Error fetching links:', error);
@@ -50,97 +144,89 @@ router.get('/links', async (req, res) => {
 });
 
 /**
- * POST /api/admin/links
- * Create a new link with URL validation
+ * GET /api/admin/links/health
+ * Latest health check results: { checkedAt, running, links: { [linkId]: result } }
+ * Each result has the url that was checked, status (ok, broken or unreachable), statusCode, finalUrl,
+ * redirects, latencyMs, error and checkedAt; links changed since the check still show their old url.
+ * NOTE: This route must come before /links/:id to avoid route conflicts
  */
-router.post('/links', async (req, res) => {
+router.get('/links/health', async (req, res) => {
   try {
-    const { label, url, visualType, imageUrl, iconId, iconUrl } = req.body;
+    const health = await getHealth();
+    res.json({ ...health, running: isCheckRunning() });
+  } catch (error) {
+    console.error('Error fetching link health:', error);
+    res.status(500).json({
+      error: 'Failed to fetch link health',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
 
-    // Validate required fields
-    if (!label || !url) {
-      return res.status(400).json({
-        error: 'Label and URL are required',
-        code: 'INVALID_INPUT'
-      });
-    }
+/**
+ * POST /api/admin/links/health/check
+ * Start checking every active link now, or join the check already running
+ * Answers 202 right away; admin panels get a "health" event on /api/admin/events when the results are saved
+ */
+router.post('/links/health/check', (req, res) => {
+  checkAllLinks().catch(error => console.error('Error checking link health:', error));
+
+  res.status(202).json({
+    success: true,
+    message: 'Checking links',
+    running: true
+  });
+});
 
-    // Validate URL format
-    if (!isValidURL(url)) {
-      return res.status(400).json({
-        error: 'Invalid URL format. URL must start with http:// or https://',
-        code: 'INVALID_URL'
-      });
+/**
+ * POST /api/admin/links
+ * Create a new link, or a header, text or divider block with `type` (body validated against the linkCreate schema)
+ */
+router.post('/links', validateBody('linkCreate'), async (req, res) => {
+  try {
+    const { publishAt, expireAt } = req.body;
+    const type = req.body.type || 'link';
+    const content = newBlockContent(type, req.body);
+
+    let fieldError = checkBlockFields(type, req.body) || validateSchedule({ publishAt, expireAt }) ||
+      validateAppLink(content) || applyEmbed(content);
+    if (fieldError) {
+      return sendValidationError(res, fieldError);
     }
 
-    // Validate visual type
-    const validVisualTypes = ['none', 'image', 'icon'];
-    const linkVisualType = visualType || 'none';
-    if (!validVisualTypes.includes(linkVisualType)) {
-      return res.status(400).json({
-        error: 'Invalid visual type. Must be none, image, or icon',
-        code: 'INVALID_VISUAL_TYPE'
-      });
-    }
+    let newLink;
 
-    // Validate imageUrl if visual type is image
-    if (linkVisualType === 'image') {
-      if (!imageUrl || imageUrl.trim() === '') {
-        return res.status(400).json({
-          error: 'Image URL is required when visual type is image',
-          code: 'MISSING_IMAGE_URL'
-        });
+    // Append the link as one serialized read-modify-write
+    await updateLinks(async links => {
+      // The slug is checked against the links being written, so two requests can't both take it
+      fieldError = validateSlug(content, links) || await checkMediaImages({ imageUrl: content.imageUrl });
+      if (fieldError) {
+        return undefined;
       }
-      if (!isValidURL(imageUrl)) {
-        return res.status(400).json({
-          error: 'Invalid image URL format',
-          code: 'INVALID_IMAGE_URL'
-        });
-      }
-    }
 
-    // Validate icon data if visual type is icon
-    if (linkVisualType === 'icon') {
-      if (!iconId || !iconUrl) {
-        return res.status(400).json({
-          error: 'Icon ID and URL are required when visual type is icon',
-          code: 'MISSING_ICON_DATA'
-        });
-      }
-      if (!isValidURL(iconUrl)) {
-        return res.status(400).json({
-          error: 'Invalid icon URL format',
-          code: 'INVALID_ICON_URL'
-        });
-      }
-    }
-
-    // Read existing links
-    const links = await readLinks();
-
-    // Calculate next order value (highest order + 1)
-    const maxOrder = links.length > 0 
-      ? Math.max(...links.map(link => link.order))
-      : -1;
-
-    // Create new link object
-    const newLink = {
-      id: generateUUID(),
-      label: label.trim(),
-      url: url.trim(),
-      visualType: linkVisualType,
-      imageUrl: linkVisualType === 'image' ? imageUrl.trim() : '',
-      iconId: linkVisualType === 'icon' ? iconId.trim() : '',
-      iconUrl: linkVisualType === 'icon' ? iconUrl.trim() : '',
-      order: maxOrder + 1,
-      active: true
-    };
+      // Calculate next order value (highest order + 1)
+      const maxOrder = links.length > 0 
+        ? Math.max(...links.map(link => link.order))
+        : -1;
+
+      // Create new link object
+      newLink = {
+        id: generateUUID(),
+        type,
+        ...content,
+        order: maxOrder + 1,
+        active: true
+      };
+      applySchedule(newLink, { publishAt, expireAt });
 
-    // Add to links array
-    links.push(newLink);
+      // Add to links array
+      links.push(newLink);
+      return links;
+    }, changeMeta(req));
 
-    // Save to file
-    await writeLinks(links);
+    if (fieldError) {
+      return sendValidationError(res, fieldError);
+    }
 
     res.status(201).json(newLink);
   } catch (error) {
@@ -156,52 +242,61 @@ router.post('/links', async (req, res) => {
  * PUT /api/admin/links/reorder
  * Update the order of links for drag-and-drop functionality
  * Expects body: { linkIds: [id1, id2, id3, ...] } in desired order
+ * Accepts If-Match with the list's ETag; a stale list gets 409 with the current links
  * NOTE: This route must come before /links/:id to avoid route conflicts
  */
-router.put('/links/reorder', async (req, res) => {
+router.put('/links/reorder', validateBody('linkReorder'), async (req, res) => {
   try {
     const { linkIds } = req.body;
 
-    // Validate input
-    if (!Array.isArray(linkIds)) {
-      return res.status(400).json({
-        error: 'linkIds must be an array',
-        code: 'INVALID_INPUT'
-      });
-    }
+    let invalidId = null;
+    let conflict = null;
 
-    // Read existing links
-    const links = await readLinks();
+    const links = await updateLinks(links => {
+      // Refuse to reorder a list that changed since the client loaded it
+      const etag = computeETag(links);
+      if (!ifMatchSatisfied(req.get('If-Match'), etag)) {
+        conflict = { current: links, etag };
+        return undefined;
+      }
 
-    // Create a map of link IDs to link objects
-    const linkMap = new Map(links.map(link => [link.id, link]));
+      // Create a map of link IDs to link objects
+      const linkMap = new Map(links.map(link => [link.id, link]));
 
-    // Validate that all provided IDs exist
-    for (const id of linkIds) {
-      if (!linkMap.has(id)) {
-        return res.status(400).json({
-          error: `Link with ID ${id} not found`,
-          code: 'INVALID_LINK_ID'
-        });
+      // Validate that all provided IDs exist
+      invalidId = linkIds.find(id => !linkMap.has(id));
+      if (invalidId !== undefined) {
+        return undefined;
       }
-    }
 
-    // Update order values based on position in linkIds array
-    linkIds.forEach((id, index) => {
-      const link = linkMap.get(id);
-      link.order = index;
-    });
+      // Update order values based on position in linkIds array
+      linkIds.forEach((id, index) => {
+        const link = linkMap.get(id);
+        link.order = index;
+      });
 
-    // Handle any links not in the linkIds array (keep their relative order at the end)
-    const unorderedLinks = links.filter(link => !linkIds.includes(link.id));
-    const maxOrder = linkIds.length;
-    unorderedLinks.forEach((link, index) => {
-      link.order = maxOrder + index;
-    });
+      // Handle any links not in the linkIds array (keep their relative order at the end)
+      const unorderedLinks = links.filter(link => !linkIds.includes(link.id));
+      const maxOrder = linkIds.length;
+      unorderedLinks.forEach((link, index) => {
+        link.order = maxOrder + index;
+      });
 
-    // Save to file
-    await writeLinks(links);
+      return links;
+    }, changeMeta(req));
+
+    if (conflict) {
+      return sendConflict(res, 'list of links', conflict.current, conflict.etag);
+    }
+
+    if (invalidId !== undefined) {
+      return res.status(400).json({
+        error: `Link with ID ${invalidId} not found`,
+        code: 'INVALID_LINK_ID'
+      });
+    }
 
+    res.set('ETag', computeETag(links));
     res.json({
       success: true,
       message: 'Links reordered successfully',
@@ -217,108 +312,222 @@ router.put('/links/reorder', async (req, res) => {
 });
 
 /**
- * PUT /api/admin/links/:id
- * Update an existing link
+ * GET /api/admin/links/:id
+ * Fetch one link for editing
+ * The ETag covers the link's fields but not its position; send it back as If-Match when saving
  */
-router.put('/links/:id', async (req, res) => {
+router.get('/links/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { label, url, visualType, imageUrl, iconId, iconUrl, active } = req.body;
-
-    // Read existing links
     const links = await readLinks();
+    const link = links.find(item => item.id === req.params.id);
 
-    // Find link by ID
-    const linkIndex = links.findIndex(link => link.id === id);
-
-    if (linkIndex === -1) {
+    if (!link) {
       return res.status(404).json({
         error: 'Link not found',
         code: 'NOT_FOUND'
       });
     }
 
-    // Validate URL if provided
-    if (url && !isValidURL(url)) {
-      return res.status(400).json({
-        error: 'Invalid URL format. URL must start with http:// or https://',
-        code: 'INVALID_URL'
+    res.set('ETag', computeLinkETag(link));
+    res.json(link);
+  } catch (error) {
+    console.error('Error fetching link:', error);
+    res.status(500).json({
+      error: 'Failed to fetch link',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * Generate a QR code for the request's options and send it
+ * @param {Object} req - Express request, with the QR code options in its query
+ * @param {Object} res - Express response
+ * @param {Function} getTarget - async (options) => { text, name } with the text to encode and the download
+ *   file name without extension, or null if the link doesn't exist
+ */
+async function sendQRCode(req, res, getTarget) {
+  try {
+    const { options, error } = parseQROptions(req.query, await readTheme());
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const target = await getTarget(options);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Link not found',
+        code: 'NOT_FOUND'
       });
     }
 
-    // Validate visual type if provided
-    if (visualType !== undefined) {
-      const validVisualTypes = ['none', 'image', 'icon'];
-      if (!validVisualTypes.includes(visualType)) {
-        return res.status(400).json({
-          error: 'Invalid visual type. Must be none, image, or icon',
-          code: 'INVALID_VISUAL_TYPE'
-        });
+    const { contentType, body } = await generateQRCode(target.text, options);
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `inline; filename="${target.name}.${options.format}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(body);
+  } catch (error) {
+    console.error('Error generating QR code:', error);
+    res.status(500).json({
+      error: 'Failed to generate QR code',
+      code: 'QR_ERROR'
+    });
+  }
+}
+
+/**
+ * GET /api/admin/links/:id/qr
+ * Download a QR code for a link
+ * Query parameters:
+ *   format: svg (default) or png
+ *   size: width and height in pixels, 64-2048 (default 512)
+ *   target: tracked (default; the link's short link if it has one, otherwise /go/<id>) or raw (the link's own URL)
+ *   level: error correction, L, M (default), Q or H
+ *   fg, bg: module and background colors as hex (default: the theme's text and background colors)
+ */
+router.get('/links/:id/qr', (req, res) => sendQRCode(req, res, async options => {
+  const links = await readLinks();
+  const link = links.find(item => item.id === req.params.id && isLink(item));
+
+  if (!link) {
+    return null;
+  }
+
+  const name = `qr-${link.slug || 'link'}`;
+  if (options.target === 'raw') {
+    return { text: link.url, name };
+  }
+
+  const path = link.slug ? `/s/${encodeURIComponent(link.slug)}` : `/go/${encodeURIComponent(link.id)}`;
+  return { text: `${getSiteURL(req)}${path}`, name };
+}));
+
+/**
+ * GET /api/admin/page/qr
+ * Download a QR code for the landing page, with the same query parameters as for a link (except target)
+ */
+router.get('/page/qr', (req, res) => sendQRCode(req, res, async () => ({ text: `${getSiteURL(req)}/`, name: 'qr-page' })));
+
+/**
+ * PUT /api/admin/links/:id
+ * Update an existing link or block (body validated against the linkUpdate schema; only the block type's own fields are allowed)
+ * Accepts If-Match with the link's ETag; a stale edit gets 409 with the current link
+ */
+router.put('/links/:id', validateBody('linkUpdate'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { label, url, appUrl, slug, visualType, imageUrl, iconId, iconUrl, title, collapsible, collapsed, text, active, publishAt, expireAt } = req.body;
+
+    let updatedLink = null;
+    let conflict = null;
+    let fieldError = null;
+
+    await updateLinks(async links => {
+      // Find link by ID
+      const linkIndex = links.findIndex(link => link.id === id);
+
+      if (linkIndex === -1) {
+        return undefined;
       }
 
-      // Validate based on visual type
-      if (visualType === 'image') {
-        if (!imageUrl || imageUrl.trim() === '') {
-          return res.status(400).json({
-            error: 'Image URL is required when visual type is image',
-            code: 'MISSING_IMAGE_URL'
-          });
-        }
-        if (!isValidURL(imageUrl)) {
-          return res.status(400).json({
-            error: 'Invalid image URL format',
-            code: 'INVALID_IMAGE_URL'
-          });
-        }
-      } else if (visualType === 'icon') {
-        if (!iconId || !iconUrl) {
-          return res.status(400).json({
-            error: 'Icon ID and URL are required when visual type is icon',
-            code: 'MISSING_ICON_DATA'
-          });
-        }
-        if (!isValidURL(iconUrl)) {
-          return res.status(400).json({
-            error: 'Invalid icon URL format',
-            code: 'INVALID_ICON_URL'
-          });
+      const etag = computeLinkETag(links[linkIndex]);
+      if (!ifMatchSatisfied(req.get('If-Match'), etag)) {
+        conflict = { current: links[linkIndex], etag };
+        return undefined;
+      }
+
+      fieldError = checkBlockFields(links[linkIndex].type, req.body);
+      if (fieldError) {
+        return undefined;
+      }
+
+      // Update link properties (only update provided fields)
+      if (label !== undefined) {
+        links[linkIndex].label = label;
+      }
+      if (url !== undefined) {
+        links[linkIndex].url = url;
+      }
+      if (appUrl === '') {
+        delete links[linkIndex].appUrl;
+      } else if (appUrl !== undefined) {
+        links[linkIndex].appUrl = appUrl;
+      }
+      if (slug === '') {
+        delete links[linkIndex].slug;
+      } else if (slug !== undefined) {
+        links[linkIndex].slug = slug;
+      }
+      if (visualType !== undefined) {
+        links[linkIndex].visualType = visualType;
+        
+        // Clear fields based on visual type
+        if (visualType === 'none') {
+          links[linkIndex].imageUrl = '';
+          links[linkIndex].iconId = '';
+          links[linkIndex].iconUrl = '';
+        } else if (visualType === 'image') {
+          links[linkIndex].imageUrl = imageUrl;
+          links[linkIndex].iconId = '';
+          links[linkIndex].iconUrl = '';
+        } else if (visualType === 'icon') {
+          links[linkIndex].imageUrl = '';
+          links[linkIndex].iconId = iconId;
+          links[linkIndex].iconUrl = iconUrl;
+        } else if (visualType === 'embed') {
+          links[linkIndex].imageUrl = '';
+          links[linkIndex].iconId = '';
+          links[linkIndex].iconUrl = '';
         }
       }
-    }
+      if (title !== undefined) {
+        links[linkIndex].title = title;
+      }
+      if (collapsible !== undefined) {
+        links[linkIndex].collapsible = collapsible;
+      }
+      if (collapsed !== undefined) {
+        links[linkIndex].collapsed = collapsed;
+      }
+      if (text !== undefined) {
+        links[linkIndex].text = text;
+      }
+      if (active !== undefined) {
+        links[linkIndex].active = active;
+      }
 
-    // Update link properties (only update provided fields)
-    if (label !== undefined) {
-      links[linkIndex].label = label.trim();
-    }
-    if (url !== undefined) {
-      links[linkIndex].url = url.trim();
-    }
-    if (visualType !== undefined) {
-      links[linkIndex].visualType = visualType;
-      
-      // Clear fields based on visual type
-      if (visualType === 'none') {
-        links[linkIndex].imageUrl = '';
-        links[linkIndex].iconId = '';
-        links[linkIndex].iconUrl = '';
-      } else if (visualType === 'image') {
-        links[linkIndex].imageUrl = imageUrl ? imageUrl.trim() : '';
-        links[linkIndex].iconId = '';
-        links[linkIndex].iconUrl = '';
-      } else if (visualType === 'icon') {
-        links[linkIndex].imageUrl = '';
-        links[linkIndex].iconId = iconId ? iconId.trim() : '';
-        links[linkIndex].iconUrl = iconUrl ? iconUrl.trim() : '';
+      // The window, app fallback and embed are checked on the result, since only some of their fields may be changing
+      applySchedule(links[linkIndex], { publishAt, expireAt });
+      fieldError = validateSchedule(links[linkIndex]) || validateAppLink(links[linkIndex]) ||
+        validateSlug(links[linkIndex], links) || applyEmbed(links[linkIndex]) || await checkMediaImages({ imageUrl });
+      if (fieldError) {
+        return undefined;
       }
+
+      updatedLink = links[linkIndex];
+      return links;
+    }, changeMeta(req));
+
+    if (conflict) {
+      return sendConflict(res, 'link', conflict.current, conflict.etag);
     }
-    if (active !== undefined) {
-      links[linkIndex].active = active;
+
+    if (fieldError) {
+      return sendValidationError(res, fieldError);
     }
 
-    // Save to file
-    await writeLinks(links);
+    if (!updatedLink) {
+      return res.status(404).json({
+        error: 'Link not found',
+        code: 'NOT_FOUND'
+      });
+    }
 
-    res.json(links[linkIndex]);
+    res.set('ETag', computeLinkETag(updatedLink));
+    res.json(updatedLink);
   } catch (error) {
     console.error('Error updating link:', error);
     res.status(500).json({
@@ -331,30 +540,45 @@ router.put('/links/:id', async (req, res) => {
 /**
  * DELETE /api/admin/links/:id
  * Delete a link
+ * Accepts If-Match with the link's ETag; a link changed since it was loaded gets 409 with its current state
  */
 router.delete('/links/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Read existing links
-    const links = await readLinks();
+    let deletedLink = null;
+    let conflict = null;
+
+    await updateLinks(links => {
+      // Find link by ID
+      const linkIndex = links.findIndex(link => link.id === id);
 
-    // Find link by ID
-    const linkIndex = links.findIndex(link => link.id === id);
+      if (linkIndex === -1) {
+        return undefined;
+      }
+
+      const etag = computeLinkETag(links[linkIndex]);
+      if (!ifMatchSatisfied(req.get('If-Match'), etag)) {
+        conflict = { current: links[linkIndex], etag };
+        return undefined;
+      }
+
+      // Remove link from array
+      deletedLink = links.splice(linkIndex, 1)[0];
+      return links;
+    }, changeMeta(req));
 
-    if (linkIndex === -1) {
+    if (conflict) {
+      return sendConflict(res, 'link', conflict.current, conflict.etag);
+    }
+
+    if (!deletedLink) {
       return res.status(404).json({
         error: 'Link not found',
         code: 'NOT_FOUND'
       });
     }
 
-    // Remove link from array
-    const deletedLink = links.splice(linkIndex, 1)[0];
-
-    // Save to file
-    await writeLinks(links);
-
     res.json({
       success: true,
       message: 'Link deleted successfully',
@@ -371,11 +595,12 @@ router.delete('/links/:id', async (req, res) => {
 
 /**
  * GET /api/admin/theme
- * Fetch current theme settings
+ * Fetch current theme settings, with an ETag to send back as If-Match when saving
  */
 router.get('/theme', async (req, res) => {
   try {
     const theme = await readTheme();
+    res.set('ETag', computeETag(theme));
     res.json(theme);
   } catch (error) {
     console.error('Error fetching theme:', error);
@@ -388,74 +613,40 @@ router.get('/theme', async (req, res) => {
 
 /**
  * PUT /api/admin/theme
- * Update theme settings with validation
+ * Update theme settings (body validated against the themeUpdate schema)
+ * Accepts If-Match; a stale edit gets 409 with the current theme
  */
-router.put('/theme', async (req, res) => {
+router.put('/theme', validateBody('themeUpdate'), async (req, res) => {
   try {
-    const { backgroundColor, backgroundImageUrl, textColor, buttonColor, buttonTextColor } = req.body;
-
-    // Read current theme
-    const theme = await readTheme();
-
-    // Validate and update backgroundColor
-    if (backgroundColor !== undefined) {
-      if (!isValidHexColor(backgroundColor)) {
-        return res.status(400).json({
-          error: 'Invalid backgroundColor format. Must be a hex color (e.g., #ffffff)',
-          code: 'INVALID_COLOR'
-        });
+    const updates = req.body;
+    let conflict = null;
+    let fieldError = null;
+
+    // Apply validated changes on top of the current theme
+    const theme = await updateTheme(async current => {
+      const etag = computeETag(current);
+      if (!ifMatchSatisfied(req.get('If-Match'), etag)) {
+        conflict = { current, etag };
+        return undefined;
       }
-      theme.backgroundColor = backgroundColor;
-    }
 
-    // Validate and update backgroundImageUrl
-    if (backgroundImageUrl !== undefined) {
-      // Allow empty string to clear the background image
-      if (backgroundImageUrl.trim() !== '' && !isValidURL(backgroundImageUrl)) {
-        return res.status(400).json({
-          error: 'Invalid backgroundImageUrl format. Must be a valid URL',
-          code: 'INVALID_URL'
-        });
+      fieldError = await checkMediaImages({ backgroundImageUrl: updates.backgroundImageUrl });
+      if (fieldError) {
+        return undefined;
       }
-      theme.backgroundImageUrl = backgroundImageUrl.trim();
-    }
 
-    // Validate and update textColor
-    if (textColor !== undefined) {
-      if (!isValidHexColor(textColor)) {
-        return res.status(400).json({
-          error: 'Invalid textColor format. Must be a hex color (e.g., #000000)',
-          code: 'INVALID_COLOR'
-        });
-      }
-      theme.textColor = textColor;
-    }
+      return { ...current, ...updates };
+    }, changeMeta(req));
 
-    // Validate and update buttonColor
-    if (buttonColor !== undefined) {
-      if (!isValidHexColor(buttonColor)) {
-        return res.status(400).json({
-          error: 'Invalid buttonColor format. Must be a hex color (e.g., #007bff)',
-          code: 'INVALID_COLOR'
-        });
-      }
-      theme.buttonColor = buttonColor;
+    if (conflict) {
+      return sendConflict(res, 'theme', conflict.current, conflict.etag);
     }
 
-    // Validate and update buttonTextColor
-    if (buttonTextColor !== undefined) {
-      if (!isValidHexColor(buttonTextColor)) {
-        return res.status(400).json({
-          error: 'Invalid buttonTextColor format. Must be a hex color (e.g., #ffffff)',
-          code: 'INVALID_COLOR'
-        });
-      }
-      theme.buttonTextColor = buttonTextColor;
+    if (fieldError) {
+      return sendValidationError(res, fieldError);
     }
 
-    // Save updated theme to file
-    await writeTheme(theme);
-
+    res.set('ETag', computeETag(theme));
     res.json({
       success: true,
       message: 'Theme updated successfully',
@@ -470,40 +661,14 @@ router.put('/theme', async (req, res) => {
   }
 });
 
-/**
- * Validate image URL by checking if it points to a valid image
- * @param {string} url - URL to validate
- * @returns {Promise<boolean>} True if valid image URL
- */
-async function isValidImageURL(url) {
-  if (!url || url.trim() === '') {
-    return true; // Empty URL is valid (optional field)
-  }
-
-  // First check if it's a valid URL format
-  if (!isValidURL(url)) {
-    return false;
-  }
-
-  // Check if URL has a common image extension
-  const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.bmp'];
-  const urlLower = url.toLowerCase();
-  const hasImageExtension = imageExtensions.some(ext => urlLower.includes(ext));
-
-  // For now, we'll accept URLs with image extensions or common image hosting domains
-  const imageHostingDomains = ['imgur.com', 'cloudinary.com', 'unsplash.com', 'pexels.com', 'pixabay.com', 'i.imgur.com'];
-  const hasImageHosting = imageHostingDomains.some(domain => urlLower.includes(domain));
-
-  return hasImageExtension || hasImageHosting;
-}
-
 /**
  * GET /api/admin/profile
- * Fetch current profile data
+ * Fetch current profile data, with an ETag to send back as If-Match when saving
  */
 router.get('/profile', async (req, res) => {
   try {
     const profile = await readProfile();
+    res.set('ETag', computeETag(profile));
     res.json(profile);
   } catch (error) {
     console.error('Error fetching profile:', error);
@@ -516,49 +681,40 @@ router.get('/profile', async (req, res) => {
 
 /**
  * PUT /api/admin/profile
- * Update profile data with validation
+ * Update profile data (body validated against the profileUpdate schema)
+ * Accepts If-Match; a stale edit gets 409 with the current profile
  */
-router.put('/profile', async (req, res) => {
+router.put('/profile', validateBody('profileUpdate'), async (req, res) => {
   try {
-    const { photoUrl, bio } = req.body;
-
-    // Read current profile
-    const profile = await readProfile();
-
-    // Validate and update photoUrl
-    if (photoUrl !== undefined) {
-      const trimmedPhotoUrl = photoUrl.trim();
-      
-      // Validate that photoUrl points to a valid image
-      const isValid = await isValidImageURL(trimmedPhotoUrl);
-      if (!isValid) {
-        return res.status(400).json({
-          error: 'Invalid profile photo URL. Must be a valid image URL',
-          code: 'INVALID_IMAGE_URL'
-        });
+    const updates = req.body;
+    let conflict = null;
+    let fieldError = null;
+
+    // Apply validated changes on top of the current profile
+    const profile = await updateProfile(async current => {
+      const etag = computeETag(current);
+      if (!ifMatchSatisfied(req.get('If-Match'), etag)) {
+        conflict = { current, etag };
+        return undefined;
       }
-      
-      profile.photoUrl = trimmedPhotoUrl;
-    }
 
-    // Validate and update bio
-    if (bio !== undefined) {
-      const trimmedBio = bio.trim();
-      
-      // Enforce 500 character limit
-      if (trimmedBio.length > 500) {
-        return res.status(400).json({
-          error: 'Bio must not exceed 500 characters',
-          code: 'BIO_TOO_LONG'
-        });
+      fieldError = await checkMediaImages({ photoUrl: updates.photoUrl, shareImageUrl: updates.shareImageUrl });
+      if (fieldError) {
+        return undefined;
       }
-      
-      profile.bio = trimmedBio;
+
+      return { ...current, ...updates };
+    }, changeMeta(req));
+
+    if (conflict) {
+      return sendConflict(res, 'profile', conflict.current, conflict.etag);
     }
 
-    // Save updated profile to file
-    await writeProfile(profile);
+    if (fieldError) {
+      return sendValidationError(res, fieldError);
+    }
 
+    res.set('ETag', computeETag(profile));
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -575,16 +731,15 @@ router.put('/profile', async (req, res) => {
 
 /**
  * GET /api/admin/config
- * Fetch configuration status (whether API keys are set)
+ * Fetch configuration status (whether API keys are set), with an ETag to send back as If-Match when saving
  */
 router.get('/config', async (req, res) => {
   try {
     const config = await readConfig();
     
     // Return status without exposing actual keys
-    res.json({
-      nounProjectConfigured: !!(config.nounProjectApiKey && config.nounProjectApiSecret)
-    });
+    res.set('ETag', computeETag(config));
+    res.json(configStatus(config));
   } catch (error) {
     console.error('Error fetching config:', error);
     res.status(500).json({
@@ -596,57 +751,513 @@ router.get('/config', async (req, res) => {
 
 /**
  * PUT /api/admin/config
- * Update API keys configuration
+ * Update API keys, the schedule timezone and the short link fallback (body validated against the configUpdate schema)
+ * Accepts If-Match; a stale edit gets 409 with the current status (never the keys)
+ */
+router.put('/config', validateBody('configUpdate'), async (req, res) => {
+  try {
+    const updates = req.body;
+    let conflict = null;
+
+    // Apply validated changes on top of the current config
+    const config = await updateConfig(current => {
+      const etag = computeETag(current);
+      if (!ifMatchSatisfied(req.get('If-Match'), etag)) {
+        conflict = { current: configStatus(current), etag };
+        return undefined;
+      }
+      return { ...current, ...updates };
+    }, changeMeta(req));
+
+    if (conflict) {
+      return sendConflict(res, 'configuration', conflict.current, conflict.etag);
+    }
+
+    res.set('ETag', computeETag(config));
+    res.json({
+      success: true,
+      message: 'Configuration updated successfully',
+      ...configStatus(config)
+    });
+  } catch (error) {
+    console.error('Error updating config:', error);
+    res.status(500).json({
+      error: 'Failed to update configuration',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Updaters used to restore each versioned resource
+const RESOURCE_UPDATERS = {
+  links: updateLinks,
+  theme: updateTheme,
+  profile: updateProfile
+};
+
+// Uploaded images each versioned resource uses, by field name, checked before a snapshot is restored
+const RESOURCE_IMAGES = {
+  links: links => Object.fromEntries(links.map((link, index) => [`links[${index}].imageUrl`, link.imageUrl])),
+  theme: theme => ({ backgroundImageUrl: theme.backgroundImageUrl }),
+  profile: profile => ({ photoUrl: profile.photoUrl, shareImageUrl: profile.shareImageUrl })
+};
+
+/**
+ * Parse a revision number from a route or query parameter
+ * @param {string} value - Raw parameter value
+ * @returns {number|null} Revision number, or null if invalid
+ */
+function parseRevision(value) {
+  const rev = Number(value);
+  return Number.isInteger(rev) && rev > 0 ? rev : null;
+}
+
+/**
+ * GET /api/admin/history
+ * List revisions newest first, without their snapshots
+ * Query parameter: resource (optional, links | theme | profile)
  */
-router.put('/config', async (req, res) => {
+router.get('/history', async (req, res) => {
   try {
-    const { nounProjectApiKey, nounProjectApiSecret } = req.body;
+    const { resource } = req.query;
 
-    // Read current config
-    const config = await readConfig();
+    if (resource !== undefined && !RESOURCE_UPDATERS[resource]) {
+      return res.status(400).json({
+        error: 'Invalid resource. Must be links, theme, or profile',
+        code: 'INVALID_RESOURCE'
+      });
+    }
 
-    // Validate and update API keys
-    if (nounProjectApiKey !== undefined) {
-      const trimmedKey = nounProjectApiKey.trim();
-      
-      // Basic validation - API key should not be empty if provided
-      if (trimmedKey === '') {
+    const history = await readHistory();
+
+    const revisions = history
+      .filter(revision => !resource || revision.resource === resource)
+      .map(({ data, ...revision }) => revision)
+      .reverse();
+
+    res.json(revisions);
+  } catch (error) {
+    console.error('Error fetching history:', error);
+    res.status(500).json({
+      error: 'Failed to fetch revision history',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/history/diff
+ * Compare two revisions of the same resource
+ * Query parameters: from, to (revision numbers)
+ * NOTE: This route must come before /history/:rev to avoid route conflicts
+ */
+router.get('/history/diff', async (req, res) => {
+  try {
+    const from = parseRevision(req.query.from);
+    const to = parseRevision(req.query.to);
+
+    if (!from || !to) {
+      return res.status(400).json({
+        error: 'Both from and to must be revision numbers',
+        code: 'INVALID_INPUT'
+      });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([readRevision(from), readRevision(to)]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        error: `Revision ${!fromRevision ? from : to} not found`,
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (fromRevision.resource !== toRevision.resource) {
+      return res.status(400).json({
+        error: 'Revisions belong to different resources and cannot be compared',
+        code: 'RESOURCE_MISMATCH'
+      });
+    }
+
+    res.json({
+      resource: fromRevision.resource,
+      from,
+      to,
+      diff: diffSnapshots(fromRevision.resource, fromRevision.data, toRevision.data)
+    });
+  } catch (error) {
+    console.error('Error comparing revisions:', error);
+    res.status(500).json({
+      error: 'Failed to compare revisions',
+      code: 'DIFF_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/history/:rev
+ * Fetch a single revision including its snapshot
+ */
+router.get('/history/:rev', async (req, res) => {
+  try {
+    const rev = parseRevision(req.params.rev);
+    const revision = rev ? await readRevision(rev) : null;
+
+    if (!revision) {
+      return res.status(404).json({
+        error: 'Revision not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({
+      error: 'Failed to fetch revision',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/history/:rev/restore
+ * Roll a resource back to the snapshot of a revision
+ * The restore is recorded as a new revision so it can be undone as well
+ * Requires If-Match with the ETag of the resource as the client last loaded it: without one the restore
+ * gets 428, and a resource changed since then gets 409 with its current state
+ * A snapshot using an image since deleted from the media library gets 400
+ */
+router.post('/history/:rev/restore', async (req, res) => {
+  try {
+    const rev = parseRevision(req.params.rev);
+    const revision = rev ? await readRevision(rev) : null;
+
+    if (!revision) {
+      return res.status(404).json({
+        error: 'Revision not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    // A restore replaces the whole resource, so it must never be made from a stale view of it
+    if (req.get('If-Match') === undefined) {
+      return res.status(428).json({
+        error: 'Restoring a revision requires an If-Match header with the current ETag',
+        code: 'PRECONDITION_REQUIRED'
+      });
+    }
+
+    let conflict = null;
+    let fieldError = null;
+
+    const update = RESOURCE_UPDATERS[revision.resource];
+    await update(async current => {
+      const etag = computeETag(current);
+      if (!ifMatchSatisfied(req.get('If-Match'), etag)) {
+        conflict = { current, etag };
+        return undefined;
+      }
+
+      fieldError = await checkMediaImages(RESOURCE_IMAGES[revision.resource](revision.data));
+      if (fieldError) {
+        return undefined;
+      }
+
+      return revision.data;
+    }, {
+      ...changeMeta(req),
+      restoredFrom: revision.rev
+    });
+
+    if (conflict) {
+      return sendConflict(res, revision.resource === 'links' ? 'list of links' : revision.resource, conflict.current, conflict.etag);
+    }
+
+    if (fieldError) {
+      return sendValidationError(res, fieldError);
+    }
+
+    res.set('ETag', computeETag(revision.data));
+    res.json({
+      success: true,
+      message: `Restored ${revision.resource} to revision ${revision.rev}`,
+      resource: revision.resource,
+      data: revision.data
+    });
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+
+    // Snapshots from before a schema change may no longer be valid
+    if (error.code === 'INVALID_DATA') {
+      return res.status(422).json({
+        error: `Revision cannot be restored: ${error.message}`,
+        code: 'INVALID_DATA',
+        fields: error.fields
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to restore revision',
+      code: 'RESTORE_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/export
+ * Download links, theme, profile, config and uploaded media as one zip archive
+ * Query parameter: includeSecrets=true to include API credentials from config
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const includeSecrets = req.query.includeSecrets === 'true';
+    const archive = await createArchive({ includeSecrets });
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="site-export-${date}.zip"`
+    });
+    res.send(archive);
+  } catch (error) {
+    if (error.code === 'ARCHIVE_TOO_LARGE') {
+      return res.status(413).json({
+        error: error.message,
+        code: 'ARCHIVE_TOO_LARGE'
+      });
+    }
+
+    console.error('Error exporting site:', error);
+    res.status(500).json({
+      error: 'Failed to export site data',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/import
+ * Import a zip archive created by the export endpoint
+ * Body: the archive itself (Content-Type: application/zip)
+ * Query parameter: mode (replace | merge, default replace)
+ */
+router.post('/import', express.raw({ type: () => true, limit: MAX_ARCHIVE_SIZE }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: 'An export archive is required',
+        code: 'INVALID_INPUT'
+      });
+    }
+
+    const result = await importArchive(req.body, {
+      mode: req.query.mode || 'replace',
+      ...changeMeta(req)
+    });
+
+    res.json({
+      success: true,
+      message: result.mode === 'merge' ? 'Archive merged successfully' : 'Archive imported successfully',
+      ...result
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_ARCHIVE') {
+      return res.status(400).json({
+        error: error.message,
+        code: 'INVALID_ARCHIVE',
+        details: error.details
+      });
+    }
+
+    // Well-formed links that break the rules the link routes enforce, such as two links with one slug
+    if (error.code === 'INVALID_LINKS') {
+      return res.status(422).json({
+        error: error.message,
+        code: 'INVALID_LINKS',
+        details: error.details
+      });
+    }
+
+    console.error('Error importing site:', error);
+    res.status(500).json({
+      error: 'Failed to import site data',
+      code: 'IMPORT_ERROR'
+    });
+  }
+});
+
+// Uploads are kept in memory: they are small, and only the processed image is written to disk
+const uploadImage = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1, fields: 0 }
+}).single('file');
+
+// Response status for each reason an uploaded image can be rejected
+const MEDIA_ERROR_STATUS = {
+  UNSUPPORTED_MEDIA_TYPE: 415,
+  INVALID_IMAGE: 400,
+  IMAGE_TOO_LARGE: 413
+};
+
+/**
+ * Find where each uploaded image is used
+ * @returns {Promise<Map<string, Array<string>>>} Places by media ID, from findMediaUsage()
+ */
+async function readMediaUsage() {
+  const [links, theme, profile] = await Promise.all([readLinks(), readTheme(), readProfile()]);
+  return findMediaUsage({ links, theme, profile });
+}
+
+/**
+ * GET /api/admin/media
+ * List uploaded images, newest first
+ * Each has id, url, width, format, size (bytes), srcset (its WebP copies), uploadedAt,
+ * and usedBy: the places it is used, e.g. ["Profile photo", "Link \"Shop\""]
+ */
+router.get('/media', async (req, res) => {
+  try {
+    const [media, usage] = await Promise.all([listMedia(), readMediaUsage()]);
+    res.json(media.map(item => ({ ...item, usedBy: usage.get(item.id) || [] })));
+  } catch (error) {
+    console.error('Error listing media:', error);
+    res.status(500).json({
+      error: 'Failed to list media',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/media
+ * Upload an image (multipart/form-data with the file in a "file" field)
+ * JPEG, PNG, GIF and WebP images up to 10 MB are accepted, recognized by their content.
+ * Answers 201 with the stored image, or 200 with the existing one if the same file was uploaded before.
+ */
+router.post('/media', (req, res) => {
+  uploadImage(req, res, async uploadError => {
+    try {
+      if (uploadError) {
+        if (uploadError.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({
+            error: `Images may be at most ${MAX_UPLOAD_SIZE / 1024 / 1024} MB`,
+            code: 'FILE_TOO_LARGE'
+          });
+        }
         return res.status(400).json({
-          error: 'API key cannot be empty',
-          code: 'INVALID_API_KEY'
+          error: `Invalid upload: ${uploadError.message}`,
+          code: 'INVALID_UPLOAD'
         });
       }
-      
-      config.nounProjectApiKey = trimmedKey;
-    }
 
-    if (nounProjectApiSecret !== undefined) {
-      const trimmedSecret = nounProjectApiSecret.trim();
-      
-      // Basic validation - API secret should not be empty if provided
-      if (trimmedSecret === '') {
+      if (!req.file) {
         return res.status(400).json({
-          error: 'API secret cannot be empty',
-          code: 'INVALID_API_SECRET'
+          error: 'Choose an image to upload, sent as multipart/form-data in a "file" field',
+          code: 'MISSING_FILE'
         });
       }
-      
-      config.nounProjectApiSecret = trimmedSecret;
+
+      const { media, created } = await saveMedia(req.file.buffer);
+      const usage = await readMediaUsage();
+
+      res.status(created ? 201 : 200).json({ ...media, usedBy: usage.get(media.id) || [] });
+    } catch (error) {
+      if (MEDIA_ERROR_STATUS[error.code]) {
+        return res.status(MEDIA_ERROR_STATUS[error.code]).json({
+          error: error.message,
+          code: error.code
+        });
+      }
+
+      console.error('Error uploading media:', error);
+      res.status(500).json({
+        error: 'Failed to upload image',
+        code: 'UPLOAD_ERROR'
+      });
+    }
+  });
+});
+
+/**
+ * DELETE /api/admin/media/:id
+ * Delete an uploaded image and its WebP copies
+ * Images still used by the profile, theme or a link are kept, with a 409 listing where (usedBy)
+ */
+router.delete('/media/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^[0-9a-f]{16}$/.test(id)) {
+      return res.status(404).json({
+        error: 'Image not found',
+        code: 'NOT_FOUND'
+      });
     }
 
-    // Save updated config to file
-    await writeConfig(config);
+    // Checked and deleted with link, theme and profile writes held back, so a save can't start using the image in between
+    const { usedBy, deleted } = await lockResources(['links', 'theme', 'profile'], async () => {
+      const usage = (await readMediaUsage()).get(id);
+      return usage ? { usedBy: usage } : { deleted: await deleteMedia(id) };
+    });
+
+    if (usedBy) {
+      return res.status(409).json({
+        error: `This image is still used: ${usedBy.join(', ')}. Replace it there before deleting it.`,
+        code: 'MEDIA_IN_USE',
+        usedBy
+      });
+    }
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Image not found',
+        code: 'NOT_FOUND'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Configuration updated successfully',
-      nounProjectConfigured: !!(config.nounProjectApiKey && config.nounProjectApiSecret)
+      message: 'Image deleted successfully'
     });
   } catch (error) {
-    console.error('Error updating config:', error);
+    console.error('Error deleting media:', error);
     res.status(500).json({
-      error: 'Failed to update configuration',
-      code: 'UPDATE_ERROR'
+      error: 'Failed to delete image',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+// Response status for each reason a link preview can fail
+const UNFURL_ERROR_STATUS = {
+  BLOCKED_ADDRESS: 400,
+  NOT_HTML: 422,
+  UNFURL_FAILED: 502,
+  UNFURL_TIMEOUT: 504
+};
+
+/**
+ * POST /api/admin/unfurl
+ * Fetch a web page and read its preview, to fill in the link form
+ * Body: { url }
+ * Returns { url, finalUrl, title, description, siteName, imageUrl, faviconUrl }; missing values are ''
+ * (faviconUrl falls back to /favicon.ico, which may not exist). Previews are cached for 10 minutes.
+ */
+router.post('/unfurl', validateBody('linkUnfurl'), async (req, res) => {
+  try {
+    res.json(await unfurl(req.body.url));
+  } catch (error) {
+    if (UNFURL_ERROR_STATUS[error.code]) {
+      return res.status(UNFURL_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Error previewing link:', error);
+    res.status(500).json({
+      error: 'Failed to preview link',
+      code: 'UNFURL_ERROR'
     });
   }
 });
@@ -0,0 +1,488 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { readLinks } = require('../utils/storage');
+const { isLink } = require('../utils/blocks');
+const { queryEvents, readAllEvents, today } = require('../utils/analytics');
+const { toCSVRow } = require('../utils/csv');
+const { addDays, getDailyRollups } = require('../utils/rollups');
+
+const router = express.Router();
+
+// Apply authentication middleware to all analytics routes
+router.use(requireAuth);
+
+// Most events returned by one query
+const MAX_EVENTS = 10000;
+
+// Periods the dashboard offers, in days
+const PERIODS = [7, 30, 90];
+
+// Longest explicit from/to range the summary endpoints accept, in days
+const MAX_RANGE_DAYS = 366;
+
+// Rows returned by the referrer list
+const TOP_REFERRERS = 10;
+
+// Export formats and data sets
+const EXPORT_FORMATS = ['csv', 'json'];
+const EXPORT_DATA = ['events', 'daily'];
+
+// Columns of each export data set, in CSV order
+const EXPORT_COLUMNS = {
+  events: ['type', 'timestamp', 'linkId', 'linkLabel', 'referrer', 'device', 'visitor'],
+  daily: ['date', 'views', 'visitors', 'clicks', 'clickThroughRate', 'linkId', 'linkLabel']
+};
+
+// Label given to links that have since been deleted
+const DELETED_LINK_LABEL = '(deleted link)';
+
+/**
+ * Check a YYYY-MM-DD query parameter
+ * @param {string} value - Raw parameter value
+ * @returns {boolean} True if missing or a real calendar date
+ */
+function isValidDateParam(value) {
+  if (value === undefined) {
+    return true;
+  }
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Validate the from/to/linkId query shared by the analytics endpoints
+ * @param {Object} query - Express query object
+ * @returns {Object} { query } with the parsed query, or { error } with a response body
+ */
+function parseEventQuery({ from, to, linkId }) {
+  if (!isValidDateParam(from) || !isValidDateParam(to)) {
+    return {
+      error: {
+        error: 'Invalid date. Dates must be in YYYY-MM-DD format',
+        code: 'INVALID_DATE'
+      }
+    };
+  }
+
+  if (from && to && from > to) {
+    return {
+      error: {
+        error: 'from must not be after to',
+        code: 'INVALID_DATE_RANGE'
+      }
+    };
+  }
+
+  if (linkId !== undefined && typeof linkId !== 'string') {
+    return {
+      error: {
+        error: 'linkId must be a single value',
+        code: 'INVALID_INPUT'
+      }
+    };
+  }
+
+  return { query: { from, to, linkId } };
+}
+
+/**
+ * Work out the date range for a summary endpoint
+ * Either from and to (YYYY-MM-DD), or days (7, 30 or 90, default 30) ending today
+ * @param {Object} query - Express query object
+ * @returns {Object} { range: { from, to } }, or { error } with a response body
+ */
+function parseRange(query) {
+  if (query.from !== undefined || query.to !== undefined) {
+    const { query: parsed, error } = parseEventQuery(query);
+    if (error) {
+      return { error };
+    }
+
+    const to = parsed.to || today();
+    const from = parsed.from || addDays(to, -29);
+
+    if (from > to || addDays(from, MAX_RANGE_DAYS) <= to) {
+      return {
+        error: {
+          error: `Date range must be between 1 and ${MAX_RANGE_DAYS} days`,
+          code: 'INVALID_DATE_RANGE'
+        }
+      };
+    }
+
+    return { range: { from, to } };
+  }
+
+  const days = query.days === undefined ? 30 : Number(query.days);
+  if (!PERIODS.includes(days)) {
+    return {
+      error: {
+        error: `days must be one of: ${PERIODS.join(', ')}`,
+        code: 'INVALID_PERIOD'
+      }
+    };
+  }
+
+  const to = today();
+  return { range: { from: addDays(to, -(days - 1)), to } };
+}
+
+/**
+ * Wrap a summary endpoint with range parsing and error handling
+ * @param {string} name - What the endpoint returns, for error messages
+ * @param {Function} summarize - async (rollups, range) => response fields
+ * @returns {Function} Express route handler
+ */
+function summaryRoute(name, summarize) {
+  return async (req, res) => {
+    try {
+      const { range, error } = parseRange(req.query);
+
+      if (error) {
+        return res.status(400).json(error);
+      }
+
+      const rollups = await getDailyRollups(range.from, range.to);
+      res.json({ ...range, ...(await summarize(rollups, range)) });
+    } catch (error) {
+      console.error(`Error fetching analytics ${name}:`, error);
+      res.status(500).json({
+        error: `Failed to fetch analytics ${name}`,
+        code: 'FETCH_ERROR'
+      });
+    }
+  };
+}
+
+/**
+ * Add up a count map across daily rollups
+ * @param {Array<Object>} rollups - Daily rollups
+ * @param {Function} pick - (rollup) => map of key to count
+ * @returns {Object} Map of key to total count
+ */
+function sumCounts(rollups, pick) {
+  const totals = {};
+  rollups.forEach(rollup => {
+    Object.entries(pick(rollup)).forEach(([key, count]) => {
+      totals[key] = (totals[key] || 0) + count;
+    });
+  });
+  return totals;
+}
+
+/**
+ * Calculate a click-through rate
+ * @param {number} clicks - Clicks
+ * @param {number} views - Page views
+ * @returns {number|null} Clicks per view, or null when there were no views
+ */
+function clickThroughRate(clicks, views) {
+  return views > 0 ? clicks / views : null;
+}
+
+/**
+ * Merge view and click counts per key into rows sorted by total, largest first
+ * @param {Object} views - Map of key to view count
+ * @param {Object} clicks - Map of key to click count
+ * @param {string} keyName - Property name for the key in each row
+ * @returns {Array<Object>} Rows of { [keyName], views, clicks }
+ */
+function mergeCounts(views, clicks, keyName) {
+  const keys = new Set([...Object.keys(views), ...Object.keys(clicks)]);
+
+  return [...keys]
+    .map(key => ({ [keyName]: key, views: views[key] || 0, clicks: clicks[key] || 0 }))
+    .sort((a, b) => (b.views + b.clicks) - (a.views + a.clicks));
+}
+
+/**
+ * GET /api/admin/analytics/overview
+ * Total page views, daily unique visitors, clicks and click-through rate
+ * Query parameters: days (7, 30 or 90) or from/to (YYYY-MM-DD)
+ */
+router.get('/overview', summaryRoute('overview', rollups => {
+  const views = rollups.reduce((sum, rollup) => sum + rollup.views.total, 0);
+  const clicks = rollups.reduce((sum, rollup) => sum + rollup.clicks.total, 0);
+
+  return {
+    views,
+    // Visitor hashes rotate daily, so this counts distinct visitors per day, added up
+    visitors: rollups.reduce((sum, rollup) => sum + rollup.views.visitors, 0),
+    clicks,
+    clickThroughRate: clickThroughRate(clicks, views)
+  };
+}));
+
+/**
+ * GET /api/admin/analytics/timeseries
+ * Views, visitors and clicks for each day in the range
+ * Query parameters: days (7, 30 or 90) or from/to (YYYY-MM-DD)
+ */
+router.get('/timeseries', summaryRoute('time series', rollups => ({
+  days: rollups.map(rollup => ({
+    date: rollup.date,
+    views: rollup.views.total,
+    visitors: rollup.views.visitors,
+    clicks: rollup.clicks.total
+  }))
+})));
+
+/**
+ * GET /api/admin/analytics/links
+ * Clicks and click-through rate per link, with current labels
+ * Links that no longer exist but were clicked in the range are listed with deleted: true
+ * Query parameters: days (7, 30 or 90) or from/to (YYYY-MM-DD)
+ */
+router.get('/links', summaryRoute('links', async rollups => {
+  const links = await readLinks();
+  const views = rollups.reduce((sum, rollup) => sum + rollup.views.total, 0);
+  const clicks = sumCounts(rollups, rollup => rollup.clicks.links);
+
+  const rows = links
+    .filter(isLink)
+    .sort((a, b) => a.order - b.order)
+    .map(link => ({ linkId: link.id, label: link.label, active: link.active, deleted: false }));
+
+  const knownIds = new Set(links.map(link => link.id));
+  Object.keys(clicks)
+    .filter(linkId => !knownIds.has(linkId))
+    .forEach(linkId => rows.push({ linkId, label: null, active: false, deleted: true }));
+
+  return {
+    links: rows
+      .map(row => ({
+        ...row,
+        clicks: clicks[row.linkId] || 0,
+        clickThroughRate: clickThroughRate(clicks[row.linkId] || 0, views)
+      }))
+      .sort((a, b) => b.clicks - a.clicks)
+  };
+}));
+
+/**
+ * GET /api/admin/analytics/referrers
+ * Top referring sites by views and clicks
+ * Query parameters: days (7, 30 or 90) or from/to (YYYY-MM-DD)
+ */
+router.get('/referrers', summaryRoute('referrers', rollups => ({
+  referrers: mergeCounts(
+    sumCounts(rollups, rollup => rollup.views.referrers),
+    sumCounts(rollups, rollup => rollup.clicks.referrers),
+    'referrer'
+  ).slice(0, TOP_REFERRERS)
+})));
+
+/**
+ * GET /api/admin/analytics/devices
+ * Views and clicks by device class
+ * Query parameters: days (7, 30 or 90) or from/to (YYYY-MM-DD)
+ */
+router.get('/devices', summaryRoute('devices', rollups => ({
+  devices: mergeCounts(
+    sumCounts(rollups, rollup => rollup.views.devices),
+    sumCounts(rollups, rollup => rollup.clicks.devices),
+    'device'
+  )
+})));
+
+/**
+ * GET /api/admin/analytics/clicks
+ * List recorded click events, oldest first
+ * Query parameters: linkId, from, to (YYYY-MM-DD, inclusive, UTC), limit (default and maximum 10000)
+ */
+router.get('/clicks', async (req, res) => {
+  try {
+    const { query, error } = parseEventQuery(req.query);
+
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const limit = req.query.limit === undefined ? MAX_EVENTS : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_EVENTS) {
+      return res.status(400).json({
+        error: `limit must be a whole number between 1 and ${MAX_EVENTS}`,
+        code: 'INVALID_LIMIT'
+      });
+    }
+
+    const { events, truncated } = await queryEvents('click', query, limit);
+
+    res.json({
+      count: events.length,
+      truncated,
+      events
+    });
+  } catch (error) {
+    console.error('Error fetching clicks:', error);
+    res.status(500).json({
+      error: 'Failed to fetch click events',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * Write a chunk to a streaming response, waiting if the client is reading slower than we write
+ * @param {Object} res - Express response
+ * @param {string} chunk - Text to write
+ * @returns {Promise<void>}
+ */
+async function writeChunk(res, chunk) {
+  if (res.write(chunk)) {
+    return;
+  }
+
+  // Also give up waiting if the client goes away
+  await new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Produce the rows of an analytics export
+ * @param {string} data - Data set (events or daily)
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @param {string} linkId - Only include this link, or undefined for all
+ * @param {Function} labelFor - (linkId) => current link label
+ * @returns {AsyncGenerator<Object>} Rows with the data set's columns
+ */
+async function* exportRows(data, range, linkId, labelFor) {
+  if (data === 'events') {
+    for await (const event of readAllEvents({ ...range, linkId })) {
+      yield {
+        type: event.type,
+        timestamp: event.timestamp,
+        linkId: event.linkId || null,
+        linkLabel: event.linkId ? labelFor(event.linkId) : null,
+        referrer: event.referrer || null,
+        device: event.device,
+        visitor: event.visitor
+      };
+    }
+    return;
+  }
+
+  for (const rollup of await getDailyRollups(range.from, range.to)) {
+    const clicks = linkId ? rollup.clicks.links[linkId] || 0 : rollup.clicks.total;
+
+    yield {
+      date: rollup.date,
+      views: rollup.views.total,
+      visitors: rollup.views.visitors,
+      clicks,
+      clickThroughRate: clickThroughRate(clicks, rollup.views.total),
+      linkId: linkId || null,
+      linkLabel: linkId ? labelFor(linkId) : null
+    };
+  }
+}
+
+/**
+ * GET /api/admin/analytics/export
+ * Download analytics as CSV or JSON, streamed row by row
+ * Query parameters:
+ *   format: csv (default) or json
+ *   data: events (default; every raw page view and click) or daily (totals per day)
+ *   days (7, 30 or 90) or from/to (YYYY-MM-DD), as for the summary endpoints
+ *   linkId: only clicks on this link
+ * Link IDs are exported alongside the link's current label
+ */
+router.get('/export', async (req, res) => {
+  const format = req.query.format === undefined ? 'csv' : req.query.format;
+  const data = req.query.data === undefined ? 'events' : req.query.data;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: `format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+      code: 'INVALID_FORMAT'
+    });
+  }
+
+  if (!EXPORT_DATA.includes(data)) {
+    return res.status(400).json({
+      error: `data must be one of: ${EXPORT_DATA.join(', ')}`,
+      code: 'INVALID_INPUT'
+    });
+  }
+
+  const { range, error } = parseRange(req.query);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  const { query, error: queryError } = parseEventQuery({ linkId: req.query.linkId });
+  if (queryError) {
+    return res.status(400).json(queryError);
+  }
+
+  let labels;
+  try {
+    const links = await readLinks();
+    labels = new Map(links.map(link => [link.id, link.label]));
+  } catch (error) {
+    console.error('Error reading links for export:', error);
+    return res.status(500).json({
+      error: 'Failed to export analytics',
+      code: 'EXPORT_ERROR'
+    });
+  }
+
+  const labelFor = id => labels.get(id) || DELETED_LINK_LABEL;
+  const columns = EXPORT_COLUMNS[data];
+  const filename = `analytics-${data}-${range.from}-to-${range.to}.${format}`;
+
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  try {
+    let count = 0;
+
+    if (format === 'csv') {
+      await writeChunk(res, toCSVRow(columns));
+    } else {
+      await writeChunk(res, `{"data":${JSON.stringify(data)},"from":"${range.from}","to":"${range.to}","rows":[`);
+    }
+
+    for await (const row of exportRows(data, range, query.linkId, labelFor)) {
+      if (res.destroyed) {
+        return;
+      }
+
+      if (format === 'csv') {
+        await writeChunk(res, toCSVRow(columns.map(column => row[column])));
+      } else {
+        await writeChunk(res, `${count > 0 ? ',' : ''}\n${JSON.stringify(row)}`);
+      }
+      count += 1;
+    }
+
+    res.end(format === 'json' ? '\n]}\n' : undefined);
+  } catch (error) {
+    console.error('Error exporting analytics:', error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: 'Failed to export analytics',
+        code: 'EXPORT_ERROR'
+      });
+    }
+
+    // Part of the file has been sent; cut the connection so the download is not mistaken for complete
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { onChange } = require('../utils/storage');
+
+const router = express.Router();
+
+// Apply authentication middleware to the event stream
+router.use(requireAuth);
+
+// Resources whose changes are announced to open admin panels
+const BROADCAST_RESOURCES = ['links', 'theme', 'profile', 'config'];
+
+// A comment is sent this often so proxies don't close an idle stream
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// How long a browser waits before reconnecting a dropped stream
+const RECONNECT_DELAY_MS = 5000;
+
+// Responses of the admin panels currently listening, each with the request that opened it
+const clients = new Map();
+
+/**
+ * Check whether the session a stream was opened with is still signed in
+ * Sessions end on logout or when they expire, long before the stream does
+ * @param {Object} req - Request that opened the stream
+ * @returns {Promise<boolean>} True if the session still exists and is authenticated
+ */
+function isSessionActive(req) {
+  return new Promise(resolve => {
+    req.sessionStore.get(req.sessionID, (error, session) => {
+      resolve(!error && Boolean(session && session.isAuthenticated));
+    });
+  });
+}
+
+/**
+ * Write to every connected admin panel whose session is still active, and end the streams of the rest
+ * The browser then reconnects, is refused with a 401, and the admin panel goes back to the login screen
+ * @param {string} message - Raw event-stream text
+ */
+function send(message) {
+  clients.forEach((req, res) => {
+    isSessionActive(req).then(active => {
+      if (!clients.has(res)) {
+        return;
+      }
+      if (active) {
+        res.write(message);
+      } else {
+        clients.delete(res);
+        res.end();
+      }
+    });
+  });
+}
+
+/**
+ * Send one Server-Sent Event to every connected admin panel
+ * @param {string} event - Event name
+ * @param {Object} data - Event data, sent as JSON
+ */
+function broadcast(event, data) {
+  send(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+onChange((resource, { username = null, clientId = null } = {}) => {
+  if (BROADCAST_RESOURCES.includes(resource)) {
+    broadcast('change', { resource, username, clientId, timestamp: new Date().toISOString() });
+  }
+  // New link health results are announced separately; they aren't edits and have no revision
+  if (resource === 'health') {
+    broadcast('health', { timestamp: new Date().toISOString() });
+  }
+});
+
+// Unref'd so the timer never keeps the process alive on its own
+setInterval(() => {
+  send(': heartbeat\n\n');
+}, HEARTBEAT_INTERVAL_MS).unref();
+
+/**
+ * GET /api/admin/events
+ * Server-Sent Events stream announcing changes to links, theme, profile and config
+ * Each change is a "change" event with data { resource, username, clientId, timestamp };
+ * username and clientId are null for changes made outside the admin panel (e.g. by editing the data files)
+ * A "health" event with data { timestamp } announces new link health check results
+ * The stream ends at the first event or heartbeat after the session is logged out or expires
+ */
+router.get('/', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive',
+    // Stop reverse proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  clients.set(res, req);
+  req.on('close', () => {
+    clients.delete(res);
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const { getCached, sendCached } = require('../utils/cache');
+const { PAGE_RESOURCES, buildPageModel } = require('../utils/page');
+const { renderLandingPage } = require('../utils/render');
+
+/**
+ * GET /
+ * Server-rendered landing page with the profile, links and theme already in the HTML,
+ * so it works without JavaScript and crawlers see the content
+ * The rendered page is cached until the next write to links, theme or profile, or until a scheduled link is published or expires
+ */
+router.get(['/', '/index.html'], async (req, res) => {
+  try {
+    const response = await getCached('landing', PAGE_RESOURCES, async expireAt => renderLandingPage(await buildPageModel(expireAt)), { type: 'html' });
+    sendCached(req, res, response);
+  } catch (error) {
+    console.error('Error rendering landing page:', error);
+
+    // Fall back to the static shell; landing.js will load the content and show any error itself
+    res.sendFile(path.join(__dirname, '../../public/index.html'));
+  }
+});
+
+module.exports = router;
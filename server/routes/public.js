@@ -1,21 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const { readLinks, readTheme, readProfile } = require('../utils/storage');
+const { getCached, sendCached } = require('../utils/cache');
+const { PAGE_RESOURCES, getActiveLinks, buildPageModel } = require('../utils/page');
+const { nextScheduleChange } = require('../utils/schedule');
+const { recordView } = require('../utils/analytics');
 
 /**
  * GET /api/links
- * Returns all active links in order
+ * Returns all active links inside their schedule window, in order
+ * Served from the response cache with ETag/Last-Modified revalidation; the cached list
+ * is rebuilt when the next scheduled link is published or expires
  */
 router.get('/links', async (req, res) => {
   try {
-    const links = await readLinks();
-    
-    // Filter active links and sort by order
-    const activeLinks = links
-      .filter(link => link.active)
-      .sort((a, b) => a.order - b.order);
-    
-    res.json(activeLinks);
+    const response = await getCached('links', ['links'], async expireAt => {
+      const links = await readLinks();
+      expireAt(nextScheduleChange(links));
+      return getActiveLinks(links);
+    });
+
+    sendCached(req, res, response);
   } catch (error) {
     console.error('Error fetching links:', error);
     
@@ -33,6 +38,13 @@ router.get('/links', async (req, res) => {
         code: 'INVALID_JSON'
       });
     }
+
+    if (error.code === 'INVALID_DATA') {
+      return res.status(500).json({
+        error: 'Links data does not match its schema',
+        code: 'INVALID_DATA'
+      });
+    }
     
     res.status(500).json({ 
       error: 'Failed to fetch links',
@@ -43,12 +55,12 @@ router.get('/links', async (req, res) => {
 
 /**
  * GET /api/theme
- * Returns current theme settings
+ * Returns current theme settings (cached like /api/links)
  */
 router.get('/theme', async (req, res) => {
   try {
-    const theme = await readTheme();
-    res.json(theme);
+    const response = await getCached('theme', ['theme'], readTheme);
+    sendCached(req, res, response);
   } catch (error) {
     console.error('Error fetching theme:', error);
     
@@ -66,6 +78,13 @@ router.get('/theme', async (req, res) => {
         code: 'INVALID_JSON'
       });
     }
+
+    if (error.code === 'INVALID_DATA') {
+      return res.status(500).json({
+        error: 'Theme data does not match its schema',
+        code: 'INVALID_DATA'
+      });
+    }
     
     res.status(500).json({ 
       error: 'Failed to fetch theme',
@@ -76,12 +95,12 @@ router.get('/theme', async (req, res) => {
 
 /**
  * GET /api/profile
- * Returns profile photo and bio
+ * Returns profile photo and bio (cached like /api/links)
  */
 router.get('/profile', async (req, res) => {
   try {
-    const profile = await readProfile();
-    res.json(profile);
+    const response = await getCached('profile', ['profile'], readProfile);
+    sendCached(req, res, response);
   } catch (error) {
     console.error('Error fetching profile:', error);
     
@@ -99,6 +118,13 @@ router.get('/profile', async (req, res) => {
         code: 'INVALID_JSON'
       });
     }
+
+    if (error.code === 'INVALID_DATA') {
+      return res.status(500).json({
+        error: 'Profile data does not match its schema',
+        code: 'INVALID_DATA'
+      });
+    }
     
     res.status(500).json({ 
       error: 'Failed to fetch profile',
@@ -107,4 +133,64 @@ router.get('/profile', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/page
+ * Returns the whole page model in one versioned document:
+ * { version, theme, profile, links } with only the links visitors should see, in order
+ * Cached like /api/links; invalidated by a change to any of its parts or a scheduled link change
+ */
+router.get('/page', async (req, res) => {
+  try {
+    const response = await getCached('page', PAGE_RESOURCES, buildPageModel);
+    sendCached(req, res, response);
+  } catch (error) {
+    console.error('Error fetching page:', error);
+
+    // Handle specific error cases
+    if (error.code === 'NOT_FOUND') {
+      return res.status(500).json({
+        error: 'Page data file not found',
+        code: 'FILE_NOT_FOUND'
+      });
+    }
+
+    if (error.message.includes('Invalid JSON')) {
+      return res.status(500).json({
+        error: 'Page data file is corrupted',
+        code: 'INVALID_JSON'
+      });
+    }
+
+    if (error.code === 'INVALID_DATA') {
+      return res.status(500).json({
+        error: 'Page data does not match its schema',
+        code: 'INVALID_DATA'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to fetch page',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/view
+ * Page-view beacon sent by landing.js, with the page's referrer: { referrer }
+ * Always answers 204, whether or not the view was recorded, so a failure never shows on the page
+ */
+router.post('/view', async (req, res) => {
+  const referrer = req.body && typeof req.body.referrer === 'string' ? req.body.referrer : '';
+
+  try {
+    await recordView(req, referrer);
+  } catch (error) {
+    console.error('Error recording view:', error);
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.status(204).end();
+});
+
 module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const { readLinks, readConfig } = require('../utils/storage');
+const { recordClick } = require('../utils/analytics');
+const { isLinkLive } = require('../utils/schedule');
+const { isLink } = require('../utils/blocks');
+const { findLinkBySlug } = require('../utils/slugs');
+
+/**
+ * GET /go/:linkId
+ * Record a click on a live link (active and inside its schedule window), then redirect to its URL
+ * With ?to=app, a link that has an app URL redirects there instead; the landing page uses this on phones
+ * A failure to record the click never keeps the visitor from their destination
+ */
+router.get('/go/:linkId', async (req, res) => {
+  try {
+    const links = await readLinks();
+    const link = links.find(item => item.id === req.params.linkId && isLink(item) && isLinkLive(item));
+
+    if (!link) {
+      return res.status(404).type('text').send('Link not found');
+    }
+
+    try {
+      await recordClick(req, link);
+    } catch (error) {
+      console.error('Error recording click:', error);
+    }
+
+    // Not cacheable, so every click reaches the server and is counted
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, req.query.to === 'app' && link.appUrl ? link.appUrl : link.url);
+  } catch (error) {
+    console.error('Error following link:', error);
+    res.status(500).type('text').send('Failed to follow link');
+  }
+});
+
+/**
+ * GET /s/:slug
+ * Follow a short link to its link's current URL, recording the click
+ * Printed short links must keep working, so the link's active state and schedule are ignored;
+ * an unknown slug redirects to the configured fallback, or the landing page, as does a failure to read the data
+ */
+router.get('/s/:slug', async (req, res) => {
+  try {
+    const links = await readLinks();
+    const link = findLinkBySlug(links, req.params.slug);
+
+    // Not cacheable, so a changed destination or slug takes effect at once and every click is counted
+    res.set('Cache-Control', 'no-store');
+
+    if (!link) {
+      const config = await readConfig();
+      return res.redirect(302, config.shortLinkFallbackUrl || '/');
+    }
+
+    try {
+      await recordClick(req, link);
+    } catch (error) {
+      console.error('Error recording click:', error);
+    }
+
+    res.redirect(302, link.url);
+  } catch (error) {
+    // Short links are printed and shared, so visitors land on the page instead of an error
+    console.error('Error following short link:', error);
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, '/');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+/**
+ * Config schemas
+ * `config` describes config.json; `configUpdate` is the admin API payload.
+ * API credentials may be left out of an update, but cannot be set to an empty value.
+ * `timezone` is the zone the admin panel shows and enters link schedule times in.
+ * `shortLinkFallbackUrl` is where /s/<slug> sends visitors for an unknown slug; empty means the landing page.
+ * `storageDriver` picks the storage backend; it is only read from data/config.json, and can't be changed from the admin API.
+ */
+
+const credential = { type: 'string', maxLength: 200 };
+const timezone = { type: 'string', maxLength: 100, format: 'timezone' };
+const shortLinkFallbackUrl = { type: 'string', maxLength: 2048, format: 'web-url-or-empty' };
+
+const config = {
+  type: 'object',
+  properties: {
+    nounProjectApiKey: credential,
+    nounProjectApiSecret: credential,
+    timezone,
+    shortLinkFallbackUrl,
+    storageDriver: { type: 'string', enum: ['json', 'sqlite'] }
+  }
+};
+
+const configUpdate = {
+  type: 'object',
+  properties: {
+    nounProjectApiKey: { ...credential, minLength: 1 },
+    nounProjectApiSecret: { ...credential, minLength: 1 },
+    timezone,
+    shortLinkFallbackUrl
+  },
+  additionalProperties: false
+};
+
+module.exports = {
+  config,
+  configUpdate
+};
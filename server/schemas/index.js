@@ -0,0 +1,27 @@
+/**
+ * All declarative schemas, by name
+ *
+ * Resource schemas (`links`, `theme`, `profile`, `config`) are enforced when
+ * data is read from or written to storage. Payload schemas (`linkCreate`,
+ * `linkUpdate`, `linkReorder`, `linkUnfurl`, `themeUpdate`, `profileUpdate`,
+ * `configUpdate`) are enforced on admin API requests.
+ */
+const { link, links, linkCreate, linkUpdate, linkReorder, linkUnfurl } = require('./link');
+const { theme, themeUpdate } = require('./theme');
+const { profile, profileUpdate } = require('./profile');
+const { config, configUpdate } = require('./config');
+
+module.exports = {
+  link,
+  links,
+  linkCreate,
+  linkUpdate,
+  linkReorder,
+  linkUnfurl,
+  theme,
+  themeUpdate,
+  profile,
+  profileUpdate,
+  config,
+  configUpdate
+};
@@ -0,0 +1,171 @@
+/**
+ * Link schemas
+ * `link` describes one entry of links.json; the payload schemas describe
+ * what the admin API accepts when creating, updating or reordering links.
+ * Besides links, an entry can be a section header, a text paragraph or a divider,
+ * told apart by its `type` and ordered together with the links.
+ */
+
+const { EMBED_PROVIDER_IDS } = require('../utils/embeds');
+
+const BLOCK_TYPES = ['link', 'header', 'text', 'divider'];
+const VISUAL_TYPES = ['none', 'image', 'icon', 'embed'];
+const TEXT_MAX_LENGTH = 1000;
+
+// Fields each block type uses, besides id, type, order, active and the schedule times
+const BLOCK_FIELDS = {
+  link: ['label', 'url', 'appUrl', 'slug', 'visualType', 'imageUrl', 'iconId', 'iconUrl'],
+  header: ['title', 'collapsible', 'collapsed'],
+  text: ['text'],
+  divider: []
+};
+
+const linkProperties = {
+  id: { type: 'string', minLength: 1, maxLength: 100 },
+  type: { enum: BLOCK_TYPES },
+  label: { type: 'string', minLength: 1, maxLength: 100 },
+  // A web page, or a mailto:, tel:, sms: or app link (see server/utils/schemes.js)
+  url: { type: 'string', maxLength: 2048, format: 'link-url' },
+  // Opened instead of url on phones and tablets, where the app may be installed; empty clears it
+  appUrl: { type: 'string', maxLength: 2048, format: 'app-url-or-empty' },
+  // Short link name, served at /s/<slug>; unique among links, checked by the admin routes; empty clears it
+  slug: { type: 'string', maxLength: 64, format: 'slug-or-empty' },
+  visualType: { enum: VISUAL_TYPES },
+  // A web URL or uploaded media (/media/...)
+  imageUrl: { type: 'string', maxLength: 2048, format: 'image-url-or-empty' },
+  iconId: { type: 'string', maxLength: 100 },
+  iconUrl: { type: 'string', maxLength: 2048, format: 'web-url-or-empty' },
+  // Parsed from the URL of an embed link by the server; never sent by clients
+  embedProvider: { enum: EMBED_PROVIDER_IDS },
+  embedId: { type: 'string', minLength: 1, maxLength: 300 },
+  title: { type: 'string', minLength: 1, maxLength: 100 },
+  // A collapsible header lets visitors fold away the blocks under it; collapsed is its initial state
+  collapsible: { type: 'boolean' },
+  collapsed: { type: 'boolean' },
+  text: { type: 'string', minLength: 1, maxLength: TEXT_MAX_LENGTH },
+  order: { type: 'integer', minimum: 0 },
+  active: { type: 'boolean' },
+  publishAt: { type: 'string', format: 'timestamp' },
+  expireAt: { type: 'string', format: 'timestamp' }
+};
+
+// Payloads send null to clear a schedule time
+const scheduleProperties = {
+  publishAt: { type: ['string', 'null'], format: 'timestamp' },
+  expireAt: { type: ['string', 'null'], format: 'timestamp' }
+};
+
+// Each block type requires its content; a payload without a type creates a link
+const blockTypeRules = [
+  {
+    if: { properties: { type: { const: 'link' } } },
+    then: { required: ['label', 'url'] }
+  },
+  {
+    if: { required: ['type'], properties: { type: { const: 'header' } } },
+    then: { required: ['title'] }
+  },
+  {
+    if: { required: ['type'], properties: { type: { const: 'text' } } },
+    then: { required: ['text'] }
+  }
+];
+
+// Image links need an image URL, icon links need the selected icon
+const visualTypeRules = [
+  {
+    if: { required: ['visualType'], properties: { visualType: { const: 'image' } } },
+    then: { required: ['imageUrl'], properties: { imageUrl: { minLength: 1 } } }
+  },
+  {
+    if: { required: ['visualType'], properties: { visualType: { const: 'icon' } } },
+    then: { required: ['iconId', 'iconUrl'], properties: { iconId: { minLength: 1 }, iconUrl: { minLength: 1 } } }
+  }
+];
+
+/**
+ * Pick a subset of the link properties
+ * @param {Array<string>} names - Property names
+ * @returns {Object} Properties object
+ */
+function pickProperties(names) {
+  return Object.fromEntries(names.map(name => [name, linkProperties[name]]));
+}
+
+// Stored embed links carry what the server parsed from their URL
+const embedRule = {
+  if: { required: ['visualType'], properties: { visualType: { const: 'embed' } } },
+  then: { required: ['embedProvider', 'embedId'] }
+};
+
+const link = {
+  type: 'object',
+  required: ['id', 'type', 'order', 'active'],
+  properties: linkProperties,
+  allOf: [...blockTypeRules, ...visualTypeRules, embedRule]
+};
+
+const links = {
+  type: 'array',
+  items: link
+};
+
+const blockContentFields = Object.values(BLOCK_FIELDS).flat();
+
+// Only the fields of the block's own type may be sent; the admin routes check that
+const linkCreate = {
+  type: 'object',
+  properties: {
+    ...pickProperties(['type', ...blockContentFields]),
+    ...scheduleProperties
+  },
+  additionalProperties: false,
+  allOf: [...blockTypeRules, ...visualTypeRules]
+};
+
+// A block's type cannot be changed
+const linkUpdate = {
+  type: 'object',
+  properties: {
+    ...pickProperties([...blockContentFields, 'active']),
+    ...scheduleProperties
+  },
+  additionalProperties: false,
+  allOf: visualTypeRules
+};
+
+const linkReorder = {
+  type: 'object',
+  required: ['linkIds'],
+  properties: {
+    linkIds: {
+      type: 'array',
+      items: linkProperties.id,
+      uniqueItems: true
+    }
+  },
+  additionalProperties: false
+};
+
+// Page to preview for the link form (see server/utils/unfurl.js)
+const linkUnfurl = {
+  type: 'object',
+  required: ['url'],
+  properties: {
+    url: { type: 'string', maxLength: 2048, format: 'web-url' }
+  },
+  additionalProperties: false
+};
+
+module.exports = {
+  BLOCK_TYPES,
+  BLOCK_FIELDS,
+  VISUAL_TYPES,
+  TEXT_MAX_LENGTH,
+  link,
+  links,
+  linkCreate,
+  linkUpdate,
+  linkReorder,
+  linkUnfurl
+};
@@ -0,0 +1,37 @@
+/**
+ * Profile schemas
+ * `profile` describes profile.json; `profileUpdate` is the admin API payload,
+ * where every field is optional and only the provided ones change.
+ */
+
+const BIO_MAX_LENGTH = 500;
+const DESCRIPTION_MAX_LENGTH = 300;
+
+// displayName, pageTitle, description and shareImageUrl feed the page title and social/search metadata
+// Images are web URLs or uploaded media (/media/...)
+const profileProperties = {
+  photoUrl: { type: 'string', maxLength: 2048, format: 'image-url-or-empty' },
+  bio: { type: 'string', maxLength: BIO_MAX_LENGTH },
+  displayName: { type: 'string', maxLength: 100 },
+  pageTitle: { type: 'string', maxLength: 100 },
+  description: { type: 'string', maxLength: DESCRIPTION_MAX_LENGTH },
+  shareImageUrl: { type: 'string', maxLength: 2048, format: 'image-url-or-empty' }
+};
+
+const profile = {
+  type: 'object',
+  properties: profileProperties
+};
+
+const profileUpdate = {
+  type: 'object',
+  properties: profileProperties,
+  additionalProperties: false
+};
+
+module.exports = {
+  BIO_MAX_LENGTH,
+  DESCRIPTION_MAX_LENGTH,
+  profile,
+  profileUpdate
+};
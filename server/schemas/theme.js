@@ -0,0 +1,33 @@
+/**
+ * Theme schemas
+ * `theme` describes theme.json; `themeUpdate` is the admin API payload,
+ * where every field is optional and only the provided ones change.
+ */
+
+const hexColor = { type: 'string', format: 'hex-color' };
+
+const themeProperties = {
+  backgroundColor: hexColor,
+  // A web URL or uploaded media (/media/...)
+  backgroundImageUrl: { type: 'string', maxLength: 2048, format: 'image-url-or-empty' },
+  textColor: hexColor,
+  buttonColor: hexColor,
+  buttonTextColor: hexColor
+};
+
+const theme = {
+  type: 'object',
+  required: ['backgroundColor', 'textColor', 'buttonColor', 'buttonTextColor'],
+  properties: themeProperties
+};
+
+const themeUpdate = {
+  type: 'object',
+  properties: themeProperties,
+  additionalProperties: false
+};
+
+module.exports = {
+  theme,
+  themeUpdate
+};
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const { updateAnalyticsState, appendEvent, readEvents } = require('./storage');
+const { getDeviceClass } = require('./useragent');
+const { EVENT_TYPES } = require('./drivers/common');
+
+// Today's salt, kept in memory once loaded
+let dailySalt = null;
+
+/**
+ * Get the current UTC day
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Get the salt for a day, replacing the stored salt when the day changes
+ * Only the current salt is ever kept, so once a day is over its visitor hashes can no longer be
+ * linked to an IP address, or to the same visitor on another day.
+ * @param {string} date - Day as YYYY-MM-DD
+ * @returns {Promise<string>} Salt
+ */
+async function getDailySalt(date) {
+  if (dailySalt && dailySalt.date === date) {
+    return dailySalt.salt;
+  }
+
+  let salt;
+
+  await updateAnalyticsState(state => {
+    if (state && state.saltDate === date) {
+      salt = state.salt;
+      return undefined;
+    }
+
+    salt = crypto.randomBytes(32).toString('hex');
+    return { ...state, saltDate: date, salt };
+  });
+
+  dailySalt = { date, salt };
+  return salt;
+}
+
+/**
+ * Hash a visitor's IP address and User-Agent with the daily salt
+ * @param {string} ip - Client IP address
+ * @param {string} userAgent - User-Agent header value
+ * @param {string} date - Day as YYYY-MM-DD
+ * @returns {Promise<string>} Visitor hash, stable for one visitor within one day
+ */
+async function getVisitorHash(ip, userAgent, date) {
+  const salt = await getDailySalt(date);
+  return crypto.createHash('sha256').update(`${salt}\n${ip}\n${userAgent}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Reduce a Referer header to its origin and path, dropping query strings that may identify the visitor
+ * @param {string} referrer - Referer header value
+ * @returns {string} Cleaned referrer, empty if missing or not a web URL
+ */
+function cleanReferrer(referrer) {
+  try {
+    const url = new URL(referrer);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return '';
+    }
+    return `${url.origin}${url.pathname}`;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Record an analytics event for a request
+ * Requests from bots and preview fetchers are not recorded.
+ * @param {string} type - Event type (click or view)
+ * @param {Object} req - Express request
+ * @param {string} referrer - Page the visitor came from, cleaned before it is stored
+ * @param {Object} fields - Extra event fields
+ * @returns {Promise<boolean>} True if the event was recorded
+ */
+async function recordEvent(type, req, referrer, fields = {}) {
+  const userAgent = req.get('User-Agent') || '';
+  const device = getDeviceClass(userAgent);
+
+  if (device === 'bot') {
+    return false;
+  }
+
+  const timestamp = new Date().toISOString();
+
+  await appendEvent(type, {
+    timestamp,
+    ...fields,
+    referrer: cleanReferrer(referrer),
+    device,
+    visitor: await getVisitorHash(req.ip, userAgent, timestamp.slice(0, 10))
+  });
+
+  return true;
+}
+
+/**
+ * Work out where a click came from
+ * A click on the landing page has the page itself as its Referer (or none, for links opening in a new tab),
+ * so landing.js sends the page's own referrer as ?ref= instead. Without it, e.g. with JavaScript disabled,
+ * a Referer from this site says nothing about where the visitor came from and is left out.
+ * @param {Object} req - Express request for the click
+ * @returns {string} Referrer, empty if unknown
+ */
+function clickReferrer(req) {
+  if (typeof req.query.ref === 'string') {
+    return req.query.ref;
+  }
+
+  const referrer = req.get('Referer') || '';
+  try {
+    return new URL(referrer).hostname === req.hostname ? '' : referrer;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Record a click on a link
+ * @param {Object} req - Express request for the click
+ * @param {Object} link - Link that was clicked
+ * @returns {Promise<boolean>} True if the click was recorded
+ */
+async function recordClick(req, link) {
+  return recordEvent('click', req, clickReferrer(req), { linkId: link.id });
+}
+
+/**
+ * Record a view of the landing page
+ * The beacon comes from the page itself, so the page's own referrer is sent in the body
+ * @param {Object} req - Express request for the beacon
+ * @param {string} referrer - document.referrer of the viewed page
+ * @returns {Promise<boolean>} True if the view was recorded
+ */
+async function recordView(req, referrer) {
+  return recordEvent('view', req, referrer);
+}
+
+/**
+ * Collect stored events into an array
+ * @param {string} type - Event type (click or view)
+ * @param {Object} query - { from, to: YYYY-MM-DD inclusive, linkId }
+ * @param {number} limit - Maximum number of events to return
+ * @returns {Promise<Object>} { events, truncated }
+ */
+async function queryEvents(type, query, limit) {
+  const events = [];
+
+  for await (const event of readEvents(type, query)) {
+    if (events.length === limit) {
+      return { events, truncated: true };
+    }
+    events.push(event);
+  }
+
+  return { events, truncated: false };
+}
+
+/**
+ * Read events of every type merged into one stream, oldest first
+ * Each driver returns one type in timestamp order, so the streams are merged one event at a time.
+ * @param {Object} query - { from, to: YYYY-MM-DD inclusive, linkId }
+ * @returns {AsyncGenerator<Object>} Events with their type added: { type, ...event }
+ */
+async function* readAllEvents(query) {
+  const streams = EVENT_TYPES.map(type => ({ type, events: readEvents(type, query)[Symbol.asyncIterator]() }));
+
+  try {
+    const heads = await Promise.all(streams.map(stream => stream.events.next()));
+
+    while (true) {
+      let next = -1;
+      heads.forEach((head, index) => {
+        if (!head.done && (next === -1 || head.value.timestamp < heads[next].value.timestamp)) {
+          next = index;
+        }
+      });
+
+      if (next === -1) {
+        return;
+      }
+
+      yield { type: streams[next].type, ...heads[next].value };
+      heads[next] = await streams[next].events.next();
+    }
+  } finally {
+    // Close the underlying reads if the consumer stops early
+    await Promise.all(streams.map(stream => stream.events.return()));
+  }
+}
+
+module.exports = {
+  today,
+  getVisitorHash,
+  cleanReferrer,
+  recordClick,
+  recordView,
+  queryEvents,
+  readAllEvents
+};
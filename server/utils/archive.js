@@ -0,0 +1,496 @@
+const fs = require('fs').promises;
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { DATA_DIR, MEDIA_DIR } = require('./drivers/common');
+const { atomicWriteFile } = require('./drivers/json');
+const { isMediaFileName, isMediaURL, sniffImageFormat } = require('./media');
+const { migrateData, getLatestVersion } = require('./migrator');
+const { validate, describeError } = require('./validation');
+const { isLink } = require('./blocks');
+const { validateSchedule } = require('./schedule');
+const { validateAppLink } = require('./schemes');
+const { validateSlug } = require('./slugs');
+const { applyEmbed } = require('./embeds');
+const {
+  readLinks,
+  updateLinks,
+  readTheme,
+  updateTheme,
+  readProfile,
+  updateProfile,
+  readConfig,
+  updateConfig,
+  readRawResource,
+  writeRawResource,
+  writeJSONFile,
+  lockResources,
+  readSchemaVersion
+} = require('./storage');
+
+// Identifies archives produced by this application
+const ARCHIVE_FORMAT = 'link-sharing-page-export';
+const ARCHIVE_FORMAT_VERSION = 1;
+
+// Config keys that hold credentials; only exported when explicitly requested
+const SECRET_CONFIG_KEYS = ['nounProjectApiKey', 'nounProjectApiSecret'];
+
+// Config keys describing this server rather than the site; never exported or imported
+const SERVER_CONFIG_KEYS = ['storageDriver'];
+
+// Largest archive accepted for import, and produced by export, so every export can be imported again
+const MAX_ARCHIVE_SIZE = 200 * 1024 * 1024;
+
+// Largest size one entry, and all entries together, may unpack to, so a small archive can't expand to fill memory
+const MAX_ENTRY_SIZE = 20 * 1024 * 1024;
+const MAX_UNPACKED_SIZE = 200 * 1024 * 1024;
+
+// Format each stored media extension must contain, checked against the file's first bytes
+const MEDIA_EXTENSION_FORMATS = { jpg: 'jpeg', png: 'png', webp: 'webp' };
+
+// Resources an import replaces or merges into, in the order they are written
+const IMPORTED_RESOURCES = ['links', 'theme', 'profile', 'config'];
+
+// Snapshots of the data an import replaced, next to the schema migration backups
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+
+/**
+ * Create an error describing why an archive was rejected
+ * @param {string} message - Summary message
+ * @param {Array<string>} details - Individual problems found
+ * @returns {Error} Error with code INVALID_ARCHIVE
+ */
+function invalidArchiveError(message, details = []) {
+  const error = new Error(message);
+  error.code = 'INVALID_ARCHIVE';
+  error.details = details;
+  return error;
+}
+
+/**
+ * Create the error thrown when a site is too large to export as an archive import would accept
+ * @param {number} size - Size of the site's data and media, in bytes
+ * @returns {Error} Error with code ARCHIVE_TOO_LARGE
+ */
+function archiveTooLargeError(size) {
+  const error = new Error(`The site's data and media take ${Math.ceil(size / (1024 * 1024))} MB; archives can hold at most ${MAX_ARCHIVE_SIZE / (1024 * 1024)} MB. Delete unused images from the media library and try again.`);
+  error.code = 'ARCHIVE_TOO_LARGE';
+  return error;
+}
+
+/**
+ * List uploaded media files, ignoring a missing media directory
+ * @returns {Promise<Array<string>>} File names in the media directory
+ */
+async function listMediaFiles() {
+  try {
+    const entries = await fs.readdir(MEDIA_DIR, { withFileTypes: true });
+    return entries.filter(entry => entry.isFile() && isMediaFileName(entry.name)).map(entry => entry.name);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Build an export archive of the whole site
+ * auth.json is never included. Secret config keys are left out unless includeSecrets is set.
+ * Sites larger than import accepts are refused with ARCHIVE_TOO_LARGE rather than exported.
+ * @param {Object} options - { includeSecrets: include API credentials from config }
+ * @returns {Promise<Buffer>} Zip archive contents
+ */
+async function createArchive({ includeSecrets = false } = {}) {
+  const [links, theme, profile, config, schemaVersion, mediaFiles] = await Promise.all([
+    readLinks(),
+    readTheme(),
+    readProfile(),
+    readConfig(),
+    readSchemaVersion(),
+    listMediaFiles()
+  ]);
+
+  const exportedConfig = { ...config };
+  SERVER_CONFIG_KEYS.forEach(key => delete exportedConfig[key]);
+  if (!includeSecrets) {
+    SECRET_CONFIG_KEYS.forEach(key => delete exportedConfig[key]);
+  }
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    formatVersion: ARCHIVE_FORMAT_VERSION,
+    schemaVersion,
+    exportedAt: new Date().toISOString(),
+    includesSecrets: includeSecrets,
+    media: mediaFiles
+  };
+
+  const entries = [
+    ['manifest.json', manifest],
+    ['links.json', links],
+    ['theme.json', theme],
+    ['profile.json', profile],
+    ['config.json', exportedConfig]
+  ].map(([name, data]) => [name, Buffer.from(JSON.stringify(data, null, 2), 'utf8')]);
+
+  // Sizes are checked before any media is read, against the limits import enforces
+  const mediaSizes = await Promise.all(mediaFiles.map(async fileName => (await fs.stat(path.join(MEDIA_DIR, fileName))).size));
+  const unpackedSize = [...entries.map(([, contents]) => contents.length), ...mediaSizes].reduce((sum, size) => sum + size, 0);
+  if (unpackedSize > MAX_UNPACKED_SIZE || mediaSizes.some(size => size > MAX_ENTRY_SIZE)) {
+    throw archiveTooLargeError(unpackedSize);
+  }
+
+  const zip = new AdmZip();
+  entries.forEach(([name, contents]) => zip.addFile(name, contents));
+
+  for (const fileName of mediaFiles) {
+    zip.addFile(`media/${fileName}`, await fs.readFile(path.join(MEDIA_DIR, fileName)));
+  }
+
+  const archive = zip.toBuffer();
+  if (archive.length > MAX_ARCHIVE_SIZE) {
+    throw archiveTooLargeError(archive.length);
+  }
+
+  return archive;
+}
+
+/**
+ * Check that no entry unpacks to more than the size limits
+ * zip entries declare their unpacked size, and adm-zip never inflates past it, except for entries
+ * declaring 0 bytes, so an empty entry must also be empty when packed.
+ * @param {AdmZip} zip - Opened archive
+ */
+function checkUnpackedSize(zip) {
+  let total = 0;
+
+  for (const entry of zip.getEntries()) {
+    const { size, compressedSize } = entry.header;
+
+    // An empty deflate stream takes 2 bytes
+    if (size > MAX_ENTRY_SIZE || (size === 0 && compressedSize > 2)) {
+      throw invalidArchiveError(`Archive entry ${entry.entryName} is larger than ${MAX_ENTRY_SIZE / (1024 * 1024)} MB`);
+    }
+
+    total += size;
+  }
+
+  if (total > MAX_UNPACKED_SIZE) {
+    throw invalidArchiveError(`Archive unpacks to more than ${MAX_UNPACKED_SIZE / (1024 * 1024)} MB`);
+  }
+}
+
+/**
+ * Check that an archive entry is an image as saveMedia() stores it
+ * @param {string} name - File name
+ * @param {Buffer} data - File contents
+ * @returns {boolean} True if the name is a media file name and the contents match its extension
+ */
+function isMediaFile(name, data) {
+  if (!isMediaFileName(name)) {
+    return false;
+  }
+
+  const extension = path.extname(name).slice(1);
+  return sniffImageFormat(data) === MEDIA_EXTENSION_FORMATS[extension];
+}
+
+/**
+ * Parse a JSON entry from an archive
+ * @param {AdmZip} zip - Opened archive
+ * @param {string} name - Entry name
+ * @param {boolean} required - Whether a missing entry is an error
+ * @returns {any} Parsed data, or undefined if the entry is missing and optional
+ */
+function readArchiveJSON(zip, name, required = true) {
+  const entry = zip.getEntry(name);
+
+  if (!entry) {
+    if (required) {
+      throw invalidArchiveError(`Archive is missing ${name}`);
+    }
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(entry.getData().toString('utf8'));
+  } catch (error) {
+    throw invalidArchiveError(`Invalid JSON in ${name}`);
+  }
+}
+
+/**
+ * Check imported data against the resource schemas before anything is written
+ * @param {Object} data - { links, theme, profile, config }, already migrated to the latest schema
+ * @returns {Array<string>} Problems found; empty if the data is valid
+ */
+function validateImportData({ links, theme, profile, config }) {
+  const problems = [
+    ...validate('links', links, 'links'),
+    ...validate('theme', theme, 'theme'),
+    ...validate('profile', profile, 'profile'),
+    ...(config === undefined ? [] : validate('config', config, 'config'))
+  ].map(describeError);
+
+  // IDs must be unique for merging and reordering to work; JSON Schema cannot express that
+  if (Array.isArray(links)) {
+    const ids = new Set();
+    links.forEach((link, index) => {
+      if (link && ids.has(link.id)) {
+        problems.push(`links[${index}].id "${link.id}" is duplicated`);
+      } else if (link) {
+        ids.add(link.id);
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Check links against the rules the link routes enforce beyond the schema
+ * Embed links get their provider and media ID parsed from the URL again, as when they are saved.
+ * @param {Array} links - Links about to be written
+ * @returns {Array<string>} Problems found; empty if every link passes
+ */
+function validateLinkRules(links) {
+  const problems = [];
+
+  links.filter(isLink).forEach(link => {
+    const fieldError = validateSchedule(link) || validateAppLink(link) || validateSlug(link, links) || applyEmbed(link);
+    if (fieldError) {
+      problems.push(`links[${links.indexOf(link)}].${describeError(fieldError)}`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Find uploaded images the imported data uses that neither the archive nor this server has
+ * @param {Object} data - { links, theme, profile } from the archive
+ * @param {Set<string>} available - Media file names in the archive or already in the media directory
+ * @returns {Array<string>} Problems found; empty if every image is available
+ */
+function findMissingMedia({ links, theme, profile }, available) {
+  const references = [
+    ['profile.photoUrl', profile.photoUrl],
+    ['profile.shareImageUrl', profile.shareImageUrl],
+    ['theme.backgroundImageUrl', theme.backgroundImageUrl],
+    ...links.map((link, index) => [`links[${index}].imageUrl`, link.imageUrl])
+  ];
+
+  return references
+    .filter(([, url]) => isMediaURL(url) && !available.has(path.basename(url)))
+    .map(([place, url]) => `${place} uses ${url}, which is not in the archive`);
+}
+
+/**
+ * Read the data an import is about to replace, leaving out resources that don't exist yet
+ * @returns {Promise<Object>} Map of resource name to data
+ */
+async function readCurrentData() {
+  const current = {};
+
+  for (const resource of IMPORTED_RESOURCES) {
+    try {
+      current[resource] = await readRawResource(resource);
+    } catch (error) {
+      if (error.code !== 'NOT_FOUND') {
+        throw error;
+      }
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Save a snapshot of the data an import replaces
+ * @param {Object} data - Map of resource name to data
+ * @returns {Promise<string>} Path to the backup file
+ */
+async function writeBackup(data) {
+  await fs.mkdir(BACKUP_DIR, { recursive: true });
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(BACKUP_DIR, `import-${timestamp}.json`);
+
+  await writeJSONFile(backupPath, {
+    createdAt: new Date().toISOString(),
+    resources: data
+  });
+
+  return backupPath;
+}
+
+/**
+ * Merge imported links into existing ones, matching by ID
+ * Imported links replace existing links with the same ID; new links are appended after existing ones.
+ * @param {Array} existing - Current links; none when the links file doesn't exist yet
+ * @param {Array} imported - Links from the archive
+ * @returns {Array} Merged links
+ */
+function mergeLinks(existing = [], imported) {
+  const importedIds = new Set(imported.map(link => link.id));
+  const kept = existing.filter(link => !importedIds.has(link.id));
+  const merged = [...kept.sort((a, b) => a.order - b.order), ...[...imported].sort((a, b) => a.order - b.order)];
+
+  return merged.map((link, index) => ({ ...link, order: index }));
+}
+
+/**
+ * Import an export archive
+ * The archive is migrated to the current schema and fully validated before anything is written.
+ * @param {Buffer} buffer - Zip archive contents
+ * @param {Object} options - { mode: 'replace' | 'merge', username: recorded in the revision history, clientId: admin tab making the import }
+ * @returns {Promise<Object>} Summary of what was imported
+ */
+async function importArchive(buffer, { mode = 'replace', username = null, clientId = null } = {}) {
+  if (mode !== 'replace' && mode !== 'merge') {
+    throw invalidArchiveError('Import mode must be replace or merge');
+  }
+
+  if (buffer.length > MAX_ARCHIVE_SIZE) {
+    throw invalidArchiveError(`Archive is larger than ${MAX_ARCHIVE_SIZE / (1024 * 1024)} MB`);
+  }
+
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+    zip.getEntries();
+  } catch (error) {
+    throw invalidArchiveError('File is not a valid export archive');
+  }
+
+  checkUnpackedSize(zip);
+
+  const manifest = readArchiveJSON(zip, 'manifest.json');
+  if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+    throw invalidArchiveError('Archive was not produced by this application');
+  }
+  if (manifest.formatVersion > ARCHIVE_FORMAT_VERSION) {
+    throw invalidArchiveError(`Archive format version ${manifest.formatVersion} is not supported`);
+  }
+  if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion < 0) {
+    throw invalidArchiveError('Archive manifest has an invalid schemaVersion');
+  }
+  if (manifest.schemaVersion > getLatestVersion()) {
+    throw invalidArchiveError(`Archive schema version ${manifest.schemaVersion} is newer than this server supports (${getLatestVersion()})`);
+  }
+
+  let data = {
+    links: readArchiveJSON(zip, 'links.json'),
+    theme: readArchiveJSON(zip, 'theme.json'),
+    profile: readArchiveJSON(zip, 'profile.json'),
+    config: readArchiveJSON(zip, 'config.json', false)
+  };
+
+  // Migrations map over the links, so at least that much has to hold before running them
+  if (!Array.isArray(data.links)) {
+    throw invalidArchiveError('Archive contains invalid data', ['links.json must contain an array']);
+  }
+
+  try {
+    data = await migrateData(manifest.schemaVersion, data);
+  } catch (error) {
+    throw invalidArchiveError(`Archive data could not be migrated: ${error.message}`);
+  }
+
+  if (data.config) {
+    SERVER_CONFIG_KEYS.forEach(key => delete data.config[key]);
+  }
+
+  const problems = validateImportData(data);
+  if (problems.length > 0) {
+    throw invalidArchiveError('Archive contains invalid data', problems);
+  }
+
+  // Media entries are flattened to bare file names so nothing can be written outside the media directory,
+  // and only images saveMedia() could have written are kept. Entries are unpacked one at a time here to
+  // check them, and again when they are written, so at most one is held in memory.
+  const mediaEntries = zip.getEntries()
+    .filter(entry => !entry.isDirectory && entry.entryName.startsWith('media/'))
+    .map(entry => ({ name: path.basename(entry.entryName), entry }))
+    .filter(({ name, entry }) => isMediaFileName(name) && isMediaFile(name, entry.getData()));
+
+  const hasConfig = !!(data.config && Object.keys(data.config).length > 0);
+  const meta = { username, clientId };
+
+  // The import holds every resource it writes, so no admin save lands between its reads and writes,
+  // and no image it brings in can be deleted before the links using it are saved
+  await lockResources(IMPORTED_RESOURCES, async () => {
+    const current = await readCurrentData();
+
+    // Everything is checked before the first write
+    const links = mode === 'merge' ? mergeLinks(current.links, data.links) : data.links;
+    const linkProblems = validateLinkRules(links);
+    if (linkProblems.length > 0) {
+      const error = new Error('Archive contains links that cannot be saved');
+      error.code = 'INVALID_LINKS';
+      error.details = linkProblems;
+      throw error;
+    }
+
+    const existingMedia = await listMediaFiles();
+    const missingMedia = findMissingMedia(data, new Set([...existingMedia, ...mediaEntries.map(({ name }) => name)]));
+    if (missingMedia.length > 0) {
+      throw invalidArchiveError('Archive uses images it does not contain', missingMedia);
+    }
+
+    const backupPath = await writeBackup(current);
+    const written = [];
+    const addedMedia = [];
+
+    try {
+      // Images first, so the data written next never points at a file that isn't there yet
+      await fs.mkdir(MEDIA_DIR, { recursive: true });
+      for (const { name, entry } of mediaEntries) {
+        await atomicWriteFile(path.join(MEDIA_DIR, name), entry.getData());
+        if (!existingMedia.includes(name)) {
+          addedMedia.push(name);
+        }
+      }
+
+      await updateLinks(() => links, meta);
+      written.push('links');
+
+      await updateTheme(theme => (mode === 'merge' ? { ...theme, ...data.theme } : data.theme), meta);
+      written.push('theme');
+      await updateProfile(profile => (mode === 'merge' ? { ...profile, ...data.profile } : data.profile), meta);
+      written.push('profile');
+
+      // Config is always merged so secrets already configured here are never wiped by an archive without them
+      if (hasConfig) {
+        await updateConfig(config => ({ ...config, ...data.config }));
+        written.push('config');
+      }
+    } catch (error) {
+      // Put back what was there, as a failed schema migration does; a resource that didn't exist before is left as imported
+      for (const resource of written.filter(name => current[name] !== undefined)) {
+        await writeRawResource(resource, current[resource]).catch(restoreError => {
+          console.error(`Failed to restore ${resource} after import error:`, restoreError.message);
+        });
+      }
+      for (const name of addedMedia) {
+        await fs.unlink(path.join(MEDIA_DIR, name)).catch(() => {});
+      }
+
+      throw new Error(`Failed to import archive: ${error.message}. The previous data was put back; a backup of it is at ${backupPath}`);
+    }
+  });
+
+  return {
+    mode,
+    schemaVersion: manifest.schemaVersion,
+    links: data.links.length,
+    media: mediaEntries.length,
+    config: hasConfig
+  };
+}
+
+module.exports = {
+  MAX_ARCHIVE_SIZE,
+  createArchive,
+  importArchive
+};
@@ -0,0 +1,77 @@
+/**
+ * Blocks of the link list
+ * links.json holds links together with section headers, text paragraphs and dividers.
+ * A header starts a section that runs until the next header.
+ */
+const { BLOCK_FIELDS } = require('../schemas/link');
+
+// Length of the text shown when a text block is named in the admin panel
+const TEXT_EXCERPT_LENGTH = 40;
+
+/**
+ * Check whether a block is a link
+ * @param {Object} block - Entry of links.json
+ * @returns {boolean} True for links
+ */
+function isLink(block) {
+  return block.type === 'link';
+}
+
+/**
+ * Get a short name for a block, for the revision history and analytics
+ * @param {Object} block - Entry of links.json
+ * @returns {string} Link label, header title, start of the text, or "Divider"
+ */
+function getBlockLabel(block) {
+  switch (block.type) {
+    case 'header':
+      return block.title;
+    case 'text':
+      return block.text.length > TEXT_EXCERPT_LENGTH ? `${block.text.slice(0, TEXT_EXCERPT_LENGTH)}…` : block.text;
+    case 'divider':
+      return 'Divider';
+    default:
+      return block.label;
+  }
+}
+
+/**
+ * Find a payload field that does not belong to a block type (e.g. a url on a header)
+ * @param {string} type - Block type
+ * @param {Object} payload - Validated admin API payload
+ * @returns {Object|null} Field error ({ field, message }), or null if every field belongs to the type
+ */
+function checkBlockFields(type, payload) {
+  const field = Object.keys(payload).find(name =>
+    Object.values(BLOCK_FIELDS).flat().includes(name) && !BLOCK_FIELDS[type].includes(name));
+
+  return field ? { field, message: `is not a field of ${type} blocks` } : null;
+}
+
+/**
+ * Split blocks into sections, each started by a header
+ * Blocks before the first header form a section without one; sections left empty are dropped,
+ * so a header whose blocks are all hidden is not shown on its own.
+ * @param {Array} blocks - Visible blocks, in order
+ * @returns {Array<Object>} Sections as { header, blocks }, header null for the leading section
+ */
+function groupSections(blocks) {
+  const sections = [{ header: null, blocks: [] }];
+
+  blocks.forEach(block => {
+    if (block.type === 'header') {
+      sections.push({ header: block, blocks: [] });
+    } else {
+      sections[sections.length - 1].blocks.push(block);
+    }
+  });
+
+  return sections.filter(section => section.blocks.length > 0);
+}
+
+module.exports = {
+  isLink,
+  getBlockLabel,
+  checkBlockFields,
+  groupSections
+};
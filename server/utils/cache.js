@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { onChange } = require('./storage');
+
+// Cached responses by key, each with the resources it was built from and when it goes stale
+const entries = new Map();
+
+// When each resource last changed; resources unchanged since startup report the startup time
+const changedAt = new Map();
+const STARTED_AT = new Date();
+
+/**
+ * Drop every cached response built from a resource
+ * @param {string} resource - Resource name
+ */
+function invalidate(resource) {
+  changedAt.set(resource, new Date());
+
+  for (const [key, entry] of entries) {
+    if (entry.resources.includes(resource)) {
+      entries.delete(key);
+    }
+  }
+}
+
+onChange(invalidate);
+
+/**
+ * Get the time the most recently changed of some resources changed
+ * @param {Array<string>} resources - Resource names
+ * @returns {Date} Last modification time
+ */
+function lastChanged(resources) {
+  return resources.reduce((latest, resource) => {
+    const time = changedAt.get(resource) || STARTED_AT;
+    return time > latest ? time : latest;
+  }, STARTED_AT);
+}
+
+/**
+ * Serialize response data once, with a strong ETag over the exact bytes sent
+ * @param {any} data - Response data; serialized as JSON unless type is html
+ * @param {Array<string>} resources - Resources the data was built from
+ * @param {string} type - Response content type (json or html)
+ * @param {Date} staleSince - When the previous response expired, if it did; the content may have changed then
+ * @returns {Object} { body, type, etag, lastModified }
+ */
+function createResponse(data, resources, type, staleSince) {
+  const body = type === 'json' ? JSON.stringify(data) : data;
+  const hash = crypto.createHash('sha256').update(body).digest('base64url');
+  const changed = lastChanged(resources);
+
+  return {
+    body,
+    type,
+    etag: `"${hash}"`,
+    lastModified: staleSince && staleSince > changed ? staleSince : changed
+  };
+}
+
+/**
+ * Get a cached response, building it on a miss
+ * Concurrent misses share one build, so a burst of requests reads the data once.
+ * The build is passed expireAt(time): calling it with a Date (null is ignored) makes the
+ * response stale at that time even if none of its resources change, e.g. when a scheduled link goes live.
+ * @param {string} key - Cache key
+ * @param {Array<string>} resources - Resources the response is built from; a write to any of them invalidates it
+ * @param {Function} build - async (expireAt) => response data
+ * @param {Object} options - { type: 'json' (default) or 'html' for a prebuilt HTML string }
+ * @returns {Promise<Object>} { body, type, etag, lastModified }
+ */
+async function getCached(key, resources, build, { type = 'json' } = {}) {
+  const cached = entries.get(key);
+  if (cached && !(cached.expiresAt <= new Date())) {
+    return cached.response;
+  }
+
+  const entry = {
+    resources,
+    expiresAt: null
+  };
+  const expireAt = time => {
+    if (time && (!entry.expiresAt || time < entry.expiresAt)) {
+      entry.expiresAt = time;
+    }
+  };
+  entry.response = build(expireAt).then(data => createResponse(data, resources, type, cached && cached.expiresAt));
+  entries.set(key, entry);
+
+  try {
+    return await entry.response;
+  } catch (error) {
+    // Errors are not cached; the next request tries again
+    if (entries.get(key) === entry) {
+      entries.delete(key);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Send a cached response, or 304 Not Modified if the client's copy is current
+ * Clients are asked to revalidate every time, so admin changes show up immediately.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} response - Cached response from getCached
+ */
+function sendCached(req, res, response) {
+  res.set({
+    'Cache-Control': 'no-cache',
+    'ETag': response.etag,
+    'Last-Modified': response.lastModified.toUTCString()
+  });
+
+  // req.fresh checks If-None-Match (preferred) and If-Modified-Since against the headers above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.type(response.type).send(response.body);
+}
+
+module.exports = {
+  getCached,
+  sendCached,
+  invalidate
+};
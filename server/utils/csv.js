@@ -0,0 +1,40 @@
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format one value as a CSV field
+ * Text that a spreadsheet would treat as a formula is prefixed with a quote so it stays text.
+ * @param {any} value - Field value; null and undefined become an empty field
+ * @returns {string} CSV field
+ */
+function toCSVField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Format values as one CSV line
+ * @param {Array} values - Field values
+ * @returns {string} CSV line ending in CRLF
+ */
+function toCSVRow(values) {
+  return `${values.map(toCSVField).join(',')}\r\n`;
+}
+
+module.exports = {
+  toCSVField,
+  toCSVRow
+};
@@ -0,0 +1,88 @@
+const { getBlockLabel } = require('./blocks');
+
+/**
+ * Compare two values for equality by their JSON representation
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} True if both values serialize identically
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * List field-level changes between two plain objects
+ * @param {Object} before - Earlier object
+ * @param {Object} after - Later object
+ * @returns {Array} Array of { field, before, after } entries
+ */
+function diffFields(before = {}, after = {}) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (!isEqual(before[field], after[field])) {
+      changes.push({
+        field,
+        before: before[field],
+        after: after[field]
+      });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Diff two snapshots of the links array, matching links by ID
+ * @param {Array} before - Earlier links
+ * @param {Array} after - Later links
+ * @returns {Object} { added, removed, changed } where changed entries carry field-level changes
+ */
+function diffLinks(before = [], after = []) {
+  const beforeMap = new Map(before.map(link => [link.id, link]));
+  const afterMap = new Map(after.map(link => [link.id, link]));
+
+  const added = after.filter(link => !beforeMap.has(link.id));
+  const removed = before.filter(link => !afterMap.has(link.id));
+  const changed = [];
+
+  after.forEach(link => {
+    const previous = beforeMap.get(link.id);
+    if (!previous) {
+      return;
+    }
+
+    const changes = diffFields(previous, link);
+    if (changes.length > 0) {
+      changed.push({
+        id: link.id,
+        label: getBlockLabel(link),
+        changes
+      });
+    }
+  });
+
+  return { added, removed, changed };
+}
+
+/**
+ * Diff two snapshots of the same resource
+ * @param {string} resource - Resource name (links, theme or profile)
+ * @param {any} before - Earlier snapshot
+ * @param {any} after - Later snapshot
+ * @returns {Object} Links diff ({ added, removed, changed }) or object diff ({ changes })
+ */
+function diffSnapshots(resource, before, after) {
+  if (resource === 'links') {
+    return diffLinks(before, after);
+  }
+
+  return {
+    changes: diffFields(before, after)
+  };
+}
+
+module.exports = {
+  diffSnapshots
+};
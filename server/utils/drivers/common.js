@@ -0,0 +1,100 @@
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Directory holding all persisted data
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../../data');
+
+// Directory holding uploaded media files
+const MEDIA_DIR = path.join(DATA_DIR, 'media');
+
+// Resources that keep a revision history on every write
+const VERSIONED_RESOURCES = ['links', 'theme', 'profile'];
+
+// All resources a storage driver must support
+const RESOURCES = [...VERSIONED_RESOURCES, 'auth', 'config', 'schema', 'analytics', 'rollups', 'health'];
+
+// Kinds of analytics events a storage driver must be able to append and read back
+const EVENT_TYPES = ['click', 'view'];
+
+// Oldest revisions are dropped once the history grows past this many entries
+const MAX_HISTORY_ENTRIES = 500;
+
+// Pending task chain per queue key, so tasks on one key apply in order
+const queues = new Map();
+
+// Keys whose queue the running task holds, so tasks it starts under those keys don't wait on it
+const heldKeys = new AsyncLocalStorage();
+
+/**
+ * Create the error drivers throw when a resource has not been stored yet
+ * @param {string} message - Error message
+ * @returns {Error} Error with code NOT_FOUND
+ */
+function notFoundError(message) {
+  const error = new Error(message);
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+/**
+ * Get the UTC day an event belongs to
+ * @param {Object} event - Event with an ISO timestamp
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function eventDate(event) {
+  return event.timestamp.slice(0, 10);
+}
+
+/**
+ * Check whether an event matches a query
+ * @param {Object} event - Event
+ * @param {Object} query - { from, to: YYYY-MM-DD inclusive, linkId }
+ * @returns {boolean} True if the event matches every given condition
+ */
+function matchesEventQuery(event, { from, to, linkId } = {}) {
+  const date = eventDate(event);
+  return (!from || date >= from) && (!to || date <= to) && (!linkId || event.linkId === linkId);
+}
+
+/**
+ * Run a task after every task previously queued under the same key
+ * A task queued from inside a task already holding the key (e.g. an update made under lockResources)
+ * runs straight away instead, since waiting for the outer task would wait forever.
+ * @param {string} key - Queue key (usually a file path)
+ * @param {Function} task - Async function to run
+ * @returns {Promise<any>} Result of the task
+ */
+function enqueue(key, task) {
+  const held = heldKeys.getStore() || new Set();
+  if (held.has(key)) {
+    return Promise.resolve().then(task);
+  }
+
+  const run = () => heldKeys.run(new Set([...held, key]), task);
+  const previous = queues.get(key) || Promise.resolve();
+  const result = previous.then(run, run);
+  const tail = result.catch(() => {});
+  queues.set(key, tail);
+
+  // Drop the queue entry once nothing else has been chained onto it
+  tail.then(() => {
+    if (queues.get(key) === tail) {
+      queues.delete(key);
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  DATA_DIR,
+  MEDIA_DIR,
+  VERSIONED_RESOURCES,
+  RESOURCES,
+  EVENT_TYPES,
+  MAX_HISTORY_ENTRIES,
+  notFoundError,
+  eventDate,
+  matchesEventQuery,
+  enqueue
+};
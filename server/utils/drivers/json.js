@@ -0,0 +1,466 @@
+const fs = require('fs').promises;
+const { watch: watchDirectory, createReadStream } = require('fs');
+const readline = require('readline');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, VERSIONED_RESOURCES, MAX_HISTORY_ENTRIES, EVENT_TYPES, notFoundError, eventDate, matchesEventQuery, enqueue } = require('./common');
+
+// Data file paths
+const RESOURCE_FILES = {
+  links: path.join(DATA_DIR, 'links.json'),
+  theme: path.join(DATA_DIR, 'theme.json'),
+  auth: path.join(DATA_DIR, 'auth.json'),
+  profile: path.join(DATA_DIR, 'profile.json'),
+  config: path.join(DATA_DIR, 'config.json'),
+  schema: path.join(DATA_DIR, 'schema.json'),
+  analytics: path.join(DATA_DIR, 'analytics.json'),
+  rollups: path.join(DATA_DIR, 'rollups.json'),
+  health: path.join(DATA_DIR, 'health.json')
+};
+const HISTORY_FILE = path.join(DATA_DIR, 'history.json');
+
+// Analytics events are appended as JSON Lines, one file per event type and UTC day
+const EVENTS_DIR = path.join(DATA_DIR, 'events');
+
+// Hash of each file's content as this process last wrote or reported it, so the watcher can skip our own writes
+const knownContent = new Map();
+
+// File system events arriving this close together are handled as one change
+const WATCH_DEBOUNCE_MS = 100;
+
+/**
+ * Hash file content for change detection
+ * @param {string} text - File content
+ * @returns {string} Hex digest
+ */
+function contentHash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Read JSON file with error handling
+ * @param {string} filePath - Path to JSON file
+ * @returns {Promise<any>} Parsed JSON data
+ */
+async function readJSONFile(filePath) {
+  try {
+    const data = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw notFoundError(`File not found: ${filePath}`);
+    }
+    if (error instanceof SyntaxError) {
+      throw new Error(`Invalid JSON in file: ${filePath}`);
+    }
+    throw new Error(`Error reading file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Atomically replace a file: write to a temp file, fsync it, then rename over the target
+ * A crash at any point leaves either the old or the new content, never a partial file
+ * @param {string} filePath - Path to the file
+ * @param {string|Buffer} contents - Contents to write
+ * @param {Function} onReplaced - Called right after the rename, before the directory is synced
+ * @returns {Promise<void>}
+ */
+async function atomicWriteFile(filePath, contents, onReplaced = () => {}) {
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  let handle;
+
+  try {
+    handle = await fs.open(tempPath, 'w');
+    await handle.writeFile(contents);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+
+    await fs.rename(tempPath, filePath);
+    onReplaced();
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+
+  // Persist the rename itself; not supported on every platform, so best effort
+  try {
+    const dirHandle = await fs.open(path.dirname(filePath), 'r');
+    try {
+      await dirHandle.sync();
+    } finally {
+      await dirHandle.close();
+    }
+  } catch (error) {
+    // Ignore - the file content is already durable
+  }
+}
+
+/**
+ * Atomically replace a JSON file
+ * @param {string} filePath - Path to JSON file
+ * @param {any} data - Data to write
+ * @returns {Promise<void>}
+ */
+async function atomicWriteJSON(filePath, data) {
+  const jsonString = JSON.stringify(data, null, 2);
+  await atomicWriteFile(filePath, jsonString, () => knownContent.set(filePath, contentHash(jsonString)));
+}
+
+/**
+ * Write JSON file with error handling
+ * Writes are atomic and queued behind any pending mutation of the same file
+ * @param {string} filePath - Path to JSON file
+ * @param {any} data - Data to write
+ * @returns {Promise<void>}
+ */
+async function writeJSONFile(filePath, data) {
+  return enqueue(filePath, async () => {
+    try {
+      await atomicWriteJSON(filePath, data);
+    } catch (error) {
+      throw new Error(`Error writing file ${filePath}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Read, modify and write a JSON file as one serialized step
+ * The mutator receives the current data and returns the data to write,
+ * or undefined to leave the file untouched
+ * @param {string} filePath - Path to JSON file
+ * @param {Function} mutator - (data) => newData | undefined, may be async
+ * @returns {Promise<any>} The written data, or undefined if nothing was written
+ */
+async function updateJSONFile(filePath, mutator) {
+  return enqueue(filePath, async () => {
+    const data = await readJSONFile(filePath);
+    const updated = await mutator(data);
+
+    if (updated === undefined) {
+      return undefined;
+    }
+
+    try {
+      await atomicWriteJSON(filePath, updated);
+    } catch (error) {
+      throw new Error(`Error writing file ${filePath}: ${error.message}`);
+    }
+
+    return updated;
+  });
+}
+
+/**
+ * Read the revision history, treating a missing history file as empty
+ * @returns {Promise<Array>} Array of revision entries, oldest first
+ */
+async function readHistory() {
+  try {
+    return await readJSONFile(HISTORY_FILE);
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Append snapshots of a resource to the revision history
+ * @param {string} resource - Resource name (links, theme or profile)
+ * @param {any} previous - State before the write, recorded as a baseline if the resource has no history yet
+ * @param {any} data - State after the write
+ * @param {Object} meta - Revision metadata ({ username, restoredFrom })
+ * @returns {Promise<Object>} The new revision entry
+ */
+async function recordRevision(resource, previous, data, meta = {}) {
+  let entry;
+
+  await enqueue(HISTORY_FILE, async () => {
+    const history = await readHistory();
+    let nextRev = history.length > 0 ? history[history.length - 1].rev + 1 : 1;
+
+    // Keep the pre-write state the first time a resource is versioned so it can be restored too
+    if (previous !== undefined && !history.some(revision => revision.resource === resource)) {
+      history.push({
+        rev: nextRev++,
+        resource,
+        timestamp: new Date().toISOString(),
+        username: null,
+        data: previous
+      });
+    }
+
+    entry = {
+      rev: nextRev,
+      resource,
+      timestamp: new Date().toISOString(),
+      username: meta.username || null,
+      data
+    };
+
+    if (meta.restoredFrom !== undefined) {
+      entry.restoredFrom = meta.restoredFrom;
+    }
+
+    history.push(entry);
+
+    await atomicWriteJSON(HISTORY_FILE, history.slice(-MAX_HISTORY_ENTRIES));
+  });
+
+  return entry;
+}
+
+/**
+ * Read a resource
+ * @param {string} resource - Resource name
+ * @returns {Promise<any>} Parsed resource data
+ */
+async function read(resource) {
+  return await readJSONFile(RESOURCE_FILES[resource]);
+}
+
+/**
+ * Read-modify-write a resource file, recording a revision for versioned resources
+ * @param {string} resource - Resource name
+ * @param {Function} mutator - (data) => newData | undefined to skip the write
+ * @param {Object} meta - Revision metadata ({ username, restoredFrom })
+ * @returns {Promise<any>} The written data, or undefined if nothing was written
+ */
+async function update(resource, mutator, meta = {}) {
+  const filePath = RESOURCE_FILES[resource];
+
+  return enqueue(filePath, async () => {
+    let previous;
+    try {
+      previous = await readJSONFile(filePath);
+    } catch (error) {
+      // A missing file is fine for a full replacement; there is just no previous state to keep
+      if (error.code !== 'NOT_FOUND') {
+        throw error;
+      }
+    }
+
+    const updated = await mutator(previous === undefined ? undefined : structuredClone(previous));
+
+    if (updated === undefined) {
+      return undefined;
+    }
+
+    try {
+      await atomicWriteJSON(filePath, updated);
+    } catch (error) {
+      throw new Error(`Error writing file ${filePath}: ${error.message}`);
+    }
+
+    // Recorded inside the file queue so revision order always matches write order
+    if (VERSIONED_RESOURCES.includes(resource)) {
+      await recordRevision(resource, previous, updated, meta);
+    }
+
+    return updated;
+  });
+}
+
+/**
+ * Get a single revision by number
+ * @param {number} rev - Revision number
+ * @returns {Promise<Object|null>} Revision entry, or null if it does not exist
+ */
+async function readRevision(rev) {
+  const history = await readHistory();
+  return history.find(revision => revision.rev === rev) || null;
+}
+
+/**
+ * Get the file holding one day of events
+ * @param {string} type - Event type
+ * @param {string} date - Day as YYYY-MM-DD
+ * @returns {string} File path
+ */
+function eventFile(type, date) {
+  return path.join(EVENTS_DIR, `${type}-${date}.jsonl`);
+}
+
+/**
+ * List the days that have an event file, oldest first
+ * @param {string} type - Event type
+ * @returns {Promise<Array<string>>} Days as YYYY-MM-DD
+ */
+async function listEventDates(type) {
+  let fileNames;
+  try {
+    fileNames = await fs.readdir(EVENTS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const pattern = new RegExp(`^${type}-(\\d{4}-\\d{2}-\\d{2})\\.jsonl$`);
+  return fileNames
+    .map(fileName => (fileName.match(pattern) || [])[1])
+    .filter(Boolean)
+    .sort();
+}
+
+/**
+ * Run a task while no update of the given resources can run
+ * The files' queues are joined in name order, so two callers never wait on each other.
+ * @param {Array<string>} resources - Resource names
+ * @param {Function} task - Async function to run; updates of the resources it makes run straight away
+ * @returns {Promise<any>} Result of the task
+ */
+async function lock(resources, task) {
+  const [first, ...rest] = [...resources].sort();
+  if (!first) {
+    return await task();
+  }
+  return enqueue(RESOURCE_FILES[first], () => lock(rest, task));
+}
+
+/**
+ * Append an analytics event
+ * @param {string} type - Event type
+ * @param {Object} event - Event with an ISO timestamp
+ * @returns {Promise<void>}
+ */
+async function appendEvent(type, event) {
+  const filePath = eventFile(type, eventDate(event));
+
+  return enqueue(filePath, async () => {
+    await fs.mkdir(EVENTS_DIR, { recursive: true });
+    await fs.appendFile(filePath, `${JSON.stringify(event)}\n`, 'utf8');
+  });
+}
+
+/**
+ * Delete analytics events from before a day
+ * @param {string} before - First day to keep (YYYY-MM-DD)
+ * @returns {Promise<void>}
+ */
+async function pruneEvents(before) {
+  for (const type of EVENT_TYPES) {
+    const dates = (await listEventDates(type)).filter(date => date < before);
+
+    for (const date of dates) {
+      const filePath = eventFile(type, date);
+      await enqueue(filePath, async () => {
+        await fs.rm(filePath, { force: true });
+      });
+    }
+  }
+}
+
+/**
+ * Read analytics events one at a time, oldest first, without loading whole files into memory
+ * @param {string} type - Event type
+ * @param {Object} query - { from, to: YYYY-MM-DD inclusive, linkId }
+ * @returns {AsyncGenerator<Object>} Matching events
+ */
+async function* readEvents(type, query = {}) {
+  const dates = (await listEventDates(type))
+    .filter(date => (!query.from || date >= query.from) && (!query.to || date <= query.to));
+
+  for (const date of dates) {
+    const lines = readline.createInterface({
+      input: createReadStream(eventFile(type, date), 'utf8'),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (line.trim() === '') {
+        continue;
+      }
+
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        // A line cut short by a crash is skipped rather than failing the whole read
+        continue;
+      }
+
+      if (matchesEventQuery(event, query)) {
+        yield event;
+      }
+    }
+  }
+}
+
+/**
+ * Watch the data directory for changes made to resource files outside this process, such as edits by hand
+ * Writes made through this driver are already announced by the storage layer, so they are skipped here.
+ * @param {Function} listener - (resource) => void, called with the name of the changed resource
+ * @returns {Function} Stops watching
+ */
+function watch(listener) {
+  const resourcesByFile = Object.fromEntries(
+    Object.entries(RESOURCE_FILES).map(([resource, filePath]) => [path.basename(filePath), resource])
+  );
+  const pending = new Map();
+
+  /**
+   * Report a resource file if its content differs from what this process last wrote or reported
+   * @param {string} resource - Resource name
+   */
+  const checkFile = async (resource) => {
+    const filePath = RESOURCE_FILES[resource];
+    let text;
+    try {
+      text = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      // A deleted file is a change too
+      text = '';
+    }
+
+    const hash = contentHash(text);
+    if (knownContent.get(filePath) !== hash) {
+      knownContent.set(filePath, hash);
+      listener(resource);
+    }
+  };
+
+  // Not persistent, so watching never keeps a command-line script alive
+  const watcher = watchDirectory(DATA_DIR, { persistent: false }, (eventType, fileName) => {
+    const resource = fileName && resourcesByFile[fileName];
+    if (!resource) {
+      return;
+    }
+
+    // A single save often fires several events; wait for them to settle
+    clearTimeout(pending.get(resource));
+    pending.set(resource, setTimeout(() => {
+      pending.delete(resource);
+      checkFile(resource);
+    }, WATCH_DEBOUNCE_MS).unref());
+  });
+
+  watcher.on('error', error => {
+    console.error('Stopped watching data directory:', error.message);
+  });
+
+  return () => watcher.close();
+}
+
+module.exports = {
+  name: 'json',
+  atomicWriteFile,
+  readJSONFile,
+  writeJSONFile,
+  updateJSONFile,
+  read,
+  update,
+  lock,
+  readHistory,
+  readRevision,
+  appendEvent,
+  readEvents,
+  pruneEvents,
+  watch
+};
@@ -0,0 +1,408 @@
+const path = require('path');
+const Database = require('better-sqlite3');
+const { DATA_DIR, VERSIONED_RESOURCES, MAX_HISTORY_ENTRIES, notFoundError, eventDate, enqueue } = require('./common');
+
+// Database file path, overridable for deployments that keep the database elsewhere
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'site.db');
+
+// Single queue for the whole database; SQLite allows one writer at a time anyway
+const WRITE_QUEUE = 'sqlite';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS links (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS documents (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS revisions (
+    rev INTEGER PRIMARY KEY,
+    resource TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    username TEXT,
+    restored_from INTEGER,
+    data TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS revisions_resource ON revisions (resource, rev);
+
+  CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    date TEXT NOT NULL,
+    link_id TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS events_type_date ON events (type, date);
+`;
+
+// Events are read back in pages of this many rows, so no statement stays open while callers await
+const EVENT_PAGE_SIZE = 500;
+
+let db = null;
+
+/**
+ * Open the database on first use and make sure the schema exists
+ * @returns {Database} better-sqlite3 database handle
+ */
+function getDatabase() {
+  if (!db) {
+    db = new Database(SQLITE_FILE);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = FULL');
+    db.exec(SCHEMA);
+  }
+  return db;
+}
+
+/**
+ * Read a resource without failing when it is missing
+ * @param {string} resource - Resource name
+ * @returns {any} Resource data, or undefined if no document is stored
+ */
+function readRaw(resource) {
+  const database = getDatabase();
+
+  if (resource === 'links') {
+    return database
+      .prepare('SELECT data FROM links ORDER BY position')
+      .all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  const row = database.prepare('SELECT data FROM documents WHERE name = ?').get(resource);
+  return row ? JSON.parse(row.data) : undefined;
+}
+
+/**
+ * Replace a resource inside the current transaction
+ * @param {string} resource - Resource name
+ * @param {any} data - New resource data
+ */
+function writeRaw(resource, data) {
+  const database = getDatabase();
+
+  if (resource === 'links') {
+    database.prepare('DELETE FROM links').run();
+    const insert = database.prepare('INSERT INTO links (id, position, data) VALUES (?, ?, ?)');
+    data.forEach((link, index) => {
+      insert.run(link.id, index, JSON.stringify(link));
+    });
+    return;
+  }
+
+  database
+    .prepare('INSERT INTO documents (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data')
+    .run(resource, JSON.stringify(data));
+}
+
+/**
+ * Convert a revisions row into a revision entry
+ * @param {Object} row - Database row
+ * @param {boolean} includeData - Whether to parse and include the snapshot
+ * @returns {Object} Revision entry
+ */
+function toRevision(row, includeData = true) {
+  const revision = {
+    rev: row.rev,
+    resource: row.resource,
+    timestamp: row.timestamp,
+    username: row.username
+  };
+
+  if (row.restored_from !== null) {
+    revision.restoredFrom = row.restored_from;
+  }
+
+  if (includeData) {
+    revision.data = JSON.parse(row.data);
+  }
+
+  return revision;
+}
+
+/**
+ * Insert a revision row inside the current transaction
+ * @param {Object} revision - Revision entry ({ rev, resource, timestamp, username, restoredFrom, data })
+ */
+function insertRevision(revision) {
+  getDatabase()
+    .prepare('INSERT INTO revisions (rev, resource, timestamp, username, restored_from, data) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(
+      revision.rev,
+      revision.resource,
+      revision.timestamp,
+      revision.username || null,
+      revision.restoredFrom !== undefined ? revision.restoredFrom : null,
+      JSON.stringify(revision.data)
+    );
+}
+
+/**
+ * Append snapshots of a resource to the revision history inside the current transaction
+ * @param {string} resource - Resource name (links, theme or profile)
+ * @param {any} previous - State before the write, recorded as a baseline if the resource has no history yet
+ * @param {any} data - State after the write
+ * @param {Object} meta - Revision metadata ({ username, restoredFrom })
+ */
+function recordRevision(resource, previous, data, meta = {}) {
+  const database = getDatabase();
+  const { maxRev } = database.prepare('SELECT MAX(rev) AS maxRev FROM revisions').get();
+  let nextRev = (maxRev || 0) + 1;
+
+  // Keep the pre-write state the first time a resource is versioned so it can be restored too
+  const hasHistory = database.prepare('SELECT 1 FROM revisions WHERE resource = ? LIMIT 1').get(resource);
+  if (previous !== undefined && !hasHistory) {
+    insertRevision({
+      rev: nextRev++,
+      resource,
+      timestamp: new Date().toISOString(),
+      username: null,
+      data: previous
+    });
+  }
+
+  insertRevision({
+    rev: nextRev,
+    resource,
+    timestamp: new Date().toISOString(),
+    username: meta.username,
+    restoredFrom: meta.restoredFrom,
+    data
+  });
+
+  database.prepare('DELETE FROM revisions WHERE rev <= ?').run(nextRev - MAX_HISTORY_ENTRIES);
+}
+
+/**
+ * Read a resource
+ * @param {string} resource - Resource name
+ * @returns {Promise<any>} Resource data
+ */
+async function read(resource) {
+  const data = readRaw(resource);
+
+  if (data === undefined) {
+    throw notFoundError(`No ${resource} data in database: ${SQLITE_FILE}`);
+  }
+
+  return data;
+}
+
+/**
+ * Read-modify-write a resource in one transaction, recording a revision for versioned resources
+ * @param {string} resource - Resource name
+ * @param {Function} mutator - (data) => newData | undefined to skip the write
+ * @param {Object} meta - Revision metadata ({ username, restoredFrom })
+ * @returns {Promise<any>} The written data, or undefined if nothing was written
+ */
+async function update(resource, mutator, meta = {}) {
+  return enqueue(WRITE_QUEUE, async () => {
+    const database = getDatabase();
+
+    database.exec('BEGIN IMMEDIATE');
+
+    try {
+      const previous = readRaw(resource);
+      const updated = await mutator(previous === undefined ? undefined : structuredClone(previous));
+
+      if (updated === undefined) {
+        database.exec('ROLLBACK');
+        return undefined;
+      }
+
+      writeRaw(resource, updated);
+
+      if (VERSIONED_RESOURCES.includes(resource)) {
+        recordRevision(resource, previous, updated, meta);
+      }
+
+      database.exec('COMMIT');
+      return updated;
+    } catch (error) {
+      if (database.inTransaction) {
+        database.exec('ROLLBACK');
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * Read the revision history
+ * @returns {Promise<Array>} Array of revision entries, oldest first
+ */
+async function readHistory() {
+  return getDatabase()
+    .prepare('SELECT * FROM revisions ORDER BY rev')
+    .all()
+    .map(row => toRevision(row));
+}
+
+/**
+ * Get a single revision by number
+ * @param {number} rev - Revision number
+ * @returns {Promise<Object|null>} Revision entry, or null if it does not exist
+ */
+async function readRevision(rev) {
+  const row = getDatabase().prepare('SELECT * FROM revisions WHERE rev = ?').get(rev);
+  return row ? toRevision(row) : null;
+}
+
+/**
+ * Insert an event row
+ * @param {string} type - Event type
+ * @param {Object} event - Event with an ISO timestamp
+ */
+function insertEvent(type, event) {
+  getDatabase()
+    .prepare('INSERT INTO events (type, date, link_id, data) VALUES (?, ?, ?, ?)')
+    .run(type, eventDate(event), event.linkId || null, JSON.stringify(event));
+}
+
+/**
+ * Append an analytics event
+ * @param {string} type - Event type
+ * @param {Object} event - Event with an ISO timestamp
+ * @returns {Promise<void>}
+ */
+async function appendEvent(type, event) {
+  // Queued so the insert never lands inside another write's open transaction
+  return enqueue(WRITE_QUEUE, async () => insertEvent(type, event));
+}
+
+/**
+ * Delete analytics events from before a day
+ * @param {string} before - First day to keep (YYYY-MM-DD)
+ * @returns {Promise<void>}
+ */
+async function pruneEvents(before) {
+  return enqueue(WRITE_QUEUE, async () => {
+    getDatabase().prepare('DELETE FROM events WHERE date < ?').run(before);
+  });
+}
+
+/**
+ * Run a task while no update can run
+ * @param {Array<string>} resources - Resource names; every write shares one queue, so they all wait
+ * @param {Function} task - Async function to run; updates it makes run straight away
+ * @returns {Promise<any>} Result of the task
+ */
+async function lock(resources, task) {
+  return enqueue(WRITE_QUEUE, task);
+}
+
+/**
+ * Read analytics events one at a time, oldest first
+ * @param {string} type - Event type
+ * @param {Object} query - { from, to: YYYY-MM-DD inclusive, linkId }
+ * @returns {AsyncGenerator<Object>} Matching events
+ */
+async function* readEvents(type, { from, to, linkId } = {}) {
+  const conditions = ['type = ?', 'id > ?'];
+  const params = [];
+
+  if (from) {
+    conditions.push('date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('date <= ?');
+    params.push(to);
+  }
+  if (linkId) {
+    conditions.push('link_id = ?');
+    params.push(linkId);
+  }
+
+  const statement = getDatabase().prepare(
+    `SELECT id, data FROM events WHERE ${conditions.join(' AND ')} ORDER BY id LIMIT ${EVENT_PAGE_SIZE}`
+  );
+  let lastId = 0;
+
+  while (true) {
+    const rows = statement.all(type, lastId, ...params);
+
+    for (const row of rows) {
+      yield JSON.parse(row.data);
+    }
+
+    if (rows.length < EVENT_PAGE_SIZE) {
+      return;
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+/**
+ * Check whether the database holds any data yet
+ * @returns {boolean} True if no resources or revisions are stored
+ */
+function isEmpty() {
+  const database = getDatabase();
+  const counts = database.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM links) AS links,
+      (SELECT COUNT(*) FROM documents) AS documents,
+      (SELECT COUNT(*) FROM revisions) AS revisions
+  `).get();
+
+  return counts.links === 0 && counts.documents === 0 && counts.revisions === 0;
+}
+
+/**
+ * Replace the whole database content in one transaction
+ * Used by the JSON to SQLite migration command
+ * @param {Object} snapshot - { resources: { links, theme, ... }, history: [], events: { click: [] } }
+ */
+function importData(snapshot) {
+  const database = getDatabase();
+
+  database.transaction(() => {
+    database.exec('DELETE FROM links; DELETE FROM documents; DELETE FROM revisions; DELETE FROM events;');
+
+    Object.entries(snapshot.resources).forEach(([resource, data]) => {
+      if (data !== undefined) {
+        writeRaw(resource, data);
+      }
+    });
+
+    (snapshot.history || []).forEach(insertRevision);
+
+    Object.entries(snapshot.events || {}).forEach(([type, events]) => {
+      events.forEach(event => insertEvent(type, event));
+    });
+  })();
+}
+
+/**
+ * Close the database handle
+ */
+function close() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+module.exports = {
+  name: 'sqlite',
+  SQLITE_FILE,
+  read,
+  update,
+  lock,
+  readHistory,
+  readRevision,
+  appendEvent,
+  readEvents,
+  pruneEvents,
+  isEmpty,
+  importData,
+  close
+};
@@ -0,0 +1,285 @@
+/**
+ * Embedded players, widgets and maps
+ * A link with visualType "embed" is shown inline on the landing page instead of as a button.
+ * Its URL is parsed once when the link is saved, and only the provider and media ID are stored;
+ * the player URL is built from them when the page is rendered.
+ */
+
+// Highest zoom level OpenStreetMap serves
+const MAX_MAP_ZOOM = 19;
+
+// Longest place name or search accepted for a Google Maps embed
+const MAX_MAP_QUERY_LENGTH = 200;
+
+/**
+ * Split a URL path into its non-empty segments
+ * @param {URL} url - Parsed URL
+ * @returns {Array<string>} Path segments
+ */
+function pathSegments(url) {
+  return url.pathname.split('/').filter(Boolean);
+}
+
+/**
+ * Check whether a URL's host is one of a provider's hosts, with or without www.
+ * @param {URL} url - Parsed URL
+ * @param {Array<string>} hosts - Host names
+ * @returns {boolean} True if the host matches
+ */
+function hasHost(url, hosts) {
+  return hosts.includes(url.hostname.replace(/^(www|m)\./, ''));
+}
+
+/**
+ * Parse a YouTube watch, short, live, embed or youtu.be URL
+ * @param {URL} url - Parsed URL
+ * @returns {string|null} 11-character video ID
+ */
+function parseYouTube(url) {
+  let id = null;
+
+  if (hasHost(url, ['youtu.be'])) {
+    id = pathSegments(url)[0];
+  } else if (hasHost(url, ['youtube.com', 'youtube-nocookie.com', 'music.youtube.com'])) {
+    const [first, second] = pathSegments(url);
+    id = first === 'watch' ? url.searchParams.get('v') : ['shorts', 'live', 'embed'].includes(first) ? second : null;
+  }
+
+  return /^[A-Za-z0-9_-]{11}$/.test(id || '') ? id : null;
+}
+
+/**
+ * Parse a Vimeo video or player URL
+ * @param {URL} url - Parsed URL
+ * @returns {string|null} Numeric video ID
+ */
+function parseVimeo(url) {
+  if (!hasHost(url, ['vimeo.com', 'player.vimeo.com'])) {
+    return null;
+  }
+  return pathSegments(url).find(segment => /^\d+$/.test(segment)) || null;
+}
+
+const SPOTIFY_TYPES = ['track', 'album', 'playlist', 'episode', 'show', 'artist'];
+
+/**
+ * Parse an open.spotify.com URL, including localized (/intl-de/...) and embed URLs
+ * @param {URL} url - Parsed URL
+ * @returns {string|null} "type/id", e.g. track/4uLU6hMCjMI75M1A2tKUQC
+ */
+function parseSpotify(url) {
+  if (!hasHost(url, ['open.spotify.com'])) {
+    return null;
+  }
+
+  const segments = pathSegments(url).filter(segment => !/^intl-/.test(segment) && segment !== 'embed');
+  const [type, id] = segments;
+
+  return SPOTIFY_TYPES.includes(type) && /^[A-Za-z0-9]{22}$/.test(id || '') ? `${type}/${id}` : null;
+}
+
+/**
+ * Parse a SoundCloud track or playlist URL
+ * @param {URL} url - Parsed URL
+ * @returns {string|null} "user/track" or "user/sets/playlist"
+ */
+function parseSoundCloud(url) {
+  if (!hasHost(url, ['soundcloud.com'])) {
+    return null;
+  }
+
+  const segments = pathSegments(url);
+  const valid = segments.every(segment => /^[A-Za-z0-9_-]+$/.test(segment)) &&
+    (segments.length === 2 || (segments.length === 3 && segments[1] === 'sets'));
+
+  return valid ? segments.join('/') : null;
+}
+
+/**
+ * Parse an OpenStreetMap URL with a #map=zoom/lat/lon position or a mlat/mlon marker
+ * @param {URL} url - Parsed URL
+ * @returns {string|null} "zoom/lat/lon"
+ */
+function parseOpenStreetMap(url) {
+  if (!hasHost(url, ['openstreetmap.org'])) {
+    return null;
+  }
+
+  const position = /(?:^|&)map=(\d+)\/(-?[\d.]+)\/(-?[\d.]+)/.exec(url.hash.slice(1));
+  let [zoom, lat, lon] = position ? position.slice(1).map(Number) : [15, NaN, NaN];
+
+  if (url.searchParams.has('mlat') && url.searchParams.has('mlon')) {
+    lat = Number(url.searchParams.get('mlat'));
+    lon = Number(url.searchParams.get('mlon'));
+  }
+
+  const valid = Number.isInteger(zoom) && zoom >= 0 && zoom <= MAX_MAP_ZOOM &&
+    Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+
+  return valid ? `${zoom}/${lat}/${lon}` : null;
+}
+
+/**
+ * Parse a Google Maps search, place or position URL
+ * Short maps.app.goo.gl links can't be parsed without following them, so they are rejected.
+ * @param {URL} url - Parsed URL
+ * @returns {string|null} Place name, search, or "lat,lon"
+ */
+function parseGoogleMaps(url) {
+  const segments = pathSegments(url);
+  const isMaps = hasHost(url, ['maps.google.com']) || (hasHost(url, ['google.com']) && segments[0] === 'maps');
+
+  if (!isMaps) {
+    return null;
+  }
+
+  let query = url.searchParams.get('q') || url.searchParams.get('query');
+
+  const placeIndex = segments.indexOf('place');
+  if (!query && placeIndex !== -1 && segments[placeIndex + 1]) {
+    query = decodeURIComponent(segments[placeIndex + 1]).replace(/\+/g, ' ');
+  }
+
+  const position = segments.map(segment => /^@(-?[\d.]+),(-?[\d.]+)/.exec(segment)).find(Boolean);
+  if (!query && position) {
+    query = `${position[1]},${position[2]}`;
+  }
+
+  query = (query || '').trim();
+  return query && query.length <= MAX_MAP_QUERY_LENGTH ? query : null;
+}
+
+/**
+ * Build the bounding box OpenStreetMap's embed page needs, roughly a 600x300 view at the zoom level
+ * @param {number} zoom - Zoom level
+ * @param {number} lat - Latitude of the center
+ * @param {number} lon - Longitude of the center
+ * @returns {string} "minLon,minLat,maxLon,maxLat"
+ */
+function mapBoundingBox(zoom, lat, lon) {
+  const degreesPerPixel = 360 / (256 * 2 ** zoom);
+  const lonDelta = 300 * degreesPerPixel;
+  const latDelta = 150 * degreesPerPixel * Math.cos((lat * Math.PI) / 180);
+
+  return [lon - lonDelta, lat - latDelta, lon + lonDelta, lat + latDelta].map(value => value.toFixed(5)).join(',');
+}
+
+// Supported providers: name shown to visitors, URL parser, player URL and layout
+// kind is video (16:9), audio (tall widget), audio-compact (single track) or map
+const EMBED_PROVIDERS = {
+  youtube: {
+    name: 'YouTube',
+    parse: parseYouTube,
+    source: id => `https://www.youtube-nocookie.com/embed/${encodeURIComponent(id)}?autoplay=1`,
+    kind: () => 'video'
+  },
+  vimeo: {
+    name: 'Vimeo',
+    parse: parseVimeo,
+    source: id => `https://player.vimeo.com/video/${encodeURIComponent(id)}?autoplay=1&dnt=1`,
+    kind: () => 'video'
+  },
+  spotify: {
+    name: 'Spotify',
+    parse: parseSpotify,
+    source: id => `https://open.spotify.com/embed/${id.split('/').map(encodeURIComponent).join('/')}`,
+    kind: id => (/^(track|episode)\//.test(id) ? 'audio-compact' : 'audio')
+  },
+  soundcloud: {
+    name: 'SoundCloud',
+    parse: parseSoundCloud,
+    source: id => `https://w.soundcloud.com/player/?url=${encodeURIComponent(`https://soundcloud.com/${id}`)}&auto_play=true`,
+    kind: id => (id.includes('/sets/') ? 'audio' : 'audio-compact')
+  },
+  openstreetmap: {
+    name: 'OpenStreetMap',
+    parse: parseOpenStreetMap,
+    source: id => {
+      const [zoom, lat, lon] = id.split('/').map(Number);
+      return `https://www.openstreetmap.org/export/embed.html?bbox=${mapBoundingBox(zoom, lat, lon)}&layer=mapnik&marker=${lat},${lon}`;
+    },
+    kind: () => 'map'
+  },
+  'google-maps': {
+    name: 'Google Maps',
+    parse: parseGoogleMaps,
+    source: id => `https://maps.google.com/maps?q=${encodeURIComponent(id)}&output=embed`,
+    kind: () => 'map'
+  }
+};
+
+const EMBED_PROVIDER_IDS = Object.keys(EMBED_PROVIDERS);
+
+/**
+ * Work out which provider a URL belongs to, and the media it points at
+ * @param {string} url - Link URL
+ * @returns {Object|null} { embedProvider, embedId }, or null for an unknown provider or unrecognized URL
+ */
+function parseEmbedURL(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  for (const [provider, { parse }] of Object.entries(EMBED_PROVIDERS)) {
+    const embedId = parse(parsed);
+    if (embedId) {
+      return { embedProvider: provider, embedId };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe how to show an embed link
+ * Mirrors getEmbed() in public/js/landing.js
+ * @param {Object} link - Link with embedProvider and embedId
+ * @returns {Object|null} { name, source, kind }, or null if the provider is unknown
+ */
+function getEmbed(link) {
+  const provider = EMBED_PROVIDERS[link.embedProvider];
+  if (!provider) {
+    return null;
+  }
+
+  return {
+    name: provider.name,
+    source: provider.source(link.embedId),
+    kind: provider.kind(link.embedId)
+  };
+}
+
+// Shown when an embed link's URL can't be parsed
+const EMBED_URL_MESSAGE = `must be a link to ${Object.values(EMBED_PROVIDERS).map(provider => provider.name).join(', ')}`;
+
+/**
+ * Store the provider and media ID parsed from an embed link's URL, or clear them from other links
+ * @param {Object} link - Link to change in place
+ * @returns {Object|null} Field error ({ field, message }) if the URL is not a supported embed, otherwise null
+ */
+function applyEmbed(link) {
+  if (link.visualType !== 'embed') {
+    delete link.embedProvider;
+    delete link.embedId;
+    return null;
+  }
+
+  const embed = parseEmbedURL(link.url);
+  if (!embed) {
+    return { field: 'url', message: EMBED_URL_MESSAGE };
+  }
+
+  Object.assign(link, embed);
+  return null;
+}
+
+module.exports = {
+  EMBED_PROVIDER_IDS,
+  EMBED_URL_MESSAGE,
+  parseEmbedURL,
+  applyEmbed,
+  getEmbed
+};
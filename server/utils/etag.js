@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+/**
+ * Compute a strong ETag for stored data
+ * Admin write routes compare it with If-Match to detect edits made from a stale copy.
+ * @param {any} data - Resource data
+ * @returns {string} Quoted ETag
+ */
+function computeETag(data) {
+  // A resource that doesn't exist yet hashes like null
+  const hash = crypto.createHash('sha256').update(JSON.stringify(data === undefined ? null : data)).digest('base64url');
+  return `"${hash}"`;
+}
+
+/**
+ * Compute the ETag of a single link
+ * The order is left out, so reordering the list doesn't invalidate an edit in progress.
+ * @param {Object} link - Link object
+ * @returns {string} Quoted ETag
+ */
+function computeLinkETag(link) {
+  const { order, ...fields } = link;
+  return computeETag(fields);
+}
+
+/**
+ * Check an If-Match header against the current ETag
+ * @param {string} header - If-Match header value, or undefined if the client did not send one
+ * @param {string} etag - ETag of the current data
+ * @returns {boolean} True if the write may go ahead: no header, "*", or a listed ETag matches
+ */
+function ifMatchSatisfied(header, etag) {
+  if (header === undefined) {
+    return true;
+  }
+
+  const tags = header.split(',').map(tag => tag.trim());
+  return tags.includes('*') || tags.includes(etag);
+}
+
+/**
+ * Send a 409 Conflict with the current state, so the client can merge or overwrite
+ * @param {Object} res - Express response
+ * @param {string} resource - What changed (e.g. "theme")
+ * @param {any} current - Current data
+ * @param {string} etag - ETag of the current data
+ */
+function sendConflict(res, resource, current, etag) {
+  res.set('ETag', etag);
+  res.status(409).json({
+    error: `The ${resource} was changed by someone else since you loaded it`,
+    code: 'CONFLICT',
+    etag,
+    current
+  });
+}
+
+module.exports = {
+  computeETag,
+  computeLinkETag,
+  ifMatchSatisfied,
+  sendConflict
+};
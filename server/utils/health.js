@@ -0,0 +1,265 @@
+/**
+ * Link health checks
+ * Every active link to a web page is requested in the background, and the status code, final URL
+ * and latency are stored in the health resource, so broken destinations show up in the admin panel
+ * before visitors report them. mailto:, tel:, sms: and app links can't be checked and are skipped.
+ */
+const fetch = require('node-fetch');
+const { readLinks, readHealth, updateHealth } = require('./storage');
+const { isLink } = require('./blocks');
+const { isWebURL } = require('./schemes');
+
+// How often every link is checked, in minutes; 0 turns the background checks off
+const DEFAULT_INTERVAL_MINUTES = 360;
+const INTERVAL_MINUTES = parseSetting('HEALTH_CHECK_INTERVAL_MINUTES', DEFAULT_INTERVAL_MINUTES);
+
+// Longest one link may take, redirects included, before it counts as unreachable
+const DEFAULT_TIMEOUT_MS = 10000;
+const TIMEOUT_MS = parseSetting('HEALTH_CHECK_TIMEOUT_MS', DEFAULT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+// Links checked at the same time, so a long list doesn't open a burst of connections
+const CONCURRENCY = 4;
+
+// Redirects followed before giving up, as browsers do for redirect loops
+const MAX_REDIRECTS = 5;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; link-sharing-page health check)';
+
+// The run in progress, shared by everyone who asks for a check while it lasts
+let pendingRun = null;
+
+/**
+ * Parse a non-negative whole number setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is unset or invalid
+ * @returns {number} Setting value
+ */
+function parseSetting(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    console.warn(`Ignoring invalid ${name} "${value}", using ${fallback}`);
+    return fallback;
+  }
+
+  return number;
+}
+
+/**
+ * Send one request without following redirects, discarding any body
+ * @param {string} method - HEAD or GET
+ * @param {string} url - URL to request
+ * @param {AbortSignal} signal - Aborts the request when the check times out
+ * @returns {Promise<Object>} { statusCode, location }
+ */
+async function request(method, url, signal) {
+  const response = await fetch(url, {
+    method,
+    redirect: 'manual',
+    signal,
+    headers: { 'User-Agent': USER_AGENT, 'Accept': '*/*' }
+  });
+
+  // Only the status matters; don't download the page
+  if (response.body && typeof response.body.destroy === 'function') {
+    response.body.destroy();
+  }
+
+  return { statusCode: response.status, location: response.headers.get('location') };
+}
+
+/**
+ * Request a URL, trying GET when HEAD fails
+ * Many servers answer HEAD with an error (or not at all) for pages that load fine, so only GET can call a link broken.
+ * @param {string} url - URL to request
+ * @param {AbortSignal} signal - Aborts the request when the check times out
+ * @returns {Promise<Object>} { statusCode, location }
+ */
+async function requestWithFallback(url, signal) {
+  try {
+    const head = await request('HEAD', url, signal);
+    if (head.statusCode < 400) {
+      return head;
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      throw error;
+    }
+  }
+
+  return await request('GET', url, signal);
+}
+
+/**
+ * Check one URL, following redirects
+ * @param {string} url - http or https URL
+ * @param {Object} options - { timeout: milliseconds }
+ * @returns {Promise<Object>} { status: ok, broken (4xx/5xx) or unreachable, statusCode, finalUrl, redirects, latencyMs, error, checkedAt }
+ */
+async function checkURL(url, { timeout = TIMEOUT_MS } = {}) {
+  const started = Date.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  let currentUrl = url;
+  let redirects = 0;
+
+  const result = (fields) => ({
+    statusCode: null,
+    finalUrl: currentUrl,
+    redirects,
+    latencyMs: Date.now() - started,
+    error: null,
+    checkedAt: new Date().toISOString(),
+    ...fields
+  });
+
+  try {
+    for (;;) {
+      const { statusCode, location } = await requestWithFallback(currentUrl, controller.signal);
+
+      if (statusCode >= 300 && statusCode < 400 && location) {
+        const next = new URL(location, currentUrl).href;
+
+        // A redirect into an app or mail client ends the chain; the page itself answered
+        if (!isWebURL(next)) {
+          return result({ status: 'ok', statusCode, finalUrl: next });
+        }
+        if (redirects === MAX_REDIRECTS) {
+          return result({ status: 'unreachable', statusCode, error: `More than ${MAX_REDIRECTS} redirects` });
+        }
+
+        currentUrl = next;
+        redirects += 1;
+        continue;
+      }
+
+      return result({ status: statusCode >= 400 ? 'broken' : 'ok', statusCode });
+    }
+  } catch (error) {
+    const message = controller.signal.aborted ? `No response within ${timeout} ms` : error.message;
+    return result({ status: 'unreachable', error: message });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run tasks with at most a fixed number in flight
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum number of tasks running at once
+ * @param {Function} task - async (item) => result
+ * @returns {Promise<Array>} Results, in the order of the inputs
+ */
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Check every active web link and store the results
+ * Results of links that are gone, inactive or no longer web links are dropped.
+ * @returns {Promise<Object>} Stored health data: { checkedAt, links: { [linkId]: result } }
+ */
+async function runChecks() {
+  const links = (await readLinks()).filter(link => isLink(link) && link.active && isWebURL(link.url));
+
+  const results = await mapWithConcurrency(links, CONCURRENCY, async link => ({
+    url: link.url,
+    ...(await checkURL(link.url))
+  }));
+
+  return await updateHealth(() => ({
+    checkedAt: new Date().toISOString(),
+    links: Object.fromEntries(links.map((link, index) => [link.id, results[index]]))
+  }));
+}
+
+/**
+ * Check every active web link, or join the check already running
+ * @returns {Promise<Object>} Stored health data
+ */
+function checkAllLinks() {
+  if (!pendingRun) {
+    pendingRun = runChecks().finally(() => {
+      pendingRun = null;
+    });
+  }
+  return pendingRun;
+}
+
+/**
+ * Check whether a health check is running
+ * @returns {boolean} True while links are being checked
+ */
+function isCheckRunning() {
+  return pendingRun !== null;
+}
+
+/**
+ * Read the stored health results
+ * @returns {Promise<Object>} { checkedAt, links }; checkedAt is null before the first check
+ */
+async function getHealth() {
+  try {
+    return await readHealth();
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return { checkedAt: null, links: {} };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check links in the background every HEALTH_CHECK_INTERVAL_MINUTES
+ * The first check runs at startup only if the last one is older than the interval,
+ * so restarting the server doesn't request every link again.
+ */
+function scheduleHealthChecks() {
+  if (INTERVAL_MINUTES === 0) {
+    return;
+  }
+
+  const intervalMs = INTERVAL_MINUTES * 60 * 1000;
+  const run = async () => {
+    try {
+      await checkAllLinks();
+    } catch (error) {
+      console.error('Error checking link health:', error.message);
+    }
+  };
+
+  getHealth()
+    .then(health => {
+      if (!health.checkedAt || Date.now() - Date.parse(health.checkedAt) >= intervalMs) {
+        run();
+      }
+    })
+    .catch(error => console.error('Error reading link health:', error.message));
+
+  // Unref'd so the timer never keeps the process alive on its own
+  setInterval(run, intervalMs).unref();
+}
+
+module.exports = {
+  checkURL,
+  checkAllLinks,
+  isCheckRunning,
+  getHealth,
+  scheduleHealthChecks
+};
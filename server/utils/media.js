@@ -0,0 +1,325 @@
+/**
+ * Uploaded media
+ * Images uploaded from the admin panel are identified by their content, never by their name or
+ * declared type, then decoded, turned upright and stripped of metadata (camera GPS positions included).
+ * Each upload is saved in the media directory as:
+ *   <id>-<width>.jpg or .png  the image, at most 2048 pixels on its long side; PNG if it has transparency
+ *   <id>-<width>.webp         WebP copies 320, 640, 1280 and 2048 pixels wide, up to the image's own width
+ * The id is a hash of the uploaded file, so uploading the same file again gives the same media.
+ * The files sit side by side in one directory, so export archives carry them as they are.
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const { MEDIA_DIR } = require('./drivers/common');
+
+// Largest file accepted for upload
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024;
+
+// Largest image decoded, in pixels, so a small file can't expand into gigabytes of memory
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+// Long side of the stored image
+const MAX_DIMENSION = 2048;
+
+// Widths of the WebP copies, for srcset
+const WEBP_WIDTHS = [320, 640, 1280, 2048];
+
+// Address uploaded media is served at
+const MEDIA_URL_PREFIX = '/media/';
+
+// <id>-<width>.<extension>; the id is 16 hex digits
+const MEDIA_FILE_PATTERN = /^([0-9a-f]{16})-([1-9]\d{0,4})\.(jpg|png|webp)$/;
+
+// Formats accepted for upload, recognized by the first bytes of the file
+const IMAGE_SIGNATURES = [
+  { format: 'jpeg', matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { format: 'png', matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { format: 'gif', matches: bytes => ['GIF87a', 'GIF89a'].includes(bytes.toString('latin1', 0, 6)) },
+  { format: 'webp', matches: bytes => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP' }
+];
+
+/**
+ * Create an error describing why an upload was rejected
+ * @param {string} message - Message for the admin
+ * @param {string} code - Error code (UNSUPPORTED_MEDIA_TYPE, INVALID_IMAGE or IMAGE_TOO_LARGE)
+ * @returns {Error} Error with the code
+ */
+function mediaError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Identify an image by its content
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {string|null} jpeg, png, gif or webp, or null for anything else
+ */
+function sniffImageFormat(buffer) {
+  const signature = IMAGE_SIGNATURES.find(({ matches }) => buffer.length >= 12 && matches(buffer));
+  return signature ? signature.format : null;
+}
+
+/**
+ * Check whether a file name is one saveMedia() writes
+ * @param {string} name - File name
+ * @returns {boolean} True for <id>-<width>.<jpg|png|webp>
+ */
+function isMediaFileName(name) {
+  return MEDIA_FILE_PATTERN.test(name);
+}
+
+/**
+ * Parse the address of an uploaded file
+ * @param {string} url - URL, possibly of uploaded media (/media/<file>)
+ * @returns {Object|null} { id, width, extension }, or null if the URL isn't uploaded media
+ */
+function parseMediaURL(url) {
+  if (typeof url !== 'string' || !url.startsWith(MEDIA_URL_PREFIX)) {
+    return null;
+  }
+
+  const match = MEDIA_FILE_PATTERN.exec(url.slice(MEDIA_URL_PREFIX.length));
+  return match ? { id: match[1], width: Number(match[2]), extension: match[3] } : null;
+}
+
+/**
+ * Check whether a URL is the address of uploaded media
+ * @param {string} url - URL to check
+ * @returns {boolean} True for /media/<id>-<width>.<jpg|png|webp>
+ */
+function isMediaURL(url) {
+  return parseMediaURL(url) !== null;
+}
+
+/**
+ * Get the widths of the WebP copies made of an image
+ * @param {number} width - Width of the stored image
+ * @returns {Array<number>} Widths, smallest first
+ */
+function webpWidths(width) {
+  return [...WEBP_WIDTHS.filter(size => size < width), width];
+}
+
+/**
+ * Check that an uploaded file is still there
+ * @param {string} url - Media URL
+ * @returns {Promise<boolean>} True if the file exists
+ */
+async function mediaExists(url) {
+  if (!isMediaURL(url)) {
+    return false;
+  }
+
+  try {
+    await fs.access(path.join(MEDIA_DIR, url.slice(MEDIA_URL_PREFIX.length)));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Build a srcset of the WebP copies of an uploaded image
+ * Mirrors mediaSrcset() in public/js/landing.js
+ * @param {string} url - Image URL
+ * @returns {string} srcset value, or '' if the URL isn't an uploaded JPEG or PNG
+ */
+function mediaSrcset(url) {
+  const media = parseMediaURL(url);
+  if (!media || media.extension === 'webp') {
+    return '';
+  }
+
+  return webpWidths(media.width)
+    .map(width => `${MEDIA_URL_PREFIX}${media.id}-${width}.webp ${width}w`)
+    .join(', ');
+}
+
+/**
+ * Get the full-size WebP copy of an uploaded image
+ * Mirrors mediaWebpURL() in public/js/landing.js
+ * @param {string} url - Image URL
+ * @returns {string} WebP URL, or '' if the URL isn't an uploaded JPEG or PNG
+ */
+function mediaWebpURL(url) {
+  const media = parseMediaURL(url);
+  return media && media.extension !== 'webp' ? `${MEDIA_URL_PREFIX}${media.id}-${media.width}.webp` : '';
+}
+
+/**
+ * Get the address of an uploaded file
+ * @param {string} id - Media ID
+ * @param {number} width - Image width
+ * @param {string} extension - jpg, png or webp
+ * @returns {string} URL path
+ */
+function mediaURL(id, width, extension) {
+  return `${MEDIA_URL_PREFIX}${id}-${width}.${extension}`;
+}
+
+/**
+ * List the files in the media directory, ignoring a missing directory
+ * @returns {Promise<Array<Object>>} { name, id, width, extension } for each media file
+ */
+async function readMediaFiles() {
+  let names;
+  try {
+    names = await fs.readdir(MEDIA_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  return names
+    .map(name => ({ name, media: parseMediaURL(`${MEDIA_URL_PREFIX}${name}`) }))
+    .filter(({ media }) => media)
+    .map(({ name, media }) => ({ name, ...media }));
+}
+
+/**
+ * Describe one uploaded image
+ * @param {Object} file - Stored image from readMediaFiles()
+ * @param {Array<Object>} files - All media files
+ * @returns {Promise<Object>} { id, url, width, format, size, srcset, uploadedAt }
+ */
+async function describeMedia(file, files) {
+  const stats = await fs.stat(path.join(MEDIA_DIR, file.name));
+  const copies = files.filter(other => other.id === file.id && other.extension === 'webp');
+
+  return {
+    id: file.id,
+    url: mediaURL(file.id, file.width, file.extension),
+    width: file.width,
+    format: file.extension === 'jpg' ? 'jpeg' : file.extension,
+    size: stats.size,
+    srcset: copies.length > 0 ? mediaSrcset(mediaURL(file.id, file.width, file.extension)) : '',
+    uploadedAt: stats.mtime.toISOString()
+  };
+}
+
+/**
+ * List the uploaded images, newest first
+ * @returns {Promise<Array<Object>>} Media descriptions from describeMedia()
+ */
+async function listMedia() {
+  const files = await readMediaFiles();
+  const images = files.filter(file => file.extension !== 'webp');
+  const media = await Promise.all(images.map(file => describeMedia(file, files)));
+  return media.sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+}
+
+/**
+ * Find an uploaded image by ID
+ * @param {string} id - Media ID
+ * @returns {Promise<Object|null>} Media description, or null if there is none
+ */
+async function findMedia(id) {
+  const files = await readMediaFiles();
+  const image = files.find(file => file.id === id && file.extension !== 'webp');
+  return image ? describeMedia(image, files) : null;
+}
+
+/**
+ * Decode, resize and store an uploaded image
+ * The WebP copies are written first, so the image only shows up in the library once it is complete.
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object>} { media, created }; created is false if the same file was uploaded before
+ */
+async function saveMedia(buffer) {
+  if (!sniffImageFormat(buffer)) {
+    throw mediaError('Only JPEG, PNG, GIF and WebP images can be uploaded', 'UNSUPPORTED_MEDIA_TYPE');
+  }
+
+  const id = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+  const existing = await findMedia(id);
+  if (existing) {
+    return { media: existing, created: false };
+  }
+
+  // rotate() with no angle turns the image upright from its EXIF orientation; metadata is dropped on output
+  const decode = () => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+  let image;
+  try {
+    const { hasAlpha } = await decode().metadata();
+    image = hasAlpha
+      ? await decode().resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true }).png().toBuffer({ resolveWithObject: true })
+      : await decode().resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true }).jpeg({ quality: 85, mozjpeg: true }).toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    if (/pixel limit/i.test(error.message)) {
+      throw mediaError(`The image is too large; images may have at most ${MAX_INPUT_PIXELS / 1000000} megapixels`, 'IMAGE_TOO_LARGE');
+    }
+    throw mediaError('The file could not be read as an image', 'INVALID_IMAGE');
+  }
+
+  const { width } = image.info;
+  const extension = image.info.format === 'png' ? 'png' : 'jpg';
+
+  await fs.mkdir(MEDIA_DIR, { recursive: true });
+
+  for (const copyWidth of webpWidths(width)) {
+    const copy = await sharp(image.data).resize({ width: copyWidth }).webp({ quality: 80 }).toBuffer();
+    await fs.writeFile(path.join(MEDIA_DIR, `${id}-${copyWidth}.webp`), copy);
+  }
+  await fs.writeFile(path.join(MEDIA_DIR, `${id}-${width}.${extension}`), image.data);
+
+  return { media: await findMedia(id), created: true };
+}
+
+/**
+ * Delete an uploaded image and its WebP copies
+ * @param {string} id - Media ID
+ * @returns {Promise<boolean>} True if the image existed
+ */
+async function deleteMedia(id) {
+  const files = (await readMediaFiles()).filter(file => file.id === id);
+
+  // The image goes first, so a failure part way leaves copies nothing lists rather than a broken image
+  files.sort((a, b) => (a.extension === 'webp') - (b.extension === 'webp'));
+  for (const file of files) {
+    await fs.unlink(path.join(MEDIA_DIR, file.name));
+  }
+
+  return files.some(file => file.extension !== 'webp');
+}
+
+/**
+ * Find where uploaded images are used
+ * @param {Object} data - { links, theme, profile }
+ * @returns {Map<string, Array<string>>} Descriptions of the places each media ID is used, e.g. 'Profile photo'
+ */
+function findMediaUsage({ links, theme, profile }) {
+  const usage = new Map();
+  const add = (url, place) => {
+    const media = parseMediaURL(url);
+    if (media) {
+      usage.set(media.id, [...(usage.get(media.id) || []), place]);
+    }
+  };
+
+  add(profile.photoUrl, 'Profile photo');
+  add(profile.shareImageUrl, 'Share image');
+  add(theme.backgroundImageUrl, 'Background image');
+  links.forEach(link => add(link.imageUrl, `Link "${link.label}"`));
+
+  return usage;
+}
+
+module.exports = {
+  MAX_UPLOAD_SIZE,
+  isMediaFileName,
+  sniffImageFormat,
+  isMediaURL,
+  mediaExists,
+  mediaSrcset,
+  mediaWebpURL,
+  listMedia,
+  saveMedia,
+  deleteMedia,
+  findMediaUsage
+};
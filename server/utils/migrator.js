@@ -0,0 +1,215 @@
+const fs = require('fs').promises;
+const path = require('path');
+const migrations = require('../migrations');
+const { DATA_DIR } = require('./drivers/common');
+const { writeJSONFile } = require('./drivers/json');
+const {
+  writeLinks,
+  writeTheme,
+  writeProfile,
+  writeConfig,
+  readRawResource,
+  writeRawResource,
+  readSchemaVersion,
+  writeSchemaVersion
+} = require('./storage');
+
+// Pre-migration snapshots are written here before anything is changed
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+
+// Resources migrations can transform, with their writers
+// Writes are schema-validated, so a migration cannot leave data the server would refuse to read
+const MIGRATED_RESOURCES = {
+  links: { write: writeLinks },
+  theme: { write: writeTheme },
+  profile: { write: writeProfile },
+  config: { write: writeConfig }
+};
+
+/**
+ * Get the schema version the newest migration brings the data to
+ * @returns {number} Latest schema version
+ */
+function getLatestVersion() {
+  return migrations.reduce((latest, migration) => Math.max(latest, migration.version), 0);
+}
+
+/**
+ * Make sure migration versions are unique and listed in increasing order
+ * @throws {Error} If the migration list is inconsistent
+ */
+function validateMigrationList() {
+  migrations.forEach((migration, index) => {
+    if (!Number.isInteger(migration.version) || migration.version < 1) {
+      throw new Error(`Migration at position ${index} has an invalid version`);
+    }
+    if (index > 0 && migration.version <= migrations[index - 1].version) {
+      throw new Error(`Migration ${migration.version} is out of order or duplicated`);
+    }
+  });
+}
+
+/**
+ * Read every migrated resource, treating missing resources as undefined
+ * Read without schema validation, since the data may still be in an older shape.
+ * @returns {Promise<Object>} Map of resource name to data
+ */
+async function readResources() {
+  const data = {};
+
+  for (const resource of Object.keys(MIGRATED_RESOURCES)) {
+    try {
+      data[resource] = await readRawResource(resource);
+    } catch (error) {
+      if (error.code !== 'NOT_FOUND') {
+        throw error;
+      }
+      data[resource] = undefined;
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Apply migrations to an in-memory copy of the data
+ * @param {Array} pending - Migrations to apply, in order
+ * @param {Object} original - Map of resource name to current data
+ * @returns {Promise<Object>} Map of resource name to migrated data
+ */
+async function applyInMemory(pending, original) {
+  const data = structuredClone(original);
+
+  for (const migration of pending) {
+    for (const resource of Object.keys(MIGRATED_RESOURCES)) {
+      // Resources that don't exist yet have nothing to migrate
+      if (typeof migration[resource] !== 'function' || data[resource] === undefined) {
+        continue;
+      }
+
+      let migrated;
+      try {
+        migrated = await migration[resource](data[resource]);
+      } catch (error) {
+        throw new Error(`Migration ${migration.version} (${migration.description}) failed on ${resource}: ${error.message}`);
+      }
+
+      if (migrated === undefined) {
+        throw new Error(`Migration ${migration.version} (${migration.description}) returned no data for ${resource}`);
+      }
+
+      data[resource] = migrated;
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Bring a detached copy of the data (for example from an import archive) up to the latest schema
+ * @param {number} fromVersion - Schema version the data was written with
+ * @param {Object} data - Map of resource name to data
+ * @returns {Promise<Object>} Map of resource name to migrated data
+ */
+async function migrateData(fromVersion, data) {
+  validateMigrationList();
+
+  if (fromVersion > getLatestVersion()) {
+    throw new Error(`Data schema version ${fromVersion} is newer than this server supports (${getLatestVersion()})`);
+  }
+
+  return applyInMemory(migrations.filter(migration => migration.version > fromVersion), data);
+}
+
+/**
+ * Save a snapshot of the pre-migration data
+ * @param {number} fromVersion - Schema version before migrating
+ * @param {Object} data - Map of resource name to data
+ * @returns {Promise<string>} Path to the backup file
+ */
+async function writeBackup(fromVersion, data) {
+  await fs.mkdir(BACKUP_DIR, { recursive: true });
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(BACKUP_DIR, `schema-v${fromVersion}-${timestamp}.json`);
+
+  await writeJSONFile(backupPath, {
+    schemaVersion: fromVersion,
+    createdAt: new Date().toISOString(),
+    resources: data
+  });
+
+  return backupPath;
+}
+
+/**
+ * Bring the stored data up to the latest schema version
+ * All pending migrations are applied in memory first; nothing is written unless every one succeeds.
+ * Before writing, the current data is backed up. If a write fails, resources already written
+ * are put back and the schema version is left unchanged.
+ * @param {Object} options - { dryRun: report what would change without writing anything }
+ * @returns {Promise<Object>} { fromVersion, toVersion, applied, changed, backupPath, dryRun }
+ */
+async function runMigrations({ dryRun = false } = {}) {
+  validateMigrationList();
+
+  const fromVersion = await readSchemaVersion();
+  const latestVersion = getLatestVersion();
+
+  if (fromVersion > latestVersion) {
+    throw new Error(`Data schema version ${fromVersion} is newer than this server supports (${latestVersion}). Upgrade the server before starting it.`);
+  }
+
+  const pending = migrations.filter(migration => migration.version > fromVersion);
+  const result = {
+    fromVersion,
+    toVersion: latestVersion,
+    applied: pending.map(({ version, description }) => ({ version, description })),
+    changed: [],
+    backupPath: null,
+    dryRun
+  };
+
+  if (pending.length === 0) {
+    return result;
+  }
+
+  const original = await readResources();
+  const migrated = await applyInMemory(pending, original);
+
+  result.changed = Object.keys(MIGRATED_RESOURCES)
+    .filter(resource => JSON.stringify(original[resource]) !== JSON.stringify(migrated[resource]));
+
+  if (dryRun) {
+    return result;
+  }
+
+  result.backupPath = await writeBackup(fromVersion, original);
+
+  const written = [];
+  try {
+    for (const resource of result.changed) {
+      await MIGRATED_RESOURCES[resource].write(migrated[resource]);
+      written.push(resource);
+    }
+
+    // Bumped last, so an interrupted run is retried on the next start
+    await writeSchemaVersion(latestVersion);
+  } catch (error) {
+    for (const resource of written) {
+      await writeRawResource(resource, original[resource]).catch(restoreError => {
+        console.error(`Failed to restore ${resource} after migration error:`, restoreError.message);
+      });
+    }
+
+    throw new Error(`Failed to apply migrations: ${error.message}. A backup of the previous data is at ${result.backupPath}`);
+  }
+
+  return result;
+}
+
+module.exports = {
+  runMigrations,
+  migrateData,
+  getLatestVersion
+};
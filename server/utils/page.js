@@ -0,0 +1,83 @@
+const { readLinks, readTheme, readProfile } = require('./storage');
+const { isLinkLive, nextScheduleChange } = require('./schedule');
+const { isLink } = require('./blocks');
+
+// Version of the page model document; bump when its shape changes incompatibly
+const PAGE_MODEL_VERSION = 1;
+
+// Resources the page model is built from
+const PAGE_RESOURCES = ['links', 'theme', 'profile'];
+
+/**
+ * Get the blocks visitors should see: links, headers, text and dividers
+ * @param {Array} blocks - All entries of links.json
+ * @param {Date} now - Current time
+ * @returns {Array} Active blocks inside their schedule window, sorted by order
+ */
+function getVisibleBlocks(blocks, now = new Date()) {
+  return blocks
+    .filter(block => isLinkLive(block, now))
+    .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Get the links visitors should see
+ * @param {Array} blocks - All entries of links.json
+ * @param {Date} now - Current time
+ * @returns {Array} Active links inside their schedule window, sorted by order
+ */
+function getActiveLinks(blocks, now = new Date()) {
+  return getVisibleBlocks(blocks, now).filter(isLink);
+}
+
+/**
+ * Read an optional resource, using a default when it has not been created yet
+ * @param {Function} read - Storage read function
+ * @param {any} fallback - Value to use if the resource is missing
+ * @returns {Promise<any>} Resource data
+ */
+async function readOptional(read, fallback) {
+  try {
+    return await read();
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Build the public page model: everything needed to render the landing page
+ * Theme and profile are optional and default to empty objects; links are required.
+ * `blocks` is everything shown in the list, in order; `links` only the links among them.
+ * @param {Function} expireAt - Optional; called with the time the model goes stale because a scheduled link is published or expires
+ * @returns {Promise<Object>} { version, theme, profile, links, blocks }
+ */
+async function buildPageModel(expireAt = () => {}) {
+  const [links, theme, profile] = await Promise.all([
+    readLinks(),
+    readOptional(readTheme, {}),
+    readOptional(readProfile, {})
+  ]);
+
+  expireAt(nextScheduleChange(links));
+
+  const blocks = getVisibleBlocks(links);
+
+  return {
+    version: PAGE_MODEL_VERSION,
+    theme,
+    profile,
+    links: blocks.filter(isLink),
+    blocks
+  };
+}
+
+module.exports = {
+  PAGE_MODEL_VERSION,
+  PAGE_RESOURCES,
+  getVisibleBlocks,
+  getActiveLinks,
+  buildPageModel
+};
@@ -0,0 +1,162 @@
+/**
+ * QR codes for links and the page
+ * Generated on the server with the qrcode package; nothing is sent to an outside service.
+ * Colors default to the theme's text and background colors, which are chosen to be readable
+ * against each other, falling back to black on white when they are too close to scan.
+ */
+const QRCode = require('qrcode');
+
+const QR_FORMATS = ['svg', 'png'];
+
+// tracked: through /s/<slug> or /go/<id>, so scans are counted; raw: the link's own URL
+const QR_TARGETS = ['tracked', 'raw'];
+
+// Error correction: L recovers about 7% of the code, M 15%, Q 25%, H 30%
+const QR_LEVELS = ['L', 'M', 'Q', 'H'];
+
+const DEFAULT_SIZE = 512;
+const MIN_SIZE = 64;
+const MAX_SIZE = 2048;
+
+// Quiet zone around the code, in modules; scanners need at least 4
+const QUIET_ZONE = 4;
+
+// Lowest contrast ratio between the colors that phone cameras read reliably
+const MIN_CONTRAST = 3;
+
+const BLACK_ON_WHITE = { dark: '#000000', light: '#ffffff' };
+
+const SITE_URL = (process.env.SITE_URL || '').replace(/\/+$/, '');
+
+/**
+ * Get the relative luminance of a color, as defined by WCAG
+ * @param {string} color - Hex color (#rrggbb)
+ * @returns {number} Luminance from 0 (black) to 1 (white)
+ */
+function luminance(color) {
+  const [r, g, b] = [1, 3, 5].map(index => {
+    const channel = parseInt(color.slice(index, index + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Get the contrast ratio between two colors
+ * @param {string} first - Hex color
+ * @param {string} second - Hex color
+ * @returns {number} Ratio from 1 (same luminance) to 21 (black and white)
+ */
+function contrastRatio(first, second) {
+  const [darker, lighter] = [luminance(first), luminance(second)].sort((a, b) => a - b);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Pick the code's colors from the theme
+ * Many scanners can't read light-on-dark codes, so the darker color is always used for the modules.
+ * @param {Object} theme - Theme data
+ * @returns {Object} { dark, light } hex colors
+ */
+function themeColors(theme) {
+  const { textColor, backgroundColor } = theme;
+
+  if (!textColor || !backgroundColor || contrastRatio(textColor, backgroundColor) < MIN_CONTRAST) {
+    return BLACK_ON_WHITE;
+  }
+
+  return luminance(textColor) <= luminance(backgroundColor)
+    ? { dark: textColor, light: backgroundColor }
+    : { dark: backgroundColor, light: textColor };
+}
+
+/**
+ * Read a color from a query parameter, with or without the leading # (which must be encoded as %23)
+ * @param {string} value - Query parameter value
+ * @returns {string|null} Hex color (#rrggbb), or null if invalid
+ */
+function parseColor(value) {
+  const color = value.startsWith('#') ? value : `#${value}`;
+  return /^#[0-9A-Fa-f]{6}$/.test(color) ? color.toLowerCase() : null;
+}
+
+/**
+ * Parse the query parameters of a QR code request
+ * @param {Object} query - Express query: format, size, target, level, fg, bg
+ * @param {Object} theme - Theme data, for the default colors
+ * @returns {Object} { options } with format, size, target, level, dark and light, or { error } as a response body
+ */
+function parseQROptions(query, theme) {
+  const format = query.format === undefined ? 'svg' : query.format;
+  const target = query.target === undefined ? 'tracked' : query.target;
+  const level = query.level === undefined ? 'M' : String(query.level).toUpperCase();
+  const size = query.size === undefined ? DEFAULT_SIZE : Number(query.size);
+
+  if (!QR_FORMATS.includes(format)) {
+    return { error: { error: `format must be one of: ${QR_FORMATS.join(', ')}`, code: 'INVALID_FORMAT' } };
+  }
+  if (!QR_TARGETS.includes(target)) {
+    return { error: { error: `target must be one of: ${QR_TARGETS.join(', ')}`, code: 'INVALID_INPUT' } };
+  }
+  if (!QR_LEVELS.includes(level)) {
+    return { error: { error: `level must be one of: ${QR_LEVELS.join(', ')}`, code: 'INVALID_INPUT' } };
+  }
+  if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+    return { error: { error: `size must be a whole number of pixels from ${MIN_SIZE} to ${MAX_SIZE}`, code: 'INVALID_INPUT' } };
+  }
+
+  let colors = themeColors(theme);
+
+  if (query.fg !== undefined || query.bg !== undefined) {
+    const dark = parseColor(String(query.fg || colors.dark));
+    const light = parseColor(String(query.bg || colors.light));
+
+    if (!dark || !light) {
+      return { error: { error: 'fg and bg must be hex colors (e.g., 000000)', code: 'INVALID_INPUT' } };
+    }
+    if (luminance(dark) > luminance(light) || contrastRatio(dark, light) < MIN_CONTRAST) {
+      return { error: { error: `fg must be darker than bg, with a contrast ratio of at least ${MIN_CONTRAST}:1 so the code can be scanned`, code: 'INVALID_INPUT' } };
+    }
+
+    colors = { dark, light };
+  }
+
+  return { options: { format, size, target, level, ...colors } };
+}
+
+/**
+ * Get the public address of the site
+ * SITE_URL when it is set, otherwise the address the admin panel was reached at
+ * @param {Object} req - Express request
+ * @returns {string} Origin without a trailing slash
+ */
+function getSiteURL(req) {
+  return SITE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Generate a QR code
+ * @param {string} text - Text to encode, usually a URL
+ * @param {Object} options - Options from parseQROptions()
+ * @returns {Promise<Object>} { contentType, body } with an SVG string or a PNG buffer
+ */
+async function generateQRCode(text, options) {
+  const settings = {
+    errorCorrectionLevel: options.level,
+    width: options.size,
+    margin: QUIET_ZONE,
+    color: { dark: options.dark, light: options.light }
+  };
+
+  if (options.format === 'png') {
+    return { contentType: 'image/png', body: await QRCode.toBuffer(text, { ...settings, type: 'png' }) };
+  }
+
+  return { contentType: 'image/svg+xml', body: await QRCode.toString(text, { ...settings, type: 'svg' }) };
+}
+
+module.exports = {
+  parseQROptions,
+  getSiteURL,
+  generateQRCode
+};
@@ -0,0 +1,387 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { groupSections } = require('./blocks');
+const { getEmbed } = require('./embeds');
+const { isWebURL } = require('./schemes');
+const { mediaSrcset, mediaWebpURL } = require('./media');
+
+// The static landing page doubles as the template; the markers are HTML comments so it still works unrendered
+const TEMPLATE_FILE = path.join(__dirname, '../../public/index.html');
+const MARKERS = {
+  head: '<!-- page:head -->',
+  profile: '<!-- page:profile -->',
+  links: '<!-- page:links -->'
+};
+
+// Default title and description in the template, replaced by metadata built from the profile
+const META_REGION = /<!-- page:meta -->[\s\S]*?<!-- \/page:meta -->/;
+
+// Used when the profile has no title or description of its own
+const DEFAULT_TITLE = 'My Links';
+const DEFAULT_DESCRIPTION = 'My link sharing page';
+
+// Public address of the site (e.g. https://links.example.com), used for canonical and og:url links
+const SITE_URL = (process.env.SITE_URL || '').replace(/\/+$/, '');
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Quote a URL for use in a CSS url() inside a <style> element
+ * @param {string} url - URL to quote
+ * @returns {string} CSS url() value
+ */
+function cssUrl(url) {
+  // Hex escapes keep quotes, backslashes, newlines and "</style>" from ending the value or the element
+  const escaped = url.replace(/["\\\n\r<>]/g, char => `\\${char.charCodeAt(0).toString(16)} `);
+  return `url("${escaped}")`;
+}
+
+/**
+ * Render srcset and sizes for an uploaded image, so browsers load a WebP copy of about the size shown
+ * Mirrors mediaAttributes() in public/js/landing.js
+ * @param {string} url - Image URL
+ * @param {string} sizes - Width the image is shown at, as a sizes value
+ * @returns {string} Attributes HTML with a leading space, or '' for images from other sites
+ */
+function mediaAttributes(url, sizes) {
+  const srcset = mediaSrcset(url);
+  return srcset ? ` srcset="${escapeHtml(srcset)}" sizes="${sizes}"` : '';
+}
+
+/**
+ * Turn a path on this site into a full address, for metadata read by other sites
+ * @param {string} url - URL or path (e.g. an uploaded image's /media/...)
+ * @returns {string} The URL, prefixed with SITE_URL if it is a path and SITE_URL is set
+ */
+function absoluteURL(url) {
+  return url.startsWith('/') && SITE_URL ? `${SITE_URL}${url}` : url;
+}
+
+/**
+ * Serialize data for a <script type="application/ld+json"> element
+ * @param {Object} data - JSON-LD document
+ * @returns {string} JSON that cannot close the script element early
+ */
+function scriptJSON(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * Work out the title, description and share image for the page
+ * @param {Object} profile - Profile data
+ * @returns {Object} { title, description, image, name }
+ */
+function getPageMetadata(profile) {
+  return {
+    title: profile.pageTitle || profile.displayName || DEFAULT_TITLE,
+    description: profile.description || profile.bio || DEFAULT_DESCRIPTION,
+    image: absoluteURL(profile.shareImageUrl || profile.photoUrl || ''),
+    name: profile.displayName || ''
+  };
+}
+
+/**
+ * Build schema.org ProfilePage JSON-LD, with the person's links as sameAs
+ * @param {Object} page - Page model
+ * @param {Object} meta - Metadata from getPageMetadata()
+ * @returns {Object} JSON-LD document
+ */
+function buildStructuredData(page, meta) {
+  const person = {
+    '@type': 'Person',
+    name: meta.name || meta.title
+  };
+
+  if (page.profile.bio) {
+    person.description = page.profile.bio;
+  }
+  if (page.profile.photoUrl) {
+    person.image = absoluteURL(page.profile.photoUrl);
+  }
+  if (page.links.length > 0) {
+    person.sameAs = page.links.map(link => link.url);
+  }
+
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'ProfilePage',
+    name: meta.title,
+    description: meta.description,
+    mainEntity: person
+  };
+
+  if (SITE_URL) {
+    data.url = `${SITE_URL}/`;
+  }
+
+  return data;
+}
+
+/**
+ * Render the title, description, Open Graph, Twitter Card and JSON-LD tags
+ * @param {Object} page - Page model
+ * @returns {string} Head HTML
+ */
+function renderMetadata(page) {
+  const meta = getPageMetadata(page.profile);
+  const tag = (attribute, name, content) => `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`;
+
+  const tags = [
+    tag('name', 'description', meta.description),
+    `<title>${escapeHtml(meta.title)}</title>`,
+    tag('property', 'og:type', 'profile'),
+    tag('property', 'og:title', meta.title),
+    tag('property', 'og:description', meta.description),
+    tag('name', 'twitter:card', page.profile.shareImageUrl ? 'summary_large_image' : 'summary'),
+    tag('name', 'twitter:title', meta.title),
+    tag('name', 'twitter:description', meta.description)
+  ];
+
+  if (meta.image) {
+    tags.push(tag('property', 'og:image', meta.image));
+    tags.push(tag('name', 'twitter:image', meta.image));
+  }
+
+  if (SITE_URL) {
+    tags.push(`<link rel="canonical" href="${escapeHtml(`${SITE_URL}/`)}">`);
+    tags.push(tag('property', 'og:url', `${SITE_URL}/`));
+  }
+
+  tags.push(`<script type="application/ld+json">${scriptJSON(buildStructuredData(page, meta))}</script>`);
+
+  return tags.join('\n    ');
+}
+
+/**
+ * Render the theme as an inline stylesheet
+ * Mirrors applyTheme() in public/js/landing.js
+ * @param {Object} theme - Theme settings
+ * @returns {string} <style> element, or an empty string if the theme sets nothing
+ */
+function renderThemeStyles(theme) {
+  const rules = [];
+  const body = [];
+
+  if (theme.backgroundColor) {
+    body.push(`background-color: ${theme.backgroundColor};`);
+  }
+  if (theme.textColor) {
+    body.push(`color: ${theme.textColor};`);
+  }
+  if (body.length > 0) {
+    rules.push(`body { ${body.join(' ')} }`);
+  }
+
+  if (theme.backgroundImageUrl) {
+    const webp = mediaWebpURL(theme.backgroundImageUrl);
+    // Browsers without image-set() keep the first declaration
+    const imageSet = webp ? ` background-image: image-set(${cssUrl(webp)} type("image/webp"), ${cssUrl(theme.backgroundImageUrl)});` : '';
+    rules.push(`.background-overlay { background-image: ${cssUrl(theme.backgroundImageUrl)};${imageSet} }`);
+  }
+  if (theme.buttonColor) {
+    rules.push(`.link-item { background-color: ${theme.buttonColor}; }`);
+  }
+  if (theme.buttonTextColor) {
+    rules.push(`.link-item, .link-label { color: ${theme.buttonTextColor}; }`);
+  }
+
+  return rules.length > 0 ? `<style id="theme-styles">${rules.join(' ')}</style>` : '';
+}
+
+/**
+ * Render the profile photo and bio
+ * Mirrors displayProfile() in public/js/landing.js
+ * @param {Object} profile - Profile data
+ * @returns {string} Profile HTML, empty if there is no photo or bio
+ */
+function renderProfile(profile) {
+  let html = '';
+
+  if (profile.photoUrl) {
+    html += `<img src="${escapeHtml(profile.photoUrl)}"${mediaAttributes(profile.photoUrl, '120px')} alt="Profile photo" class="profile-photo" onerror="this.style.display='none'">`;
+  }
+
+  if (profile.bio) {
+    html += `<p class="profile-bio">${escapeHtml(profile.bio)}</p>`;
+  }
+
+  return html;
+}
+
+/**
+ * Get the address a link button points at
+ * /go/ counts the click and redirects to the link's URL, so clicks are counted without JavaScript too
+ * Mirrors clickURL() in public/js/landing.js
+ * @param {Object} link - Link object
+ * @returns {string} Click URL
+ */
+function clickURL(link) {
+  return `/go/${encodeURIComponent(link.id)}`;
+}
+
+/**
+ * Render an embed link as a click-to-load facade
+ * Nothing is loaded from the provider until the visitor clicks; landing.js then swaps in the player.
+ * Without JavaScript the facade is a plain link to the original URL, through /go/.
+ * Mirrors renderEmbed() in public/js/landing.js
+ * @param {Object} link - Link with visualType embed
+ * @param {Object} embed - { name, source, kind } from getEmbed()
+ * @returns {string} Embed HTML
+ */
+function renderEmbed(link, embed) {
+  return `<div class="link-embed embed-${embed.kind}" data-link-id="${escapeHtml(link.id)}" role="listitem"><a href="${escapeHtml(clickURL(link))}" class="embed-facade" data-embed-src="${escapeHtml(embed.source)}" data-embed-title="${escapeHtml(link.label)}" target="_blank" rel="noopener noreferrer"><span class="embed-play" aria-hidden="true">▶</span><span class="link-label">${escapeHtml(link.label)}</span><span class="embed-notice">Load from ${escapeHtml(embed.name)}</span></a></div>`;
+}
+
+/**
+ * Render the attributes that decide where a link opens
+ * Web pages open in a new tab; mailto:, tel:, sms: and app links hand over to another app from this one.
+ * A link with an app URL carries it and its web URL for landing.js, which opens the app on phones and tablets,
+ * and the web page directly if the app didn't open, since the click was already counted.
+ * Mirrors linkTargetAttributes() in public/js/landing.js
+ * @param {Object} link - Link object
+ * @returns {string} Attributes HTML, with a leading space
+ */
+function linkTargetAttributes(link) {
+  let attributes = isWebURL(link.url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+
+  if (link.appUrl) {
+    attributes += ` data-app-url="${escapeHtml(link.appUrl)}" data-web-url="${escapeHtml(link.url)}"`;
+  }
+
+  return attributes;
+}
+
+/**
+ * Render one link button
+ * Mirrors renderLink() in public/js/landing.js
+ * @param {Object} link - Link object
+ * @returns {string} Link HTML
+ */
+function renderLink(link) {
+  const visualType = link.visualType || 'none';
+  const embed = visualType === 'embed' && getEmbed(link);
+
+  if (embed) {
+    return renderEmbed(link, embed);
+  }
+
+  let visualHtml = '';
+  let visualClass = '';
+
+  if (visualType === 'image' && link.imageUrl) {
+    visualHtml = `<img src="${escapeHtml(link.imageUrl)}"${mediaAttributes(link.imageUrl, '40px')} alt="" class="link-image" onerror="this.style.display='none'">`;
+    visualClass = ' has-image';
+  } else if (visualType === 'icon' && link.iconUrl) {
+    visualHtml = `<img src="${escapeHtml(link.iconUrl)}" alt="" class="link-icon" onerror="this.style.display='none'">`;
+    visualClass = ' has-icon';
+  }
+
+  return `<a href="${escapeHtml(clickURL(link))}" class="link-item${visualClass}" data-link-id="${escapeHtml(link.id)}"${linkTargetAttributes(link)} role="listitem">${visualHtml}<span class="link-label">${escapeHtml(link.label)}</span></a>`;
+}
+
+/**
+ * Render the blocks of one section
+ * Consecutive links are grouped into a list; text and dividers sit between the lists.
+ * Mirrors renderBlocks() in public/js/landing.js
+ * @param {Array} blocks - Blocks of the section, in order
+ * @returns {string} Blocks HTML
+ */
+function renderBlocks(blocks) {
+  const html = [];
+  let links = [];
+
+  const flushLinks = () => {
+    if (links.length > 0) {
+      html.push(`<div class="link-list" role="list">${links.map(renderLink).join('\n')}</div>`);
+      links = [];
+    }
+  };
+
+  blocks.forEach(block => {
+    if (block.type === 'link') {
+      links.push(block);
+      return;
+    }
+
+    flushLinks();
+    if (block.type === 'text') {
+      html.push(`<p class="link-text">${escapeHtml(block.text)}</p>`);
+    } else if (block.type === 'divider') {
+      html.push('<hr class="link-divider">');
+    }
+  });
+  flushLinks();
+
+  return html.join('\n');
+}
+
+/**
+ * Render one section; a collapsible header becomes a <details> element, so it works without JavaScript
+ * Mirrors renderSection() in public/js/landing.js
+ * @param {Object} section - { header, blocks } from groupSections()
+ * @returns {string} Section HTML
+ */
+function renderSection({ header, blocks }) {
+  const content = renderBlocks(blocks);
+
+  if (!header) {
+    return content;
+  }
+
+  const title = escapeHtml(header.title);
+  const id = escapeHtml(header.id);
+
+  if (header.collapsible) {
+    return `<details class="link-section" data-block-id="${id}"${header.collapsed ? '' : ' open'}><summary class="section-header">${title}</summary><div class="section-blocks">${content}</div></details>`;
+  }
+
+  return `<section class="link-section" data-block-id="${id}"><h2 class="section-header">${title}</h2><div class="section-blocks">${content}</div></section>`;
+}
+
+/**
+ * Render the links, sections, text and dividers
+ * @param {Array} blocks - Visible blocks, in order
+ * @returns {string} Blocks HTML, or the empty state
+ */
+function renderLinks(blocks) {
+  const sections = groupSections(blocks);
+
+  if (sections.length === 0) {
+    return '<div class="empty-state">No links available at the moment.</div>';
+  }
+
+  return sections.map(renderSection).join('\n');
+}
+
+/**
+ * Render the full landing page HTML from the page model
+ * @param {Object} page - Page model from buildPageModel()
+ * @returns {Promise<string>} HTML document
+ */
+async function renderLandingPage(page) {
+  const template = await fs.readFile(TEMPLATE_FILE, 'utf8');
+
+  // Function replacements, so "$" in user content is never treated as a replacement pattern
+  return template
+    .replace(META_REGION, () => renderMetadata(page))
+    .replace(MARKERS.head, () => renderThemeStyles(page.theme))
+    .replace(MARKERS.profile, () => renderProfile(page.profile))
+    .replace(MARKERS.links, () => renderLinks(page.blocks));
+}
+
+module.exports = {
+  escapeHtml,
+  renderLandingPage
+};
@@ -0,0 +1,249 @@
+const { EVENT_TYPES } = require('./drivers/common');
+const { readEvents, pruneEvents, readRollups, updateRollups } = require('./storage');
+const { today } = require('./analytics');
+
+// Rollup section each event type is counted in
+const SECTIONS = {
+  view: 'views',
+  click: 'clicks'
+};
+
+// Label used for events without a referrer
+const DIRECT = '(direct)';
+
+// How often completed days are rolled up and old events pruned in the background
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Days of raw events to keep; daily rollups are kept for good. 0 keeps raw events forever
+const DEFAULT_RETENTION_DAYS = 90;
+const RETENTION_DAYS = parseRetentionDays(process.env.ANALYTICS_RETENTION_DAYS);
+
+// Completed days are rolled up at most once per run; concurrent callers share the run in progress
+let pendingRollup = null;
+
+/**
+ * Parse the ANALYTICS_RETENTION_DAYS setting
+ * @param {string} value - Environment variable value
+ * @returns {number} Days of raw events to keep, 0 for no limit
+ */
+function parseRetentionDays(value) {
+  if (value === undefined || value === '') {
+    return DEFAULT_RETENTION_DAYS;
+  }
+
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    console.warn(`Ignoring invalid ANALYTICS_RETENTION_DAYS "${value}", keeping ${DEFAULT_RETENTION_DAYS} days of events`);
+    return DEFAULT_RETENTION_DAYS;
+  }
+
+  return days;
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Create an empty rollup for one day
+ * visitors counts distinct visitor hashes; hashes change daily, so it cannot be summed into unique people
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {Object} Rollup
+ */
+function emptyRollup(date) {
+  const section = () => ({ total: 0, visitors: 0, referrers: {}, devices: {} });
+  return {
+    date,
+    views: section(),
+    clicks: { ...section(), links: {} }
+  };
+}
+
+/**
+ * Reduce a stored referrer to the host name it is grouped under
+ * @param {string} referrer - Referrer URL
+ * @returns {string} Host name, or (direct) if there is none
+ */
+function referrerHost(referrer) {
+  try {
+    return new URL(referrer).hostname || DIRECT;
+  } catch (error) {
+    return DIRECT;
+  }
+}
+
+/**
+ * Increment a counter in a map of counts
+ * @param {Object} counts - Map of key to count
+ * @param {string} key - Key to increment
+ */
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * Build rollups for a date range from the raw events
+ * @param {string} from - First day (YYYY-MM-DD), or undefined to start at the oldest event
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Promise<Object>} Map of date to rollup, only for days with events
+ */
+async function computeRollups(from, to) {
+  const rollups = {};
+  const visitors = {};
+
+  for (const type of EVENT_TYPES) {
+    const sectionName = SECTIONS[type];
+
+    for await (const event of readEvents(type, { from, to })) {
+      const date = event.timestamp.slice(0, 10);
+      rollups[date] = rollups[date] || emptyRollup(date);
+
+      const section = rollups[date][sectionName];
+      section.total += 1;
+      increment(section.referrers, referrerHost(event.referrer));
+      increment(section.devices, event.device || 'unknown');
+
+      if (type === 'click') {
+        increment(section.links, event.linkId);
+      }
+
+      const visitorKey = `${date}:${sectionName}`;
+      visitors[visitorKey] = visitors[visitorKey] || new Set();
+      visitors[visitorKey].add(event.visitor);
+    }
+  }
+
+  for (const [key, hashes] of Object.entries(visitors)) {
+    const [date, sectionName] = key.split(':');
+    rollups[date][sectionName].visitors = hashes.size;
+  }
+
+  return rollups;
+}
+
+/**
+ * Read the stored rollups, treating a missing document as empty
+ * @returns {Promise<Object>} { rolledUpTo, days }
+ */
+async function readStoredRollups() {
+  try {
+    return await readRollups();
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return { rolledUpTo: null, days: {} };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Roll up every completed day (before today, UTC) that has not been rolled up yet
+ * A completed day never changes again, so its rollup is computed once and kept.
+ * @returns {Promise<void>}
+ */
+async function rollupCompletedDays() {
+  if (!pendingRollup) {
+    pendingRollup = (async () => {
+      const yesterday = addDays(today(), -1);
+      const stored = await readStoredRollups();
+
+      if (stored.rolledUpTo && stored.rolledUpTo >= yesterday) {
+        return;
+      }
+
+      const from = stored.rolledUpTo ? addDays(stored.rolledUpTo, 1) : undefined;
+      const computed = await computeRollups(from, yesterday);
+
+      await updateRollups(current => {
+        const base = current || { rolledUpTo: null, days: {} };
+        if (base.rolledUpTo && base.rolledUpTo >= yesterday) {
+          return undefined;
+        }
+        return { rolledUpTo: yesterday, days: { ...base.days, ...computed } };
+      });
+    })().finally(() => {
+      pendingRollup = null;
+    });
+  }
+
+  return pendingRollup;
+}
+
+/**
+ * Get one rollup per day for a date range, with today computed live from the raw events
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} Rollups in date order, including empty days
+ */
+async function getDailyRollups(from, to) {
+  await rollupCompletedDays();
+
+  const stored = await readStoredRollups();
+  const currentDay = today();
+  const live = to >= currentDay ? await computeRollups(currentDay, currentDay) : {};
+
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    days.push(live[date] || stored.days[date] || emptyRollup(date));
+  }
+
+  return days;
+}
+
+/**
+ * Delete raw events older than the retention period
+ * Days that have not been rolled up yet are always kept, so pruning never loses totals.
+ * @returns {Promise<string|null>} First day kept (YYYY-MM-DD), or null if nothing was pruned
+ */
+async function pruneExpiredEvents() {
+  if (RETENTION_DAYS === 0) {
+    return null;
+  }
+
+  const stored = await readStoredRollups();
+  if (!stored.rolledUpTo) {
+    return null;
+  }
+
+  const retainFrom = addDays(today(), -RETENTION_DAYS);
+  const firstUnrolled = addDays(stored.rolledUpTo, 1);
+  const before = retainFrom < firstUnrolled ? retainFrom : firstUnrolled;
+
+  await pruneEvents(before);
+  return before;
+}
+
+/**
+ * Roll up completed days and prune expired events now and then every hour,
+ * so dashboard requests rarely have to wait for a rollup
+ */
+function scheduleAnalyticsMaintenance() {
+  const run = async () => {
+    try {
+      await rollupCompletedDays();
+      await pruneExpiredEvents();
+    } catch (error) {
+      console.error('Error maintaining analytics:', error.message);
+    }
+  };
+
+  run();
+  // Unref'd so the timer never keeps the process alive on its own
+  setInterval(run, MAINTENANCE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  addDays,
+  rollupCompletedDays,
+  getDailyRollups,
+  pruneExpiredEvents,
+  scheduleAnalyticsMaintenance
+};
@@ -0,0 +1,100 @@
+/**
+ * Link scheduling
+ * A link may have a publishAt and/or expireAt timestamp (ISO 8601, stored in UTC).
+ * It is shown to visitors while it is active and now falls inside [publishAt, expireAt).
+ */
+
+// Timezone used for the admin panel's schedule inputs until one is configured
+const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * Check whether a string is an IANA timezone name the runtime knows (e.g. Europe/Berlin)
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a string is an ISO 8601 date and time with a UTC offset
+ * @param {string} value - Timestamp to validate
+ * @returns {boolean} True if valid
+ */
+function isValidTimestamp(value) {
+  return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) &&
+    !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Normalize a timestamp to UTC, e.g. 2025-06-01T09:00+02:00 becomes 2025-06-01T07:00:00.000Z
+ * @param {string} value - Valid timestamp
+ * @returns {string} ISO 8601 timestamp in UTC
+ */
+function normalizeTimestamp(value) {
+  return new Date(value).toISOString();
+}
+
+/**
+ * Check that a link's schedule window is not empty
+ * @param {Object} link - Link object
+ * @returns {Object|null} Field error ({ field, message }), or null if the window is valid
+ */
+function validateSchedule(link) {
+  if (link.publishAt && link.expireAt && Date.parse(link.expireAt) <= Date.parse(link.publishAt)) {
+    return { field: 'expireAt', message: 'must be later than publishAt' };
+  }
+  return null;
+}
+
+/**
+ * Check whether visitors should see a link
+ * @param {Object} link - Link object
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the link is active and inside its schedule window
+ */
+function isLinkLive(link, now = new Date()) {
+  if (!link.active) {
+    return false;
+  }
+  if (link.publishAt && Date.parse(link.publishAt) > now.getTime()) {
+    return false;
+  }
+  if (link.expireAt && Date.parse(link.expireAt) <= now.getTime()) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Find the next time an active link is published or expires
+ * Cached public responses built from the links are only valid until then.
+ * @param {Array} links - All links
+ * @param {Date} now - Current time
+ * @returns {Date|null} Next schedule change, or null if none is pending
+ */
+function nextScheduleChange(links, now = new Date()) {
+  const upcoming = links
+    .filter(link => link.active)
+    .flatMap(link => [link.publishAt, link.expireAt])
+    .filter(Boolean)
+    .map(Date.parse)
+    .filter(time => time > now.getTime());
+
+  return upcoming.length > 0 ? new Date(Math.min(...upcoming)) : null;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  isValidTimestamp,
+  normalizeTimestamp,
+  validateSchedule,
+  isLinkLive,
+  nextScheduleChange
+};
@@ -0,0 +1,196 @@
+/**
+ * Link URL schemes
+ * Besides web pages, a link can start an email, a phone call or a text message, or open an app.
+ * Only the schemes listed here are accepted, each with its own check; everything else,
+ * javascript: and data: included, is rejected.
+ */
+
+const WEB_SCHEMES = ['http', 'https'];
+
+// Apps whose deep links a link (or a link's app URL) may open
+const APP_SCHEMES = [
+  'spotify',
+  'whatsapp',
+  'tg',
+  'signal',
+  'fb-messenger',
+  'instagram',
+  'twitter',
+  'youtube',
+  'discord',
+  'slack',
+  'zoomus',
+  'skype',
+  'facetime',
+  'facetime-audio',
+  'itms-apps',
+  'market'
+];
+
+// Mailbox of an email address; the domain needs at least one dot
+const EMAIL_PATTERN = /^[^\s@<>()[\],;:"\\]+@[^\s@<>()[\],;:"\\]+\.[^\s@<>()[\],;:"\\]+$/;
+
+// E.164: a plus sign, a country code and at most 15 digits in all
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+// Characters that must be percent-encoded in mailto:, tel:, sms: and app URLs
+// The URL parser leaves them as entered in these schemes, and they have no place in an attribute value
+const UNENCODED_CHARACTERS = /[\s\x00-\x1f\x7f"'<>`\\]/;
+
+// Header fields a mailto: link may prefill
+const MAILTO_FIELDS = ['subject', 'body', 'cc', 'bcc'];
+
+/**
+ * Decode a percent-encoded URL component
+ * @param {string} value - Encoded value
+ * @returns {string|null} Decoded value, or null if it is malformed
+ */
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a comma-separated list of email addresses
+ * @param {string} list - Encoded addresses
+ * @returns {boolean} True if every address is valid
+ */
+function isValidAddressList(list) {
+  return list.split(',').every(address => EMAIL_PATTERN.test(decode(address) || ''));
+}
+
+/**
+ * Check a mailto: URL: one or more recipients, plus optional subject, body, cc and bcc
+ * @param {URL} url - Parsed URL
+ * @returns {boolean} True if valid
+ */
+function isValidMailto(url) {
+  if (!isValidAddressList(url.pathname)) {
+    return false;
+  }
+
+  return [...url.searchParams].every(([name, value]) =>
+    MAILTO_FIELDS.includes(name.toLowerCase()) && (!['cc', 'bcc'].includes(name.toLowerCase()) || isValidAddressList(value)));
+}
+
+/**
+ * Check a tel: URL: a single E.164 number, without separators
+ * @param {URL} url - Parsed URL
+ * @returns {boolean} True if valid
+ */
+function isValidTel(url) {
+  return E164_PATTERN.test(url.pathname) && !url.search && !url.hash;
+}
+
+/**
+ * Check an sms: URL: an E.164 number and an optional prefilled body
+ * @param {URL} url - Parsed URL
+ * @returns {boolean} True if valid
+ */
+function isValidSms(url) {
+  return E164_PATTERN.test(url.pathname) && [...url.searchParams.keys()].every(name => name === 'body') && !url.hash;
+}
+
+/**
+ * Check an app deep link: something after the scheme
+ * @param {URL} url - Parsed URL
+ * @param {string} value - URL as entered
+ * @returns {boolean} True if valid
+ */
+function isValidAppLink(url, value) {
+  return value.length > url.protocol.length;
+}
+
+// Check for each allowed scheme, given the parsed URL and the URL as entered
+const SCHEME_CHECKS = {
+  ...Object.fromEntries(WEB_SCHEMES.map(scheme => [scheme, () => true])),
+  mailto: isValidMailto,
+  tel: isValidTel,
+  sms: isValidSms,
+  ...Object.fromEntries(APP_SCHEMES.map(scheme => [scheme, isValidAppLink]))
+};
+
+/**
+ * Get the scheme of a URL
+ * @param {string} value - URL
+ * @returns {string|null} Lowercase scheme without the colon (e.g. mailto), or null if the URL doesn't parse
+ */
+function getScheme(value) {
+  try {
+    return new URL(value).protocol.slice(0, -1);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a URL against the allowlist of schemes
+ * @param {string} value - URL to validate
+ * @param {Array<string>} schemes - Allowed schemes
+ * @returns {boolean} True if the scheme is allowed and the URL passes its check
+ */
+function isAllowedURL(value, schemes) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+
+  const scheme = url.protocol.slice(0, -1);
+  if (!schemes.includes(scheme) || (!WEB_SCHEMES.includes(scheme) && UNENCODED_CHARACTERS.test(value))) {
+    return false;
+  }
+
+  return SCHEME_CHECKS[scheme](url, value);
+}
+
+/**
+ * Validate the URL a link opens
+ * @param {string} value - URL to validate
+ * @returns {boolean} True for web, mailto:, tel:, sms: and app URLs that pass their scheme's check
+ */
+function isValidLinkURL(value) {
+  return isAllowedURL(value, Object.keys(SCHEME_CHECKS));
+}
+
+/**
+ * Validate a link's app URL, opened instead of its web URL on phones and tablets
+ * @param {string} value - URL to validate
+ * @returns {boolean} True for deep links of the allowed apps
+ */
+function isValidAppURL(value) {
+  return isAllowedURL(value, APP_SCHEMES);
+}
+
+/**
+ * Check whether a URL opens a web page
+ * @param {string} value - Valid link URL
+ * @returns {boolean} True for http and https URLs
+ */
+function isWebURL(value) {
+  return WEB_SCHEMES.includes(getScheme(value));
+}
+
+/**
+ * Check that a link with an app URL has a web page to fall back to
+ * @param {Object} link - Link object
+ * @returns {Object|null} Field error ({ field, message }), or null if the link is valid
+ */
+function validateAppLink(link) {
+  if (link.appUrl && !isWebURL(link.url)) {
+    return { field: 'url', message: 'must start with http:// or https:// when the link has an app URL' };
+  }
+  return null;
+}
+
+module.exports = {
+  APP_SCHEMES,
+  isValidLinkURL,
+  isValidAppURL,
+  isWebURL,
+  validateAppLink
+};
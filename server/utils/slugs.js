@@ -0,0 +1,72 @@
+/**
+ * Short links
+ * A link may have a unique slug, so /s/<slug> redirects to wherever the link points now.
+ * Printed short links keep working when the destination changes or the link is deactivated.
+ */
+const fs = require('fs');
+const path = require('path');
+const { isLink, getBlockLabel } = require('./blocks');
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9._-]{0,62}[a-z0-9])?$/;
+
+// Top-level routes of the server, besides the files in public/
+const RESERVED_ROUTES = ['api', 'go', 's', 'media'];
+
+// Names of the site's own pages and routes, so a short link never looks like one of them
+// Pages are reserved with and without .html (admin.html and admin)
+const RESERVED_SLUGS = new Set([
+  ...RESERVED_ROUTES,
+  ...fs.readdirSync(path.join(__dirname, '../../public'))
+    .map(name => name.toLowerCase())
+    .flatMap(name => [name, name.replace(/\.html$/, '')])
+]);
+
+/**
+ * Check the format of a slug
+ * @param {string} slug - Slug to validate
+ * @returns {boolean} True for 1-64 lowercase letters, digits, dots, hyphens and underscores,
+ *   starting and ending with a letter or digit
+ */
+function isValidSlug(slug) {
+  return SLUG_PATTERN.test(slug);
+}
+
+/**
+ * Check that a link's slug is not reserved or used by another link
+ * @param {Object} link - Link object
+ * @param {Array} links - All links, possibly including this one
+ * @returns {Object|null} Field error ({ field, message }), or null if the slug is free or not set
+ */
+function validateSlug(link, links) {
+  if (!link.slug) {
+    return null;
+  }
+
+  if (RESERVED_SLUGS.has(link.slug)) {
+    return { field: 'slug', message: 'is reserved for a page of this site' };
+  }
+
+  const other = links.find(item => item.id !== link.id && item.slug === link.slug);
+  if (other) {
+    return { field: 'slug', message: `is already used by "${getBlockLabel(other)}"` };
+  }
+
+  return null;
+}
+
+/**
+ * Find the link a short link points at, whether or not it is active or scheduled
+ * @param {Array} links - All links
+ * @param {string} slug - Slug from the URL, in any case
+ * @returns {Object|undefined} Link with the slug
+ */
+function findLinkBySlug(links, slug) {
+  const normalized = slug.toLowerCase();
+  return links.find(link => isLink(link) && link.slug === normalized);
+}
+
+module.exports = {
+  isValidSlug,
+  validateSlug,
+  findLinkBySlug
+};
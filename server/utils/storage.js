@@ -1,200 +1,479 @@
-const fs = require('fs').promises;
-const path = require('path');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const jsonDriver = require('./drivers/json');
+const { DATA_DIR } = require('./drivers/common');
+const { validate, invalidDataError } = require('./validation');
 
-// Data file paths
-const DATA_DIR = path.join(__dirname, '../../data');
-const LINKS_FILE = path.join(DATA_DIR, 'links.json');
-const THEME_FILE = path.join(DATA_DIR, 'theme.json');
-const AUTH_FILE = path.join(DATA_DIR, 'auth.json');
-const PROFILE_FILE = path.join(DATA_DIR, 'profile.json');
-const CONFIG_FILE = path.join(DATA_DIR, 'config.json');
+// Available storage drivers, loaded lazily so optional native modules are only required when used
+const DRIVERS = {
+  json: () => jsonDriver,
+  sqlite: () => require('./drivers/sqlite')
+};
 
 /**
- * Generate a UUID v4
- * @returns {string} UUID string
+ * Load a storage driver by name
+ * @param {string} name - Driver name (json or sqlite)
+ * @returns {Object} Driver module
  */
-function generateUUID() {
-  return crypto.randomUUID();
+function loadDriver(name) {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown storage driver: ${name}. Must be one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return DRIVERS[name]();
 }
 
 /**
- * Read JSON file with error handling
- * @param {string} filePath - Path to JSON file
- * @returns {Promise<any>} Parsed JSON data
+ * Get the name of the configured storage driver
+ * storageDriver is read straight from data/config.json, whichever driver holds the rest of the config,
+ * since the driver has to be known before anything else can be read. STORAGE_DRIVER overrides it.
+ * @returns {string} Driver name (default: json)
  */
-async function readJSONFile(filePath) {
+function configuredDriverName() {
+  if (process.env.STORAGE_DRIVER) {
+    return process.env.STORAGE_DRIVER;
+  }
+
+  const configFile = path.join(DATA_DIR, 'config.json');
+  let config;
   try {
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
+    config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
   } catch (error) {
     if (error.code === 'ENOENT') {
-      throw new Error(`File not found: ${filePath}`);
-    }
-    if (error instanceof SyntaxError) {
-      throw new Error(`Invalid JSON in file: ${filePath}`);
+      return 'json';
     }
-    throw new Error(`Error reading file ${filePath}: ${error.message}`);
+    throw new Error(`Error reading storage driver from ${configFile}: ${error.message}`);
   }
+
+  return (config && config.storageDriver) || 'json';
 }
 
+// Driver selected with storageDriver in config.json or the STORAGE_DRIVER environment variable (default: json)
+const driver = loadDriver(configuredDriverName());
+
+// Emits 'change' with the resource name after every write, and when a driver sees the data change outside the server.
+// Writes also pass who made them: { username, clientId }; changes made outside the server pass an empty object.
+const changes = new EventEmitter();
+let watchingDriver = false;
+
 /**
- * Write JSON file with error handling
- * @param {string} filePath - Path to JSON file
- * @param {any} data - Data to write
- * @returns {Promise<void>}
+ * Subscribe to resource changes
+ * The first subscription starts the driver's watcher, if it has one, so edits made to the data by hand are reported too.
+ * @param {Function} listener - (resource, { username, clientId }) => void
+ * @returns {Function} Unsubscribes the listener
  */
-async function writeJSONFile(filePath, data) {
-  try {
-    const jsonString = JSON.stringify(data, null, 2);
-    await fs.writeFile(filePath, jsonString, 'utf8');
-  } catch (error) {
-    throw new Error(`Error writing file ${filePath}: ${error.message}`);
+function onChange(listener) {
+  changes.on('change', listener);
+
+  if (!watchingDriver && typeof driver.watch === 'function') {
+    watchingDriver = true;
+    driver.watch(resource => changes.emit('change', resource, {}));
   }
+
+  return () => changes.off('change', listener);
 }
 
 /**
- * Read links from links.json
+ * Run a driver update and announce the change if anything was written
+ * @param {string} resource - Resource name
+ * @param {Function} mutator - (data) => updated data | undefined to skip the write
+ * @param {Object} meta - Revision metadata ({ username, restoredFrom }), plus the clientId of the admin tab making the change
+ * @returns {Promise<any>} The written data, or undefined if nothing was written
+ */
+async function applyUpdate(resource, mutator, meta = {}) {
+  const updated = await driver.update(resource, mutator, meta);
+
+  if (updated !== undefined) {
+    changes.emit('change', resource, {
+      username: meta.username || null,
+      clientId: meta.clientId || null
+    });
+  }
+
+  return updated;
+}
+
+// Schemas every stored resource must match, checked on each read and write
+const RESOURCE_SCHEMAS = {
+  links: 'links',
+  theme: 'theme',
+  profile: 'profile',
+  config: 'config'
+};
+
+/**
+ * Check a resource against its schema
+ * @param {string} resource - Resource name
+ * @param {any} data - Resource data
+ * @throws {Error} INVALID_DATA error listing the invalid fields
+ */
+function assertValid(resource, data) {
+  if (!RESOURCE_SCHEMAS[resource]) {
+    return;
+  }
+
+  const fields = validate(RESOURCE_SCHEMAS[resource], data, resource);
+  if (fields.length > 0) {
+    throw invalidDataError(resource, fields);
+  }
+}
+
+/**
+ * Read a resource and make sure it matches its schema
+ * @param {string} resource - Resource name
+ * @returns {Promise<any>} Resource data
+ */
+async function readResource(resource) {
+  const data = await driver.read(resource);
+  assertValid(resource, data);
+  return data;
+}
+
+/**
+ * Apply a serialized read-modify-write, refusing to store data that does not match the schema
+ * @param {string} resource - Resource name
+ * @param {Function} mutator - (data) => updated data | undefined to skip the write
+ * @param {Object} meta - Revision metadata ({ username, restoredFrom })
+ * @returns {Promise<any>} The written data, or undefined if nothing was written
+ */
+async function updateResource(resource, mutator, meta = {}) {
+  return await applyUpdate(resource, async current => {
+    const updated = await mutator(current);
+    if (updated !== undefined) {
+      assertValid(resource, updated);
+    }
+    return updated;
+  }, meta);
+}
+
+/**
+ * Read a resource without schema validation
+ * Only for migrations, which must be able to load data written for an older schema, and imports snapshotting the data they replace.
+ * @param {string} resource - Resource name
+ * @returns {Promise<any>} Resource data
+ */
+async function readRawResource(resource) {
+  return await driver.read(resource);
+}
+
+/**
+ * Write a resource without schema validation
+ * Only for migrations and imports, to put back the previous data after a failed run.
+ * @param {string} resource - Resource name
+ * @param {any} data - Resource data
+ * @returns {Promise<void>}
+ */
+async function writeRawResource(resource, data) {
+  await applyUpdate(resource, () => data);
+}
+
+/**
+ * Generate a UUID v4
+ * @returns {string} UUID string
+ */
+function generateUUID() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Get the name of the active storage driver
+ * @returns {string} Driver name
+ */
+function getDriverName() {
+  return driver.name;
+}
+
+/**
+ * Read links
  * @returns {Promise<Array>} Array of link objects
  */
 async function readLinks() {
-  return await readJSONFile(LINKS_FILE);
+  return await readResource('links');
 }
 
 /**
- * Write links to links.json
+ * Write links and record a revision
  * @param {Array} links - Array of link objects
+ * @param {Object} meta - Revision metadata ({ username, restoredFrom })
  * @returns {Promise<void>}
  */
-async function writeLinks(links) {
-  return await writeJSONFile(LINKS_FILE, links);
+async function writeLinks(links, meta = {}) {
+  await updateResource('links', () => links, meta);
+}
+
+/**
+ * Apply a serialized read-modify-write to links and record it as a revision
+ * @param {Function} mutator - (links) => updated links | undefined to skip the write
+ * @param {Object} meta - Revision metadata ({ username })
+ * @returns {Promise<any>} The written data, or undefined if nothing was written
+ */
+async function updateLinks(mutator, meta = {}) {
+  return await updateResource('links', mutator, meta);
 }
 
 /**
- * Read theme settings from theme.json
+ * Read theme settings
  * @returns {Promise<Object>} Theme settings object
  */
 async function readTheme() {
-  return await readJSONFile(THEME_FILE);
+  return await readResource('theme');
 }
 
 /**
- * Write theme settings to theme.json
+ * Write theme settings and record a revision
  * @param {Object} theme - Theme settings object
+ * @param {Object} meta - Revision metadata ({ username, restoredFrom })
  * @returns {Promise<void>}
  */
-async function writeTheme(theme) {
-  return await writeJSONFile(THEME_FILE, theme);
+async function writeTheme(theme, meta = {}) {
+  await updateResource('theme', () => theme, meta);
+}
+
+/**
+ * Apply a serialized read-modify-write to theme and record it as a revision
+ * @param {Function} mutator - (theme) => updated theme | undefined to skip the write
+ * @param {Object} meta - Revision metadata ({ username })
+ * @returns {Promise<any>} The written data, or undefined if nothing was written
+ */
+async function updateTheme(mutator, meta = {}) {
+  return await updateResource('theme', mutator, meta);
 }
 
 /**
- * Read authentication data from auth.json
+ * Read authentication data
  * @returns {Promise<Object>} Auth object with username and passwordHash
  */
 async function readAuth() {
-  return await readJSONFile(AUTH_FILE);
+  return await driver.read('auth');
 }
 
 /**
- * Write authentication data to auth.json
+ * Write authentication data
  * @param {Object} auth - Auth object with username and passwordHash
  * @returns {Promise<void>}
  */
 async function writeAuth(auth) {
-  return await writeJSONFile(AUTH_FILE, auth);
+  await applyUpdate('auth', () => auth);
 }
 
 /**
- * Read profile data from profile.json
+ * Read profile data
  * @returns {Promise<Object>} Profile object with photoUrl and bio
  */
 async function readProfile() {
-  return await readJSONFile(PROFILE_FILE);
+  return await readResource('profile');
 }
 
 /**
- * Write profile data to profile.json
+ * Write profile data and record a revision
  * @param {Object} profile - Profile object with photoUrl and bio
+ * @param {Object} meta - Revision metadata ({ username, restoredFrom })
  * @returns {Promise<void>}
  */
-async function writeProfile(profile) {
-  return await writeJSONFile(PROFILE_FILE, profile);
+async function writeProfile(profile, meta = {}) {
+  await updateResource('profile', () => profile, meta);
+}
+
+/**
+ * Apply a serialized read-modify-write to profile and record it as a revision
+ * @param {Function} mutator - (profile) => updated profile | undefined to skip the write
+ * @param {Object} meta - Revision metadata ({ username })
+ * @returns {Promise<any>} The written data, or undefined if nothing was written
+ */
+async function updateProfile(mutator, meta = {}) {
+  return await updateResource('profile', mutator, meta);
 }
 
 /**
- * Read configuration data from config.json
+ * Read configuration data
  * @returns {Promise<Object>} Config object with API keys
  */
 async function readConfig() {
-  return await readJSONFile(CONFIG_FILE);
+  return await readResource('config');
 }
 
 /**
- * Write configuration data to config.json
+ * Write configuration data
  * @param {Object} config - Config object with API keys
  * @returns {Promise<void>}
  */
 async function writeConfig(config) {
-  return await writeJSONFile(CONFIG_FILE, config);
+  await updateResource('config', () => config);
 }
 
 /**
- * Migrate existing links to include visualType field
- * This ensures backward compatibility with links created before the visualType field was added
- * @returns {Promise<void>}
+ * Apply a serialized read-modify-write to config
+ * @param {Function} mutator - (config) => updated config | undefined to skip the write
+ * @param {Object} meta - Who is making the change ({ username, clientId })
+ * @returns {Promise<any>} The written data, or undefined if nothing was written
  */
-async function migrateLinks() {
-  try {
-    const links = await readLinks();
-    let migrated = false;
-
-    const updatedLinks = links.map(link => {
-      // Check if link already has visualType field
-      if (link.visualType) {
-        return link;
-      }
-
-      // Migration needed
-      migrated = true;
-
-      // Set default visualType based on imageUrl presence
-      if (link.imageUrl && link.imageUrl.trim() !== '') {
-        return {
-          ...link,
-          visualType: 'image'
-        };
-      } else {
-        return {
-          ...link,
-          visualType: 'none'
-        };
-      }
-    });
+async function updateConfig(mutator, meta = {}) {
+  return await updateResource('config', mutator, meta);
+}
 
-    // Only write if migration was needed
-    if (migrated) {
-      await writeLinks(updatedLinks);
-      console.log('Links migration completed: visualType field added to existing links');
-    }
+/**
+ * Read the schema version the stored data has been migrated to
+ * @returns {Promise<number>} Schema version, 0 if no migration has run yet
+ */
+async function readSchemaVersion() {
+  try {
+    const schema = await driver.read('schema');
+    return schema.schemaVersion || 0;
   } catch (error) {
-    console.error('Error during links migration:', error.message);
-    // Don't throw - allow server to start even if migration fails
+    if (error.code === 'NOT_FOUND') {
+      return 0;
+    }
+    throw error;
   }
 }
 
+/**
+ * Record the schema version the stored data has been migrated to
+ * @param {number} schemaVersion - Schema version
+ * @returns {Promise<void>}
+ */
+async function writeSchemaVersion(schemaVersion) {
+  await applyUpdate('schema', () => ({
+    schemaVersion,
+    migratedAt: new Date().toISOString()
+  }));
+}
+
+/**
+ * Apply a serialized read-modify-write to the analytics state (the daily visitor-hash salt)
+ * @param {Function} mutator - (state | undefined) => updated state | undefined to skip the write
+ * @returns {Promise<any>} The written data, or undefined if nothing was written
+ */
+async function updateAnalyticsState(mutator) {
+  return await applyUpdate('analytics', mutator);
+}
+
+/**
+ * Read the daily analytics rollups
+ * @returns {Promise<Object>} { rolledUpTo, days: { 'YYYY-MM-DD': rollup } }
+ */
+async function readRollups() {
+  return await driver.read('rollups');
+}
+
+/**
+ * Apply a serialized read-modify-write to the daily analytics rollups
+ * @param {Function} mutator - (rollups | undefined) => updated rollups | undefined to skip the write
+ * @returns {Promise<any>} The written data, or undefined if nothing was written
+ */
+async function updateRollups(mutator) {
+  return await applyUpdate('rollups', mutator);
+}
+
+/**
+ * Read the latest link health check results
+ * @returns {Promise<Object>} { checkedAt, links: { [linkId]: result } }
+ */
+async function readHealth() {
+  return await driver.read('health');
+}
+
+/**
+ * Apply a serialized read-modify-write to the link health check results
+ * @param {Function} mutator - (health | undefined) => updated health | undefined to skip the write
+ * @returns {Promise<any>} The written data, or undefined if nothing was written
+ */
+async function updateHealth(mutator) {
+  return await applyUpdate('health', mutator);
+}
+
+/**
+ * Run a task while links, theme, profile or other resources can't be updated, e.g. to act on a check of their contents
+ * @param {Array<string>} resources - Resource names
+ * @param {Function} task - Async function to run; updates it makes itself run straight away, without waiting for the lock
+ * @returns {Promise<any>} Result of the task
+ */
+async function lockResources(resources, task) {
+  return await driver.lock(resources, task);
+}
+
+/**
+ * Append an analytics event
+ * @param {string} type - Event type (click or view)
+ * @param {Object} event - Event with an ISO timestamp
+ * @returns {Promise<void>}
+ */
+async function appendEvent(type, event) {
+  await driver.appendEvent(type, event);
+}
+
+/**
+ * Read analytics events one at a time, oldest first
+ * @param {string} type - Event type (click or view)
+ * @param {Object} query - { from, to: YYYY-MM-DD inclusive, linkId }
+ * @returns {AsyncGenerator<Object>} Matching events
+ */
+function readEvents(type, query = {}) {
+  return driver.readEvents(type, query);
+}
+
+/**
+ * Delete analytics events from before a day
+ * @param {string} before - First day to keep (YYYY-MM-DD)
+ * @returns {Promise<void>}
+ */
+async function pruneEvents(before) {
+  await driver.pruneEvents(before);
+}
+
+/**
+ * Read the revision history of links, theme and profile
+ * @returns {Promise<Array>} Array of revision entries, oldest first
+ */
+async function readHistory() {
+  return await driver.readHistory();
+}
+
+/**
+ * Get a single revision by number
+ * @param {number} rev - Revision number
+ * @returns {Promise<Object|null>} Revision entry, or null if it does not exist
+ */
+async function readRevision(rev) {
+  return await driver.readRevision(rev);
+}
+
 module.exports = {
   generateUUID,
-  readJSONFile,
-  writeJSONFile,
+  getDriverName,
+  loadDriver,
+  onChange,
+  readJSONFile: jsonDriver.readJSONFile,
+  writeJSONFile: jsonDriver.writeJSONFile,
+  updateJSONFile: jsonDriver.updateJSONFile,
   readLinks,
   writeLinks,
+  updateLinks,
   readTheme,
   writeTheme,
+  updateTheme,
   readAuth,
   writeAuth,
   readProfile,
   writeProfile,
+  updateProfile,
   readConfig,
   writeConfig,
-  migrateLinks
+  updateConfig,
+  readRawResource,
+  writeRawResource,
+  updateAnalyticsState,
+  readRollups,
+  updateRollups,
+  readHealth,
+  updateHealth,
+  lockResources,
+  appendEvent,
+  readEvents,
+  pruneEvents,
+  readHistory,
+  readRevision,
+  readSchemaVersion,
+  writeSchemaVersion
 };
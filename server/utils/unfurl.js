@@ -0,0 +1,381 @@
+/**
+ * Link previews
+ * Fetches a page pasted into the link form and reads its title, description, favicon and
+ * og:image from the <head>, so the form can suggest a label and a button image.
+ * The server makes the request on the admin's behalf, so it only connects to public addresses:
+ * every host name is resolved and checked when the connection is made (redirects included),
+ * and only the first part of the page is read, within a time limit.
+ */
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const { Parser } = require('htmlparser2');
+const { isValidURL } = require('./validation');
+
+// Longest a preview may take, redirects and reading the page included
+const TIMEOUT_MS = 5000;
+
+// Most of the page that is read; metadata lives in the <head>, near the start
+const MAX_BYTES = 512 * 1024;
+
+const MAX_REDIRECTS = 5;
+
+// How long a preview is reused before the page is fetched again, and how many are kept
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 100;
+
+// Longest title suggested as a label, matching the label's maximum length
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; link-sharing-page link preview)';
+
+const BLOCKED_MESSAGE = 'Only pages on the public internet can be previewed, not local or private network addresses';
+
+// Loopback, private, link-local, shared, documentation, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+// IPv4-mapped addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges by BlockList itself;
+// a rule for ::ffff:0:0/96 would also match every plain IPv4 address
+[
+  // Unspecified, loopback and IPv4-compatible addresses
+  ['::', 96],
+  // NAT64 addresses, which can reach IPv4 hosts blocked above
+  ['64:ff9b::', 96],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Previews by URL: { expiresAt, promise }, oldest first; requests for a page being fetched share the fetch
+const cache = new Map();
+
+/**
+ * Create an error describing why a preview failed
+ * @param {string} message - Message for the admin
+ * @param {string} code - Error code (BLOCKED_ADDRESS, NOT_HTML, UNFURL_FAILED or UNFURL_TIMEOUT)
+ * @returns {Error} Error with the code
+ */
+function unfurlError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check that an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True unless the address is in a blocked range
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a host name like dns.lookup, refusing names with any non-public address
+ * Used by the agents, so the address checked is the address connected to.
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked || addresses.length === 0) {
+      return callback(unfurlError(BLOCKED_MESSAGE, 'BLOCKED_ADDRESS'));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Check a URL before requesting it
+ * Host names are checked when they are resolved; IP addresses are never resolved, so they are checked here.
+ * @param {URL} url - Parsed URL
+ */
+function assertPublicURL(url) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw unfurlError('Only http:// and https:// pages can be previewed', 'UNFURL_FAILED');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+    throw unfurlError(BLOCKED_MESSAGE, 'BLOCKED_ADDRESS');
+  }
+}
+
+/**
+ * Request a page, following redirects and checking every address on the way
+ * @param {string} url - http or https URL
+ * @param {AbortSignal} signal - Aborts the request when the preview times out
+ * @returns {Promise<Object>} { response, finalUrl }
+ */
+async function fetchPage(url, signal) {
+  let currentUrl = new URL(url);
+
+  for (let redirects = 0; ; redirects++) {
+    assertPublicURL(currentUrl);
+
+    const response = await fetch(currentUrl.href, {
+      redirect: 'manual',
+      signal,
+      agent: parsedURL => agents[parsedURL.protocol],
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5' }
+    });
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { response, finalUrl: currentUrl.href };
+    }
+
+    response.body.destroy();
+    if (redirects === MAX_REDIRECTS) {
+      throw unfurlError(`The page redirected more than ${MAX_REDIRECTS} times`, 'UNFURL_FAILED');
+    }
+    currentUrl = new URL(location, currentUrl);
+  }
+}
+
+/**
+ * Get a text decoder for a response's character set
+ * @param {string} contentType - Content-Type header
+ * @returns {TextDecoder} Decoder for the declared charset, or UTF-8
+ */
+function createDecoder(contentType) {
+  const match = /charset=["']?([\w-]+)/i.exec(contentType);
+  try {
+    return new TextDecoder(match ? match[1] : 'utf-8');
+  } catch (error) {
+    return new TextDecoder('utf-8');
+  }
+}
+
+/**
+ * Collect metadata from the start of an HTML document
+ * @returns {Object} { parser, metadata, isDone() }; write HTML to the parser, metadata fills in as it goes
+ */
+function createMetadataParser() {
+  const metadata = { title: '', meta: Object.create(null), icons: [], baseHref: null };
+  let inTitle = false;
+  let done = false;
+
+  const parser = new Parser({
+    onopentag(name, attributes) {
+      if (name === 'title' && !metadata.title) {
+        inTitle = true;
+      } else if (name === 'meta') {
+        const key = (attributes.property || attributes.name || '').toLowerCase();
+        if (key && attributes.content && !(key in metadata.meta)) {
+          metadata.meta[key] = attributes.content;
+        }
+      } else if (name === 'link' && attributes.href) {
+        const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+        if (rel.includes('icon') || rel.includes('apple-touch-icon')) {
+          metadata.icons.push({ href: attributes.href, touch: rel.includes('apple-touch-icon') });
+        }
+      } else if (name === 'base' && attributes.href && !metadata.baseHref) {
+        metadata.baseHref = attributes.href;
+      } else if (name === 'body') {
+        done = true;
+      }
+    },
+    ontext(text) {
+      if (inTitle) {
+        metadata.title += text;
+      }
+    },
+    onclosetag(name) {
+      if (name === 'title') {
+        inTitle = false;
+      } else if (name === 'head') {
+        done = true;
+      }
+    }
+  }, { decodeEntities: true, lowerCaseTags: true, lowerCaseAttributeNames: true });
+
+  return { parser, metadata, isDone: () => done };
+}
+
+/**
+ * Read the <head> of a page, stopping at MAX_BYTES
+ * @param {Object} response - node-fetch response
+ * @returns {Promise<Object>} Raw metadata: { title, meta, icons, baseHref }
+ */
+async function readMetadata(response) {
+  const decoder = createDecoder(response.headers.get('content-type') || '');
+  const { parser, metadata, isDone } = createMetadataParser();
+  let bytes = 0;
+
+  try {
+    for await (const chunk of response.body) {
+      const part = bytes + chunk.length > MAX_BYTES ? chunk.subarray(0, MAX_BYTES - bytes) : chunk;
+      bytes += part.length;
+      parser.write(decoder.decode(part, { stream: true }));
+
+      if (isDone() || bytes >= MAX_BYTES) {
+        break;
+      }
+    }
+  } finally {
+    response.body.destroy();
+  }
+
+  parser.end();
+  return metadata;
+}
+
+/**
+ * Clean up text from a page: collapse whitespace and cut it to length
+ * @param {string} text - Text, possibly undefined
+ * @param {number} maxLength - Longest result
+ * @returns {string} Trimmed text, ending with … if it was cut
+ */
+function cleanText(text, maxLength) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > maxLength ? `${clean.slice(0, maxLength - 1).trimEnd()}…` : clean;
+}
+
+/**
+ * Resolve a URL found on a page against the page's address
+ * @param {string} href - URL as written on the page
+ * @param {string} base - Address to resolve it against
+ * @returns {string} Absolute http or https URL, or '' if it isn't one
+ */
+function resolveURL(href, base) {
+  try {
+    const url = new URL(href.trim(), base).href;
+    return isValidURL(url) ? url : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Turn raw metadata into a preview
+ * @param {Object} metadata - From readMetadata()
+ * @param {string} finalUrl - Address the page was read from
+ * @returns {Object} { title, description, siteName, imageUrl, faviconUrl }
+ */
+function buildPreview(metadata, finalUrl) {
+  const { meta, icons } = metadata;
+  const base = metadata.baseHref ? resolveURL(metadata.baseHref, finalUrl) || finalUrl : finalUrl;
+  const image = meta['og:image'] || meta['og:image:url'] || meta['og:image:secure_url'] || meta['twitter:image'] || meta['twitter:image:src'];
+
+  // Prefer a regular icon, which is made to be shown small, over an apple-touch-icon
+  const icon = icons.find(item => !item.touch) || icons[0];
+
+  return {
+    title: cleanText(meta['og:title'] || meta['twitter:title'] || metadata.title, MAX_TITLE_LENGTH),
+    description: cleanText(meta['og:description'] || meta['twitter:description'] || meta.description, MAX_DESCRIPTION_LENGTH),
+    siteName: cleanText(meta['og:site_name'], MAX_TITLE_LENGTH),
+    imageUrl: image ? resolveURL(image, base) : '',
+    faviconUrl: icon ? resolveURL(icon.href, base) : new URL('/favicon.ico', finalUrl).href
+  };
+}
+
+/**
+ * Fetch a page and build its preview
+ * @param {string} url - http or https URL
+ * @returns {Promise<Object>} { url, finalUrl, title, description, siteName, imageUrl, faviconUrl }
+ */
+async function fetchPreview(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+  try {
+    const { response, finalUrl } = await fetchPage(url, controller.signal);
+
+    if (!response.ok) {
+      response.body.destroy();
+      throw unfurlError(`The page answered with HTTP ${response.status}`, 'UNFURL_FAILED');
+    }
+
+    const contentType = (response.headers.get('content-type') || '').toLowerCase();
+    if (!HTML_TYPES.some(type => contentType.startsWith(type))) {
+      response.body.destroy();
+      throw unfurlError('The URL doesn\'t point to a web page', 'NOT_HTML');
+    }
+
+    const metadata = await readMetadata(response);
+    return { url, finalUrl, ...buildPreview(metadata, finalUrl) };
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw unfurlError(`The page didn't load within ${TIMEOUT_MS / 1000} seconds`, 'UNFURL_TIMEOUT');
+    }
+    // Blocked lookups reach here wrapped by node-fetch, with the code kept
+    if (error.code === 'BLOCKED_ADDRESS') {
+      throw unfurlError(BLOCKED_MESSAGE, 'BLOCKED_ADDRESS');
+    }
+    if (error.code === 'NOT_HTML' || error.code === 'UNFURL_FAILED') {
+      throw error;
+    }
+    throw unfurlError(`The page couldn't be loaded: ${error.message}`, 'UNFURL_FAILED');
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Get the preview of a page, from the cache when it was fetched recently
+ * Failures aren't cached, so a page that was down can be tried again right away.
+ * @param {string} url - http or https URL
+ * @returns {Promise<Object>} { url, finalUrl, title, description, siteName, imageUrl, faviconUrl }
+ */
+function unfurl(url) {
+  const cached = cache.get(url);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.promise;
+  }
+
+  const promise = fetchPreview(url);
+  cache.delete(url);
+  cache.set(url, { expiresAt: Date.now() + CACHE_TTL_MS, promise });
+  promise.catch(() => {
+    if (cache.get(url) && cache.get(url).promise === promise) {
+      cache.delete(url);
+    }
+  });
+
+  // Maps keep insertion order, so the first entry is the oldest
+  if (cache.size > CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return promise;
+}
+
+module.exports = { unfurl };
@@ -0,0 +1,39 @@
+// Crawlers, link-preview fetchers, monitoring services and HTTP libraries
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|embedly|quora link|whatsapp|telegram|skype|bitlyurl|vkshare|pinterest|validator|lighthouse|headless|phantomjs|puppeteer|playwright|curl|wget|python-requests|httpclient|okhttp|go-http-client|axios|node-fetch|undici|monitor|uptime|pingdom/i;
+
+// Checked before the mobile pattern, since many tablets also say "Mobile"
+const TABLET_PATTERN = /ipad|tablet|playbook|silk|kindle|android(?!.*mobile)/i;
+const MOBILE_PATTERN = /mobi|iphone|ipod|android|blackberry|opera mini|iemobile|windows phone/i;
+
+/**
+ * Check whether a User-Agent belongs to a crawler, preview bot or script
+ * A missing User-Agent counts as a bot; every browser sends one.
+ * @param {string} userAgent - User-Agent header value
+ * @returns {boolean} True if the request is automated
+ */
+function isBot(userAgent) {
+  return !userAgent || BOT_PATTERN.test(userAgent);
+}
+
+/**
+ * Classify a User-Agent into a coarse device class
+ * @param {string} userAgent - User-Agent header value
+ * @returns {string} bot, tablet, mobile or desktop
+ */
+function getDeviceClass(userAgent) {
+  if (isBot(userAgent)) {
+    return 'bot';
+  }
+  if (TABLET_PATTERN.test(userAgent)) {
+    return 'tablet';
+  }
+  if (MOBILE_PATTERN.test(userAgent)) {
+    return 'mobile';
+  }
+  return 'desktop';
+}
+
+module.exports = {
+  isBot,
+  getDeviceClass
+};
@@ -0,0 +1,208 @@
+const Ajv = require('ajv');
+const schemas = require('../schemas');
+const { isValidTimestamp, isValidTimezone } = require('./schedule');
+const { isValidLinkURL, isValidAppURL } = require('./schemes');
+const { isValidSlug } = require('./slugs');
+const { isMediaURL } = require('./media');
+
+/**
+ * Validate URL format
+ * @param {string} url - URL to validate
+ * @returns {boolean} True if valid http(s) URL
+ */
+function isValidURL(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.protocol === 'http:' || urlObj.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate hex color format
+ * @param {string} color - Color to validate
+ * @returns {boolean} True if valid hex color
+ */
+function isValidHexColor(color) {
+  return /^#[0-9A-Fa-f]{6}$/.test(color);
+}
+
+// allErrors reports every invalid field at once instead of stopping at the first
+const ajv = new Ajv({ allErrors: true, strictTypes: false });
+
+ajv.addFormat('web-url', isValidURL);
+ajv.addFormat('web-url-or-empty', value => value === '' || isValidURL(value));
+ajv.addFormat('image-url-or-empty', value => value === '' || isValidURL(value) || isMediaURL(value));
+ajv.addFormat('link-url', isValidLinkURL);
+ajv.addFormat('app-url-or-empty', value => value === '' || isValidAppURL(value));
+ajv.addFormat('slug-or-empty', value => value === '' || isValidSlug(value));
+ajv.addFormat('hex-color', isValidHexColor);
+ajv.addFormat('timestamp', isValidTimestamp);
+ajv.addFormat('timezone', isValidTimezone);
+
+// Human-readable descriptions of the custom formats
+const FORMAT_MESSAGES = {
+  'web-url': 'must be a valid URL starting with http:// or https://',
+  'web-url-or-empty': 'must be a valid URL starting with http:// or https://',
+  'image-url-or-empty': 'must be a valid URL starting with http:// or https://, or an image from the media library',
+  'link-url': 'must be a web URL (http:// or https://), a mailto: email address, a tel: or sms: number in international format (e.g., tel:+14155550123), or a supported app link',
+  'app-url-or-empty': 'must be a link to a supported app (e.g., spotify:track:...)',
+  'slug-or-empty': 'must be lowercase letters, digits, dots, hyphens and underscores, starting and ending with a letter or digit',
+  'hex-color': 'must be a hex color (e.g., #ffffff)',
+  'timestamp': 'must be a date and time with a UTC offset (e.g., 2025-06-01T09:00:00Z)',
+  'timezone': 'must be a timezone name (e.g., Europe/Berlin)'
+};
+
+// Schemas are compiled once, on first use
+const validators = {};
+
+/**
+ * Get the compiled validator for a schema
+ * @param {string} schemaName - Name of a schema in server/schemas
+ * @returns {Function} Ajv validate function
+ */
+function getValidator(schemaName) {
+  if (!schemas[schemaName]) {
+    throw new Error(`Unknown schema: ${schemaName}`);
+  }
+  if (!validators[schemaName]) {
+    validators[schemaName] = ajv.compile(schemas[schemaName]);
+  }
+  return validators[schemaName];
+}
+
+/**
+ * Convert an Ajv instance path (/0/url) into a field name ([0].url, or links[0].url with a prefix)
+ * @param {string} instancePath - JSON pointer to the invalid value
+ * @param {string} prefix - Name of the document root
+ * @returns {string} Field name, the prefix for the document root
+ */
+function toFieldName(instancePath, prefix) {
+  return instancePath
+    .split('/')
+    .slice(1)
+    .reduce((field, segment) => (/^\d+$/.test(segment) ? `${field}[${segment}]` : field ? `${field}.${segment}` : segment), prefix);
+}
+
+/**
+ * Turn one Ajv error into a { field, message } pair
+ * @param {Object} error - Ajv error object
+ * @param {string} prefix - Name of the document root
+ * @returns {Object} { field, message }
+ */
+function formatError(error, prefix) {
+  const { keyword, params } = error;
+  let field = toFieldName(error.instancePath, prefix);
+  let message;
+
+  switch (keyword) {
+    case 'required':
+      field = field ? `${field}.${params.missingProperty}` : params.missingProperty;
+      message = 'is required';
+      break;
+    case 'additionalProperties':
+      field = field ? `${field}.${params.additionalProperty}` : params.additionalProperty;
+      message = 'is not an allowed field';
+      break;
+    case 'minLength':
+      message = params.limit === 1 ? 'must not be empty' : `must be at least ${params.limit} characters`;
+      break;
+    case 'maxLength':
+      message = `must not exceed ${params.limit} characters`;
+      break;
+    case 'format':
+      message = FORMAT_MESSAGES[params.format] || `must match format ${params.format}`;
+      break;
+    case 'type':
+      message = `must be ${/^[aeiou]/.test(params.type) ? 'an' : 'a'} ${params.type}`;
+      break;
+    case 'enum':
+      message = `must be one of: ${params.allowedValues.join(', ')}`;
+      break;
+    case 'uniqueItems':
+      message = 'must not contain duplicates';
+      break;
+    default:
+      message = error.message;
+  }
+
+  return { field: field || '(root)', message };
+}
+
+/**
+ * Validate data against a named schema
+ * @param {string} schemaName - Name of a schema in server/schemas
+ * @param {any} data - Data to validate
+ * @param {string} prefix - Name to prefix field names with (e.g. links), empty for request payloads
+ * @returns {Array<Object>} Field errors ({ field, message }); empty if the data is valid
+ */
+function validate(schemaName, data, prefix = '') {
+  const validator = getValidator(schemaName);
+
+  if (validator(data)) {
+    return [];
+  }
+
+  // if/then wrappers only restate the failures already reported for the fields themselves
+  const errors = validator.errors
+    .filter(error => error.keyword !== 'if')
+    .map(error => formatError(error, prefix));
+
+  // One entry per field and message, even when several schema branches report it
+  const seen = new Set();
+  return errors.filter(({ field, message }) => {
+    const key = `${field}\n${message}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Describe a field error as a single sentence
+ * @param {Object} fieldError - { field, message }
+ * @returns {string} Message such as "url must be a valid URL ..."
+ */
+function describeError({ field, message }) {
+  return `${field} ${message}`;
+}
+
+/**
+ * Create an error for stored data that does not match its schema
+ * @param {string} resource - Resource name
+ * @param {Array<Object>} fields - Field errors
+ * @returns {Error} Error with code INVALID_DATA and a fields array
+ */
+function invalidDataError(resource, fields) {
+  const error = new Error(`Invalid ${resource} data: ${describeError(fields[0])}`);
+  error.code = 'INVALID_DATA';
+  error.fields = fields;
+  return error;
+}
+
+/**
+ * Trim top-level string values of a request body
+ * @param {Object} body - Parsed request body
+ * @returns {Object} Copy of the body with trimmed strings
+ */
+function trimStrings(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return body;
+  }
+
+  return Object.fromEntries(
+    Object.entries(body).map(([key, value]) => [key, typeof value === 'string' ? value.trim() : value])
+  );
+}
+
+module.exports = {
+  isValidURL,
+  isValidHexColor,
+  validate,
+  describeError,
+  invalidDataError,
+  trimStrings
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const { createArchive, importArchive } = require('./server/utils/archive');
+
+const [command, ...args] = process.argv.slice(2);
+const flags = args.filter(arg => arg.startsWith('--'));
+const [fileArg] = args.filter(arg => !arg.startsWith('--'));
+
+// Print usage information
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node site-archive.js export [file] [--include-secrets]');
+  console.log('  node site-archive.js import <file> [--merge]');
+}
+
+// Write an export archive to disk
+async function exportSite() {
+  const includeSecrets = flags.includes('--include-secrets');
+  const filePath = path.resolve(fileArg || `site-export-${new Date().toISOString().slice(0, 10)}.zip`);
+
+  const archive = await createArchive({ includeSecrets });
+  fs.writeFileSync(filePath, archive);
+
+  console.log(`✓ Exported site to ${filePath}`);
+  if (includeSecrets) {
+    console.log('  The archive contains API credentials. Keep it somewhere safe!');
+  } else {
+    console.log('  API credentials were left out (use --include-secrets to include them)');
+  }
+}
+
+// Load an export archive from disk
+async function importSite() {
+  if (!fileArg) {
+    throw new Error('Please provide the archive file to import');
+  }
+
+  const mode = flags.includes('--merge') ? 'merge' : 'replace';
+  const result = await importArchive(fs.readFileSync(path.resolve(fileArg)), { mode });
+
+  console.log(`✓ Imported ${fileArg} (${mode})`);
+  console.log(`  ${result.links} links, ${result.media} media files${result.config ? ', config' : ''}`);
+}
+
+// Main archive function
+async function run() {
+  console.log('=== Site Export & Import ===\n');
+
+  try {
+    if (command === 'export') {
+      await exportSite();
+    } else if (command === 'import') {
+      await importSite();
+    } else {
+      printUsage();
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n✗ Failed:', error.message);
+    (error.details || []).forEach(detail => console.error(`  - ${detail}`));
+    process.exitCode = 1;
+  }
+}
+
+// Run command
+run();
@@ -0,0 +1,249 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+// Imports write real files, so the data lives in a scratch copy of data/ instead
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_DRIVER = 'json';
+
+const storage = require('../server/utils/storage');
+
+// archive.js takes the storage functions when it loads, so the one a test makes fail is replaced first
+const originalUpdateProfile = storage.updateProfile;
+let failProfileUpdate = false;
+mock.method(storage, 'updateProfile', async (...args) => {
+  if (failProfileUpdate) {
+    throw new Error('Disk full');
+  }
+  return originalUpdateProfile(...args);
+});
+
+const { MEDIA_DIR } = require('../server/utils/drivers/common');
+const { runMigrations } = require('../server/utils/migrator');
+const { createArchive, importArchive } = require('../server/utils/archive');
+
+const SEED_FILES = ['links.json', 'theme.json', 'profile.json', 'config.json', 'auth.json'];
+
+// Smallest buffer sniffImageFormat() takes for a JPEG
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10, 0x4a, 0x46, 0x49, 0x46, 0, 1]);
+const PHOTO = '0123456789abcdef-10.jpg';
+
+/**
+ * Put the scratch data directory back to the repository's starting data
+ */
+async function resetData() {
+  await fs.promises.rm(dataDir, { recursive: true, force: true });
+  await fs.promises.mkdir(dataDir, { recursive: true });
+  for (const file of SEED_FILES) {
+    await fs.promises.copyFile(path.join(__dirname, '../data', file), path.join(dataDir, file));
+  }
+  await runMigrations();
+}
+
+/**
+ * Build an archive from the current data, then change its files
+ * @param {Object} changes - Entry name to new contents (objects are written as JSON, null removes the entry)
+ * @returns {Promise<Buffer>} Zip archive contents
+ */
+async function archiveWith(changes = {}) {
+  const zip = new AdmZip(await createArchive());
+
+  for (const [name, contents] of Object.entries(changes)) {
+    if (contents === null) {
+      zip.deleteFile(name);
+    } else if (Buffer.isBuffer(contents)) {
+      zip.addFile(name, contents);
+    } else {
+      zip.addFile(name, Buffer.from(JSON.stringify(contents)));
+    }
+  }
+
+  return zip.toBuffer();
+}
+
+/**
+ * Make a link as the admin panel saves it
+ * @param {string} id - Link ID
+ * @param {number} order - Position
+ * @returns {Object} Link
+ */
+function makeLink(id, order) {
+  return { id, type: 'link', label: id, url: `https://example.com/${id}`, imageUrl: '', order, active: true, visualType: 'none' };
+}
+
+/**
+ * Capture the error a promise rejects with
+ * @param {Promise} promise - Promise expected to reject
+ * @returns {Promise<Error>} The rejection reason
+ */
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  assert.fail('Expected the import to fail');
+}
+
+before(resetData);
+beforeEach(async () => {
+  failProfileUpdate = false;
+  await resetData();
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('an exported site imports back unchanged, media included', async () => {
+  await fs.promises.mkdir(MEDIA_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(MEDIA_DIR, PHOTO), JPEG);
+  await storage.updateProfile(profile => ({ ...profile, photoUrl: `/media/${PHOTO}` }));
+
+  const [links, theme, profile] = await Promise.all([storage.readLinks(), storage.readTheme(), storage.readProfile()]);
+  const archive = await createArchive();
+
+  await storage.updateLinks(() => []);
+  await storage.updateTheme(current => ({ ...current, backgroundColor: '#000000' }));
+  await fs.promises.rm(MEDIA_DIR, { recursive: true });
+
+  const result = await importArchive(archive);
+
+  assert.strictEqual(result.mode, 'replace');
+  assert.strictEqual(result.media, 1);
+  assert.deepStrictEqual(await storage.readLinks(), links);
+  assert.deepStrictEqual(await storage.readTheme(), theme);
+  assert.deepStrictEqual(await storage.readProfile(), profile);
+  assert.deepStrictEqual(await fs.promises.readFile(path.join(MEDIA_DIR, PHOTO)), JPEG);
+});
+
+test('auth and the storage driver are never exported', async () => {
+  await storage.updateConfig(config => ({ ...config, storageDriver: 'json' }));
+  const zip = new AdmZip(await createArchive());
+
+  assert.strictEqual(zip.getEntry('auth.json'), null);
+  const config = JSON.parse(zip.readAsText('config.json'));
+  assert.strictEqual('storageDriver' in config, false);
+});
+
+test('replace drops links missing from the archive, merge keeps them', async () => {
+  // Leaves out backgroundImageUrl, which merging keeps and replacing drops
+  const importedTheme = { backgroundColor: '#123456', textColor: '#000000', buttonColor: '#111111', buttonTextColor: '#222222' };
+  const archive = await archiveWith({ 'links.json': [makeLink('imported', 0)], 'theme.json': importedTheme });
+  const existingIds = (await storage.readLinks()).map(link => link.id);
+  const theme = await storage.readTheme();
+
+  await importArchive(archive, { mode: 'merge' });
+  const merged = await storage.readLinks();
+  assert.deepStrictEqual(merged.map(link => link.id).slice(-1), ['imported']);
+  assert.deepStrictEqual(merged.map(link => link.id).slice(0, -1).sort(), [...existingIds].sort());
+  assert.deepStrictEqual(merged.map(link => link.order), merged.map((link, index) => index));
+  assert.deepStrictEqual(await storage.readTheme(), { ...theme, ...importedTheme });
+
+  await importArchive(archive, { mode: 'replace' });
+  assert.deepStrictEqual((await storage.readLinks()).map(link => link.id), ['imported']);
+  assert.deepStrictEqual(await storage.readTheme(), importedTheme);
+});
+
+test('merge matches links by ID and works without a links file', async () => {
+  const archive = await archiveWith({ 'links.json': [{ ...makeLink('link-1', 0), label: 'Renamed' }] });
+  await fs.promises.rm(path.join(dataDir, 'links.json'));
+
+  await importArchive(archive, { mode: 'merge' });
+  assert.deepStrictEqual((await storage.readLinks()).map(link => link.label), ['Renamed']);
+
+  await importArchive(await archiveWith({ 'links.json': [makeLink('link-1', 0), makeLink('link-2', 1)] }), { mode: 'merge' });
+  assert.deepStrictEqual((await storage.readLinks()).map(link => link.label), ['link-1', 'link-2']);
+});
+
+test('malformed archives are refused before anything is written', async () => {
+  const links = await storage.readLinks();
+  const cases = [
+    [Buffer.from('not a zip file'), /not a valid export archive/],
+    [await archiveWith({ 'manifest.json': null }), /Archive is missing manifest.json/],
+    [await archiveWith({ 'manifest.json': { format: 'something-else' } }), /not produced by this application/],
+    [await archiveWith({ 'links.json': Buffer.from('{') }), /Invalid JSON in links.json/],
+    [await archiveWith({ 'links.json': { id: 'not-a-list' } }), /Archive contains invalid data/],
+    [await archiveWith({ 'links.json': [makeLink('same', 0), makeLink('same', 1)] }), /Archive contains invalid data/]
+  ];
+
+  for (const [archive, message] of cases) {
+    const error = await rejection(importArchive(archive));
+    assert.strictEqual(error.code, 'INVALID_ARCHIVE');
+    assert.match(error.message, message);
+  }
+
+  assert.deepStrictEqual(await storage.readLinks(), links);
+  const backups = fs.readdirSync(path.join(dataDir, 'backups'));
+  assert.strictEqual(backups.some(name => name.startsWith('import-')), false);
+});
+
+test('links that cannot be saved are refused with INVALID_LINKS', async () => {
+  const error = await rejection(importArchive(await archiveWith({
+    'links.json': [{ ...makeLink('reserved', 0), slug: 'admin' }]
+  })));
+
+  assert.strictEqual(error.code, 'INVALID_LINKS');
+  assert.match(error.details[0], /^links\[0\]\.slug /);
+});
+
+test('an entry that unpacks past the size limit is refused', async () => {
+  // Zeros pack down to a few KB, the way a zip bomb would
+  const error = await rejection(importArchive(await archiveWith({ 'media/0123456789abcdef-10.png': Buffer.alloc(21 * 1024 * 1024) })));
+
+  assert.strictEqual(error.code, 'INVALID_ARCHIVE');
+  assert.match(error.message, /larger than 20 MB/);
+});
+
+test('media entries cannot be written outside the media directory', async () => {
+  const zip = new AdmZip(await createArchive());
+  zip.addFile('placeholder-1', JPEG);
+  zip.addFile('placeholder-2', JPEG);
+  zip.addFile('placeholder-3', Buffer.from('{}'));
+  // adm-zip tidies names given to addFile, so the traversal names are set on the entries directly
+  zip.getEntry('placeholder-1').entryName = `media/../../../${PHOTO}`;
+  zip.getEntry('placeholder-2').entryName = 'media/../../escaped.jpg';
+  zip.getEntry('placeholder-3').entryName = 'media/../links.json';
+
+  const links = await storage.readLinks();
+  const result = await importArchive(zip.toBuffer());
+
+  assert.strictEqual(result.media, 1);
+  assert.deepStrictEqual(fs.readdirSync(MEDIA_DIR), [PHOTO]);
+  assert.strictEqual(fs.existsSync(path.join(dataDir, '..', PHOTO)), false);
+  assert.strictEqual(fs.existsSync(path.join(dataDir, 'escaped.jpg')), false);
+  assert.deepStrictEqual(await storage.readLinks(), links);
+});
+
+test('media files that are not images are skipped, and images they leave missing refuse the archive', async () => {
+  const archive = await archiveWith({
+    [`media/${PHOTO}`]: Buffer.from('<script>alert(1)</script>'),
+    'profile.json': { ...(await storage.readProfile()), photoUrl: `/media/${PHOTO}` }
+  });
+
+  const error = await rejection(importArchive(archive));
+
+  assert.strictEqual(error.code, 'INVALID_ARCHIVE');
+  assert.match(error.details[0], /^profile\.photoUrl uses \/media\/0123456789abcdef-10\.jpg/);
+  assert.strictEqual(fs.existsSync(path.join(MEDIA_DIR, PHOTO)), false);
+});
+
+test('a failed write puts back the previous data and removes the new media', async () => {
+  const links = await storage.readLinks();
+  const archive = await archiveWith({ 'links.json': [makeLink('imported', 0)], [`media/${PHOTO}`]: JPEG });
+  failProfileUpdate = true;
+
+  const error = await rejection(importArchive(archive));
+
+  assert.match(error.message, /^Failed to import archive: Disk full\. The previous data was put back; a backup of it is at /);
+  assert.deepStrictEqual(await storage.readLinks(), links);
+  assert.strictEqual(fs.existsSync(path.join(MEDIA_DIR, PHOTO)), false);
+
+  const backupPath = error.message.split('a backup of it is at ')[1];
+  const backup = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
+  assert.deepStrictEqual(backup.resources.links, links);
+});
@@ -0,0 +1,165 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const storage = require('../server/utils/storage');
+
+// health.js takes the storage functions when it loads, so they are replaced first; checks never touch data/
+const storedLinks = [];
+mock.method(storage, 'readLinks', async () => storedLinks);
+mock.method(storage, 'updateHealth', async mutator => mutator());
+
+const { checkURL, checkAllLinks } = require('../server/utils/health');
+
+// Local stand-in for the sites links point at; each path answers the way one kind of site does
+const requests = [];
+let inFlight = 0;
+let maxInFlight = 0;
+
+const server = http.createServer((req, res) => {
+  requests.push(`${req.method} ${req.url}`);
+
+  // /hop/<n> redirects n more times before landing on /ok
+  const hop = /^\/hop\/(\d+)$/.exec(req.url);
+  if (hop) {
+    const remaining = Number(hop[1]);
+    res.writeHead(302, { Location: remaining > 1 ? `/hop/${remaining - 1}` : '/ok' });
+    return res.end();
+  }
+
+  // /busy/<n> answers after a moment, so checks of several links overlap
+  if (req.url.startsWith('/busy/')) {
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    return setTimeout(() => {
+      inFlight -= 1;
+      res.writeHead(200);
+      res.end();
+    }, 30);
+  }
+
+  switch (req.url) {
+    case '/ok':
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end('<p>Hello</p>');
+    case '/missing':
+      res.writeHead(404);
+      return res.end();
+    case '/first':
+      res.writeHead(301, { Location: '/second' });
+      return res.end();
+    case '/second':
+      res.writeHead(302, { Location: `${baseURL}/ok` });
+      return res.end();
+    case '/loop':
+      res.writeHead(302, { Location: '/loop' });
+      return res.end();
+    case '/no-head':
+      res.writeHead(req.method === 'HEAD' ? 405 : 200);
+      return res.end();
+    case '/slow':
+      // Never answers; the check has to give up on its own
+      return;
+    default:
+      res.writeHead(500);
+      return res.end();
+  }
+});
+
+let baseURL;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('a page that loads is ok', async () => {
+  const result = await checkURL(`${baseURL}/ok`);
+
+  assert.strictEqual(result.status, 'ok');
+  assert.strictEqual(result.statusCode, 200);
+  assert.strictEqual(result.finalUrl, `${baseURL}/ok`);
+  assert.strictEqual(result.redirects, 0);
+  assert.strictEqual(result.error, null);
+});
+
+test('a missing page is broken', async () => {
+  const result = await checkURL(`${baseURL}/missing`);
+
+  assert.strictEqual(result.status, 'broken');
+  assert.strictEqual(result.statusCode, 404);
+});
+
+test('redirects are followed to the final page', async () => {
+  const result = await checkURL(`${baseURL}/first`);
+
+  assert.strictEqual(result.status, 'ok');
+  assert.strictEqual(result.statusCode, 200);
+  assert.strictEqual(result.finalUrl, `${baseURL}/ok`);
+  assert.strictEqual(result.redirects, 2);
+});
+
+test('up to 5 redirects are followed', async () => {
+  const result = await checkURL(`${baseURL}/hop/5`);
+
+  assert.strictEqual(result.status, 'ok');
+  assert.strictEqual(result.redirects, 5);
+  assert.strictEqual(result.finalUrl, `${baseURL}/ok`);
+});
+
+test('a sixth redirect is unreachable', async () => {
+  const result = await checkURL(`${baseURL}/hop/6`);
+
+  assert.strictEqual(result.status, 'unreachable');
+  assert.strictEqual(result.statusCode, 302);
+  assert.strictEqual(result.redirects, 5);
+  assert.strictEqual(result.error, 'More than 5 redirects');
+});
+
+test('a redirect loop is unreachable', async () => {
+  const result = await checkURL(`${baseURL}/loop`);
+
+  assert.strictEqual(result.status, 'unreachable');
+  assert.match(result.error, /redirects/);
+});
+
+test('a server that refuses HEAD is checked with GET', async () => {
+  requests.length = 0;
+  const result = await checkURL(`${baseURL}/no-head`);
+
+  assert.strictEqual(result.status, 'ok');
+  assert.strictEqual(result.statusCode, 200);
+  assert.deepStrictEqual(requests, ['HEAD /no-head', 'GET /no-head']);
+});
+
+test('a server that never answers times out', async () => {
+  const result = await checkURL(`${baseURL}/slow`, { timeout: 200 });
+
+  assert.strictEqual(result.status, 'unreachable');
+  assert.strictEqual(result.statusCode, null);
+  assert.strictEqual(result.error, 'No response within 200 ms');
+});
+
+test('at most 4 links are checked at a time, and only active web links', async () => {
+  storedLinks.length = 0;
+  for (let index = 0; index < 10; index++) {
+    storedLinks.push({ id: `link-${index}`, type: 'link', active: true, url: `${baseURL}/busy/${index}` });
+  }
+  storedLinks.push(
+    { id: 'inactive', type: 'link', active: false, url: `${baseURL}/busy/inactive` },
+    { id: 'email', type: 'link', active: true, url: 'mailto:someone@example.com' },
+    { id: 'header', type: 'header', title: 'Section' }
+  );
+  maxInFlight = 0;
+
+  const health = await checkAllLinks();
+
+  assert.strictEqual(maxInFlight, 4);
+  assert.deepStrictEqual(Object.keys(health.links).sort(), storedLinks.slice(0, 10).map(link => link.id).sort());
+  assert.ok(Object.values(health.links).every(result => result.status === 'ok'));
+  assert.strictEqual(health.links['link-3'].url, `${baseURL}/busy/3`);
+});
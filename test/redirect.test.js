@@ -0,0 +1,158 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const storage = require('../server/utils/storage');
+const analytics = require('../server/utils/analytics');
+
+// redirect.js takes these functions when it loads, so they are replaced first; nothing touches data/
+let storedLinks = [];
+let linksError = null;
+let storedConfig = {};
+const clicks = [];
+mock.method(storage, 'readLinks', async () => {
+  if (linksError) {
+    throw linksError;
+  }
+  return storedLinks;
+});
+mock.method(storage, 'readConfig', async () => storedConfig);
+mock.method(analytics, 'recordClick', async (req, link) => {
+  clicks.push(link.id);
+  return true;
+});
+
+const redirectRoutes = require('../server/routes/redirect');
+
+const app = express();
+app.use('/', redirectRoutes);
+
+let server;
+let baseURL;
+
+before(async () => {
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  storedLinks = [
+    { id: 'link-1', type: 'link', label: 'Shop', url: 'https://shop.example.com/', order: 0, active: true, visualType: 'none', slug: 'shop' },
+    { id: 'link-2', type: 'link', label: 'Old', url: 'https://old.example.com/', order: 1, active: false, visualType: 'none', slug: 'old' },
+    { id: 'link-3', type: 'link', label: 'Later', url: 'https://later.example.com/', order: 2, active: true, visualType: 'none', publishAt: '2999-01-01T00:00:00.000Z' }
+  ];
+  linksError = null;
+  storedConfig = {};
+  clicks.length = 0;
+});
+
+/**
+ * Request a path without following redirects
+ * @param {string} path - Path on the test server
+ * @returns {Promise<Response>} Response
+ */
+function get(path) {
+  return fetch(`${baseURL}${path}`, { redirect: 'manual' });
+}
+
+test('a short link redirects to its link and counts the click', async () => {
+  const response = await get('/s/shop');
+
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.headers.get('location'), 'https://shop.example.com/');
+  assert.strictEqual(response.headers.get('cache-control'), 'no-store');
+  assert.deepStrictEqual(clicks, ['link-1']);
+});
+
+test('short links match in any case', async () => {
+  const response = await get('/s/SHOP');
+
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.headers.get('location'), 'https://shop.example.com/');
+});
+
+test('a short link keeps working while its link is inactive', async () => {
+  const response = await get('/s/old');
+
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.headers.get('location'), 'https://old.example.com/');
+});
+
+test('a short link follows its link to a changed URL', async () => {
+  storedLinks[0].url = 'https://new-shop.example.com/';
+  const response = await get('/s/shop');
+
+  assert.strictEqual(response.headers.get('location'), 'https://new-shop.example.com/');
+});
+
+test('an unknown short link goes to the fallback, or the landing page', async () => {
+  let response = await get('/s/missing');
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.headers.get('location'), '/');
+
+  storedConfig = { shortLinkFallbackUrl: 'https://example.com/not-found' };
+  response = await get('/s/missing');
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.headers.get('location'), 'https://example.com/not-found');
+  assert.strictEqual(response.headers.get('cache-control'), 'no-store');
+  assert.deepStrictEqual(clicks, []);
+});
+
+test('/go/ only follows live links', async () => {
+  let response = await get('/go/link-1');
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.headers.get('location'), 'https://shop.example.com/');
+
+  response = await get('/go/link-2');
+  assert.strictEqual(response.status, 404);
+
+  response = await get('/go/link-3');
+  assert.strictEqual(response.status, 404);
+
+  assert.deepStrictEqual(clicks, ['link-1']);
+});
+
+/**
+ * Make readLinks fail the way the storage driver does
+ * @param {string} code - Error code (NOT_FOUND for a missing file, INVALID_JSON for an unreadable one)
+ */
+function failReadingLinks(code) {
+  linksError = new Error(`Cannot read links.json (${code})`);
+  linksError.code = code;
+}
+
+test('a short link goes to the landing page when the links file is missing or unreadable', async t => {
+  // The routes log the error; the test output doesn't need it
+  t.mock.method(console, 'error', () => {});
+
+  for (const code of ['NOT_FOUND', 'INVALID_JSON', 'EACCES']) {
+    failReadingLinks(code);
+    const response = await get('/s/shop');
+
+    assert.strictEqual(response.status, 302, code);
+    assert.strictEqual(response.headers.get('location'), '/', code);
+    assert.strictEqual(response.headers.get('cache-control'), 'no-store', code);
+  }
+  assert.deepStrictEqual(clicks, []);
+});
+
+test('/go/ answers with an error, without the details, when the links file is missing or unreadable', async t => {
+  // The routes log the error; the test output doesn't need it
+  t.mock.method(console, 'error', () => {});
+
+  for (const code of ['NOT_FOUND', 'INVALID_JSON', 'EACCES']) {
+    failReadingLinks(code);
+    const response = await get('/go/link-1');
+
+    assert.strictEqual(response.status, 500, code);
+    assert.strictEqual(response.headers.get('location'), null, code);
+    assert.strictEqual(await response.text(), 'Failed to follow link', code);
+  }
+  assert.deepStrictEqual(clicks, []);
+});
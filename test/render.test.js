@@ -0,0 +1,158 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { escapeHtml, renderLandingPage } = require('../server/utils/render');
+
+// Markup that ends the element it lands in and starts a script, if it isn't escaped
+const BREAKOUT = '"\'></title></style></script><script>alert(1)</script>';
+
+/**
+ * Make a page model as buildPageModel() returns it
+ * @param {Object} fields - Profile, theme and links to set
+ * @returns {Object} Page model
+ */
+function makePage({ profile = {}, theme = {}, links = [] } = {}) {
+  return { version: 1, theme, profile, links, blocks: links };
+}
+
+/**
+ * Read the content of a meta tag
+ * @param {string} html - Rendered page
+ * @param {string} name - Value of its name or property attribute
+ * @returns {string} The content attribute, as it appears in the HTML
+ */
+function metaContent(html, name) {
+  const match = new RegExp(`<meta (?:name|property)="${name}" content="([^"]*)">`).exec(html);
+  assert.ok(match, `No ${name} meta tag`);
+  return match[1];
+}
+
+/**
+ * Undo the HTML escaping of an attribute value or text
+ * @param {string} text - Escaped text
+ * @returns {string} Original text
+ */
+function unescapeHtml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the JSON-LD script of the page
+ * @param {string} html - Rendered page
+ * @returns {string} Script content
+ */
+function structuredData(html) {
+  const match = /<script type="application\/ld\+json">([\s\S]*?)<\/script>/.exec(html);
+  assert.ok(match, 'No JSON-LD script');
+  return match[1];
+}
+
+/**
+ * Count the script elements of the page
+ * @param {string} html - Rendered page
+ * @returns {number} Number of <script tags
+ */
+function scriptCount(html) {
+  return html.match(/<script/gi).length;
+}
+
+test('escapeHtml escapes markup, quotes and ampersands', () => {
+  assert.strictEqual(
+    escapeHtml(`<a href="x" onclick='y'>Tom & Jerry</a>`),
+    '&lt;a href=&quot;x&quot; onclick=&#39;y&#39;&gt;Tom &amp; Jerry&lt;/a&gt;'
+  );
+  assert.strictEqual(escapeHtml('</script>'), '&lt;/script&gt;');
+  assert.strictEqual(escapeHtml(42), '42');
+});
+
+test('the title, description and share image are escaped in every meta tag', async () => {
+  const profile = {
+    pageTitle: `Title ${BREAKOUT}`,
+    description: `Description ${BREAKOUT}`,
+    shareImageUrl: `https://example.com/share.png?${BREAKOUT}`
+  };
+  const html = await renderLandingPage(makePage({ profile }));
+  // The template's own landing.js script and the JSON-LD script, nothing from the profile
+  const scripts = scriptCount(await renderLandingPage(makePage()));
+
+  for (const name of ['og:title', 'twitter:title']) {
+    assert.strictEqual(unescapeHtml(metaContent(html, name)), profile.pageTitle, name);
+  }
+  for (const name of ['description', 'og:description', 'twitter:description']) {
+    assert.strictEqual(unescapeHtml(metaContent(html, name)), profile.description, name);
+  }
+  for (const name of ['og:image', 'twitter:image']) {
+    assert.strictEqual(unescapeHtml(metaContent(html, name)), profile.shareImageUrl, name);
+  }
+
+  assert.match(html, /<title>Title &quot;&#39;&gt;&lt;\/title&gt;&lt;\/style&gt;&lt;\/script&gt;&lt;script&gt;alert\(1\)&lt;\/script&gt;<\/title>/);
+  assert.strictEqual(scriptCount(html), scripts);
+});
+
+test('the JSON-LD script cannot be closed from the profile or the links', async () => {
+  const profile = { displayName: `Name ${BREAKOUT}`, bio: `Bio ${BREAKOUT}`, photoUrl: `https://example.com/photo.png?${BREAKOUT}` };
+  const links = [
+    { id: 'link-1', type: 'link', label: 'Link', url: `https://example.com/?q=</script><script>alert(1)</script>`, order: 0, active: true, visualType: 'none' }
+  ];
+  const html = await renderLandingPage(makePage({ profile, links }));
+  const json = structuredData(html);
+
+  assert.ok(!json.includes('<'), json);
+
+  const data = JSON.parse(json);
+  assert.strictEqual(data.name, profile.displayName);
+  assert.strictEqual(data.mainEntity.name, profile.displayName);
+  assert.strictEqual(data.mainEntity.description, profile.bio);
+  assert.strictEqual(data.mainEntity.image, profile.photoUrl);
+  assert.deepStrictEqual(data.mainEntity.sameAs, [links[0].url]);
+});
+
+test('the profile photo and bio are escaped', async () => {
+  const profile = { photoUrl: `https://example.com/photo.png?" onload="alert(1)`, bio: `Bio ${BREAKOUT}` };
+  const html = await renderLandingPage(makePage({ profile }));
+
+  assert.ok(html.includes('<img src="https://example.com/photo.png?&quot; onload=&quot;alert(1)" alt="Profile photo"'));
+  assert.ok(html.includes(`<p class="profile-bio">${escapeHtml(profile.bio)}</p>`));
+  assert.ok(!html.includes(' onload="'));
+});
+
+test('a background image URL cannot break out of its url() or the style element', async () => {
+  const urls = [
+    'https://example.com/a.png"); } body { background: url(https://evil.example/track.png',
+    'https://example.com/a.png) , url(https://evil.example/track.png',
+    'https://example.com/a.png\\"); } body { display: none',
+    'https://example.com/a.png\n} body { display: none',
+    `https://example.com/a.png${BREAKOUT}`
+  ];
+
+  for (const backgroundImageUrl of urls) {
+    const html = await renderLandingPage(makePage({ theme: { backgroundImageUrl } }));
+    const style = /<style id="theme-styles">([\s\S]*?)<\/style>/.exec(html);
+
+    assert.ok(style, backgroundImageUrl);
+    // The whole URL is one quoted string; its hex escapes decode back to the URL
+    const rule = /^\.background-overlay \{ background-image: url\("((?:[^"\\<>\n\r]|\\[0-9a-f]+ )*)"\); \}$/.exec(style[1]);
+    assert.ok(rule, style[1]);
+    const decoded = rule[1].replace(/\\([0-9a-f]+) /g, (match, code) => String.fromCharCode(parseInt(code, 16)));
+    assert.strictEqual(decoded, backgroundImageUrl);
+  }
+});
+
+test('link labels, section titles and text are escaped', async () => {
+  const blocks = [
+    { id: 'header-1', type: 'header', title: `Header ${BREAKOUT}`, order: 0, active: true },
+    { id: 'link-1', type: 'link', label: `Label ${BREAKOUT}`, url: 'https://example.com/', order: 1, active: true, visualType: 'none' },
+    { id: 'text-1', type: 'text', text: `Text ${BREAKOUT}`, order: 2, active: true }
+  ];
+  const page = { ...makePage({ links: [blocks[1]] }), blocks };
+  const html = await renderLandingPage(page);
+
+  assert.ok(html.includes(`<h2 class="section-header">${escapeHtml(blocks[0].title)}</h2>`));
+  assert.ok(html.includes(`<span class="link-label">${escapeHtml(blocks[1].label)}</span>`));
+  assert.ok(html.includes(`<p class="link-text">${escapeHtml(blocks[2].text)}</p>`));
+  assert.strictEqual(scriptCount(html), scriptCount(await renderLandingPage(makePage({ links: [blocks[1]] }))));
+});
@@ -0,0 +1,160 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const storage = require('../server/utils/storage');
+
+// The routes take the storage functions when they load, so they are replaced first; nothing touches data/
+let storedLinks = [];
+mock.method(storage, 'readLinks', async () => storedLinks);
+mock.method(storage, 'readTheme', async () => ({ backgroundColor: '#ffffff', textColor: '#000000', buttonColor: '#333333', buttonTextColor: '#ffffff' }));
+mock.method(storage, 'readProfile', async () => ({ photoUrl: '', bio: 'Bio' }));
+
+const {
+  isValidTimezone,
+  isValidTimestamp,
+  normalizeTimestamp,
+  validateSchedule,
+  isLinkLive,
+  nextScheduleChange
+} = require('../server/utils/schedule');
+const { invalidate } = require('../server/utils/cache');
+const publicRoutes = require('../server/routes/public');
+const landingRoutes = require('../server/routes/landing');
+
+const app = express();
+app.use('/api', publicRoutes);
+app.use('/', landingRoutes);
+
+let server;
+let baseURL;
+
+before(async () => {
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// Responses are cached until the links change, and each test stores its own
+beforeEach(() => invalidate('links'));
+
+/**
+ * Make a link as the admin panel saves it
+ * @param {string} id - Link ID
+ * @param {Object} fields - Fields to set
+ * @returns {Object} Link
+ */
+function makeLink(id, fields = {}) {
+  return { id, type: 'link', label: `Label ${id}`, url: `https://example.com/${id}`, imageUrl: '', order: 0, active: true, visualType: 'none', ...fields };
+}
+
+const NOW = new Date('2025-06-01T12:00:00.000Z');
+
+test('timestamps need a date, a time and a UTC offset', () => {
+  for (const value of ['2025-06-01T12:00Z', '2025-06-01T12:00:00Z', '2025-06-01T12:00:00.000Z', '2025-06-01T14:00+02:00', '2025-06-01T07:30:00-04:30']) {
+    assert.strictEqual(isValidTimestamp(value), true, value);
+  }
+
+  for (const value of ['2025-06-01', '2025-06-01T12:00', '2025-06-01 12:00Z', '2025-13-01T12:00Z', '2025-06-01T25:00Z', 'tomorrow', '']) {
+    assert.strictEqual(isValidTimestamp(value), false, value);
+  }
+});
+
+test('timestamps are stored in UTC', () => {
+  assert.strictEqual(normalizeTimestamp('2025-06-01T09:00+02:00'), '2025-06-01T07:00:00.000Z');
+  assert.strictEqual(normalizeTimestamp('2025-06-01T21:00-05:00'), '2025-06-02T02:00:00.000Z');
+  assert.strictEqual(normalizeTimestamp('2025-06-01T12:00Z'), '2025-06-01T12:00:00.000Z');
+});
+
+test('timezones are IANA names', () => {
+  for (const timezone of ['UTC', 'Europe/Berlin', 'America/New_York', 'Asia/Kolkata']) {
+    assert.strictEqual(isValidTimezone(timezone), true, timezone);
+  }
+  for (const timezone of ['Mars/Olympus_Mons', 'Europe/Nowhere', '+02:00 somewhere']) {
+    assert.strictEqual(isValidTimezone(timezone), false, timezone);
+  }
+});
+
+test('a schedule must end after it starts', () => {
+  const error = { field: 'expireAt', message: 'must be later than publishAt' };
+
+  assert.deepStrictEqual(validateSchedule({ publishAt: '2025-06-01T12:00:00.000Z', expireAt: '2025-06-01T12:00:00.000Z' }), error);
+  assert.deepStrictEqual(validateSchedule({ publishAt: '2025-06-02T00:00:00.000Z', expireAt: '2025-06-01T00:00:00.000Z' }), error);
+  assert.strictEqual(validateSchedule({ publishAt: '2025-06-01T12:00:00.000Z', expireAt: '2025-06-01T12:00:00.001Z' }), null);
+  assert.strictEqual(validateSchedule({ publishAt: '2025-06-01T12:00:00.000Z' }), null);
+  assert.strictEqual(validateSchedule({ expireAt: '2025-06-01T12:00:00.000Z' }), null);
+  assert.strictEqual(validateSchedule({}), null);
+});
+
+test('schedule windows are compared as instants, whatever their offsets', () => {
+  // 10:00 in Berlin is 08:00 UTC, before 09:00 UTC
+  assert.strictEqual(validateSchedule({ publishAt: '2025-06-01T10:00+02:00', expireAt: '2025-06-01T09:00Z' }), null);
+  assert.notStrictEqual(validateSchedule({ publishAt: '2025-06-01T10:00Z', expireAt: '2025-06-01T11:00+02:00' }), null);
+
+  const link = makeLink('link-1', { publishAt: '2025-06-01T14:00+02:00' });
+  assert.strictEqual(isLinkLive(link, new Date('2025-06-01T11:59:59.999Z')), false);
+  assert.strictEqual(isLinkLive(link, new Date('2025-06-01T12:00:00.000Z')), true);
+});
+
+test('a link is live from publishAt up to, but not including, expireAt', () => {
+  const link = makeLink('link-1', { publishAt: '2025-06-01T12:00:00.000Z', expireAt: '2025-06-02T12:00:00.000Z' });
+
+  assert.strictEqual(isLinkLive(link, new Date('2025-06-01T11:59:59.999Z')), false);
+  assert.strictEqual(isLinkLive(link, new Date('2025-06-01T12:00:00.000Z')), true);
+  assert.strictEqual(isLinkLive(link, new Date('2025-06-02T11:59:59.999Z')), true);
+  assert.strictEqual(isLinkLive(link, new Date('2025-06-02T12:00:00.000Z')), false);
+});
+
+test('an inactive link is never live, whatever its schedule', () => {
+  assert.strictEqual(isLinkLive(makeLink('link-1', { active: false }), NOW), false);
+  assert.strictEqual(isLinkLive(makeLink('link-1', { active: false, publishAt: '2025-01-01T00:00:00.000Z' }), NOW), false);
+  assert.strictEqual(isLinkLive(makeLink('link-1'), NOW), true);
+});
+
+test('the next schedule change is the earliest future time of an active link', () => {
+  const links = [
+    makeLink('past', { publishAt: '2025-05-01T00:00:00.000Z' }),
+    makeLink('later', { publishAt: '2025-06-03T00:00:00.000Z' }),
+    makeLink('soon', { expireAt: '2025-06-02T00:00:00.000Z' }),
+    makeLink('inactive', { active: false, publishAt: '2025-06-01T13:00:00.000Z' })
+  ];
+
+  assert.deepStrictEqual(nextScheduleChange(links, NOW), new Date('2025-06-02T00:00:00.000Z'));
+  assert.strictEqual(nextScheduleChange([makeLink('plain')], NOW), null);
+});
+
+test('inactive and out-of-window links are left out of /api/links and the landing page', async () => {
+  const hour = 60 * 60 * 1000;
+  storedLinks = [
+    makeLink('live', { order: 0 }),
+    makeLink('inactive', { order: 1, active: false }),
+    makeLink('upcoming', { order: 2, publishAt: new Date(Date.now() + hour).toISOString() }),
+    makeLink('expired', { order: 3, expireAt: new Date(Date.now() - hour).toISOString() }),
+    makeLink('running', { order: 4, publishAt: new Date(Date.now() - hour).toISOString(), expireAt: new Date(Date.now() + hour).toISOString() })
+  ];
+
+  const links = await (await fetch(`${baseURL}/api/links`)).json();
+  assert.deepStrictEqual(links.map(link => link.id), ['live', 'running']);
+
+  const html = await (await fetch(`${baseURL}/`)).text();
+  const rendered = [...html.matchAll(/data-link-id="([^"]+)"/g)].map(match => match[1]);
+  assert.deepStrictEqual(rendered, ['live', 'running']);
+});
+
+test('a scheduled link shows up once its publish time passes', async () => {
+  const publishAt = new Date(Date.now() + 500);
+  storedLinks = [makeLink('live', { order: 0 }), makeLink('scheduled', { order: 1, publishAt: publishAt.toISOString() })];
+
+  let links = await (await fetch(`${baseURL}/api/links`)).json();
+  assert.deepStrictEqual(links.map(link => link.id), ['live']);
+
+  // The cached list expires at the publish time, without any write to the links
+  await new Promise(resolve => setTimeout(resolve, publishAt.getTime() - Date.now() + 50));
+  links = await (await fetch(`${baseURL}/api/links`)).json();
+  assert.deepStrictEqual(links.map(link => link.id), ['live', 'scheduled']);
+});
@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isValidLinkURL, isValidAppURL, isWebURL, validateAppLink } = require('../server/utils/schemes');
+const { validate } = require('../server/utils/validation');
+
+test('web, email, phone, text and app URLs are allowed', () => {
+  const allowed = [
+    'https://example.com/page?query=1#part',
+    'http://example.com',
+    'HTTPS://EXAMPLE.COM',
+    'mailto:someone@example.com',
+    'mailto:someone@example.com,other@example.org?subject=Hello%20there&cc=third@example.net',
+    'MAILTO:someone@example.com',
+    'tel:+15551234567',
+    'sms:+15551234567?body=Hi',
+    'spotify:track:4uLU6hMCjMI75M1A2tKUQC',
+    'Spotify:track:4uLU6hMCjMI75M1A2tKUQC',
+    'whatsapp://send?phone=15551234567'
+  ];
+
+  for (const url of allowed) {
+    assert.strictEqual(isValidLinkURL(url), true, url);
+  }
+});
+
+test('schemes outside the allowlist are blocked', () => {
+  const blocked = [
+    'javascript:alert(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'vbscript:msgbox(1)',
+    'file:///etc/passwd',
+    'blob:https://example.com/0b6a0f5e',
+    'ftp://example.com/file',
+    'intent://scan#Intent;scheme=zxing;end',
+    'chrome://settings'
+  ];
+
+  for (const url of blocked) {
+    assert.strictEqual(isValidLinkURL(url), false, url);
+    assert.strictEqual(isValidAppURL(url), false, url);
+  }
+});
+
+test('case, whitespace and control characters do not get a blocked scheme through', () => {
+  const disguised = [
+    'JaVaScRiPt:alert(1)',
+    'JAVASCRIPT:alert(1)',
+    ' javascript:alert(1)',
+    '\tjavascript:alert(1)',
+    '\njavascript:alert(1)',
+    '\u0000javascript:alert(1)',
+    'java\tscript:alert(1)',
+    'java\nscript:alert(1)',
+    ' \tDaTa:text/html,<script>alert(1)</script>'
+  ];
+
+  for (const url of disguised) {
+    assert.strictEqual(isValidLinkURL(url), false, JSON.stringify(url));
+    assert.strictEqual(isValidAppURL(url), false, JSON.stringify(url));
+  }
+});
+
+test('protocol-relative and relative URLs are rejected', () => {
+  for (const url of ['//evil.example/page', '///evil.example', '/admin.html', 'example.com', '']) {
+    assert.strictEqual(isValidLinkURL(url), false, JSON.stringify(url));
+  }
+});
+
+test('each allowed scheme checks its own format', () => {
+  const invalid = [
+    'mailto:',
+    'mailto:not-an-address',
+    'mailto:someone@example.com?from=attacker@example.com',
+    'mailto:someone@example.com?cc=not-an-address',
+    'mailto:"quoted"@example.com',
+    'tel:5551234567',
+    'tel:+1 555 123 4567',
+    'tel:+15551234567?x=1',
+    'sms:+15551234567?subject=Hi',
+    'spotify:',
+    'spotify:track:"><script>',
+    'http://'
+  ];
+
+  for (const url of invalid) {
+    assert.strictEqual(isValidLinkURL(url), false, url);
+  }
+});
+
+test('app URLs only accept the allowed apps', () => {
+  assert.strictEqual(isValidAppURL('spotify:track:4uLU6hMCjMI75M1A2tKUQC'), true);
+  assert.strictEqual(isValidAppURL('https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC'), false);
+  assert.strictEqual(isValidAppURL('mailto:someone@example.com'), false);
+  assert.strictEqual(isValidAppURL('unknown-app://open'), false);
+});
+
+test('only http and https count as web pages', () => {
+  assert.strictEqual(isWebURL('https://example.com'), true);
+  assert.strictEqual(isWebURL('HTTP://example.com'), true);
+  assert.strictEqual(isWebURL('mailto:someone@example.com'), false);
+  assert.strictEqual(isWebURL('spotify:track:1'), false);
+  assert.strictEqual(isWebURL('//example.com'), false);
+});
+
+test('a link with an app URL needs a web URL to fall back to', () => {
+  assert.strictEqual(validateAppLink({ url: 'https://open.spotify.com/track/1', appUrl: 'spotify:track:1' }), null);
+  assert.strictEqual(validateAppLink({ url: 'mailto:someone@example.com', appUrl: '' }), null);
+  assert.strictEqual(validateAppLink({ url: 'mailto:someone@example.com', appUrl: 'spotify:track:1' }).field, 'url');
+});
+
+test('the link schema applies the allowlist', () => {
+  const link = { id: 'link-1', type: 'link', label: 'Link', url: 'https://example.com', imageUrl: '', order: 0, active: true, visualType: 'none' };
+
+  assert.deepStrictEqual(validate('links', [link], 'links'), []);
+
+  const fields = validate('links', [{ ...link, url: ' JaVaScRiPt:alert(1)', appUrl: 'javascript:alert(1)' }], 'links').map(error => error.field);
+  assert.deepStrictEqual(fields.sort(), ['links[0].appUrl', 'links[0].url']);
+});
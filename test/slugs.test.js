@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isValidSlug, validateSlug, findLinkBySlug } = require('../server/utils/slugs');
+const { validate } = require('../server/utils/validation');
+
+/**
+ * Make a link as the admin panel saves it
+ * @param {string} id - Link ID
+ * @param {string} slug - Short link name
+ * @returns {Object} Link
+ */
+function makeLink(id, slug) {
+  return { id, type: 'link', label: `Label ${id}`, url: `https://example.com/${id}`, imageUrl: '', order: 0, active: true, visualType: 'none', slug };
+}
+
+test('slugs are lowercase letters, digits, dots, hyphens and underscores', () => {
+  for (const slug of ['shop', 'a', '2024', 'spring-sale', 'news_letter', 'v1.2', 'a'.repeat(64)]) {
+    assert.strictEqual(isValidSlug(slug), true, slug);
+  }
+
+  for (const slug of ['', 'Shop', 'SHOP', 'shoP', '-shop', 'shop-', '.shop', 'shop.', 'sh op', 'shop/sale', 'shöp', '../admin', 'a'.repeat(65)]) {
+    assert.strictEqual(isValidSlug(slug), false, slug);
+  }
+});
+
+test('uppercase slugs are rejected by the link schema', () => {
+  const fields = validate('links', [makeLink('link-1', 'Shop')], 'links');
+
+  assert.deepStrictEqual(fields.map(error => error.field), ['links[0].slug']);
+  assert.deepStrictEqual(validate('links', [makeLink('link-1', 'shop')], 'links'), []);
+  assert.deepStrictEqual(validate('links', [makeLink('link-1', '')], 'links'), []);
+});
+
+test('routes and pages of the site are reserved', () => {
+  for (const slug of ['api', 'go', 's', 'media', 'admin', 'admin.html', 'login', 'login.html', 'index.html', 'css', 'js']) {
+    assert.deepStrictEqual(validateSlug(makeLink('link-1', slug), []), { field: 'slug', message: 'is reserved for a page of this site' }, slug);
+  }
+
+  assert.strictEqual(validateSlug(makeLink('link-1', 'shop'), []), null);
+  assert.strictEqual(validateSlug(makeLink('link-1', undefined), []), null);
+});
+
+test('a slug can only be used by one link', () => {
+  const links = [makeLink('link-1', 'shop'), makeLink('link-2', 'newsletter')];
+
+  assert.deepStrictEqual(validateSlug(makeLink('link-3', 'shop'), links), { field: 'slug', message: 'is already used by "Label link-1"' });
+  // Saving a link again keeps its own slug
+  assert.strictEqual(validateSlug(makeLink('link-1', 'shop'), links), null);
+  assert.strictEqual(validateSlug(makeLink('link-2', 'sale'), links), null);
+});
+
+test('short links are found in any case, and only on links', () => {
+  const links = [
+    { id: 'header-1', type: 'header', title: 'Shop', slug: 'shop' },
+    makeLink('link-1', 'shop'),
+    { ...makeLink('link-2', 'old'), active: false }
+  ];
+
+  assert.strictEqual(findLinkBySlug(links, 'shop').id, 'link-1');
+  assert.strictEqual(findLinkBySlug(links, 'SHOP').id, 'link-1');
+  assert.strictEqual(findLinkBySlug(links, 'old').id, 'link-2');
+  assert.strictEqual(findLinkBySlug(links, 'missing'), undefined);
+});
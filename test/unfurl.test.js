@@ -0,0 +1,151 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const http = require('http');
+const net = require('net');
+const { unfurl } = require('../server/utils/unfurl');
+
+// Local stand-in for the pages being previewed; every request it gets is recorded
+const requests = [];
+
+const server = http.createServer((req, res) => {
+  requests.push(req.url);
+
+  const redirect = /^\/redirect\?to=(.+)$/.exec(req.url);
+  if (redirect) {
+    res.writeHead(302, { Location: decodeURIComponent(redirect[1]) });
+    return res.end();
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end('<html><head><title>Public page</title></head><body></body></html>');
+});
+
+let port;
+
+// Names the tests resolve, standing in for DNS; public.test is the only one with a public address
+const HOSTS = {
+  'public.test': ['93.184.216.34'],
+  'internal.test': ['10.1.2.3'],
+  'metadata.test': ['169.254.169.254'],
+  'loopback.test': ['127.0.0.1'],
+  'mapped.test': ['::ffff:127.0.0.1'],
+  'mixed.test': ['93.184.216.34', '192.168.1.10']
+};
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+
+  const lookup = dns.lookup;
+  mock.method(dns, 'lookup', (hostname, options, callback) => {
+    if (!HOSTS[hostname]) {
+      return lookup(hostname, options, callback);
+    }
+    const addresses = HOSTS[hostname].map(address => ({ address, family: net.isIP(address) }));
+    callback(null, options.all ? addresses : addresses[0].address, addresses[0].family);
+  });
+
+  // Connections to public.test reach the stand-in once its address has passed the check;
+  // nothing else is rerouted, so every other name is checked and connected to as usual
+  const createConnection = http.Agent.prototype.createConnection;
+  mock.method(http.Agent.prototype, 'createConnection', function (options, callback) {
+    if (options.host !== 'public.test') {
+      return createConnection.call(this, options, callback);
+    }
+    const socket = new net.Socket();
+    options.lookup(options.host, {}, error => {
+      if (error) {
+        return socket.destroy(error);
+      }
+      socket.connect(port, '127.0.0.1');
+    });
+    return socket;
+  });
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+/**
+ * Preview a URL and capture the error it fails with
+ * @param {string} url - URL to preview
+ * @returns {Promise<Error>} The rejection reason
+ */
+async function unfurlError(url) {
+  try {
+    await unfurl(url);
+  } catch (error) {
+    return error;
+  }
+  assert.fail(`Expected ${url} to be refused`);
+}
+
+test('a public page is previewed', async () => {
+  const preview = await unfurl(`http://public.test:${port}/page`);
+
+  assert.strictEqual(preview.title, 'Public page');
+  assert.strictEqual(preview.finalUrl, `http://public.test:${port}/page`);
+});
+
+test('private and local IP addresses are refused without a request', async () => {
+  requests.length = 0;
+  const targets = [
+    `http://127.0.0.1:${port}/`,
+    `http://127.1:${port}/`,
+    `http://2130706433:${port}/`,
+    `http://0x7f000001:${port}/`,
+    `http://0.0.0.0:${port}/`,
+    'http://10.0.0.1/',
+    'http://172.16.0.1/',
+    'http://192.168.0.1/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://100.64.0.1/',
+    `http://[::1]:${port}/`,
+    `http://[::ffff:127.0.0.1]:${port}/`,
+    'http://[fd00::1]/',
+    'http://[fe80::1]/'
+  ];
+
+  for (const url of targets) {
+    const error = await unfurlError(url);
+    assert.strictEqual(error.code, 'BLOCKED_ADDRESS', url);
+  }
+  assert.deepStrictEqual(requests, []);
+});
+
+test('a name that resolves to a private address is refused', async () => {
+  requests.length = 0;
+
+  for (const host of ['internal.test', 'metadata.test', 'loopback.test', 'mapped.test', 'mixed.test']) {
+    const error = await unfurlError(`http://${host}:${port}/`);
+    assert.strictEqual(error.code, 'BLOCKED_ADDRESS', host);
+  }
+  assert.deepStrictEqual(requests, []);
+});
+
+test('a redirect to a private address is refused', async () => {
+  const targets = [
+    `http://127.0.0.1:${port}/`,
+    'http://169.254.169.254/latest/meta-data/',
+    `http://[::1]:${port}/`,
+    `http://metadata.test:${port}/latest/meta-data/`,
+    `http://loopback.test:${port}/`
+  ];
+
+  for (const target of targets) {
+    requests.length = 0;
+    const error = await unfurlError(`http://public.test:${port}/redirect?to=${encodeURIComponent(target)}`);
+
+    assert.strictEqual(error.code, 'BLOCKED_ADDRESS', target);
+    // Only the public page was requested, never the target it redirected to
+    assert.deepStrictEqual(requests, [`/redirect?to=${encodeURIComponent(target)}`], target);
+  }
+});
+
+test('only http and https pages are previewed', async () => {
+  const error = await unfurlError('file:///etc/passwd');
+  assert.strictEqual(error.code, 'UNFURL_FAILED');
+});